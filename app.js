@@ -4,491 +4,3257 @@
  */
 
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import {
+  COLUMN_ROLES,
+  REQUIRED_ROLES,
+  ROLE_LABELS,
+  isMappingComplete,
+  describeImportReport,
+} from "./src/data-import.js";
+import {
+  CORRECTION_METHODS,
+  DEFAULT_CORRECTION,
+  STOREY_LAMBDA,
+  getCorrectionMethod,
+} from "./src/adjust.js";
+import { DEFAULT_FIGURE_OPTIONS, buildFigureSvg, pngSize, screenFigureTheme, svgToPng } from "./src/figure-export.js";
+import { encodeHash, decodeHash, buildSession, validateSession } from "./src/session.js";
+import { looksLikeGmt, parseGeneList, parseGmt, summarizeGeneSets, symbolKey } from "./src/gene-sets.js";
+import { CONCORDANCE_CATEGORIES, indexByKey, joinContrasts } from "./src/contrasts.js";
+import { createCompareView } from "./src/compare-view.js";
+import {
+  ANNOTATION_SOURCES,
+  ORGANISMS,
+  chainProviders,
+  createLocalFileProvider,
+  createUniProtProvider,
+  geneLinks,
+  openAnnotationStore,
+  parseAnnotationFile,
+  shortDescription,
+  withCache,
+} from "./src/annotations.js";
+import { CATEGORY_LABELS, RANGE_COLUMNS, createResultsTable, filterRows, sortOrder } from "./src/results-table.js";
+import { SEARCH_MODES, searchRows } from "./src/search.js";
+import { P_MODES, countCategories, pValueCutoff } from "./src/thresholds.js";
+import { createClassifier, createDataIndex } from "./src/data-index.js";
+import { createDataClient } from "./src/data-client.js";
+import {
+  PALETTES,
+  categoricalColorScale,
+  describeColumns,
+  getPalette,
+  numericColorScale,
+  sizeScale,
+} from "./src/color-mapping.js";
+import { compileRule } from "./src/rules.js";
+import { Y_SCALES, suggestXClip, yCeiling } from "./src/axis-scales.js";
+import {
+  NAMED_SELECTION_COLORS,
+  SELECTION_TOOLS,
+  combineSelection,
+  compareSelections,
+  selectionMode,
+} from "./src/selection.js";
+import { createHistory, describeViewChange } from "./src/history.js";
+import { EXPORT_FORMATS, exportColumns, formatResults, getExportFormat, mapLimit, uniqueSymbols } from "./src/results-export.js";
+import { DEFAULT_PLOT_OPTIONS, createVolcanoPlot, pointTooltipHtml } from "./src/volcano-plot.js";
+import { AUTO_THEME, THEMES, applyTheme, categoryColors, getTheme, registerTheme, resolveThemeId, watchSystemTheme } from "./src/themes.js";
+import { positionTooltip } from "./src/tooltip-position.js";
+import {
+  DEFAULT_GENERATOR,
+  EFFECT_DISTRIBUTIONS,
+  NULL_DISTRIBUTIONS,
+  generateContrast,
+  newSeed,
+  sameGenerator,
+  sanitizeGenerator,
+  truthStats,
+} from "./src/synthetic-data.js";
 
 // --- Constants ---
 const DEFAULT_FC_THRESHOLD = 1;
 const DEFAULT_FDR_THRESHOLD = 0.05;
 const DEFAULT_TOP_N = 10;
-const N_POINTS = 1200;
-const MARGIN = { top: 24, right: 24, bottom: 40, left: 48 };
+/** Above this many rows, points are drawn on a canvas layer instead of one SVG circle each. */
+const CANVAS_POINT_THRESHOLD = 5000;
+
+// --- Classification (rules in src/thresholds.js) ---
+/** The panel's cutoffs as a Thresholds object for getCategory(). */
+function currentThresholds() {
+  return {
+    fcUp: state.fcThreshold,
+    fcDown: state.fcDownThreshold ?? state.fcThreshold,
+    alpha: state.fdrThreshold,
+    pMode: state.pMode,
+    minBaseMean: state.minBaseMean,
+  };
+}
+
+/** Whether the plotted rows carry a mean-expression value (DESeq2 baseMean, limma AveExpr, …). */
+function hasBaseMean() {
+  return state.data.length > 0 && state.data[0].baseMean !== undefined;
+}
+
+/** Opacity of non-members while a gene set is highlighted. */
+const GENE_SET_DIM_OPACITY = 0.15;
+
+// --- Gene annotations (tooltip; see src/annotations.js for the backends) ---
+const ANNOTATION_SETTINGS_KEY = "volcano-plot:annotations";
+let annotationStore = null; // IndexedDB key-value store, or null when unavailable
+let uniprotProvider = withCache(createUniProtProvider(), null);
+let localAnnotations = null; // { entries: Map, fileName }
+let annotationProvider = uniprotProvider;
+
+function loadAnnotationSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ANNOTATION_SETTINGS_KEY) || "null");
+    if (ANNOTATION_SOURCES.some((s) => s.id === saved?.source)) state.annotationSource = saved.source;
+    if (ORGANISMS.some((o) => o.id === saved?.organism)) state.annotationOrganism = saved.organism;
+  } catch {
+    // Storage blocked or corrupt: keep the defaults.
+  }
+}
+
+function saveAnnotationSettings() {
+  try {
+    localStorage.setItem(
+      ANNOTATION_SETTINGS_KEY,
+      JSON.stringify({ source: state.annotationSource, organism: state.annotationOrganism })
+    );
+  } catch {
+    // Settings just won't persist.
+  }
+}
+
+function rebuildAnnotationProvider() {
+  const local = createLocalFileProvider(localAnnotations?.entries ?? null, localAnnotations?.fileName);
+  annotationProvider = {
+    uniprot: uniprotProvider,
+    local,
+    "local+uniprot": chainProviders([local, uniprotProvider]),
+    off: null,
+  }[state.annotationSource];
+  updateDetailsPanel();
+}
+
+/** Annotation for a tooltip row, or null when annotations are turned off. */
+function lookupAnnotation(d) {
+  if (!annotationProvider) return Promise.resolve(null);
+  const symbol = d.geneSymbol != null ? d.geneSymbol : d.id;
+  return annotationProvider.lookup(symbol, { organism: state.annotationOrganism });
+}
+
+// --- State ---
+let state = {
+  data: [],
+  fcThreshold: DEFAULT_FC_THRESHOLD, // up cutoff, and the down cutoff too while fcDownThreshold is null
+  fcDownThreshold: null, // separate down cutoff (magnitude), or null for a symmetric ±fcThreshold
+  fdrThreshold: DEFAULT_FDR_THRESHOLD, // cutoff for the p-value chosen by pMode
+  pMode: "adjusted", // id from P_MODES: threshold the adjusted (d.fdr) or the raw p-value
+  minBaseMean: 0, // rows with a lower mean expression are never significant (0 = off)
+  topN: DEFAULT_TOP_N,
+  showLabels: false,
+  selectionTool: "pan", // id from SELECTION_TOOLS: what a plain drag on the plot does
+  namedSelections: [], // kept selections: { id, name, color, ids: Set, visible }
+  searchHighlightId: null, // current search match (zoomed to, outlined in orange)
+  searchMatches: [], // ids of every match of the last search, in cycling order
+  palette: "default", // id from PALETTES
+  theme: AUTO_THEME, // id from THEMES, or "auto" to follow the system (a browser preference, not part of the view)
+  colorBy: "category", // "category" or a column id from colorColumns()
+  sizeBy: null, // numeric column id from colorColumns(), or null for a fixed size
+  colorRules: [], // custom categories: { id, name, expr, color, test }; the first match colors a point
+  correction: DEFAULT_CORRECTION, // id from CORRECTION_METHODS; d.fdr holds that method's adjusted p
+  pi0: null, // Storey π₀ estimate when correction is "storey"
+  zoomAxis: "xy", // which axes wheel zoom / drag pan change: "xy", "x" or "y"
+  yScaleType: "linear", // id from Y_SCALES
+  yBreak: null, // −log₁₀ p a broken y axis compresses above (null = automatic)
+  yCap: null, // −log₁₀ p ceiling; rows at or above it are triangles in the top band (null = extreme values only)
+  xClip: null, // |log₂FC| beyond which rows are triangles at the x edge (null = off)
+  geneSets: [], // { id, name, description, genes: normalised symbols, source }
+  activeGeneSetId: null, // set whose members are highlighted
+  geneSetStyle: "outline", // "outline" (keep category colors) or "color" (members in the theme's geneSet color)
+  contrasts: [], // extra result sets for comparison: { id, name, data, hasPadj, pvalAtFdr }
+  compareKey: "id", // how rows are matched across contrasts: "id" or "geneSymbol"
+  comparePair: { a: "primary", b: null }, // contrast ids for the log2FC A vs B scatter
+  linkedHoverKey: null, // match key hovered in any linked view
+  annotationSource: "uniprot", // id from ANNOTATION_SOURCES
+  annotationOrganism: "9606", // NCBI taxonomy id for UniProt lookups ("" = any organism)
+  tableFilter: {
+    text: "",
+    categories: new Set(["sig_up", "sig_down", "not_sig"]),
+    range: { column: "log2FC", min: null, max: null },
+    selectionOnly: false, // show only the plot's selection (turned on by a box or lasso selection)
+  },
+  tableSort: { key: "pval", dir: "asc" },
+  dataset: { source: "synthetic", name: "Synthetic data", seed: null }, // or { source: "file", name, mapping, hasPadj }
+};
+
+// --- Data worker (parsing, generation and sorting off the main thread; see src/data-worker.js) ---
+const dataClient = createDataClient();
+const dataLoads = { main: 0, contrast: 0, correction: 0 }; // id of the latest load of each kind; older results are dropped
+const dataIndexes = new WeakMap(); // rows → createDataIndex(), so undoing back to a dataset doesn't sort it again
+
+/** A dataset's index (rows sorted by p and log₂ FC), made once; orders are the worker's, when it sorted them. */
+function indexFor(data, orders) {
+  let index = dataIndexes.get(data);
+  if (!index) {
+    index = createDataIndex(data, orders);
+    dataIndexes.set(data, index);
+  }
+  return index;
+}
+
+function setDataProgress(progress) {
+  const el = document.getElementById("data-progress");
+  if (!el) return;
+  el.hidden = !progress;
+  if (!progress) return;
+  el.querySelector(".data-progress-label").textContent = `${progress.stage}…`;
+  el.querySelector("progress").value = progress.fraction;
+}
+
+/**
+ * Runs a data task in the worker with a progress bar over the plot. Resolves to null when a newer
+ * load of the same kind started meanwhile, so only the latest one is applied.
+ * @param {"main"|"contrast"|"correction"} kind
+ */
+function loadData(kind, task, payload, stage) {
+  const id = ++dataLoads[kind];
+  const latest = () => id === dataLoads[kind];
+  setDataProgress({ stage, fraction: 0 });
+  return dataClient
+    .run(task, payload, (progress) => latest() && setDataProgress(progress))
+    .then((result) => (latest() ? result : null))
+    .finally(() => latest() && setDataProgress(null));
+}
+
+// --- Multiple-testing correction (in the data worker) ---
+const corrections = new WeakMap(); // rows → { method, pi0 } their d.fdr was adjusted with
+
+/** Method for a dataset's rows: the selected one, or BH when "file" is selected but it has no adjusted column. */
+function correctionMethod(hasPadj) {
+  return state.correction === "file" && !hasPadj ? DEFAULT_CORRECTION : state.correction;
+}
+
+/**
+ * Sets d.fdr of each dataset to its method's adjusted p-values, computed in the worker ("file"
+ * copies d.padj). Reuses each dataset's p-value order, so switching methods doesn't sort again.
+ * Resolves to false when a newer run of the same kind started meanwhile.
+ * @param {"main"|"contrast"|"correction"|null} kind - See loadData(); null for a run nothing supersedes
+ * @param {{ data: Object[], method: string }[]} jobs
+ */
+function adjustRows(kind, jobs) {
+  const sets = jobs.map(({ data, method }) =>
+    method === "file" ? { method } : { method, pvals: data.map((d) => d.pval), order: indexFor(data).byP }
+  );
+  const run = kind ? loadData(kind, "adjust", { sets }, "Adjusting p-values") : dataClient.run("adjust", { sets });
+  return run.then((result) => {
+    if (!result) return false;
+    jobs.forEach(({ data, method }, i) => {
+      const { adjusted, pi0 } = result.sets[i];
+      data.forEach((d, j) => {
+        d.fdr = adjusted ? adjusted[j] : d.padj;
+      });
+      corrections.set(data, { method, pi0 });
+      indexFor(data).adjustedChanged();
+    });
+    return true;
+  });
+}
+
+/**
+ * A load's result once its rows are adjusted too, so they're first shown with d.fdr set; null when a
+ * newer load of the kind started meanwhile. Results without rows (a file that needs its columns
+ * mapped) pass through.
+ */
+function adjustLoaded(kind, result, method) {
+  if (!result?.data) return result;
+  indexFor(result.data, result);
+  return adjustRows(kind, [{ data: result.data, method }]).then((done) => (done ? result : null));
+}
+
+/**
+ * Adjusts the plotted rows and the contrasts whose d.fdr isn't from the selected method (it just
+ * changed, or a load finished under the previous one), then redraws.
+ */
+function syncCorrection() {
+  if (state.correction === "file" && !state.dataset.hasPadj) state.correction = DEFAULT_CORRECTION;
+  const jobs = [{ data: state.data, hasPadj: state.dataset.hasPadj }, ...state.contrasts]
+    .map(({ data, hasPadj }) => ({ data, method: correctionMethod(hasPadj) }))
+    .filter(({ data, method }) => corrections.get(data)?.method !== method);
+  if (jobs.length === 0) return;
+  adjustRows("correction", jobs)
+    .then((done) => {
+      if (!done) return;
+      state.pi0 = corrections.get(state.data)?.pi0 ?? null;
+      updateCorrectionUI();
+      redraw();
+    })
+    .catch((err) => setImportStatus(`Could not adjust p-values: ${err.message}`, [], true));
+}
+
+// --- Plot (drawn by src/volcano-plot.js from the options below) ---
+let plot = null;
+
+/** Off-scale policy and y-scale type, as used by src/axis-scales.js. */
+function axisOptions() {
+  return { yScale: state.yScaleType, yBreak: state.yBreak, yCap: state.yCap, xClip: state.xClip };
+}
+
+/** A range input's [min, max, step], so dragging a threshold line stops where the slider does. */
+function inputLimits(id) {
+  const input = document.getElementById(id);
+  return input ? [parseFloat(input.min), parseFloat(input.max), parseFloat(input.step)] : undefined;
+}
+
+/** The plot's options from state; redraw() passes them on every change. */
+function plotOptions() {
+  return {
+    data: state.data,
+    thresholds: {
+      fcUp: state.fcThreshold,
+      fcDown: state.fcDownThreshold,
+      alpha: state.fdrThreshold,
+      pMode: state.pMode,
+      minBaseMean: state.minBaseMean,
+    },
+    limits: {
+      fc: inputLimits("fc-threshold") ?? DEFAULT_PLOT_OPTIONS.limits.fc,
+      alpha: inputLimits("fdr-threshold") ?? DEFAULT_PLOT_OPTIONS.limits.alpha,
+    },
+    axis: axisOptions(),
+    topN: state.topN,
+    showLabels: state.showLabels,
+    zoomAxis: state.zoomAxis,
+    selectionTool: state.selectionTool,
+    name: state.dataset.name,
+    adjustedLabel: getCorrectionMethod(state.correction).short,
+    canvasThreshold: CANVAS_POINT_THRESHOLD,
+    style: pointStyleHooks(),
+    tooltip: fillPlotTooltip,
+    index: indexFor(state.data),
+    theme: state.theme,
+  };
+}
+
+/** Creates the plot in #plot-container; its events keep the panel, tables and views in step. */
+function initPlot() {
+  const el = document.getElementById("plot-container");
+  if (!el) return;
+  plot = createVolcanoPlot(el, plotOptions())
+    .on("render", ({ counts, capped, clipped }) => {
+      updateLegendCounts(counts);
+      updateAxisNote(capped, clipped);
+      updateTruthStats();
+      drawLinkedHover();
+      updateGeneSetTable();
+      updateCompareView();
+      updateResultsTable({ defer: true });
+      updateDetailsPanel();
+      scheduleHashUpdate();
+      scheduleHistoryStep();
+    })
+    .on("selectionchange", ({ selected, source }) => {
+      tableSelectionVersion++;
+      // The table follows a box or lasso selection: show just the selected rows.
+      if (source === "box" || source === "lasso") state.tableFilter.selectionOnly = selected.size > 0;
+      updateSelectionUI();
+    })
+    .on("pinchange", () => updateSearchUI())
+    .on("thresholdchange", ({ thresholds, source }) => {
+      if (source !== "drag") return;
+      state.fcThreshold = thresholds.fcUp;
+      state.fcDownThreshold = thresholds.fcDown;
+      state.fdrThreshold = thresholds.alpha;
+      syncControls();
+    })
+    .on("zoom", ({ domain, source }) => {
+      // Resetting the zoom from the keyboard drops the search highlight, as the Reset zoom button does.
+      if (source === "keyboard" && domain === null) {
+        state.searchHighlightId = null;
+        updateSearchUI();
+      }
+      pushZoomHistory();
+    })
+    .on("hover", ({ point }) => setLinkedHover(point ? contrastKey(point) : null));
+}
+
+/** How many rows are drawn off-scale, under the axis controls. */
+function updateAxisNote(capped, clipped) {
+  const note = document.getElementById("axis-note");
+  if (!note) return;
+  const parts = [];
+  if (capped > 0) parts.push(`${capped} capped (▲ in the top band)`);
+  if (clipped > 0) parts.push(`${clipped} clipped (◀ ▶ at the edges)`);
+  note.textContent = parts.length > 0 ? `${parts.join(", ")}.` : "Every point is on scale.";
+}
+
+/** Live category counts in the legend, plus how many rows the expression filter holds back. */
+function updateLegendCounts(counts) {
+  const fmt = d3.format(",");
+  d3.selectAll(".legend-count[data-category]").text(function () {
+    return fmt(counts[this.dataset.category]);
+  });
+  const filtered = document.getElementById("legend-filtered");
+  if (!filtered) return;
+  filtered.hidden = counts.belowMinMean === 0;
+  filtered.textContent = `${fmt(counts.belowMinMean)} rows below the minimum mean expression are counted as not significant.`;
+}
+
+/**
+ * Re-renders the plot from state; the page's tables and views follow on its render event.
+ * @param {{ animate?: boolean }} [opts] - animate: false skips transitions (used while changing axes)
+ */
+function redraw({ animate = true } = {}) {
+  if (!plot || state.data.length === 0) return;
+  plot.setOptions(plotOptions(), { animate });
+}
+
+// --- Theme (light / dark / high contrast; see src/themes.js) ---
+const THEME_SETTINGS_KEY = "volcano-plot:theme";
+const themeConfigErrors = []; // problems with the page's theme configuration, shown under the menu
+
+const isThemeChoice = (id) => id === AUTO_THEME || THEMES.some((t) => t.id === id);
+
+/** The theme in use: state.theme, with "auto" resolved after the system settings. */
+function currentTheme() {
+  return getTheme(resolveThemeId(state.theme));
+}
+
+/** Category fills of the chosen palette under the current theme. */
+function categoryPalette() {
+  return categoryColors(getPalette(state.palette), currentTheme());
+}
+
+/**
+ * Registers the themes of the page's <script type="application/json" id="volcano-config"> block,
+ * { "themes": [...], "theme": "id" }, and makes its "theme" the default (see the README).
+ */
+function loadThemeConfig() {
+  const el = document.getElementById("volcano-config");
+  if (!el) return;
+  let config;
+  try {
+    config = JSON.parse(el.textContent);
+  } catch (err) {
+    themeConfigErrors.push(`The page's theme configuration isn't valid JSON (${err.message}).`);
+    return;
+  }
+  (Array.isArray(config?.themes) ? config.themes : []).forEach((theme) => {
+    try {
+      registerTheme(theme);
+    } catch (err) {
+      themeConfigErrors.push(err.message);
+    }
+  });
+  if (config?.theme === undefined) return;
+  if (isThemeChoice(config.theme)) state.theme = config.theme;
+  else themeConfigErrors.push(`Unknown default theme "${config.theme}".`);
+}
+
+function loadThemeSettings() {
+  try {
+    const saved = localStorage.getItem(THEME_SETTINGS_KEY);
+    if (isThemeChoice(saved)) state.theme = saved;
+  } catch {
+    // Storage blocked: keep the default.
+  }
+}
+
+function saveThemeSettings() {
+  try {
+    localStorage.setItem(THEME_SETTINGS_KEY, state.theme);
+  } catch {
+    // The choice just won't persist.
+  }
+}
+
+/** Styles the page from the current theme; the plot styles itself from plotOptions().theme. */
+function applyPageTheme() {
+  applyTheme(document.documentElement, currentTheme());
+  const autoOption = document.querySelector(`#theme-select option[value="${AUTO_THEME}"]`);
+  if (autoOption) autoOption.textContent = `Auto (${getTheme(resolveThemeId(AUTO_THEME)).label.toLowerCase()})`;
+}
+
+function themeChanged() {
+  applyPageTheme();
+  redraw({ animate: false });
+}
+
+function bindThemeControls() {
+  const select = document.getElementById("theme-select");
+  if (select) {
+    d3.select(select)
+      .selectAll("option")
+      .data([{ id: AUTO_THEME, label: "Auto" }, ...THEMES])
+      .join("option")
+      .attr("value", (t) => t.id)
+      .text((t) => t.label);
+    select.value = state.theme;
+    select.addEventListener("change", () => {
+      state.theme = select.value;
+      saveThemeSettings();
+      themeChanged();
+    });
+  }
+  const note = document.getElementById("theme-note");
+  if (note) {
+    note.textContent = themeConfigErrors.join(" ");
+    note.hidden = themeConfigErrors.length === 0;
+  }
+  applyPageTheme();
+  watchSystemTheme(() => {
+    if (state.theme === AUTO_THEME) themeChanged();
+  });
+}
+
+// --- Point colors (palette, color / size by a column, custom categories) ---
+let nextRuleId = 1;
+let columnCache = { data: null, columns: [] }; // describeColumns() result for state.data
+// The color / size scales and rule counts of updatePointStyle(), the category fills and the inputs each was made from.
+let pointStyle = { scale: null, column: null, sizeColumn: null, ruleCounts: new Map(), category: null };
+
+/** Columns points can be colored or sized by: the dataset's own, plus each comparison contrast's log₂ FC. */
+function colorColumns() {
+  if (columnCache.data !== state.data) columnCache = { data: state.data, columns: describeColumns(state.data) };
+  const contrastColumns = state.contrasts.map((c) => {
+    let byKey = null;
+    return {
+      id: `contrast:${c.id}`,
+      label: `${c.name} log₂ FC`,
+      type: "numeric",
+      value: (d) => {
+        byKey ??= indexByKey(c.data, contrastKey).byKey;
+        return byKey.get(contrastKey(d))?.log2FC ?? NaN;
+      },
+    };
+  });
+  return [...columnCache.columns, ...contrastColumns];
+}
+
+/** Names of the imported file's extra columns, usable in rules. */
+function ruleColumns() {
+  return Object.keys(state.data[0]?.fields || {});
+}
+
+/** Fill before gene-set dimming: a matching custom category, else the color-by column, else the category. */
+function baseFill(d) {
+  if (d._rule) return d._rule.color;
+  return d._color || (pointStyle.category ?? categoryPalette())[d._category];
+}
+
+/** Whether any input differs (by identity) from the last run's, for work that only redoes when its inputs change. */
+function inputsChanged(last, inputs) {
+  return !last || last.length !== inputs.length || inputs.some((v, i) => v !== last[i]);
+}
+
+/**
+ * Sets d._rule, d._color and d._radius on every row from the custom categories and the color / size
+ * columns, and refreshes the controls and legend that depend on them. Needs d._category. Runs on
+ * every render but only rescans the rows when the data, the columns or scales they use, or (for
+ * rules) the categories changed.
+ */
+function updatePointStyle() {
+  const palette = getPalette(state.palette);
+  const category = categoryPalette();
+  const root = document.documentElement.style;
+  root.setProperty("--cat-up", category.sig_up);
+  root.setProperty("--cat-down", category.sig_down);
+  root.setProperty("--cat-ns", category.not_sig);
+
+  const columns = colorColumns();
+  // A column that went away with the data (or a removed contrast) falls back to the defaults.
+  const column = columns.find((c) => c.id === state.colorBy) || null;
+  if (!column) state.colorBy = "category";
+  const sizeColumn = columns.find((c) => c.id === state.sizeBy && c.type === "numeric") || null;
+  if (!sizeColumn) state.sizeBy = null;
+
+  const index = indexFor(state.data);
+  // Column values can be adjusted p-values or another contrast's log₂ FC.
+  const columnInputs = [state.data, index.version, state.compareKey, ...state.contrasts.map((c) => c.data)];
+  let { scale } = pointStyle;
+  const colorInputs = [...columnInputs, column?.id, state.palette];
+  const recolor = inputsChanged(pointStyle.colorInputs, colorInputs);
+  if (recolor && column) {
+    const values = state.data.map(column.value);
+    scale = column.type === "numeric" ? numericColorScale(values, palette) : categoricalColorScale(values, palette);
+    state.data.forEach((d, i) => {
+      d._color = scale.color(values[i]);
+    });
+  } else if (recolor) {
+    scale = null;
+    state.data.forEach((d) => {
+      d._color = null;
+    });
+  }
+  const sizeInputs = [...columnInputs, sizeColumn?.id];
+  const resize = inputsChanged(pointStyle.sizeInputs, sizeInputs);
+  if (resize) {
+    const size = sizeColumn ? sizeScale(state.data.map(sizeColumn.value)) : null;
+    state.data.forEach((d) => {
+      d._radius = size ? size(sizeColumn.value(d)) : null;
+    });
+  }
+  // Rules can test the category (sig) and are edited in place, so their colors are part of the inputs.
+  const ruleInputs = [
+    state.data,
+    index.version,
+    index.categoryVersion,
+    ...state.colorRules.flatMap((r) => [r, r.color]),
+  ];
+  let { ruleCounts } = pointStyle;
+  const retest = inputsChanged(pointStyle.ruleInputs, ruleInputs);
+  if (retest) {
+    ruleCounts = new Map(state.colorRules.map((r) => [r.id, 0]));
+    state.data.forEach((d) => {
+      d._rule = state.colorRules.find((r) => r.test(d)) || null;
+      if (d._rule) ruleCounts.set(d._rule.id, ruleCounts.get(d._rule.id) + 1);
+    });
+  }
+  const columnIds = columns.map((c) => c.id);
+  const legendChanged = recolor || resize || retest || inputsChanged(pointStyle.columnIds, columnIds);
+  pointStyle = { scale, column, sizeColumn, ruleCounts, category, colorInputs, sizeInputs, ruleInputs, columnIds };
+  if (legendChanged) {
+    updateColorControls(columns);
+    updateColorLegend();
+  }
+}
+
+function updateColorControls(columns) {
+  const colorBy = document.getElementById("color-by");
+  if (colorBy) {
+    d3.select(colorBy)
+      .selectAll("option")
+      .data([{ id: "category", label: "Significance" }, ...columns], (c) => c.id)
+      .join("option")
+      .attr("value", (c) => c.id)
+      .text((c) => (c.type === "categorical" ? `${c.label} (categories)` : c.label));
+    colorBy.value = state.colorBy;
+  }
+  const sizeBy = document.getElementById("size-by");
+  if (sizeBy) {
+    d3.select(sizeBy)
+      .selectAll("option")
+      .data([{ id: "", label: "Same size" }, ...columns.filter((c) => c.type === "numeric")], (c) => c.id)
+      .join("option")
+      .attr("value", (c) => c.id)
+      .text((c) => c.label);
+    sizeBy.value = state.sizeBy ?? "";
+  }
+}
+
+const formatLegendValue = d3.format(".3~g");
+
+/** Gradient or swatches for the color-by column, custom categories with counts, and the size column. */
+function updateColorLegend() {
+  const root = d3.select("#color-legend");
+  if (root.empty()) return;
+  const { scale, column, sizeColumn, ruleCounts } = pointStyle;
+  root.selectAll("*").remove();
+  root.attr("hidden", column || sizeColumn || state.colorRules.length > 0 ? null : "");
+  const fmt = d3.format(",");
+  if (column) {
+    root.append("h4").text(`Color: ${column.label}`);
+    const legend = scale.legend;
+    if (legend.type === "gradient") {
+      root
+        .append("div")
+        .attr("class", "color-gradient")
+        .style("background", `linear-gradient(to right, ${legend.stops.join(", ")})`);
+      root
+        .append("div")
+        .attr("class", "color-gradient-ticks")
+        .selectAll("span")
+        .data(gradientTicks(legend))
+        .join("span")
+        .text(formatLegendValue);
+      if (legend.kind === "log") root.append("p").attr("class", "legend-note").text("Log scale.");
+    } else {
+      swatchList(root, legend.entries.map((e) => ({ color: e.color, text: e.value, count: e.count })));
+    }
+  }
+  if (state.colorRules.length > 0) {
+    root.append("h4").text("Custom categories");
+    swatchList(
+      root,
+      state.colorRules.map((r) => ({ color: r.color, text: r.name, count: ruleCounts.get(r.id) }))
+    );
+  }
+  if (sizeColumn) root.append("p").attr("class", "legend-note").text(`Size: ${sizeColumn.label} (larger = higher).`);
+
+  function swatchList(parent, entries) {
+    const li = parent.append("ul").selectAll("li").data(entries).join("li");
+    li.append("span").attr("class", "swatch").style("background", (e) => e.color);
+    li.append("span").text((e) => e.text);
+    li.append("span").attr("class", "legend-count").text((e) => fmt(e.count));
+  }
+}
+
+/** Low, middle and high values of a gradient legend (the middle is the geometric mean on a log scale). */
+function gradientTicks(legend) {
+  const [lo, hi] = legend.domain;
+  return [lo, legend.kind === "log" ? Math.sqrt(lo * hi) : (lo + hi) / 2, hi];
+}
+
+/** Legend entries for the exported figure when points aren't plain category colors. */
+function figureLegendEntries() {
+  const { scale, column, ruleCounts } = pointStyle;
+  const entries = state.colorRules.map((r) => ({ color: r.color, text: `${r.name} (${ruleCounts.get(r.id)})` }));
+  if (column && scale.legend.type === "gradient") {
+    gradientTicks(scale.legend).forEach((v) =>
+      entries.push({ color: scale.color(v), text: `${column.label} ${formatLegendValue(v)}` })
+    );
+  } else if (column) {
+    scale.legend.entries.forEach((e) => entries.push({ color: e.color, text: `${e.value} (${e.count})` }));
+  } else {
+    const counts = countCategories(state.data, currentThresholds());
+    const colors = categoryPalette();
+    [
+      ["sig_up", "Significant up"],
+      ["sig_down", "Significant down"],
+      ["not_sig", "Not significant"],
+    ].forEach(([key, text]) => entries.push({ color: colors[key], text: `${text} (${counts[key]})` }));
+  }
+  return entries;
+}
+
+/**
+ * Compiles a custom category against the current data's columns.
+ * @returns {{ rule: Object|null, error: string|null }}
+ */
+function buildColorRule({ name, expr, color }) {
+  const { test, error } = compileRule(expr, ruleColumns());
+  if (error) return { rule: null, error };
+  return { rule: { id: `r${nextRuleId++}`, name, expr, color, test }, error: null };
+}
+
+/** Recompiles custom categories for new data; those naming a column the data lacks are dropped. */
+function recompileColorRules() {
+  const dropped = [];
+  state.colorRules = state.colorRules.flatMap((r) => {
+    const { rule, error } = buildColorRule(r);
+    if (error) dropped.push(`"${r.name}": ${error}`);
+    return rule ? [rule] : [];
+  });
+  return dropped;
+}
+
+function setRuleError(message) {
+  const el = document.getElementById("rule-error");
+  if (!el) return;
+  el.hidden = !message;
+  el.textContent = message || "";
+}
+
+function addColorRule() {
+  const nameInput = document.getElementById("rule-name");
+  const exprInput = document.getElementById("rule-expr");
+  const color = document.getElementById("rule-color").value;
+  const expr = exprInput.value.trim();
+  const name = nameInput.value.trim() || expr;
+  const { rule, error } = buildColorRule({ name, expr, color });
+  if (error) {
+    setRuleError(error);
+    exprInput.focus();
+    return;
+  }
+  setRuleError(null);
+  state.colorRules.push(rule);
+  nameInput.value = "";
+  exprInput.value = "";
+  // Next rule starts with an unused color.
+  const used = new Set(state.colorRules.map((r) => r.color.toLowerCase()));
+  document.getElementById("rule-color").value =
+    NAMED_SELECTION_COLORS.find((c) => !used.has(c.toLowerCase())) || NAMED_SELECTION_COLORS[0];
+  updateColorRuleList();
+  redraw({ animate: false });
+}
+
+function updateColorRuleList() {
+  const list = d3.select("#color-rules");
+  if (list.empty()) return;
+  const items = list
+    .selectAll("li")
+    .data(state.colorRules, (r) => r.id)
+    .join((enter) => {
+      const li = enter.append("li").attr("class", "color-rule-item");
+      li.append("input")
+        .attr("type", "color")
+        .attr("aria-label", (r) => `Color of ${r.name}`)
+        .on("input", (e, r) => {
+          r.color = e.target.value;
+          redraw({ animate: false });
+        });
+      const text = li.append("span").attr("class", "rule-text");
+      text.append("span").text((r) => `${r.name} `);
+      text.append("code").text((r) => r.expr);
+      li.append("button")
+        .attr("type", "button")
+        .attr("class", "secondary rule-up")
+        .attr("aria-label", (r) => `Check ${r.name} earlier`)
+        .attr("title", "Move up (earlier rules win)")
+        .text("↑")
+        .on("click", (e, r) => {
+          const i = state.colorRules.indexOf(r);
+          state.colorRules.splice(i - 1, 0, ...state.colorRules.splice(i, 1));
+          updateColorRuleList();
+          redraw({ animate: false });
+        });
+      li.append("button")
+        .attr("type", "button")
+        .attr("class", "secondary")
+        .attr("aria-label", (r) => `Remove ${r.name}`)
+        .text("×")
+        .on("click", (e, r) => {
+          state.colorRules = state.colorRules.filter((x) => x !== r);
+          updateColorRuleList();
+          redraw({ animate: false });
+        });
+      return li;
+    });
+  items.order();
+  items.select('input[type="color"]').property("value", (r) => r.color);
+  items.select(".rule-up").property("disabled", (r, i) => i === 0);
+}
+
+function bindColorControls() {
+  const paletteSelect = document.getElementById("color-palette");
+  if (paletteSelect) {
+    d3.select(paletteSelect)
+      .selectAll("option")
+      .data(PALETTES)
+      .join("option")
+      .attr("value", (p) => p.id)
+      .text((p) => p.label);
+    paletteSelect.value = state.palette;
+    paletteSelect.addEventListener("change", () => {
+      state.palette = paletteSelect.value;
+      redraw({ animate: false });
+    });
+  }
+  document.getElementById("color-by")?.addEventListener("change", (e) => {
+    state.colorBy = e.target.value;
+    redraw({ animate: false });
+  });
+  document.getElementById("size-by")?.addEventListener("change", (e) => {
+    state.sizeBy = e.target.value || null;
+    redraw({ animate: false });
+  });
+  document.getElementById("rule-add")?.addEventListener("click", addColorRule);
+  ["rule-name", "rule-expr"].forEach((id) =>
+    document.getElementById(id)?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") addColorRule();
+    })
+  );
+  document.getElementById("rule-expr")?.addEventListener("input", () => setRuleError(null));
+}
+
+// --- Point styling (the plot's style hooks: gene sets, search matches, named selections) ---
+/** Membership test for the highlighted gene set, or null when no set is active. */
+function activeGeneSetMembers() {
+  const set = state.geneSets.find((s) => s.id === state.activeGeneSetId);
+  if (!set) return null;
+  const genes = new Set(set.genes);
+  return (d) => genes.has(symbolKey(d.geneSymbol));
+}
+
+/** Fill with gene-set coloring / dimming; `dimmed` caches the dimmed form of each base color. */
+function pointFill(d, isMember, tokens, dimmed) {
+  if (!isMember) return baseFill(d);
+  const member = isMember(d);
+  if (member && state.geneSetStyle === "color") return tokens.geneSet;
+  const fill = baseFill(d);
+  if (member) return fill;
+  if (!dimmed.has(fill)) dimmed.set(fill, d3.color(fill).copy({ opacity: GENE_SET_DIM_OPACITY }).formatRgb());
+  return dimmed.get(fill);
+}
+
+/** id → color of the first visible named selection holding it. */
+function namedSelectionColors() {
+  const colors = new Map();
+  state.namedSelections.forEach((s) => {
+    if (!s.visible) return;
+    s.ids.forEach((id) => {
+      if (!colors.has(id)) colors.set(id, s.color);
+    });
+  });
+  return colors;
+}
+
+/** PointStyle for the plot (see src/volcano-plot.js). */
+function pointStyleHooks() {
+  const { tokens } = currentTheme();
+  const isMember = activeGeneSetMembers();
+  const matches = new Set(state.searchMatches);
+  const named = namedSelectionColors();
+  const dimmed = new Map();
+  const raise = [];
+  // Members are drawn above the dimmed points, search matches above both.
+  if (isMember) raise.push(".point.gene-set-member");
+  if (matches.size > 0) raise.push(".point.search-match, .point.highlight-search");
+  return {
+    prepare: updatePointStyle,
+    fill: (d) => pointFill(d, isMember, tokens, dimmed),
+    radius: (d) => d._radius ?? 3.5,
+    emphasized: (d) => state.searchHighlightId === d.id,
+    classes: (d) => {
+      const c = [];
+      if (isMember) c.push(isMember(d) ? "gene-set-member" : "dimmed");
+      if (state.searchHighlightId === d.id) c.push("highlight-search");
+      else if (matches.has(d.id)) c.push("search-match");
+      if (named.has(d.id)) c.push("named-selection");
+      return c.join(" ");
+    },
+    // The current search match outranks the plot's own pinned / selected outline; the rest give way to it.
+    outline: (d, own) => {
+      if (state.searchHighlightId === d.id) return tokens.search;
+      if (own) return own;
+      if (matches.has(d.id)) return tokens.searchMatch;
+      if (named.has(d.id)) return named.get(d.id);
+      if (isMember && state.geneSetStyle === "outline" && isMember(d)) return tokens.geneSet;
+      return null;
+    },
+    raise,
+  };
+}
+
+// --- Tooltip (annotation lookups; the comparison views share #tooltip) ---
+function annotationRowHtml() {
+  return annotationProvider
+    ? `<div class="row annotation-row"><span class="label annotation-source">Annotation</span> <span class="annotation-text">Loading…</span></div>`
+    : "";
+}
+
+/**
+ * Fills the tooltip's annotation row once the lookup resolves (if the tooltip still shows that
+ * gene; a pinned tooltip hidden while its point is out of view is still filled).
+ */
+function fillAnnotation(tip, d) {
+  const geneId = d.geneSymbol != null ? d.geneSymbol : d.id;
+  tip.node().setAttribute("data-current-id", geneId);
+  const textEl = tip.select(".annotation-text");
+  return lookupAnnotation(d).then((result) => {
+    if (!result || !textEl.node()) return;
+    if (tip.node().getAttribute("data-current-id") !== geneId) return;
+    tip.select(".annotation-source").text(result.source);
+    textEl.text("").classed("missing", result.status !== "found").attr("data-status", result.status);
+    if (result.status !== "found") {
+      textEl.text(result.message);
+      return;
+    }
+    if (result.proteinName) textEl.append("strong").text(result.proteinName);
+    if (result.description) {
+      textEl.append("span").text((result.proteinName ? " — " : "") + shortDescription(result.description));
+    }
+  });
+}
+
+/** Synthetic rows know their true effect; shown so a demo can explain individual calls. */
+function truthRowHtml(d) {
+  if (d.trueLog2FC === undefined) return "";
+  const value = d.trueLog2FC === 0 ? "0 (null)" : d.trueLog2FC.toFixed(3);
+  return `<div class="row"><span class="label">true log2FC</span> ${value}</div>`;
+}
+
+/** The plot's tooltip hook: its rows, the true effect of synthetic rows and the gene annotation. */
+function fillPlotTooltip(tip, d, html) {
+  tip.html(html + truthRowHtml(d) + annotationRowHtml());
+  return fillAnnotation(tip, d);
+}
+
+/** The comparison views' tooltip: the plot's rows and annotation, placed to stay in the viewport. */
+function showTooltip(e, d) {
+  const tip = d3.select("#tooltip").classed("visible", true).attr("aria-hidden", "false");
+  const place = () => positionTooltip(tip.node(), e.clientX, e.clientY);
+  fillPlotTooltip(tip, d, pointTooltipHtml(d, getCorrectionMethod(state.correction).short, axisOptions())).then(() => {
+    // The annotation changes the tooltip's size.
+    if (tip.classed("visible") && tip.node().getAttribute("data-current-id") === (d.geneSymbol ?? d.id)) place();
+  });
+  place();
+}
+
+function hideTooltip() {
+  d3.select("#tooltip").classed("visible", false).attr("aria-hidden", "true");
+}
+
+// --- Zoom history (every zoom the plot reports, including zoomTo(); back / forward step through it) ---
+const ZOOM_HISTORY_MAX = 50;
+let zoomHistory = { entries: [null], index: 0 };
+
+function pushZoomHistory() {
+  const entries = zoomHistory.entries.slice(0, zoomHistory.index + 1);
+  entries.push(plot.getZoom());
+  if (entries.length > ZOOM_HISTORY_MAX) entries.shift();
+  zoomHistory = { entries, index: entries.length - 1 };
+  updateZoomHistoryUI();
+}
+
+function resetZoomHistory() {
+  zoomHistory = { entries: [plot?.getZoom() ?? null], index: 0 };
+  updateZoomHistoryUI();
+}
+
+function stepZoomHistory(delta) {
+  const index = zoomHistory.index + delta;
+  if (index < 0 || index >= zoomHistory.entries.length) return;
+  zoomHistory.index = index;
+  updateZoomHistoryUI();
+  // restore() rather than zoomTo(), which would record the step as a new entry.
+  plot.restore({ zoom: zoomHistory.entries[index] }).render();
+}
+
+/** Highlights a point and zooms to a window around it (search, results table). */
+function zoomToPoint(d) {
+  state.searchHighlightId = d.id;
+  plot.zoomTo(d);
+}
+
+function zoomToSelection() {
+  const selected = plot.getSelection();
+  plot.zoomTo(state.data.filter((d) => selected.has(d.id)));
+}
+
+function updateZoomHistoryUI() {
+  const back = document.getElementById("zoom-back");
+  const forward = document.getElementById("zoom-forward");
+  if (back) back.disabled = zoomHistory.index <= 0;
+  if (forward) forward.disabled = zoomHistory.index >= zoomHistory.entries.length - 1;
+}
+
+// --- Selection (drawn on the plot; the category buttons, table and views select through it) ---
+/**
+ * Replaces, extends or trims the selection (see selectionMode) and shows just those rows in the table.
+ * @param {Iterable<string>} ids
+ * @param {"replace"|"add"|"subtract"} mode
+ */
+function applySelection(ids, mode) {
+  const next = combineSelection(plot.getSelection(), ids, mode);
+  state.tableFilter.selectionOnly = next.size > 0;
+  plot.select(next);
+}
+
+function selectCategory(category, e) {
+  applySelection(
+    state.data.filter((d) => d._category === category).map((d) => d.id),
+    selectionMode(e)
+  );
+}
+
+function setSelectionTool(tool) {
+  state.selectionTool = tool;
+  document.querySelectorAll("[data-tool]").forEach((btn) => {
+    btn.setAttribute("aria-pressed", String(btn.dataset.tool === tool));
+  });
+  const hint = document.getElementById("selection-tool-hint");
+  if (hint) hint.textContent = `${SELECTION_TOOLS.find((t) => t.id === tool).hint}. Shift adds to the selection, Alt removes from it.`;
+  plot?.setOptions({ selectionTool: tool });
+}
+
+function updateSelectionUI() {
+  const info = document.getElementById("selection-info");
+  const countEl = document.getElementById("selection-count");
+  if (!info || !countEl) return;
+  const n = plot ? plot.getSelection().size : 0;
+  if (n === 0) state.tableFilter.selectionOnly = false;
+  const selectionOnly = document.getElementById("table-selection-only");
+  if (selectionOnly) {
+    selectionOnly.checked = state.tableFilter.selectionOnly;
+    selectionOnly.disabled = n === 0;
+  }
+  if (n === 0) {
+    info.hidden = true;
+  } else {
+    info.hidden = false;
+    countEl.textContent = n;
+  }
+}
+
+function downloadBlob(blob, fileName) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// --- Figure export (standalone SVG / PNG) ---
+let figureOptions = { ...DEFAULT_FIGURE_OPTIONS };
+const FIGURE_LIMITS = { fontSize: [6, 32], widthIn: [1, 20], heightIn: [1, 20] };
+
+/** The plot's view (see figure-export.js) with the search highlight and the page's point colors. */
+function buildFigureModel() {
+  const model = plot.figureModel();
+  if (state.searchHighlightId) model.highlighted.add(state.searchHighlightId);
+  // Plain category colors keep the figure theme's print-friendly set; anything else uses the screen's fills.
+  const styled = state.palette !== "default" || state.colorBy !== "category" || state.colorRules.length > 0;
+  return {
+    ...model,
+    fill: styled ? baseFill : undefined,
+    size: state.sizeBy ? (d) => (d._radius ?? 3.5) / 3.5 : undefined,
+    legend: styled ? figureLegendEntries() : undefined,
+  };
+}
+
+function readFigureForm(form) {
+  const num = (name) => {
+    const [min, max] = FIGURE_LIMITS[name];
+    const v = parseFloat(form.elements[name].value);
+    return Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : DEFAULT_FIGURE_OPTIONS[name];
+  };
+  return {
+    title: form.elements.title.value.trim(),
+    xLabel: form.elements.xLabel.value,
+    yLabel: form.elements.yLabel.value,
+    theme: form.elements.theme.value,
+    fontSize: num("fontSize"),
+    widthIn: num("widthIn"),
+    heightIn: num("heightIn"),
+    dpi: parseInt(form.elements.dpi.value, 10) || DEFAULT_FIGURE_OPTIONS.dpi,
+    legend: form.elements.legend.checked,
+  };
+}
+
+function updateFigureSizeHint(form) {
+  const hint = document.getElementById("figure-size-hint");
+  if (!hint) return;
+  const opts = readFigureForm(form);
+  const { width, height } = pngSize(opts);
+  hint.textContent = `${opts.widthIn} × ${opts.heightIn} in — PNG ${width} × ${height} px at ${opts.dpi} DPI.`;
+}
+
+function openFigureDialog() {
+  const dialog = document.getElementById("figure-dialog");
+  const form = document.getElementById("figure-form");
+  if (!dialog || !form || state.data.length === 0) return;
+  Object.entries(figureOptions).forEach(([name, value]) => {
+    const el = form.elements[name];
+    if (!el) return;
+    if (el.type === "checkbox") el.checked = value;
+    else el.value = String(value);
+  });
+  document.getElementById("figure-error").hidden = true;
+  updateFigureSizeHint(form);
+  dialog.showModal();
+}
+
+function exportFigure(format) {
+  const form = document.getElementById("figure-form");
+  const errorEl = document.getElementById("figure-error");
+  figureOptions = readFigureForm(form);
+  const theme = figureOptions.theme === "screen" ? screenFigureTheme(currentTheme(), categoryPalette()) : figureOptions.theme;
+  const svgText = buildFigureSvg(buildFigureModel(), { ...figureOptions, theme });
+  if (format === "svg") {
+    downloadBlob(new Blob([svgText], { type: "image/svg+xml" }), "volcano_plot.svg");
+    return;
+  }
+  svgToPng(svgText, figureOptions)
+    .then((blob) => downloadBlob(blob, "volcano_plot.png"))
+    .catch((err) => {
+      errorEl.textContent = err.message;
+      errorEl.hidden = false;
+    });
+}
+
+function bindFigureDialog() {
+  const form = document.getElementById("figure-form");
+  if (!form) return;
+  document.getElementById("export-figure")?.addEventListener("click", openFigureDialog);
+  document.getElementById("figure-svg")?.addEventListener("click", () => exportFigure("svg"));
+  document.getElementById("figure-png")?.addEventListener("click", () => exportFigure("png"));
+  form.addEventListener("input", () => updateFigureSizeHint(form));
+}
+
+// --- Results export (rows, formats and the settings block; see src/results-export.js) ---
+/** Above this many distinct symbols, annotation lookups aren't offered (one UniProt request each). */
+const EXPORT_ANNOTATION_MAX = 1000;
+let exportBusy = false;
+
+/** Row sets the export dialog offers, with their rows under the current thresholds. */
+function exportScopes() {
+  const byCategory = (cat) => state.data.filter((d) => d._category === cat);
+  const byIds = (ids) => state.data.filter((d) => ids.has(d.id));
+  return [
+    { id: "all", label: "All rows", slug: "all", rows: state.data },
+    { id: "sig", label: "Significant (up and down)", slug: "significant", rows: state.data.filter((d) => d._category !== "not_sig") },
+    { id: "sig_up", label: "Significant up", slug: "sig_up", rows: byCategory("sig_up") },
+    { id: "sig_down", label: "Significant down", slug: "sig_down", rows: byCategory("sig_down") },
+    { id: "selection", label: "Selection", slug: "selected", rows: byIds(plot.getSelection()) },
+    { id: "pinned", label: "Pinned", slug: "pinned", rows: byIds(plot.getPinned()) },
+    ...state.namedSelections.map((s) => ({
+      id: `named:${s.id}`,
+      label: `Named: ${s.name}`,
+      slug: fileSlug(s.name),
+      rows: byIds(new Set(s.ids)),
+    })),
+  ];
+}
+
+/** The settings behind the calls, so an export describes itself. */
+function exportMetadata(scope, annotated) {
+  const method = getCorrectionMethod(state.correction);
+  const t = currentThresholds();
+  return {
+    exported: new Date().toISOString(),
+    dataset: state.dataset.name,
+    seed: state.dataset.source === "synthetic" ? state.dataset.seed : null,
+    rows: scope.label,
+    rowCount: scope.rows.length,
+    totalRows: state.data.length,
+    correction: method.label,
+    padjColumn: state.correction === "file" ? state.dataset.mapping.padj : null,
+    pValue: t.pMode === "raw" ? "raw" : "adjusted",
+    alpha: t.alpha,
+    log2FCUp: t.fcUp,
+    log2FCDown: -t.fcDown,
+    minBaseMean: hasBaseMean() ? t.minBaseMean : null,
+    pi0: state.pi0 ?? null,
+    annotations: annotated ? ANNOTATION_SOURCES.find((a) => a.id === state.annotationSource)?.label : null,
+  };
+}
+
+function readExportForm(form) {
+  const scopes = exportScopes();
+  return {
+    scope: scopes.find((s) => s.id === form.elements.scope.value) || scopes[0],
+    format: getExportFormat(form.elements.format.value),
+    header: form.elements.header.checked,
+    annotations: form.elements.annotations.checked && !form.elements.annotations.disabled,
+  };
+}
+
+function updateExportSummary(form) {
+  const summary = document.getElementById("export-summary");
+  const { scope, format } = readExportForm(form);
+  const symbols = uniqueSymbols(scope.rows).length;
+  const annotationBox = form.elements.annotations;
+  annotationBox.disabled = !annotationProvider || format.id === "symbols" || symbols > EXPORT_ANNOTATION_MAX;
+  form.elements.header.disabled = format.id !== "csv" && format.id !== "tsv";
+  if (summary) {
+    summary.textContent =
+      format.id === "symbols"
+        ? `${symbols} unique gene symbol${symbols === 1 ? "" : "s"}, one per line.`
+        : `${scope.rows.length} of ${state.data.length} rows.` +
+          (symbols > EXPORT_ANNOTATION_MAX ? ` Annotations are offered for up to ${EXPORT_ANNOTATION_MAX} genes.` : "");
+  }
+  document.getElementById("export-download").disabled = exportBusy || scope.rows.length === 0;
+  document.getElementById("export-copy").disabled = exportBusy || scope.rows.length === 0;
+}
+
+/**
+ * @param {string} [scopeId] - Row set to preselect (e.g. "selection" or "named:<id>")
+ */
+function openExportDialog(scopeId) {
+  const dialog = document.getElementById("export-dialog");
+  const form = document.getElementById("export-form");
+  if (!dialog || !form || state.data.length === 0) return;
+  const scopes = exportScopes();
+  const select = form.elements.scope;
+  const previous = typeof scopeId === "string" ? scopeId : select.value;
+  d3.select(select)
+    .selectAll("option")
+    .data(scopes, (s) => s.id)
+    .join("option")
+    .attr("value", (s) => s.id)
+    .property("disabled", (s) => s.rows.length === 0)
+    .text((s) => `${s.label} (${s.rows.length})`);
+  select.value = scopes.some((s) => s.id === previous && s.rows.length > 0) ? previous : "all";
+  document.getElementById("export-error").hidden = true;
+  updateExportSummary(form);
+  dialog.showModal();
+}
+
+/** Looks up protein name and function for each row's symbol; rows without an annotation are left out. */
+function lookupExportAnnotations(rows, onProgress) {
+  const symbolOf = (d) => String(d.geneSymbol || d.id);
+  const symbols = [...new Set(rows.map(symbolOf))];
+  return mapLimit(symbols, 4, (symbol) => lookupAnnotation({ id: symbol, geneSymbol: symbol }), onProgress).then(
+    (results) => {
+      const bySymbol = new Map(symbols.map((s, i) => [s, results[i]]));
+      const annotations = new Map();
+      for (const d of rows) {
+        const result = bySymbol.get(symbolOf(d));
+        if (result?.status === "found") annotations.set(d.id, result);
+      }
+      return annotations;
+    }
+  );
+}
+
+/** @returns {Promise<{ text: string, format: Object, fileName: string, count: number }>} */
+function buildExport(form) {
+  const { scope, format, header, annotations } = readExportForm(form);
+  const summary = document.getElementById("export-summary");
+  const lookups = annotations
+    ? lookupExportAnnotations(scope.rows, (done, total) => {
+        if (summary) summary.textContent = `Looking up annotations… ${done} of ${total}`;
+      })
+    : Promise.resolve(null);
+  return lookups.then((annotationMap) => {
+    const metadata = exportMetadata(scope, Boolean(annotationMap));
+    const tableHeader = format.id === "json" || header;
+    const text = formatResults(scope.rows, format.id, {
+      columns: exportColumns(scope.rows, { annotations: annotationMap || undefined }),
+      metadata: tableHeader ? metadata : null,
+    });
+    const suffix = format.id === "symbols" ? "_symbols" : "";
+    return { text, format, fileName: `volcano_${scope.slug}${suffix}.${format.extension}`, count: scope.rows.length };
+  });
+}
+
+function runExport(action) {
+  const form = document.getElementById("export-form");
+  const errorEl = document.getElementById("export-error");
+  if (exportBusy) return;
+  exportBusy = true;
+  errorEl.hidden = true;
+  updateExportSummary(form);
+  let message = null;
+  buildExport(form)
+    .then((result) => {
+      if (action === "copy") {
+        return navigator.clipboard.writeText(result.text).then(() => {
+          message = "Copied to the clipboard.";
+        });
+      }
+      downloadBlob(new Blob([result.text], { type: result.format.mimeType }), result.fileName);
+    })
+    .catch((err) => {
+      errorEl.textContent = err?.message || "Export failed.";
+      errorEl.hidden = false;
+    })
+    .finally(() => {
+      exportBusy = false;
+      updateExportSummary(form);
+      if (message) document.getElementById("export-summary").textContent = message;
+    });
+}
+
+function bindExportDialog() {
+  const form = document.getElementById("export-form");
+  if (!form) return;
+  d3.select(form.elements.format)
+    .selectAll("option")
+    .data(EXPORT_FORMATS)
+    .join("option")
+    .attr("value", (f) => f.id)
+    .text((f) => f.label);
+  document.getElementById("export-results")?.addEventListener("click", () => openExportDialog());
+  document.getElementById("export-download")?.addEventListener("click", () => runExport("download"));
+  document.getElementById("export-copy")?.addEventListener("click", () => runExport("copy"));
+  form.addEventListener("change", () => updateExportSummary(form));
+}
+
+// --- Synthetic data (generator panel; calls scored against the ground truth) ---
+function syntheticDataset(seed, generator = DEFAULT_GENERATOR) {
+  return { source: "synthetic", name: "Synthetic data", seed, generator };
+}
+
+const GENERATOR_INPUTS = {
+  n: "gen-n",
+  diffFraction: "gen-diff",
+  effect: "gen-effect",
+  effectSize: "gen-effect-size",
+  noise: "gen-noise",
+  nullDist: "gen-null",
+};
+
+/** Shows the plotted dataset's generator settings and seed, so they can be tweaked and reused. */
+function updateGeneratorUI() {
+  // Nothing to show for a file, or before the first dataset is generated.
+  if (state.dataset.source !== "synthetic" || !state.dataset.generator) return;
+  const params = state.dataset.generator;
+  for (const [key, id] of Object.entries(GENERATOR_INPUTS)) {
+    const el = document.getElementById(id);
+    if (el) el.value = key === "diffFraction" ? String(Number((params[key] * 100).toPrecision(6))) : String(params[key]);
+  }
+  const seedInput = document.getElementById("gen-seed");
+  if (seedInput) seedInput.value = String(state.dataset.seed);
+  setGeneratorError(null);
+}
+
+function setGeneratorError(message) {
+  const el = document.getElementById("gen-error");
+  if (!el) return;
+  el.hidden = !message;
+  el.textContent = message || "";
+}
+
+/**
+ * Generator settings from the panel.
+ * @returns {{ params: Object, seed: number|null } | { error: string }} seed is null when the field is empty
+ */
+function readGeneratorForm() {
+  const raw = {};
+  for (const [key, id] of Object.entries(GENERATOR_INPUTS)) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    if (key === "effect" || key === "nullDist") raw[key] = el.value;
+    else if (key === "diffFraction") raw[key] = el.value.trim() === "" ? NaN : Number(el.value) / 100;
+    else raw[key] = el.value.trim() === "" ? NaN : Number(el.value);
+    if (sanitizeGenerator({ [key]: raw[key] }).warnings.length > 0) {
+      const label = document.querySelector(`label[for="${id}"]`)?.textContent || key;
+      return { error: `${label}: ${el.value.trim() === "" ? "enter a value" : `${el.value} is out of range`}.` };
+    }
+  }
+  const { params } = sanitizeGenerator(raw);
+  const seedText = document.getElementById("gen-seed")?.value.trim() ?? "";
+  if (seedText === "") return { params, seed: null };
+  const seed = Number(seedText);
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+    return { error: "The seed must be a whole number from 0 to 4294967295." };
+  }
+  return { params, seed };
+}
+
+/** Generates data from the panel settings; a new random seed unless keepSeed and one is entered. */
+function generateFromPanel(keepSeed) {
+  const form = readGeneratorForm();
+  if (form.error) {
+    setGeneratorError(form.error);
+    return;
+  }
+  const seed = keepSeed && form.seed !== null ? form.seed : newSeed();
+  loadData("main", "generate", { params: form.params, seed }, "Generating data")
+    .then((result) => adjustLoaded("main", result, correctionMethod(false)))
+    .then((result) => {
+      if (!result) return;
+      replaceData(result.data, syntheticDataset(seed, form.params), result);
+      setImportStatus("Generated new synthetic data. Undo (Ctrl+Z) brings the previous data back.");
+      pendingHashView = null;
+      const dataFileInput = document.getElementById("data-file");
+      if (dataFileInput) dataFileInput.value = "";
+    })
+    .catch((err) => setGeneratorError(`Could not generate data: ${err.message}`));
+}
+
+const formatPercent = (v) => (v === null ? "–" : `${(v * 100).toFixed(1)}%`);
+
+/** Empirical FDR and sensitivity of the current calls (thresholds and correction method) against the truth. */
+function updateTruthStats() {
+  const el = document.getElementById("truth-stats");
+  if (!el) return;
+  const stats = state.dataset.source === "synthetic" ? truthStats(state.data) : null;
+  el.hidden = !stats;
+  if (!stats) return;
+  const method = state.pMode === "raw" ? "raw p" : getCorrectionMethod(state.correction).short;
+  const wrongWay = stats.signErrors > 0 ? `, ${stats.signErrors} in the wrong direction` : "";
+  el.textContent =
+    `Ground truth (${method} ≤ ${formatAlpha(state.fdrThreshold)}): ` +
+    `empirical FDR ${formatPercent(stats.fdr)} (${stats.falseCalls} of ${stats.calls} calls false${wrongWay}); ` +
+    `sensitivity ${formatPercent(stats.sensitivity)} (${stats.found} of ${stats.trueDiff} differential features found).`;
+}
+
+function bindGeneratorControls() {
+  const fillOptions = (id, options) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    d3.select(select)
+      .selectAll("option")
+      .data(options, (o) => o.id)
+      .join("option")
+      .attr("value", (o) => o.id)
+      .text((o) => o.label);
+  };
+  fillOptions("gen-effect", EFFECT_DISTRIBUTIONS);
+  fillOptions("gen-null", NULL_DISTRIBUTIONS);
+  updateGeneratorUI();
+  document.getElementById("regenerate")?.addEventListener("click", () => generateFromPanel(false));
+  document.getElementById("gen-apply")?.addEventListener("click", () => generateFromPanel(true));
+  document.getElementById("gen-reset")?.addEventListener("click", () => {
+    const seed = document.getElementById("gen-seed")?.value;
+    for (const [key, id] of Object.entries(GENERATOR_INPUTS)) {
+      const el = document.getElementById(id);
+      if (el) el.value = key === "diffFraction" ? String(DEFAULT_GENERATOR[key] * 100) : String(DEFAULT_GENERATOR[key]);
+    }
+    if (seed !== undefined) document.getElementById("gen-seed").value = seed;
+    setGeneratorError(null);
+  });
+}
+
+// --- File import (CSV/TSV) ---
+
+/**
+ * Replaces the plotted dataset and clears everything tied to the old rows. Loads adjust the rows
+ * first (adjustLoaded()); rows adjusted with another method are adjusted again in the background.
+ * @param {{ byP: Uint32Array, byFC: Uint32Array }} [orders] - Sorted by the data worker
+ */
+function replaceData(data, dataset, orders) {
+  indexFor(data, orders);
+  state.data = data;
+  state.dataset = dataset;
+  syncCorrection();
+  state.pi0 = corrections.get(data)?.pi0 ?? null;
+  updateCorrectionUI();
+  updateBaseMeanUI();
+  updateGeneratorUI();
+  state.namedSelections = [];
+  state.searchHighlightId = null;
+  state.searchMatches = [];
+  const dropped = recompileColorRules();
+  setRuleError(dropped.length > 0 ? `Removed custom categories that don't fit this data: ${dropped.join("; ")}` : null);
+  updateColorRuleList();
+  // New rows reset the plot's pins, selection, zoom and label positions.
+  redraw();
+  resetZoomHistory();
+  updateSelectionUI();
+  updateNamedSelections();
+}
+
+function finalizeImportedData(data) {
+  data.forEach((d) => {
+    d.negLog10P = -Math.log10(d.pval);
+  });
+  return data;
+}
+
+function setImportStatus(summary, details = [], isError = false) {
+  const el = document.getElementById("import-status");
+  if (!el) return;
+  el.hidden = !summary;
+  el.classList.toggle("error", isError);
+  el.textContent = summary || "";
+  if (details.length > 0) {
+    const list = document.createElement("ul");
+    details.forEach((text) => {
+      const li = document.createElement("li");
+      li.textContent = text;
+      list.appendChild(li);
+    });
+    el.appendChild(list);
+  }
+}
+
+/** @param {Object} result - The worker's import result: data, hasPadj, report, mapping and the sorted orders */
+function applyImport(fileName, result) {
+  const { data, hasPadj, report, mapping } = result;
+  const { summary, details } = describeImportReport(fileName, report);
+  if (data.length === 0) {
+    setImportStatus(`No usable rows in ${fileName}.`, details, true);
+    return;
+  }
+  // A file that ships adjusted p-values starts out using them as-is; the method can still be changed.
+  if (hasPadj) state.correction = "file";
+  replaceData(data, { source: "file", name: fileName, mapping, hasPadj }, result);
+  if (pendingHashView?.fileName === fileName) {
+    details.push(...applyView(pendingHashView.view));
+    pendingHashView = null;
+  }
+  setImportStatus(summary, details);
+}
+
+/**
+ * Parses a file's text in the worker. With mapping null the columns are detected, and the mapping
+ * dialog asks when they can't be; the dialog then calls this again with the chosen mapping.
+ * @param {"main"|"contrast"} target
+ */
+function importText(fileName, text, mapping, target) {
+  const setStatus = (message, isError) =>
+    target === "contrast" ? setCompareStatus(message, isError) : setImportStatus(message, [], isError);
+  const payload = { text, fileName, mapping, previewRows: MAPPING_PREVIEW_ROWS };
+  // A plotted file with adjusted p-values starts out using them (see applyImport()).
+  const method = (hasPadj) => (target === "main" && hasPadj ? "file" : correctionMethod(hasPadj));
+  return loadData(target, "import", payload, `Reading ${fileName}`)
+    .then((result) => adjustLoaded(target, result, method(result?.hasPadj)))
+    .then((result) => {
+      if (!result) return;
+      const preview = result.preview && { columns: result.columns, rows: result.preview };
+      if (result.rows === 0) setStatus(`${fileName} has no data rows.`, true);
+      else if (preview) openColumnMappingDialog(fileName, text, preview, result.mapping, target);
+      else if (target === "contrast") applyContrastImport(fileName, result);
+      else applyImport(fileName, result);
+    })
+    .catch((err) => setStatus(`Could not read ${fileName}: ${err.message}`, true));
+}
+
+function importFile(file) {
+  if (!file) return;
+  file
+    .text()
+    .then((text) => importText(file.name, text, null, "main"))
+    .catch((err) => setImportStatus(`Could not read ${file.name}: ${err.message}`, [], true));
+}
+
+// --- Column mapping dialog (shown when log2FC / p-value columns aren't recognised) ---
+const MAPPING_PREVIEW_ROWS = 5;
+let pendingImport = null;
+
+/**
+ * @param {string} text - The file's contents, parsed again with the chosen mapping
+ * @param {{ columns: string[], rows: Object[] }} table - Header and the first rows, for the preview
+ * @param {string} target - "main" replaces the plotted dataset; "contrast" adds a comparison contrast
+ */
+function openColumnMappingDialog(fileName, text, table, mapping, target = "main") {
+  const dialog = document.getElementById("column-mapping-dialog");
+  const fields = document.getElementById("column-mapping-fields");
+  const preview = document.getElementById("column-mapping-preview");
+  if (!dialog || !fields) return;
+  pendingImport = { fileName, text, target };
+  document.getElementById("column-mapping-hint").textContent =
+    `Couldn't recognise all required columns in ${fileName}. Choose which column holds each value.`;
+  document.getElementById("column-mapping-error").hidden = true;
+
+  d3.select(fields)
+    .selectAll("label")
+    .data(COLUMN_ROLES)
+    .join("label")
+    .attr("class", "mapping-field")
+    .each(function (role) {
+      const label = d3.select(this).html("");
+      label.append("span").text(ROLE_LABELS[role] + (REQUIRED_ROLES.includes(role) ? " *" : ""));
+      label
+        .append("select")
+        .attr("data-role", role)
+        .selectAll("option")
+        .data([""].concat(table.columns))
+        .join("option")
+        .attr("value", (c) => c)
+        .property("selected", (c) => (mapping[role] ?? "") === c)
+        .text((c) => (c === "" ? "(none)" : c));
+    });
+
+  const head = table.columns;
+  const previewRows = table.rows.slice(0, MAPPING_PREVIEW_ROWS);
+  const tbl = d3.select(preview).html("").append("table");
+  tbl.append("thead").append("tr").selectAll("th").data(head).join("th").text((c) => c);
+  tbl
+    .append("tbody")
+    .selectAll("tr")
+    .data(previewRows)
+    .join("tr")
+    .selectAll("td")
+    .data((row) => head.map((c) => row[c]))
+    .join("td")
+    .text((v) => v);
+
+  dialog.showModal();
+}
+
+function readMappingDialog() {
+  const mapping = {};
+  document.querySelectorAll("#column-mapping-fields select").forEach((sel) => {
+    mapping[sel.dataset.role] = sel.value === "" ? null : sel.value;
+  });
+  return mapping;
+}
+
+function bindColumnMappingDialog() {
+  const dialog = document.getElementById("column-mapping-dialog");
+  const applyBtn = document.getElementById("column-mapping-apply");
+  if (!dialog || !applyBtn) return;
+  applyBtn.addEventListener("click", (e) => {
+    const mapping = readMappingDialog();
+    if (!isMappingComplete(mapping)) {
+      e.preventDefault();
+      const err = document.getElementById("column-mapping-error");
+      err.textContent = "log₂ fold change and p-value columns are required.";
+      err.hidden = false;
+      return;
+    }
+    if (!pendingImport) return;
+    const { fileName, text, target } = pendingImport;
+    importText(fileName, text, mapping, target);
+  });
+  dialog.addEventListener("close", () => {
+    if (dialog.returnValue !== "apply" && pendingImport) {
+      const message = `Import of ${pendingImport.fileName} cancelled.`;
+      if (pendingImport.target === "contrast") setCompareStatus(message);
+      else setImportStatus(message);
+    }
+    pendingImport = null;
+  });
+}
+
+function setupFileDrop() {
+  const target = document.getElementById("plot-container");
+  if (!target) return;
+  let depth = 0;
+  target.addEventListener("dragenter", (e) => {
+    if (!e.dataTransfer?.types?.includes("Files")) return;
+    e.preventDefault();
+    depth++;
+    target.classList.add("drag-over");
+  });
+  target.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer?.types?.includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  });
+  target.addEventListener("dragleave", () => {
+    depth = Math.max(0, depth - 1);
+    if (depth === 0) target.classList.remove("drag-over");
+  });
+  target.addEventListener("drop", (e) => {
+    e.preventDefault();
+    depth = 0;
+    target.classList.remove("drag-over");
+    importFile(e.dataTransfer?.files?.[0]);
+  });
+}
+
+// --- Gene sets (GMT file or pasted symbols; members highlighted, enrichment per set) ---
+const GENE_SET_TABLE_MAX = 100;
+let nextGeneSetId = 1;
+
+function setGeneSetStatus(text, isError = false) {
+  const el = document.getElementById("gene-set-status");
+  if (!el) return;
+  el.textContent = text || "";
+  el.classList.toggle("error", isError);
+}
+
+/** Adds sets ({ name, description, genes }) and highlights the first one added. */
+function addGeneSets(sets, source) {
+  const added = sets.map((s) => ({ ...s, id: `gs${nextGeneSetId++}`, source }));
+  state.geneSets.push(...added);
+  if (added.length > 0) state.activeGeneSetId = added[0].id;
+  redraw();
+  return added;
+}
+
+function loadGeneSetFile(file) {
+  if (!file) return;
+  file
+    .text()
+    .then((text) => {
+      if (looksLikeGmt(text)) {
+        const { sets, skipped } = parseGmt(text);
+        if (sets.length === 0) {
+          setGeneSetStatus(`No gene sets found in ${file.name}.`, true);
+          return;
+        }
+        addGeneSets(sets, file.name);
+        const note = skipped > 0 ? ` (${skipped} line${skipped === 1 ? "" : "s"} without members skipped)` : "";
+        setGeneSetStatus(`Loaded ${sets.length} gene set${sets.length === 1 ? "" : "s"} from ${file.name}${note}.`);
+        return;
+      }
+      const genes = parseGeneList(text);
+      if (genes.length === 0) {
+        setGeneSetStatus(`No gene symbols found in ${file.name}.`, true);
+        return;
+      }
+      addGeneSets([{ name: file.name.replace(/\.[^.]+$/, ""), description: "", genes }], file.name);
+      setGeneSetStatus(`Loaded ${genes.length} symbols from ${file.name}.`);
+    })
+    .catch((err) => setGeneSetStatus(`Could not read ${file.name}: ${err.message}`, true));
+}
+
+function addPastedGeneSet() {
+  const textarea = document.getElementById("gene-set-paste");
+  const nameInput = document.getElementById("gene-set-name");
+  const genes = parseGeneList(textarea?.value || "");
+  if (genes.length === 0) {
+    setGeneSetStatus("Paste at least one gene symbol.", true);
+    return;
+  }
+  const name = nameInput?.value.trim() || `List ${nextGeneSetId}`;
+  addGeneSets([{ name, description: "", genes }], "pasted");
+  setGeneSetStatus(`Added ${name} (${genes.length} symbols).`);
+  textarea.value = "";
+  if (nameInput) nameInput.value = "";
+}
+
+function setActiveGeneSet(id) {
+  state.activeGeneSetId = state.activeGeneSetId === id ? null : id;
+  redraw();
+}
+
+const formatSetP = (p) => (p === null ? "—" : p < 1e-3 ? p.toExponential(1) : p.toFixed(3));
+
+// Sorted summarizeGeneSets() result and the data, categories and sets it was made from.
+let geneSetSummaries = { inputs: null, sorted: [] };
+
+/** Rebuilds the per-set table from the current categories; sets are sorted by enrichment p. */
+function updateGeneSetTable() {
+  const el = document.getElementById("gene-set-table");
+  if (!el) return;
+  el.hidden = state.geneSets.length === 0;
+  document.getElementById("gene-set-clear")?.toggleAttribute("disabled", state.geneSets.length === 0);
+  if (state.geneSets.length === 0) return;
+
+  // Counts only move with the categories, so threshold drags that reclassify nothing and zooms reuse them.
+  const inputs = [state.data, indexFor(state.data).categoryVersion, ...state.geneSets];
+  if (inputsChanged(geneSetSummaries.inputs, inputs)) {
+    const sorted = summarizeGeneSets(state.geneSets, state.data).sort(
+      (a, b) => (a.p ?? 2) - (b.p ?? 2) || a.set.name.localeCompare(b.set.name)
+    );
+    geneSetSummaries = { inputs, sorted };
+  }
+  const shown = geneSetSummaries.sorted.slice(0, GENE_SET_TABLE_MAX);
+  const table = d3.select(el).selectAll("table").data([null]).join((enter) => {
+    const t = enter.append("table");
+    t.append("thead")
+      .append("tr")
+      .selectAll("th")
+      .data([
+        ["Gene set", "Click a set to highlight its members"],
+        ["n", "Rows matched / symbols in set"],
+        ["↑", "Significant up"],
+        ["↓", "Significant down"],
+        ["ns", "Not significant"],
+        ["p", "Hypergeometric p for over-representation of significant rows"],
+        ["q", "BH-adjusted across the loaded sets"],
+      ])
+      .join("th")
+      .attr("title", (d) => d[1])
+      .text((d) => d[0]);
+    t.append("tbody");
+    return t;
+  });
+  table
+    .select("tbody")
+    .selectAll("tr")
+    .data(shown, (s) => s.set.id)
+    .join((enter) =>
+      enter
+        .append("tr")
+        .attr("tabindex", 0)
+        .on("click", (e, s) => setActiveGeneSet(s.set.id))
+        .on("keydown", (e, s) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            setActiveGeneSet(s.set.id);
+          }
+        })
+    )
+    .order()
+    .classed("active", (s) => s.set.id === state.activeGeneSetId)
+    .attr("aria-selected", (s) => String(s.set.id === state.activeGeneSetId))
+    .attr("title", (s) => [s.set.name, s.set.description, s.missing ? `${s.missing} symbols not in the data` : ""].filter(Boolean).join("\n"))
+    .selectAll("td")
+    .data((s) => [
+      s.set.name,
+      `${s.rows}/${s.set.genes.length}`,
+      s.counts.sig_up,
+      s.counts.sig_down,
+      s.counts.not_sig,
+      formatSetP(s.p),
+      formatSetP(s.q),
+    ])
+    .join("td")
+    .text((v) => v);
+  d3.select(el)
+    .selectAll("p.control-hint")
+    .data(geneSetSummaries.sorted.length > shown.length ? [geneSetSummaries.sorted.length] : [])
+    .join("p")
+    .attr("class", "control-hint")
+    .text((n) => `Showing the ${GENE_SET_TABLE_MAX} sets with the lowest p of ${n}.`);
+}
+
+function bindGeneSetControls() {
+  const fileInput = document.getElementById("gene-set-file");
+  if (fileInput)
+    fileInput.addEventListener("change", () => {
+      loadGeneSetFile(fileInput.files?.[0]);
+      fileInput.value = "";
+    });
+  document.getElementById("gene-set-add")?.addEventListener("click", addPastedGeneSet);
+  document.getElementById("gene-set-clear")?.addEventListener("click", () => {
+    state.geneSets = [];
+    state.activeGeneSetId = null;
+    setGeneSetStatus("");
+    redraw();
+  });
+  const styleSelect = document.getElementById("gene-set-style");
+  if (styleSelect)
+    styleSelect.addEventListener("change", () => {
+      state.geneSetStyle = styleSelect.value;
+      redraw();
+    });
+}
+
+// --- Named selections (kept, recolored, compared and exported separately) ---
+let nextNamedSelectionId = 1;
+
+function findNamedSelection(id) {
+  return state.namedSelections.find((s) => s.id === id);
+}
+
+function saveNamedSelection() {
+  const selected = plot.getSelection();
+  if (selected.size === 0) return;
+  const input = document.getElementById("named-selection-name");
+  const id = nextNamedSelectionId++;
+  state.namedSelections.push({
+    id: `ns${id}`,
+    name: input?.value.trim() || `Selection ${id}`,
+    color: NAMED_SELECTION_COLORS[state.namedSelections.length % NAMED_SELECTION_COLORS.length],
+    ids: new Set(selected),
+    visible: true,
+  });
+  if (input) input.value = "";
+  updateNamedSelections();
+  redraw();
+}
+
+function removeNamedSelection(id) {
+  state.namedSelections = state.namedSelections.filter((s) => s.id !== id);
+  updateNamedSelections();
+  redraw();
+}
+
+const fileSlug = (name) => name.replace(/[^\w.-]+/g, "_").replace(/^_+|_+$/g, "") || "selection";
+
+function updateNamedSelections() {
+  const group = document.getElementById("named-selections-group");
+  if (!group) return;
+  group.hidden = state.namedSelections.length === 0;
+  d3.select("#named-selections")
+    .selectAll("li")
+    .data(state.namedSelections, (s) => s.id)
+    .join((enter) => {
+      const li = enter.append("li");
+      li.append("input")
+        .attr("type", "color")
+        .attr("class", "named-color")
+        .on("input", (e, s) => {
+          s.color = e.target.value;
+          redraw();
+        });
+      li.append("button")
+        .attr("type", "button")
+        .attr("class", "named-name")
+        .attr("title", "Select these points (Shift adds, Alt removes)")
+        .on("click", (e, s) => applySelection(s.ids, selectionMode(e)));
+      li.append("span").attr("class", "named-count");
+      li.append("input")
+        .attr("type", "checkbox")
+        .attr("class", "named-visible")
+        .attr("title", "Outline on the plot")
+        .on("change", (e, s) => {
+          s.visible = e.target.checked;
+          redraw();
+        });
+      li.append("button")
+        .attr("type", "button")
+        .attr("class", "secondary named-export")
+        .text("Export")
+        .on("click", (e, s) => openExportDialog(`named:${s.id}`));
+      li.append("button")
+        .attr("type", "button")
+        .attr("class", "secondary named-remove")
+        .text("×")
+        .on("click", (e, s) => removeNamedSelection(s.id));
+      return li;
+    })
+    .attr("class", "named-selection-item")
+    .call((li) => {
+      li.select(".named-color").property("value", (s) => s.color).attr("aria-label", (s) => `Color of ${s.name}`);
+      li.select(".named-name").text((s) => s.name);
+      li.select(".named-count").text((s) => s.ids.size);
+      li.select(".named-visible").property("checked", (s) => s.visible).attr("aria-label", (s) => `Outline ${s.name} on the plot`);
+      li.select(".named-export").attr("aria-label", (s) => `Export ${s.name}`);
+      li.select(".named-remove").attr("aria-label", (s) => `Remove ${s.name}`);
+    });
+  updateNamedCompare();
+}
+
+/** Overlap of two named selections, as buttons that select each part. */
+function updateNamedCompare() {
+  const box = document.getElementById("named-compare");
+  const list = state.namedSelections;
+  if (!box) return;
+  box.hidden = list.length < 2;
+  if (list.length < 2) return;
+  const selA = d3.select("#named-compare-a");
+  const selB = d3.select("#named-compare-b");
+  const prevA = selA.property("value");
+  const prevB = selB.property("value");
+  [selA, selB].forEach((sel) =>
+    sel
+      .selectAll("option")
+      .data(list, (s) => s.id)
+      .join("option")
+      .attr("value", (s) => s.id)
+      .text((s) => s.name)
+  );
+  const a = findNamedSelection(prevA) || list[0];
+  const b = (prevB !== a.id && findNamedSelection(prevB)) || list.find((s) => s.id !== a.id);
+  selA.property("value", a.id);
+  selB.property("value", b.id);
+  const { onlyA, both, onlyB } = compareSelections(a.ids, b.ids);
+  d3.select("#named-compare-result")
+    .selectAll("button")
+    .data([
+      { label: `Only ${a.name}`, ids: onlyA },
+      { label: "Both", ids: both },
+      { label: `Only ${b.name}`, ids: onlyB },
+    ])
+    .join("button")
+    .attr("type", "button")
+    .attr("class", "secondary")
+    .attr("title", "Select these points (Shift adds, Alt removes)")
+    .text((r) => `${r.label} (${r.ids.length})`)
+    .property("disabled", (r) => r.ids.length === 0)
+    .on("click", (e, r) => applySelection(r.ids, selectionMode(e)));
+}
+
+function bindSelectionControls() {
+  document.querySelectorAll("[data-tool]").forEach((btn) => {
+    btn.addEventListener("click", () => setSelectionTool(btn.dataset.tool));
+  });
+  document.querySelectorAll("[data-select-category]").forEach((btn) => {
+    btn.addEventListener("click", (e) => selectCategory(btn.dataset.selectCategory, e));
+  });
+  document.getElementById("named-selection-save")?.addEventListener("click", saveNamedSelection);
+  document.getElementById("named-selection-name")?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") saveNamedSelection();
+  });
+  ["named-compare-a", "named-compare-b"].forEach((id) =>
+    document.getElementById(id)?.addEventListener("change", updateNamedCompare)
+  );
+  setSelectionTool(state.selectionTool);
+}
+
+// --- Search (contains / exact / regex / gene list; every match highlighted, cycled with ‹ ›) ---
+function searchMode() {
+  return document.getElementById("search-mode")?.value || "contains";
+}
+
+function searchQuery() {
+  const id = searchMode() === "list" ? "search-list" : "search-id";
+  return document.getElementById(id)?.value || "";
+}
+
+function updateSearchUI(notFound = null, error = null) {
+  const results = document.getElementById("search-results");
+  if (!results) return;
+  const n = state.searchMatches.length;
+  const current = state.searchMatches.indexOf(state.searchHighlightId);
+  results.hidden = n === 0 && !notFound?.length && !error;
+  document.getElementById("search-count").textContent =
+    n === 0 ? "No matches" : current >= 0 ? `${current + 1} of ${n} matches` : `${n} match${n === 1 ? "" : "es"}`;
+  ["search-prev", "search-next", "search-pin-all"].forEach((id) => {
+    document.getElementById(id).disabled = n === 0;
+  });
+  const pinBtn = document.getElementById("search-pin");
+  pinBtn.disabled = current < 0;
+  pinBtn.textContent = current >= 0 && plot?.getPinned().has(state.searchHighlightId) ? "Unpin this" : "Pin this";
+  // notFound / error are only passed right after a search; cycling keeps the previous report.
+  if (notFound === null && error === null) return;
+  const report = document.getElementById("search-not-found");
+  if (error) report.textContent = error;
+  else if (notFound.length > 0) {
+    const shown = notFound.slice(0, 20).join(", ") + (notFound.length > 20 ? ", …" : "");
+    report.textContent = `Not found (${notFound.length}): ${shown}`;
+  }
+  report.hidden = !error && notFound.length === 0;
+}
+
+function doSearch() {
+  const query = searchQuery();
+  if (!query.trim()) {
+    clearSearch();
+    return;
+  }
+  const { matches, notFound, error } = searchRows(state.data, query, searchMode());
+  state.searchMatches = matches.map((d) => d.id);
+  state.searchHighlightId = matches[0]?.id ?? null;
+  // The point style hooks hold the match set, so the plot needs them before it zooms.
+  redraw();
+  if (matches.length === 1) {
+    zoomToPoint(matches[0]);
+    resultsTable?.scrollToId(matches[0].id);
+  } else if (matches.length > 1) {
+    // Several matches: show them all, with the first as the current one.
+    plot.zoomTo(matches);
+  }
+  updateSearchUI(notFound, error);
+}
+
+function stepSearch(delta) {
+  const n = state.searchMatches.length;
+  if (n === 0) return;
+  const current = state.searchMatches.indexOf(state.searchHighlightId);
+  const next = current < 0 ? (delta > 0 ? 0 : n - 1) : (current + delta + n) % n;
+  const d = state.data.find((r) => r.id === state.searchMatches[next]);
+  if (!d) return;
+  zoomToPoint(d);
+  resultsTable?.scrollToId(d.id);
+  updateSearchUI();
+}
+
+function clearSearch() {
+  state.searchMatches = [];
+  state.searchHighlightId = null;
+  updateSearchUI([], null);
+  redraw();
+}
+
+function pinSearchMatches(all) {
+  // The plot's pinchange event refreshes the Pin / Unpin button.
+  if (all) plot.pin(state.searchMatches);
+  else if (state.searchHighlightId) plot.pin(state.searchHighlightId, !plot.getPinned().has(state.searchHighlightId));
+}
+
+function bindSearchControls() {
+  const modeSelect = document.getElementById("search-mode");
+  const searchId = document.getElementById("search-id");
+  const searchList = document.getElementById("search-list");
+  if (modeSelect) {
+    d3.select(modeSelect)
+      .selectAll("option")
+      .data(SEARCH_MODES)
+      .join("option")
+      .attr("value", (m) => m.id)
+      .text((m) => m.label);
+    modeSelect.addEventListener("change", () => {
+      const mode = SEARCH_MODES.find((m) => m.id === modeSelect.value);
+      const isList = mode.id === "list";
+      if (searchId) {
+        searchId.hidden = isList;
+        searchId.placeholder = mode.placeholder;
+      }
+      if (searchList) searchList.hidden = !isList;
+    });
+  }
+  let lastQuery = null;
+  const searchOrNext = () => {
+    // Enter on an unchanged query moves to the next match.
+    const key = `${searchMode()}|${searchQuery()}`;
+    if (key === lastQuery && state.searchMatches.length > 1) stepSearch(1);
+    else doSearch();
+    lastQuery = key;
+  };
+  document.getElementById("search-btn")?.addEventListener("click", () => {
+    lastQuery = `${searchMode()}|${searchQuery()}`;
+    doSearch();
+  });
+  if (searchId) searchId.addEventListener("keydown", (e) => { if (e.key === "Enter") searchOrNext(); });
+  if (searchList)
+    searchList.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) searchOrNext();
+    });
+  document.getElementById("search-prev")?.addEventListener("click", () => stepSearch(-1));
+  document.getElementById("search-next")?.addEventListener("click", () => stepSearch(1));
+  document.getElementById("search-pin")?.addEventListener("click", () => pinSearchMatches(false));
+  document.getElementById("search-pin-all")?.addEventListener("click", () => pinSearchMatches(true));
+  document.getElementById("search-clear")?.addEventListener("click", () => {
+    lastQuery = null;
+    clearSearch();
+  });
+}
+
+// --- Results table (sortable, filterable, virtual-scrolled; selection shared with the plot) ---
+let resultsTable = null;
+let tableRows = [];
+let tableAnchorId = null; // last clicked row, for Shift+click ranges
+let tableSelectionVersion = 0; // bumped on selectionchange, for the selection-only filter
+// The dataset's rows in table order and the key of what tableRows were filtered with.
+const tableCache = { sorted: null, sortedKey: null, rowsKey: null };
+let tableRefreshTimer = null;
+const TABLE_REFRESH_DELAY = 150; // ms without renders before category changes refilter the table
+
+/**
+ * Rows in table order, sorted once per dataset and sort. Ascending p and log₂ FC reuse the data
+ * index's orders; adjusted p and category sorts redo when the adjusted values or categories change.
+ */
+function sortedTableRows() {
+  const index = indexFor(state.data);
+  const { key, dir } = state.tableSort;
+  const version = key === "fdr" ? index.version : key === "_category" ? index.categoryVersion : 0;
+  const sortedKey = `${key}|${dir}|${version}`;
+  if (tableCache.sorted?.data !== state.data || tableCache.sortedKey !== sortedKey) {
+    let order;
+    if (dir === "asc" && key === "pval") order = index.byP;
+    else if (dir === "asc" && key === "log2FC") order = index.byFC;
+    else order = sortOrder(state.data, state.tableSort);
+    tableCache.sorted = { data: state.data, rows: Array.from(order, (i) => state.data[i]) };
+    tableCache.sortedKey = sortedKey;
+  }
+  return tableCache.sorted.rows;
+}
+
+/**
+ * What the table rows depend on; they're only recomputed when it changes. Categories count only
+ * when the table filters or sorts by them.
+ * @returns {{ inputs: string, categories: number|null }}
+ */
+function tableRowsKey(selected) {
+  const f = state.tableFilter;
+  const index = indexFor(state.data);
+  const byCategory = f.categories.size < Object.keys(CATEGORY_LABELS).length || state.tableSort.key === "_category";
+  const bySelection = f.selectionOnly && selected.size > 0;
+  return {
+    inputs: JSON.stringify([
+      f.text,
+      [...f.categories],
+      f.range,
+      state.tableSort,
+      index.version,
+      bySelection ? [tableSelectionVersion, selected.size] : null,
+    ]),
+    categories: byCategory ? index.categoryVersion : null,
+  };
+}
+
+/**
+ * Zooming and panning leave the rows alone (only the visible ones redraw). Threshold changes
+ * only refilter when the table filters or sorts by category.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.defer] - From a plot render: when only categories moved (a threshold drag
+ *   or slider), refilter once the renders pause; the visible rows show the new categories at once
+ */
+function updateResultsTable({ defer = false } = {}) {
+  if (!resultsTable) return;
+  clearTimeout(tableRefreshTimer);
+  const f = state.tableFilter;
+  const selected = plot ? plot.getSelection() : new Set();
+  const key = tableRowsKey(selected);
+  const last = tableCache.rowsKey;
+  const current = tableCache.sorted?.data === state.data && last?.inputs === key.inputs;
+  if (!current || last.categories !== key.categories) {
+    if (defer && current) {
+      tableRefreshTimer = setTimeout(() => updateResultsTable(), TABLE_REFRESH_DELAY);
+    } else {
+      tableRows = filterRows(sortedTableRows(), {
+        text: f.text,
+        categories: f.categories,
+        range: f.range,
+        ids: f.selectionOnly && selected.size > 0 ? selected : null,
+      });
+      tableCache.rowsKey = key;
+    }
+  }
+  resultsTable.update({
+    rows: tableRows,
+    selected,
+    focusedId: state.searchHighlightId,
+    sort: state.tableSort,
+  });
+  const count = document.getElementById("table-count");
+  if (count) {
+    count.textContent =
+      tableRows.length === state.data.length
+        ? `${d3.format(",")(tableRows.length)} rows`
+        : `${d3.format(",")(tableRows.length)} of ${d3.format(",")(state.data.length)} rows`;
+  }
+}
 
-// --- Benjamini–Hochberg FDR ---
 /**
- * Computes FDR using the Benjamini–Hochberg procedure.
- * @param {number[]} pvals - Raw p-values (will not be mutated)
- * @returns {number[]} FDR values in same order as pvals
+ * Click: select the row and zoom to its point. Ctrl/Cmd+click toggles the row in the selection;
+ * Shift+click selects the range from the last clicked row (in table order).
  */
-function benjaminiHochberg(pvals) {
-  const n = pvals.length;
-  const indexed = pvals.map((p, i) => ({ p, i })).sort((a, b) => a.p - b.p);
-  const fdr = new Array(n);
-  for (let k = 0; k < n; k++) {
-    const q = (indexed[k].p * n) / (k + 1);
-    fdr[indexed[k].i] = Math.min(1, q);
-  }
-  return fdr;
-}
-
-// --- Seeded RNG (simple LCG) ---
-function createRng(seed) {
-  let s = seed;
-  return function () {
-    s = (s * 1664525 + 1013904223) >>> 0;
-    return s / 0xffffffff;
-  };
+function onTableRowClick(d, e) {
+  if (e.ctrlKey || e.metaKey) {
+    plot.select([d.id], plot.getSelection().has(d.id) ? "subtract" : "add");
+    tableAnchorId = d.id;
+    return;
+  }
+  if (e.shiftKey && tableAnchorId) {
+    const i = tableRows.findIndex((r) => r.id === tableAnchorId);
+    const j = tableRows.findIndex((r) => r.id === d.id);
+    if (i >= 0 && j >= 0) {
+      plot.select(
+        tableRows.slice(Math.min(i, j), Math.max(i, j) + 1).map((r) => r.id),
+        "add"
+      );
+      return;
+    }
+  }
+  tableAnchorId = d.id;
+  // Set without a render: zooming to the point renders once for both.
+  plot.restore({ selected: [d.id] });
+  updateSelectionUI();
+  zoomToPoint(d);
 }
 
-// --- Synthetic data (use real gene symbols so UniProt hover works) ---
-const GENE_SYMBOLS = [
-  "TP53", "BRCA1", "EGFR", "MYC", "AKT1", "PTEN", "KRAS", "ERBB2", "VEGFA", "IL6",
-  "TNF", "MAPK1", "JUN", "FOS", "STAT3", "NFKB1", "CDKN1A", "BCL2", "CASP3", "ESR1",
-  "AR", "INS", "INSR", "IGF1", "CTNNB1", "APC", "SMAD4", "TGFB1", "CDK1", "CCND1",
-  "RB1", "E2F1", "MDM2", "CDKN2A", "GAPDH", "ACTB", "HSP90AA1", "HSPA8", "TUBB", "LMNA",
-  "SOD1", "CAT", "GPX1", "NFE2L2", "HIF1A", "VHL", "MTOR", "PIK3CA", "GSK3B", "NOTCH1",
-  "WNT1", "DVL1", "AXIN1", "LEF1", "TCF7L2", "MYCN", "FLT1", "KDR", "PDGFRA", "MET",
-  "RET", "BRAF", "RAF1", "MAP2K1", "MAPK3", "ELK1", "CREB1", "ATF2", "JAK2", "SOCS1",
-  "IL10", "IFNG", "CD4", "CD8A", "CD19", "CD34", "KIT", "FLT3", "NPM1", "CEBPA",
-  "RUNX1", "GATA1", "TPO", "EPO", "VEGFB", "FGF2", "PDGFA", "EGF", "TGFB2", "BMP4",
-  "WNT3A", "SHH", "DLL1", "JAG1", "HES1", "HEY1", "SNAI1", "TWIST1", "ZEB1", "CDH1",
-  "VIM", "FN1", "COL1A1", "MMP2", "MMP9", "TIMP1", "SERPINE1", "PLAU", "CXCL12", "CCL2",
-  "IL1B", "IL8", "COX2", "PTGS2", "NOS2", "ARG1", "IDO1", "CD274", "PDCD1", "CTLA4",
-  "CD80", "CD86", "IL2", "IL12A", "TGFB3", "BMP2", "WNT5A", "FZD1", "LRP5", "DKK1",
-];
-
-function generateData(seed = Date.now()) {
-  const rng = createRng(seed);
-  const data = [];
-  for (let i = 0; i < N_POINTS; i++) {
-    const geneSymbol = GENE_SYMBOLS[i % GENE_SYMBOLS.length];
-    const id = `${geneSymbol}_${i + 1}`;
-    const log2FC = (rng() - 0.5) * 6;
-    const z = Math.abs(log2FC) + rng() * 2;
-    const pval = Math.max(1e-20, 2 * (1 - normalCdf(Math.abs(z))));
-    data.push({ id, geneSymbol, log2FC, pval });
-  }
-  const pvals = data.map((d) => d.pval);
-  const fdr = benjaminiHochberg(pvals);
-  data.forEach((d, i) => {
-    d.fdr = fdr[i];
-    d.negLog10P = -Math.log10(d.pval);
+function bindResultsTable() {
+  const container = document.getElementById("results-table");
+  if (!container) return;
+  resultsTable = createResultsTable(container, {
+    onSort: (key) => {
+      const s = state.tableSort;
+      // Numbers start with the smallest p / most negative FC; a second click flips the order.
+      state.tableSort = { key, dir: s.key === key && s.dir === "asc" ? "desc" : "asc" };
+      updateResultsTable();
+    },
+    onRowClick: onTableRowClick,
   });
-  return data;
+
+  const f = state.tableFilter;
+  document.getElementById("table-filter-text")?.addEventListener("input", (e) => {
+    f.text = e.target.value;
+    updateResultsTable();
+  });
+  document.querySelectorAll("#results-panel input[data-category]").forEach((cb) => {
+    cb.addEventListener("change", () => {
+      if (cb.checked) f.categories.add(cb.dataset.category);
+      else f.categories.delete(cb.dataset.category);
+      updateResultsTable();
+    });
+  });
+  const rangeColumn = document.getElementById("table-range-column");
+  if (rangeColumn) {
+    d3.select(rangeColumn)
+      .selectAll("option")
+      .data(RANGE_COLUMNS)
+      .join("option")
+      .attr("value", (c) => c.key)
+      .text((c) => c.label);
+    rangeColumn.value = f.range.column;
+    rangeColumn.addEventListener("change", () => {
+      f.range.column = rangeColumn.value;
+      updateResultsTable();
+    });
+  }
+  ["min", "max"].forEach((bound) => {
+    document.getElementById(`table-range-${bound}`)?.addEventListener("input", (e) => {
+      const v = e.target.value.trim() === "" ? null : Number(e.target.value);
+      f.range[bound] = Number.isFinite(v) ? v : null;
+      updateResultsTable();
+    });
+  });
+  document.getElementById("table-selection-only")?.addEventListener("change", (e) => {
+    f.selectionOnly = e.target.checked;
+    updateResultsTable();
+  });
+
+  const panel = document.getElementById("results-panel");
+  const toggle = document.getElementById("results-toggle");
+  if (panel && toggle)
+    toggle.addEventListener("click", () => {
+      const collapsed = panel.classList.toggle("collapsed");
+      toggle.setAttribute("aria-expanded", String(!collapsed));
+      toggle.textContent = collapsed ? "Show" : "Hide";
+    });
+  updateSelectionUI();
+  updateResultsTable();
+}
+
+// --- Pinned gene details (side panel: full stats, full annotation and links per pinned row) ---
+let detailsAnnotations = { provider: null, organism: null, results: new Map() }; // row id → lookup result
+let detailsRows = { data: null, byId: new Map() }; // id → row of state.data, for the pinned cards
+
+function pinnedRows() {
+  if (!plot) return [];
+  if (detailsRows.data !== state.data) {
+    detailsRows = { data: state.data, byId: new Map(state.data.map((d) => [d.id, d])) };
+  }
+  return [...plot.getPinned()].map((id) => detailsRows.byId.get(id)).filter(Boolean);
+}
+
+/** 1-based rank of a row by p-value (ties share the best rank). */
+function pValueRank(d) {
+  return d3.bisectLeft(indexFor(state.data).sortedP, d.pval) + 1;
 }
 
-function normalCdf(x) {
-  const a1 = 0.254829592, a2 = -0.284496736, a3 = 1.421413741, a4 = -1.453152027, a5 = 1.061405429, p = 0.3275911;
-  const sign = x < 0 ? -1 : 1;
-  x = Math.abs(x) / Math.SQRT2;
-  const t = 1.0 / (1.0 + p * x);
-  const y = 1.0 - ((((a5 * t + a4) * t + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-  return 0.5 * (1.0 + sign * y);
+/** [label, value] pairs for a row's card. */
+function detailStats(d) {
+  const stats = [
+    ["Category", CATEGORY_LABELS[d._category] || d._category || "—"],
+    ["log₂ FC", d.log2FC.toFixed(3)],
+    ["p-value", d.pval.toExponential(3)],
+    [getCorrectionMethod(state.correction).short, d.fdr.toExponential(3)],
+    ["−log₁₀ p", d.negLog10P.toFixed(2)],
+    ["Rank by p", `${pValueRank(d)} of ${state.data.length}`],
+  ];
+  if (d.baseMean !== undefined) stats.push(["Mean expr.", d.baseMean === null ? "NA" : String(Number(d.baseMean.toPrecision(4)))]);
+  if (d.trueLog2FC !== undefined) stats.push(["True log₂ FC", d.trueLog2FC === 0 ? "0 (null)" : d.trueLog2FC.toFixed(3)]);
+  for (const [name, value] of Object.entries(d.fields || {})) stats.push([name, value === null || value === "" ? "—" : String(value)]);
+  return stats;
 }
 
-// --- Classification ---
-function getCategory(d, fcThreshold, fdrThreshold) {
-  if (d.fdr <= fdrThreshold && d.log2FC >= fcThreshold) return "sig_up";
-  if (d.fdr <= fdrThreshold && d.log2FC <= -fcThreshold) return "sig_down";
-  return "not_sig";
+/** A card's annotation block and links, from the cached lookup (or "Loading…"). */
+function fillDetailsAnnotation(card, d) {
+  const symbol = d.geneSymbol != null ? d.geneSymbol : d.id;
+  const result = detailsAnnotations.results.get(d.id);
+  const block = card.select(".details-annotation").attr("hidden", annotationProvider ? null : "");
+  block.select(".annotation-source").text(result?.source || "Annotation");
+  block.select(".details-protein").text(result?.status === "found" ? result.proteinName || "" : "");
+  block
+    .select(".annotation-text")
+    .classed("missing", result?.status !== "found")
+    .attr("data-status", result?.status || "loading")
+    .text(!result ? "Loading…" : result.status === "found" ? result.description || "No function text." : result.message);
+  card
+    .select(".details-links")
+    .selectAll("a")
+    .data(geneLinks(symbol, { organism: state.annotationOrganism, accession: result?.accession }), (l) => l.label)
+    .join((enter) => enter.append("a").attr("target", "_blank").attr("rel", "noopener noreferrer"))
+    .attr("href", (l) => l.url)
+    .text((l) => l.label);
 }
 
-const COLOR = { sig_up: "#3fb950", sig_down: "#f85149", not_sig: "#484f58" };
+function updateDetailsPanel() {
+  const panel = document.getElementById("details-panel");
+  const list = document.getElementById("details-list");
+  if (!panel || !list) return;
+  const rows = pinnedRows();
+  panel.hidden = rows.length === 0;
+  const count = document.getElementById("details-count");
+  if (count) count.textContent = rows.length > 0 ? `(${rows.length})` : "";
+  // Another source or organism: earlier lookups don't apply.
+  if (detailsAnnotations.provider !== annotationProvider || detailsAnnotations.organism !== state.annotationOrganism) {
+    detailsAnnotations = { provider: annotationProvider, organism: state.annotationOrganism, results: new Map() };
+  }
+
+  const cards = d3
+    .select(list)
+    .selectAll("article.details-card")
+    .data(rows, (d) => d.id)
+    .join((enter) => {
+      const card = enter.append("article").attr("class", "details-card");
+      const header = card.append("header");
+      header.append("h3");
+      header.append("span").attr("class", "details-id");
+      card.append("dl").attr("class", "details-stats");
+      const block = card.append("div").attr("class", "details-annotation");
+      block.append("p").attr("class", "annotation-source");
+      block.append("p").attr("class", "details-protein");
+      block.append("p").attr("class", "annotation-text");
+      card.append("p").attr("class", "details-links");
+      const buttons = card.append("div").attr("class", "button-row");
+      buttons.append("button").attr("type", "button").attr("class", "secondary").attr("data-action", "zoom").text("Zoom to");
+      buttons.append("button").attr("type", "button").attr("class", "secondary").attr("data-action", "unpin").text("Unpin");
+      return card;
+    });
+  cards.select("h3").text((d) => d.geneSymbol || d.id);
+  cards.select(".details-id").text((d) => (d.geneSymbol && d.geneSymbol !== d.id ? d.id : ""));
+  cards
+    .select(".details-stats")
+    .selectAll("div")
+    .data(detailStats)
+    .join((enter) => {
+      const item = enter.append("div");
+      item.append("dt");
+      item.append("dd");
+      return item;
+    })
+    .call((item) => item.select("dt").text(([label]) => label))
+    .call((item) => item.select("dd").text(([, value]) => value));
+  cards.each(function (d) {
+    const card = d3.select(this);
+    fillDetailsAnnotation(card, d);
+    if (!annotationProvider || detailsAnnotations.results.has(d.id)) return;
+    const lookup = detailsAnnotations;
+    lookup.results.set(d.id, null);
+    lookupAnnotation(d).then((result) => {
+      if (detailsAnnotations !== lookup) return;
+      lookup.results.set(d.id, result);
+      fillDetailsAnnotation(d3.select(list).selectAll("article.details-card").filter((r) => r.id === d.id), d);
+    });
+  });
+}
 
-// --- UniProt (https://www.uniprot.org/) ---
-const UNIPROT_CACHE = new Map();
-const UNIPROT_DESC_MAX = 220;
+function bindDetailsPanel() {
+  const list = document.getElementById("details-list");
+  if (!list) return;
+  list.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-action]");
+    const d = button && d3.select(button.closest("article.details-card")).datum();
+    if (!d) return;
+    if (button.dataset.action === "unpin") plot.pin(d.id, false);
+    else zoomToPoint(d);
+  });
+  document.getElementById("details-unpin-all")?.addEventListener("click", () => plot.pin(plot.getPinned(), false));
+  const panel = document.getElementById("details-panel");
+  const toggle = document.getElementById("details-toggle");
+  if (panel && toggle)
+    toggle.addEventListener("click", () => {
+      const collapsed = panel.classList.toggle("collapsed");
+      toggle.setAttribute("aria-expanded", String(!collapsed));
+      toggle.textContent = collapsed ? "Show" : "Hide";
+    });
+}
 
-function fetchUniProtDescription(geneId) {
-  const key = String(geneId).trim();
-  if (!key) return Promise.resolve(null);
-  if (UNIPROT_CACHE.has(key)) return Promise.resolve(UNIPROT_CACHE.get(key));
+// --- Annotation settings ---
+function setAnnotationStatus(text, isError = false) {
+  const el = document.getElementById("annotation-status");
+  if (!el) return;
+  el.textContent = text || "";
+  el.classList.toggle("error", isError);
+}
 
-  const url =
-    "https://rest.uniprot.org/uniprotkb/search?" +
-    "query=" + encodeURIComponent("(gene:" + key + ")") +
-    "&format=json&size=1" +
-    "&fields=protein_name,gene_names,organism_name,cc_function";
+function describeAnnotationSetup() {
+  const parts = [];
+  if (localAnnotations) parts.push(`${localAnnotations.entries.size} annotations from ${localAnnotations.fileName}`);
+  else if (state.annotationSource.startsWith("local")) parts.push("No local file loaded yet");
+  parts.push(annotationStore ? "lookups are cached across reloads" : "lookups are cached for this page only");
+  return parts.join("; ") + ".";
+}
 
-  return fetch(url)
-    .then((res) => (res.ok ? res.json() : null))
-    .then((data) => {
-      let proteinName = "";
-      let description = "";
-      const entry = data?.results?.[0];
-      if (entry?.proteinDescription?.recommendedName?.fullName?.value) {
-        proteinName = entry.proteinDescription.recommendedName.fullName.value;
+function loadAnnotationFile(file) {
+  if (!file) return;
+  file
+    .text()
+    .then((text) => {
+      const { entries, error } = parseAnnotationFile(text, file.name);
+      if (error) {
+        setAnnotationStatus(`${file.name}: ${error}`, true);
+        return;
       }
-      const funcComment = entry?.comments?.find((c) => c.commentType === "FUNCTION");
-      if (funcComment?.texts?.[0]?.value) {
-        description = funcComment.texts[0].value;
-        if (description.length > UNIPROT_DESC_MAX) {
-          description = description.slice(0, UNIPROT_DESC_MAX).trim() + "…";
-        }
+      localAnnotations = { entries, fileName: file.name };
+      if (annotationStore) {
+        annotationStore.set("files", "local", { fileName: file.name, entries: [...entries] }).catch(() => {});
       }
-      const result = proteinName || description ? { proteinName, description } : null;
-      UNIPROT_CACHE.set(key, result);
-      return result;
+      // A freshly loaded file is meant to be used: switch to it unless it's already part of the source.
+      if (!state.annotationSource.startsWith("local")) state.annotationSource = "local+uniprot";
+      saveAnnotationSettings();
+      rebuildAnnotationProvider();
+      syncAnnotationControls();
+      setAnnotationStatus(describeAnnotationSetup());
     })
-    .catch(() => {
-      UNIPROT_CACHE.set(key, null);
-      return null;
-    });
+    .catch((err) => setAnnotationStatus(`Could not read ${file.name}: ${err.message}`, true));
 }
 
-// --- State ---
-let state = {
-  data: [],
-  fcThreshold: DEFAULT_FC_THRESHOLD,
-  fdrThreshold: DEFAULT_FDR_THRESHOLD,
-  topN: DEFAULT_TOP_N,
-  showLabels: false,
-  pinned: new Set(),
-  pinnedTooltipData: null,
-  selected: new Set(),
-  searchHighlightId: null,
-  pvalAtFdr: null,
-  zoomDomain: null, // { x: [min, max], y: [min, max] } when zoomed to a point
-};
+function syncAnnotationControls() {
+  const sourceSelect = document.getElementById("annotation-source");
+  const organismSelect = document.getElementById("annotation-organism");
+  if (sourceSelect) sourceSelect.value = state.annotationSource;
+  if (organismSelect) {
+    organismSelect.value = state.annotationOrganism;
+    organismSelect.disabled = !state.annotationSource.includes("uniprot");
+  }
+}
 
-function pvalueAtFdrThreshold(data, fdrThreshold) {
-  const sorted = [...data].sort((a, b) => a.pval - b.pval);
-  const m = sorted.length;
-  for (let k = 0; k < m; k++) {
-    const q = (sorted[k].pval * m) / (k + 1);
-    if (q > fdrThreshold) {
-      return k === 0 ? sorted[0].pval : sorted[k - 1].pval;
-    }
+/** Opens the persistent store, restores a previously loaded local file and binds the settings controls. */
+function bindAnnotationControls() {
+  const sourceSelect = document.getElementById("annotation-source");
+  const organismSelect = document.getElementById("annotation-organism");
+  const fileInput = document.getElementById("annotation-file");
+  if (sourceSelect) {
+    d3.select(sourceSelect)
+      .selectAll("option")
+      .data(ANNOTATION_SOURCES)
+      .join("option")
+      .attr("value", (s) => s.id)
+      .text((s) => s.label);
+    sourceSelect.addEventListener("change", () => {
+      state.annotationSource = sourceSelect.value;
+      saveAnnotationSettings();
+      rebuildAnnotationProvider();
+      syncAnnotationControls();
+      setAnnotationStatus(describeAnnotationSetup());
+    });
   }
-  return sorted[m - 1].pval;
-}
-
-// --- DOM refs ---
-let container, svg, gPlot, xScale, yScale;
-let gPoints, gThresholds, gLabels, gSelectionBox;
-let overlay, resizeObserver;
-
-function initContainer() {
-  container = d3.select("#plot-container");
-  if (container.empty()) return;
-  const rect = container.node().getBoundingClientRect();
-  const width = rect.width > 0 ? rect.width : 800;
-  const height = Math.max(400, rect.height || 500);
-  svg = container
-    .append("svg")
-    .attr("viewBox", `0 0 ${width} ${height}`)
-    .attr("width", "100%")
-    .attr("height", "100%");
-  gPlot = svg.append("g").attr("transform", `translate(${MARGIN.left},${MARGIN.top})`);
-  overlay = gPlot.append("rect").attr("fill", "none").attr("pointer-events", "all").style("cursor", "crosshair");
-  overlay.on("click", (e) => {
-    if (e.defaultPrevented) return;
-    state.pinned.clear();
-    state.pinnedTooltipData = null;
-    state.selected.clear();
-    hideTooltip();
-    updateSelectionUI();
-    redraw();
+  if (organismSelect) {
+    d3.select(organismSelect)
+      .selectAll("option")
+      .data(ORGANISMS)
+      .join("option")
+      .attr("value", (o) => o.id)
+      .text((o) => o.label);
+    organismSelect.addEventListener("change", () => {
+      state.annotationOrganism = organismSelect.value;
+      saveAnnotationSettings();
+      updateDetailsPanel();
+    });
+  }
+  if (fileInput)
+    fileInput.addEventListener("change", () => {
+      loadAnnotationFile(fileInput.files?.[0]);
+      fileInput.value = "";
+    });
+  document.getElementById("annotation-clear-cache")?.addEventListener("click", () => {
+    uniprotProvider.clearMemory();
+    const cleared = annotationStore ? annotationStore.clear("lookups") : Promise.resolve();
+    cleared
+      .then(() => setAnnotationStatus("Annotation cache cleared."))
+      .catch((err) => setAnnotationStatus(`Could not clear the cache: ${err?.message || err}`, true));
   });
-  gThresholds = gPlot.append("g").attr("class", "thresholds");
-  gPoints = gPlot.append("g").attr("class", "points");
-  gLabels = gPlot.append("g").attr("class", "labels");
-  gSelectionBox = gPlot.append("rect").attr("class", "selection-box").attr("visibility", "hidden");
-  gPlot.append("g").attr("class", "x-axis");
-  gPlot.append("g").attr("class", "y-axis");
-  gPlot.append("text").attr("class", "axis-label x-label").attr("text-anchor", "middle").attr("fill", "#8b949e").text("log₂ FC");
-  gPlot.append("text").attr("class", "axis-label y-label").attr("text-anchor", "middle").attr("fill", "#8b949e").text("−log₁₀(p)");
-  resizeObserver = new ResizeObserver(() => {
-    const w = container.node().getBoundingClientRect().width;
-    const h = Math.max(400, container.node().getBoundingClientRect().height);
-    svg.attr("viewBox", `0 0 ${w} ${h}`);
-    updateScalesAndAxes(w, h);
-    redraw();
+
+  rebuildAnnotationProvider();
+  syncAnnotationControls();
+  openAnnotationStore().then((store) => {
+    annotationStore = store;
+    uniprotProvider = withCache(createUniProtProvider(), store);
+    const saved = store ? store.get("files", "local").catch(() => null) : Promise.resolve(null);
+    return saved.then((file) => {
+      if (file && !localAnnotations) localAnnotations = { entries: new Map(file.entries), fileName: file.fileName };
+      rebuildAnnotationProvider();
+      setAnnotationStatus(describeAnnotationSetup());
+    });
   });
-  resizeObserver.observe(container.node());
-  overlay.on("mousedown", startBox);
-  d3.select("body").on("mousemove", moveBox).on("mouseup", endBox);
-  return { width, height };
-}
-
-function updateScalesAndAxes(svgWidth, svgHeight) {
-  const width = svgWidth - MARGIN.left - MARGIN.right;
-  const height = svgHeight - MARGIN.top - MARGIN.bottom;
-  const extentX = d3.extent(state.data, (d) => d.log2FC);
-  const padX = Math.max(0.5, (extentX[1] - extentX[0]) * 0.05);
-  const domainX = state.zoomDomain ? state.zoomDomain.x : [extentX[0] - padX, extentX[1] + padX];
-  xScale = d3.scaleLinear().domain(domainX).range([0, width]);
-  const maxY = d3.max(state.data, (d) => d.negLog10P);
-  const minY = 0;
-  const domainY = state.zoomDomain ? state.zoomDomain.y : [minY, Math.max(maxY * 1.05, 2)];
-  yScale = d3.scaleLinear().domain(domainY).range([height, 0]);
-  gPlot.select(".x-axis").attr("transform", `translate(0,${height})`).call(d3.axisBottom(xScale).ticks(8));
-  gPlot.select(".y-axis").call(d3.axisLeft(yScale).ticks(8));
-  gPlot.select(".x-label").attr("x", width / 2).attr("y", height + 36);
-  gPlot.select(".y-label").attr("x", -36).attr("y", height / 2).attr("transform", `rotate(-90, -36, ${height / 2})`);
-  overlay.attr("width", width).attr("height", height);
-  return { width, height };
-}
-
-function drawThresholdLines(width, height) {
-  const fc = state.fcThreshold;
-  const fdr = state.fdrThreshold;
-  state.pvalAtFdr = pvalueAtFdrThreshold(state.data, fdr);
-  const yVal = -Math.log10(state.pvalAtFdr);
-  const clipY = Math.max(0, Math.min(height, yScale(yVal)));
-  const lines = [
-    { type: "v", x1: xScale(fc), y1: 0, x2: xScale(fc), y2: height },
-    { type: "v", x1: xScale(-fc), y1: 0, x2: xScale(-fc), y2: height },
-    { type: "h", x1: 0, y1: clipY, x2: width, y2: clipY },
+}
+
+// --- Contrast comparison (linked small multiples and a concordance scatter) ---
+let compareView = null;
+let nextContrastId = 1;
+
+/** Key used to match a row across contrasts. */
+function contrastKey(d) {
+  return state.compareKey === "geneSymbol" ? symbolKey(d.geneSymbol) : d.id;
+}
+
+/** The plotted dataset plus the comparison contrasts, as { id, name, data, pCutoff }. */
+function compareContrasts() {
+  return [
+    { id: "primary", name: state.dataset.name, data: state.data, pCutoff: plot.getPCutoff(), removable: false },
+    ...state.contrasts.map((c) => ({ id: c.id, name: c.name, data: c.data, pCutoff: c.pvalAtFdr, removable: true })),
   ];
-  const sel = gThresholds.selectAll("line").data(lines);
-  sel.join("line")
-    .attr("stroke", "#8b949e")
-    .attr("stroke-width", 1)
-    .attr("stroke-dasharray", "4 2")
-    .attr("opacity", 0.8)
-    .attr("x1", (d) => d.x1)
-    .attr("y1", (d) => d.y1)
-    .attr("x2", (d) => d.x2)
-    .attr("y2", (d) => d.y2)
-    .transition()
-    .duration(200)
-    .attr("x1", (d) => d.x1)
-    .attr("y1", (d) => d.y1)
-    .attr("x2", (d) => d.x2)
-    .attr("y2", (d) => d.y2);
-}
-
-function redraw() {
-  if (state.data.length === 0) return;
-  const el = container.node();
-  const rect = el ? el.getBoundingClientRect() : { width: 0, height: 0 };
-  const w = rect.width > 0 ? rect.width : 800;
-  const h = rect.height > 0 ? Math.max(400, rect.height) : 500;
-  const { width, height } = updateScalesAndAxes(w, h);
-  drawThresholdLines(width, height);
-
-  const fc = state.fcThreshold;
-  const fdr = state.fdrThreshold;
+}
+
+function setCompareStatus(text, isError = false) {
+  const el = document.getElementById("compare-status");
+  if (!el) return;
+  el.textContent = text || "";
+  el.classList.toggle("error", isError);
+}
+
+/** Keys of the selected rows, for highlighting them in every contrast. */
+function selectedKeys() {
+  const selected = plot.getSelection();
+  const keys = new Set();
   state.data.forEach((d) => {
-    d._category = getCategory(d, fc, fdr);
-  });
-
-  const points = gPoints.selectAll("circle").data(state.data, (d) => d.id);
-  points
-    .join("circle")
-    .attr("class", (d) => {
-      let c = "point";
-      if (state.pinned.has(d.id)) c += " pinned";
-      if (state.selected.has(d.id)) c += " selected";
-      if (state.searchHighlightId === d.id) c += " highlight-search";
-      return c;
-    })
-    .attr("r", (d) => (state.selected.has(d.id) || state.pinned.has(d.id) ? 5 : 3.5))
-    .attr("cx", (d) => xScale(d.log2FC))
-    .attr("cy", (d) => yScale(d.negLog10P))
-    .attr("fill", (d) => COLOR[d._category])
-    .attr("stroke", "transparent")
-    .attr("stroke-width", 2)
-    .style("cursor", "pointer")
-    .on("mouseenter", (e, d) => showTooltip(e, d))
-    .on("mousemove", (e) => moveTooltip(e))
-    .on("mouseleave", hideTooltip)
-    .on("click", (e, d) => {
-      e.preventDefault();
-      if (state.selected.size > 0) return;
-      if (state.pinned.has(d.id)) {
-        state.pinned.delete(d.id);
-        if (state.pinnedTooltipData?.id === d.id) {
-          state.pinnedTooltipData = null;
-          hideTooltip();
-        }
-      } else {
-        state.pinned.add(d.id);
-        showPinnedTooltip(e, d);
-      }
+    if (selected.has(d.id)) keys.add(contrastKey(d));
+  });
+  return keys;
+}
+
+function updateComparePairSelects(contrasts) {
+  ["a", "b"].forEach((side) => {
+    const select = document.getElementById(`compare-${side}`);
+    if (!select) return;
+    d3.select(select)
+      .selectAll("option")
+      .data(contrasts, (c) => c.id)
+      .join("option")
+      .attr("value", (c) => c.id)
+      .text((c) => c.name);
+    select.value = state.comparePair[side];
+  });
+}
+
+const contrastClassifiers = new WeakMap(); // contrast rows → createClassifier() of their index
+let compareInputs = null; // what the compare view was last drawn from
+
+/** A contrast's classifier, so threshold changes reclassify only the rows they move. */
+function classifierFor(data) {
+  let classifier = contrastClassifiers.get(data);
+  if (!classifier) {
+    classifier = createClassifier(indexFor(data));
+    contrastClassifiers.set(data, classifier);
+  }
+  return classifier;
+}
+
+/**
+ * Recomputes categories for every contrast under the shared thresholds and redraws the view,
+ * unless nothing it shows changed since the last render (a zoom, say).
+ */
+function updateCompareView() {
+  const root = document.getElementById("compare-view");
+  if (!root) return;
+  root.hidden = state.contrasts.length === 0;
+  document.getElementById("compare-clear")?.toggleAttribute("disabled", state.contrasts.length === 0);
+  if (state.contrasts.length === 0) {
+    compareInputs = null;
+    return;
+  }
+  const thresholds = currentThresholds();
+  state.contrasts.forEach((c) => {
+    classifierFor(c.data).update(thresholds);
+    c.pvalAtFdr = pValueCutoff(c.data, thresholds, indexFor(c.data));
+  });
+  const contrasts = compareContrasts();
+  const ids = contrasts.map((c) => c.id);
+  if (!ids.includes(state.comparePair.a)) state.comparePair.a = "primary";
+  if (!ids.includes(state.comparePair.b) || state.comparePair.b === state.comparePair.a) {
+    state.comparePair.b = ids.find((id) => id !== state.comparePair.a);
+  }
+  const colors = categoryPalette();
+  const ceiling = yCeiling(axisOptions());
+  const inputs = [
+    state.data,
+    indexFor(state.data).categoryVersion,
+    plot.getPCutoff(),
+    state.dataset.name,
+    ...state.contrasts.flatMap((c) => [c.data, indexFor(c.data).categoryVersion, c.pvalAtFdr, c.name]),
+    state.compareKey,
+    state.comparePair.a,
+    state.comparePair.b,
+    colors.sig_up,
+    colors.sig_down,
+    colors.not_sig,
+    thresholds.fcUp,
+    thresholds.fcDown,
+    ceiling,
+    root.clientWidth,
+  ];
+  if (inputsChanged(compareInputs, inputs)) {
+    compareInputs = inputs;
+    drawCompareView(contrasts, thresholds, colors, ceiling);
+  }
+  compareView.highlight(selectedKeys(), state.linkedHoverKey);
+}
+
+/** Draws the contrasts' panels and the pair's concordance scatter. */
+function drawCompareView(contrasts, thresholds, colors, ceiling) {
+  updateComparePairSelects(contrasts);
+  const a = contrasts.find((c) => c.id === state.comparePair.a);
+  const b = contrasts.find((c) => c.id === state.comparePair.b);
+  const joined = joinContrasts(a.data, b.data, contrastKey);
+  const note = document.getElementById("compare-note");
+  if (note) {
+    note.textContent =
+      `${joined.rows.length} genes in both` +
+      (joined.onlyInA ? `, ${joined.onlyInA} only in ${a.name}` : "") +
+      (joined.onlyInB ? `, ${joined.onlyInB} only in ${b.name}` : "") +
+      ". Click a category to select its genes.";
+  }
+  compareView.update({
+    contrasts,
+    key: contrastKey,
+    colors,
+    fcUp: thresholds.fcUp,
+    fcDown: thresholds.fcDown,
+    yCeiling: ceiling,
+    pair: { a: a.name, b: b.name, ...joined },
+    concordance: CONCORDANCE_CATEGORIES,
+  });
+}
+
+/** Rings the rows of the plotted dataset that match the key hovered in another view. */
+function drawLinkedHover() {
+  const key = state.linkedHoverKey;
+  plot.highlight(key === null || state.contrasts.length === 0 ? [] : state.data.filter((d) => contrastKey(d) === key));
+}
+
+function setLinkedHover(key) {
+  if (state.linkedHoverKey === key || state.contrasts.length === 0) return;
+  state.linkedHoverKey = key;
+  drawLinkedHover();
+  compareView.highlight(selectedKeys(), key);
+}
+
+/** Selects rows of the plotted dataset by match key (keys missing from it are ignored). */
+function selectByKeys(keys, { toggle = false } = {}) {
+  const rows = state.data.filter((d) => keys.has(contrastKey(d)));
+  const selected = plot.getSelection();
+  const ids = rows.map((d) => d.id);
+  if (!toggle) plot.select(ids);
+  else plot.select(ids, rows.length > 0 && ids.every((id) => selected.has(id)) ? "subtract" : "add");
+  return rows.length;
+}
+
+function onCompareClick(key) {
+  const n = selectByKeys(new Set([key]), { toggle: true });
+  if (n === 0) setCompareStatus(`${key} isn't in ${state.dataset.name}, so it can't be selected.`);
+}
+
+function selectConcordanceCategory(categoryId) {
+  const contrasts = compareContrasts();
+  const a = contrasts.find((c) => c.id === state.comparePair.a);
+  const b = contrasts.find((c) => c.id === state.comparePair.b);
+  const { rows } = joinContrasts(a.data, b.data, contrastKey);
+  const keys = new Set(rows.filter((r) => r.category === categoryId).map((r) => r.key));
+  selectByKeys(keys);
+}
+
+/**
+ * @param {string[]} [notes] - Extra import notes for the status line
+ */
+function addContrast(name, data, hasPadj, notes = []) {
+  const contrast = { id: `c${nextContrastId++}`, name, data, hasPadj, pvalAtFdr: null };
+  state.contrasts.push(contrast);
+  syncCorrection();
+  // The first extra contrast is compared with the plotted one.
+  if (state.contrasts.length === 1) state.comparePair = { a: "primary", b: contrast.id };
+  const { byKey, duplicates } = indexByKey(data, contrastKey);
+  const shared = state.data.filter((d) => byKey.has(contrastKey(d))).length;
+  notes.unshift(`${shared} of ${state.data.length} rows of ${state.dataset.name} matched`);
+  if (duplicates > 0) notes.push(`${duplicates} duplicate keys (first row used)`);
+  setCompareStatus(`Added ${name}: ${notes.join(", ")}.`);
+  redraw();
+}
+
+function applyContrastImport(fileName, { data, hasPadj, report }) {
+  if (data.length === 0) {
+    setCompareStatus(`No usable rows in ${fileName}.`, true);
+    return;
+  }
+  const skipped = report.total - report.kept;
+  const notes = skipped > 0 ? [`${skipped} rows skipped`] : [];
+  addContrast(fileName.replace(/\.[^.]+$/, ""), data, hasPadj, notes);
+}
+
+function importContrastFile(file) {
+  if (!file) return;
+  file
+    .text()
+    .then((text) => importText(file.name, text, null, "contrast"))
+    .catch((err) => setCompareStatus(`Could not read ${file.name}: ${err.message}`, true));
+}
+
+function removeContrast(id) {
+  state.contrasts = state.contrasts.filter((c) => c.id !== id);
+  state.linkedHoverKey = null;
+  setCompareStatus("");
+  redraw();
+}
+
+function bindCompareControls() {
+  const root = document.getElementById("compare-view");
+  if (!root) return;
+  compareView = createCompareView(root, {
+    onHover: (key, e, d) => {
+      setLinkedHover(key);
+      if (d) showTooltip(e, d);
+      else hideTooltip();
+    },
+    onClick: onCompareClick,
+    onRemove: removeContrast,
+    onSelectCategory: selectConcordanceCategory,
+  });
+  const fileInput = document.getElementById("contrast-file");
+  if (fileInput)
+    fileInput.addEventListener("change", () => {
+      importContrastFile(fileInput.files?.[0]);
+      fileInput.value = "";
+    });
+  document.getElementById("contrast-simulate")?.addEventListener("click", () => {
+    const data = generateContrast(state.data, newSeed());
+    adjustRows(null, [{ data, method: correctionMethod(false) }])
+      .then(() => addContrast(`Simulated contrast ${state.contrasts.length + 2}`, data, false))
+      .catch((err) => setCompareStatus(`Could not simulate a contrast: ${err.message}`, true));
+  });
+  document.getElementById("compare-clear")?.addEventListener("click", () => {
+    state.contrasts = [];
+    state.linkedHoverKey = null;
+    setCompareStatus("");
+    redraw();
+  });
+  const keySelect = document.getElementById("compare-key");
+  if (keySelect)
+    keySelect.addEventListener("change", () => {
+      state.compareKey = keySelect.value;
       redraw();
     });
-  points
-    .transition()
-    .duration(250)
-    .attr("cx", (d) => xScale(d.log2FC))
-    .attr("cy", (d) => yScale(d.negLog10P))
-    .attr("fill", (d) => COLOR[d._category]);
-
-  const topSignificant = state.data
-    .filter((d) => d._category !== "not_sig")
-    .sort((a, b) => a.pval - b.pval)
-    .slice(0, state.topN);
-  const toLabel = new Set(
-    state.showLabels ? topSignificant.map((d) => d.id) : []
-  );
-  state.pinned.forEach((id) => toLabel.add(id));
-
-  const labels = gLabels.selectAll("text").data(state.data.filter((d) => toLabel.has(d.id)), (d) => d.id);
-  labels
-    .join("text")
-    .attr("class", "point-label")
-    .attr("x", (d) => xScale(d.log2FC))
-    .attr("y", (d) => yScale(d.negLog10P))
-    .attr("dy", -10)
-    .attr("text-anchor", "middle")
-    .attr("font-size", "10px")
-    .attr("fill", "#e6edf3")
-    .text((d) => d.id)
-    .clone(true)
-    .lower()
-    .attr("fill", "none")
-    .attr("stroke", "#0f1419")
-    .attr("stroke-width", 3);
-}
-
-function buildTooltipHtml(d) {
-  return (
-    `<div class="row"><span class="label">id</span> ${d.id}</div>` +
-    `<div class="row"><span class="label">log2FC</span> ${d.log2FC.toFixed(3)}</div>` +
-    `<div class="row"><span class="label">pval</span> ${d.pval.toExponential(2)}</div>` +
-    `<div class="row"><span class="label">fdr</span> ${d.fdr.toExponential(2)}</div>` +
-    `<div class="row uniprot-row"><span class="label">UniProt</span> <span class="uniprot-text">Loading…</span></div>`
-  );
+  ["a", "b"].forEach((side) => {
+    document.getElementById(`compare-${side}`)?.addEventListener("change", (e) => {
+      state.comparePair[side] = e.target.value;
+      redraw();
+    });
+  });
 }
 
-function showTooltip(e, d) {
-  if (state.pinnedTooltipData) return;
-  const tip = d3.select("#tooltip");
-  tip.html(buildTooltipHtml(d)).classed("visible", true).attr("aria-hidden", "false");
-  moveTooltip(e);
+// --- Shareable state (URL hash) and session files ---
+const HASH_UPDATE_DELAY = 250;
+let hashTimer = null;
+let pendingHashView = null; // { fileName, view } from a link to a file dataset, applied once that file is loaded
 
-  const geneId = d.geneSymbol != null ? d.geneSymbol : d.id;
-  tip.node().setAttribute("data-current-id", geneId);
-  const textEl = tip.select(".uniprot-text");
-  fetchUniProtDescription(geneId).then((info) => {
-    if (!textEl.node() || !tip.classed("visible")) return;
-    const currentId = tip.node().getAttribute("data-current-id");
-    if (currentId !== geneId) return;
-    if (info?.proteinName || info?.description) {
-      let html = "";
-      if (info.proteinName) html += `<strong>${info.proteinName}</strong>`;
-      if (info.description) html += (html ? " — " : "") + info.description;
-      textEl.html(html);
+function currentView() {
+  return {
+    fcThreshold: state.fcThreshold,
+    fcDownThreshold: state.fcDownThreshold,
+    fdrThreshold: state.fdrThreshold,
+    pMode: state.pMode,
+    minBaseMean: state.minBaseMean,
+    correction: state.correction,
+    topN: state.topN,
+    showLabels: state.showLabels,
+    pinned: [...plot.getPinned()],
+    selected: [...plot.getSelection()],
+    namedSelections: state.namedSelections.map((s) => ({ name: s.name, color: s.color, visible: s.visible, ids: [...s.ids] })),
+    searchHighlightId: state.searchHighlightId,
+    palette: state.palette,
+    colorBy: state.colorBy,
+    sizeBy: state.sizeBy,
+    colorRules: state.colorRules.map((r) => ({ name: r.name, expr: r.expr, color: r.color })),
+    zoomDomain: plot.getZoom(),
+    zoomAxis: state.zoomAxis,
+    yScaleType: state.yScaleType,
+    yBreak: state.yBreak,
+    yCap: state.yCap,
+    xClip: state.xClip,
+    labelOffsets: Object.fromEntries([...plot.getLabelOffsets()].map(([id, o]) => [id, [o.dx, o.dy]])),
+  };
+}
+
+function scheduleHashUpdate() {
+  if (pendingHashView) return;
+  clearTimeout(hashTimer);
+  hashTimer = setTimeout(() => {
+    const hash = "#" + encodeHash(currentView(), state.dataset);
+    if (hash !== location.hash) history.replaceState(null, "", hash);
+  }, HASH_UPDATE_DELAY);
+}
+
+/**
+ * Applies validated view fields to state. Ids that aren't in the current dataset are dropped.
+ * @returns {string[]} What couldn't be restored
+ */
+function applyView(view) {
+  const warnings = [];
+  const ids = new Set(state.data.map((d) => d.id));
+  const keepKnown = (list, what) => {
+    const known = list.filter((id) => ids.has(id));
+    const missing = list.length - known.length;
+    if (missing > 0) warnings.push(`${missing} ${what} id${missing === 1 ? "" : "s"} not in this dataset.`);
+    return known;
+  };
+  [
+    "fcThreshold",
+    "fcDownThreshold",
+    "fdrThreshold",
+    "pMode",
+    "minBaseMean",
+    "topN",
+    "showLabels",
+    "zoomAxis",
+    "palette",
+    "yScaleType",
+    "yBreak",
+    "yCap",
+    "xClip",
+  ].forEach((key) => {
+    if (key in view) state[key] = view[key];
+  });
+  const columns = colorColumns();
+  const columnIds = new Set(["category", ...columns.map((c) => c.id)]);
+  const numericIds = new Set(columns.filter((c) => c.type === "numeric").map((c) => c.id));
+  if ("colorBy" in view) {
+    if (!columnIds.has(view.colorBy)) warnings.push(`Column ${view.colorBy} for point colors not in this dataset.`);
+    state.colorBy = columnIds.has(view.colorBy) ? view.colorBy : "category";
+  }
+  if ("sizeBy" in view) {
+    if (view.sizeBy !== null && !numericIds.has(view.sizeBy)) warnings.push(`Numeric column ${view.sizeBy} for point sizes not in this dataset.`);
+    state.sizeBy = numericIds.has(view.sizeBy) ? view.sizeBy : null;
+  }
+  if (view.colorRules) {
+    state.colorRules = view.colorRules.flatMap((r) => {
+      const { rule, error } = buildColorRule(r);
+      if (error) warnings.push(`Custom category "${r.name}" skipped: ${error}`);
+      return rule ? [rule] : [];
+    });
+    updateColorRuleList();
+  }
+  if ("correction" in view) {
+    if (view.correction === "file" && !state.dataset.hasPadj) {
+      warnings.push("Dataset has no adjusted p-values from a file; kept the current correction.");
     } else {
-      textEl.text("No description found.");
+      state.correction = view.correction;
     }
-  });
+  }
+  // Pins, selection, zoom and label positions live in the plot: set together, drawn by the redraw below.
+  const plotView = {};
+  if (view.pinned) plotView.pinned = keepKnown(view.pinned, "pinned");
+  if (view.selected) plotView.selected = keepKnown(view.selected, "selected");
+  if (view.namedSelections) {
+    state.namedSelections = view.namedSelections.map((s) => ({
+      id: `ns${nextNamedSelectionId++}`,
+      name: s.name,
+      color: s.color,
+      visible: s.visible,
+      ids: new Set(keepKnown(s.ids, `"${s.name}"`)),
+    }));
+    updateNamedSelections();
+  }
+  if ("searchHighlightId" in view) {
+    const found = view.searchHighlightId === null || ids.has(view.searchHighlightId);
+    if (!found) warnings.push(`Highlighted id ${view.searchHighlightId} not in this dataset.`);
+    state.searchHighlightId = found ? view.searchHighlightId : null;
+  }
+  if ("zoomDomain" in view) plotView.zoom = view.zoomDomain;
+  if (view.labelOffsets) {
+    const known = keepKnown(Object.keys(view.labelOffsets), "label position");
+    plotView.labelOffsets = new Map(known.map((id) => [id, { dx: view.labelOffsets[id][0], dy: view.labelOffsets[id][1] }]));
+  }
+  plot.restore(plotView);
+  syncCorrection();
+  syncControls();
+  updateCorrectionUI();
+  updateSelectionUI();
+  resetZoomHistory();
+  redraw();
+  return warnings;
 }
 
-function moveTooltip(e) {
-  d3.select("#tooltip")
-    .style("left", `${e.pageX + 12}px`)
-    .style("top", `${e.pageY + 12}px`);
+/** Restores the view encoded in location.hash (on load and when the hash is edited). */
+function restoreFromHash() {
+  const decoded = decodeHash(location.hash);
+  if (!decoded) return;
+  const { view, seed, generator, fileName, warnings } = decoded;
+  if (fileName && !(state.dataset.source === "file" && state.dataset.name === fileName)) {
+    pendingHashView = { fileName, view };
+    setImportStatus(`This link shows ${fileName}. Load that file to apply the shared view.`, warnings);
+    return;
+  }
+  const finish = () => {
+    warnings.push(...applyView(view));
+    if (warnings.length > 0) setImportStatus("Some settings from the link couldn't be restored.", warnings, true);
+  };
+  if (
+    seed != null &&
+    (state.dataset.source !== "synthetic" ||
+      state.dataset.seed !== seed ||
+      !sameGenerator(state.dataset.generator, generator))
+  ) {
+    loadData("main", "generate", { params: generator, seed }, "Generating data")
+      .then((result) => adjustLoaded("main", result, correctionMethod(false)))
+      .then((result) => {
+        if (!result) return;
+        replaceData(result.data, syntheticDataset(seed, generator), result);
+        finish();
+      })
+      .catch((err) => setImportStatus(`Could not generate the linked data: ${err.message}`, [], true));
+    return;
+  }
+  finish();
 }
 
-function hideTooltip() {
-  if (state.pinnedTooltipData) return;
-  d3.select("#tooltip").classed("visible", false).attr("aria-hidden", "true");
+function saveSession() {
+  const session = buildSession(currentView(), state.dataset, state.data);
+  const blob = new Blob([JSON.stringify(session, null, 2) + "\n"], { type: "application/json" });
+  downloadBlob(blob, "volcano_session.json");
 }
 
-function showPinnedTooltip(e, d) {
-  state.pinnedTooltipData = d;
-  const tip = d3.select("#tooltip");
-  tip.html(buildTooltipHtml(d)).classed("visible", true).attr("aria-hidden", "false");
-  if (e) moveTooltip(e);
+function loadSession(file) {
+  if (!file) return;
+  file
+    .text()
+    .then((text) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (err) {
+        setImportStatus(`${file.name} is not valid JSON: ${err.message}`, [], true);
+        return;
+      }
+      const result = validateSession(parsed);
+      if (result.error) {
+        setImportStatus(`Could not load ${file.name}: ${result.error}`, [], true);
+        return;
+      }
+      const { dataset, rows, view, warnings } = result;
+      pendingHashView = null;
+      // Synthetic data is generated again from its seed; a file's rows come with the session and only need sorting.
+      const load =
+        dataset.source === "synthetic"
+          ? loadData("main", "generate", { params: dataset.generator, seed: dataset.seed }, "Generating data")
+          : loadData("main", "orders", { pvals: rows.map((d) => d.pval), log2FC: rows.map((d) => d.log2FC) }, "Sorting rows").then(
+              (orders) => orders && { data: finalizeImportedData(rows), ...orders }
+            );
+      return load
+        .then((loaded) => adjustLoaded("main", loaded, correctionMethod(dataset.hasPadj)))
+        .then((loaded) => {
+          if (!loaded) return;
+          replaceData(loaded.data, dataset, loaded);
+          warnings.push(...applyView(view));
+          setImportStatus(`Restored session ${file.name} (${dataset.name}).`, warnings);
+        });
+    })
+    .catch((err) => setImportStatus(`Could not read ${file.name}: ${err.message}`, [], true));
+}
 
-  const geneId = d.geneSymbol != null ? d.geneSymbol : d.id;
-  tip.node().setAttribute("data-current-id", geneId);
-  const textEl = tip.select(".uniprot-text");
-  fetchUniProtDescription(geneId).then((info) => {
-    if (!textEl.node() || !tip.classed("visible")) return;
-    const currentId = tip.node().getAttribute("data-current-id");
-    if (currentId !== geneId) return;
-    if (info?.proteinName || info?.description) {
-      let html = "";
-      if (info.proteinName) html += `<strong>${info.proteinName}</strong>`;
-      if (info.description) html += (html ? " — " : "") + info.description;
-      textEl.html(html);
-    } else {
-      textEl.text("No description found.");
-    }
+function bindSessionControls() {
+  const loadInput = document.getElementById("session-file");
+  document.getElementById("save-session")?.addEventListener("click", saveSession);
+  document.getElementById("load-session")?.addEventListener("click", () => loadInput?.click());
+  loadInput?.addEventListener("change", () => {
+    loadSession(loadInput.files?.[0]);
+    loadInput.value = "";
   });
+  const copyBtn = document.getElementById("copy-link");
+  copyBtn?.addEventListener("click", () => {
+    clearTimeout(hashTimer);
+    if (!pendingHashView) history.replaceState(null, "", "#" + encodeHash(currentView(), state.dataset));
+    navigator.clipboard
+      ?.writeText(location.href)
+      .then(() => {
+        copyBtn.textContent = "Link copied";
+        setTimeout(() => (copyBtn.textContent = "Copy link"), 1500);
+      })
+      .catch(() => {});
+  });
+  window.addEventListener("hashchange", restoreFromHash);
 }
 
-// --- Box selection ---
-let boxStart = null;
-function startBox(e) {
-  if (e.button !== 0) return;
-  const pt = d3.pointer(e, gPlot.node());
-  boxStart = { x: pt[0], y: pt[1] };
-  gSelectionBox
-    .attr("x", pt[0])
-    .attr("y", pt[1])
-    .attr("width", 0)
-    .attr("height", 0)
-    .attr("visibility", "visible");
-}
-
-function moveBox(e) {
-  if (!boxStart) return;
-  const pt = d3.pointer(e, gPlot.node());
-  const x = Math.min(boxStart.x, pt[0]);
-  const y = Math.min(boxStart.y, pt[1]);
-  const w = Math.abs(pt[0] - boxStart.x);
-  const h = Math.abs(pt[1] - boxStart.y);
-  gSelectionBox.attr("x", x).attr("y", y).attr("width", w).attr("height", h);
-}
-
-function endBox(e) {
-  if (!boxStart || e.button !== 0) return;
-  const pt = d3.pointer(e, gPlot.node());
-  const x = Math.min(boxStart.x, pt[0]);
-  const y = Math.min(boxStart.y, pt[1]);
-  const w = Math.abs(pt[0] - boxStart.x);
-  const h = Math.abs(pt[1] - boxStart.y);
-  gSelectionBox.attr("visibility", "hidden");
-  if (w > 4 && h > 4) {
-    const [x0, x1] = [x, x + w].map((px) => xScale.invert(px));
-    const [y0, y1] = [y, y + h].map((py) => yScale.invert(py));
-    state.selected.clear();
-    state.data.forEach((d) => {
-      if (
-        d.log2FC >= Math.min(x0, x1) &&
-        d.log2FC <= Math.max(x0, x1) &&
-        d.negLog10P >= Math.min(y0, y1) &&
-        d.negLog10P <= Math.max(y0, y1)
-      )
-        state.selected.add(d.id);
-    });
-    updateSelectionUI();
-    redraw();
+/** Writes state back into the panel inputs (after restoring a link or session). */
+function syncControls() {
+  const fcInput = document.getElementById("fc-threshold");
+  const fcDownInput = document.getElementById("fc-down-threshold");
+  const fdrInput = document.getElementById("fdr-threshold");
+  const symmetric = state.fcDownThreshold === null;
+  if (fcInput) {
+    fcInput.value = String(state.fcThreshold);
+    document.getElementById("fc-value").textContent = state.fcThreshold.toFixed(1);
+    fcInput.setAttribute("aria-valuenow", state.fcThreshold);
+    fcInput.setAttribute("aria-valuetext", state.fcThreshold.toFixed(1));
+    document.getElementById("fc-label").textContent = symmetric ? "log₂ FC threshold" : "Up: log₂ FC ≥";
+  }
+  if (fcDownInput) {
+    const down = state.fcDownThreshold ?? state.fcThreshold;
+    fcDownInput.value = String(down);
+    document.getElementById("fc-down-value").textContent = down.toFixed(1);
+    fcDownInput.setAttribute("aria-valuenow", down);
+    fcDownInput.setAttribute("aria-valuetext", down.toFixed(1));
+    document.getElementById("fc-down-group").hidden = symmetric;
+    document.getElementById("fc-symmetric").checked = symmetric;
+  }
+  if (fdrInput) {
+    fdrInput.value = String(state.fdrThreshold);
+    document.getElementById("fdr-value").textContent = formatAlpha(state.fdrThreshold);
+    fdrInput.setAttribute("aria-valuetext", formatAlpha(state.fdrThreshold));
+  }
+  const pModeSelect = document.getElementById("p-mode");
+  if (pModeSelect) pModeSelect.value = state.pMode;
+  const minBaseMeanInput = document.getElementById("min-base-mean");
+  if (minBaseMeanInput) minBaseMeanInput.value = String(state.minBaseMean);
+  const topNInput = document.getElementById("top-n");
+  if (topNInput) topNInput.value = String(state.topN);
+  const showLabelsCb = document.getElementById("show-labels");
+  if (showLabelsCb) showLabelsCb.checked = state.showLabels;
+  const zoomAxisSelect = document.getElementById("zoom-axis");
+  if (zoomAxisSelect) zoomAxisSelect.value = state.zoomAxis;
+  const paletteSelect = document.getElementById("color-palette");
+  if (paletteSelect) paletteSelect.value = state.palette;
+  const yScaleSelect = document.getElementById("y-scale");
+  if (yScaleSelect) {
+    yScaleSelect.value = state.yScaleType;
+    document.getElementById("y-break-group").hidden = state.yScaleType !== "broken";
+    document.getElementById("y-break").value = state.yBreak ?? "";
+    document.getElementById("y-cap").value = state.yCap ?? "";
+    document.getElementById("x-clip").value = state.xClip ?? "";
   }
-  boxStart = null;
 }
 
-// Box selection listeners attached in init() after overlay exists
+const formatAlpha = (v) => (v === 0 || v >= 1e-3 ? v.toFixed(3) : v.toExponential(1));
 
-function updateSelectionUI() {
-  const info = document.getElementById("selection-info");
-  const countEl = document.getElementById("selection-count");
-  if (!info || !countEl) return;
-  const n = state.selected.size;
-  if (n === 0) {
-    info.hidden = true;
-  } else {
-    info.hidden = false;
-    countEl.textContent = n;
+/** Shows the minimum-expression filter when the data has a mean-expression value. */
+function updateBaseMeanUI() {
+  const group = document.getElementById("base-mean-group");
+  if (!group) return;
+  group.hidden = !hasBaseMean();
+  const column = state.dataset.source === "file" ? state.dataset.mapping?.baseMean : "baseMean (simulated)";
+  document.getElementById("base-mean-note").textContent =
+    `Column: ${column || "baseMean"}. Rows below the minimum are never significant; 0 turns the filter off.`;
+}
+
+// --- Undo / redo (snapshots of the view and the dataset; see src/history.js) ---
+/** Changes closer together than this (a slider or line drag, a wheel zoom) become one step. */
+const HISTORY_STEP_DELAY = 400;
+const undoHistory = createHistory();
+let historyTimer = null;
+
+function takeSnapshot() {
+  return { view: currentView(), data: state.data, dataset: state.dataset };
+}
+
+function datasetLabel(dataset) {
+  return dataset.source === "synthetic" ? `Generated data (seed ${dataset.seed})` : `Loaded ${dataset.name}`;
+}
+
+/** Called after every render: records a step once changes settle. */
+function scheduleHistoryStep() {
+  clearTimeout(historyTimer);
+  historyTimer = setTimeout(recordHistoryStep, HISTORY_STEP_DELAY);
+}
+
+function recordHistoryStep() {
+  clearTimeout(historyTimer);
+  historyTimer = null;
+  const prev = undoHistory.current();
+  const next = takeSnapshot();
+  const label = !prev
+    ? null
+    : next.data !== prev.data
+      ? datasetLabel(next.dataset)
+      : describeViewChange(prev.view, next.view);
+  if (!label) return;
+  undoHistory.push(label, next);
+  updateHistoryUI();
+}
+
+/** Puts the page back to a recorded step; the renders this causes match it, so nothing new is recorded. */
+function restoreSnapshot(snapshot) {
+  if (!snapshot) return;
+  if (snapshot.data !== state.data) {
+    replaceData(snapshot.data, snapshot.dataset);
+    setImportStatus(null);
   }
+  applyView(snapshot.view);
+  clearTimeout(historyTimer);
+  historyTimer = null;
+  updateHistoryUI();
 }
 
-function exportSelectedCsv() {
-  if (state.selected.size === 0) return;
-  const rows = state.data.filter((d) => state.selected.has(d.id));
-  const header = "id,log2FC,pval,fdr,negLog10P\n";
-  const body = rows
-    .map((d) => `${d.id},${d.log2FC},${d.pval},${d.fdr},${d.negLog10P}`)
-    .join("\n");
-  const blob = new Blob([header + body], { type: "text/csv" });
-  const a = document.createElement("a");
-  a.href = URL.createObjectURL(blob);
-  a.download = "volcano_selected.csv";
-  a.click();
-  URL.revokeObjectURL(a.href);
+function undo() {
+  if (historyTimer) recordHistoryStep();
+  restoreSnapshot(undoHistory.undo());
+}
+
+function redo() {
+  if (historyTimer) recordHistoryStep();
+  restoreSnapshot(undoHistory.redo());
+}
+
+function updateHistoryUI() {
+  const undoBtn = document.getElementById("undo");
+  const redoBtn = document.getElementById("redo");
+  const undoLabel = undoHistory.undoLabel();
+  const redoLabel = undoHistory.redoLabel();
+  if (undoBtn) {
+    undoBtn.disabled = !undoLabel;
+    undoBtn.title = undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : "Nothing to undo";
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !redoLabel;
+    redoBtn.title = redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo";
+  }
+  d3.select("#history-list")
+    .selectAll("li")
+    .data(undoHistory.list().map((e, i) => ({ ...e, i })).reverse())
+    .join((enter) => enter.append("li").call((li) => li.append("button").attr("type", "button")))
+    .classed("current", (e) => e.current)
+    .select("button")
+    .attr("aria-current", (e) => (e.current ? "step" : null))
+    .text((e) => e.label)
+    .on("click", (event, e) => {
+      if (historyTimer) recordHistoryStep();
+      restoreSnapshot(undoHistory.goTo(e.i));
+    });
+}
+
+/** Text fields keep their own Ctrl+Z. */
+function isTextEntry(el) {
+  return (
+    el?.isContentEditable ||
+    el?.tagName === "TEXTAREA" ||
+    (el?.tagName === "INPUT" && !["range", "checkbox", "radio", "button", "color", "file"].includes(el.type))
+  );
+}
+
+function bindHistoryControls() {
+  document.getElementById("undo")?.addEventListener("click", undo);
+  document.getElementById("redo")?.addEventListener("click", redo);
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEntry(e.target)) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) undo();
+    else if ((key === "z" && e.shiftKey) || key === "y") redo();
+    else return;
+    e.preventDefault();
+  });
+  undoHistory.reset("Opened the page", takeSnapshot());
+  updateHistoryUI();
+}
+
+// --- Correction method control ---
+function updateCorrectionUI() {
+  const select = document.getElementById("correction-method");
+  const note = document.getElementById("correction-note");
+  const fdrLabel = document.getElementById("fdr-label");
+  const method = getCorrectionMethod(state.correction);
+  if (select) {
+    d3.select(select)
+      .selectAll("option")
+      .data(CORRECTION_METHODS, (m) => m.id)
+      .join("option")
+      .attr("value", (m) => m.id)
+      .property("disabled", (m) => m.id === "file" && !state.dataset.hasPadj)
+      .text((m) => m.label);
+    select.value = method.id;
+  }
+  if (fdrLabel) fdrLabel.textContent = state.pMode === "raw" ? "p-value threshold" : method.threshold;
+  if (note) {
+    if (state.pMode === "raw") note.textContent = "Thresholding raw p-values: no multiple-testing control.";
+    else if (method.id === "storey") note.textContent = `π₀ = ${state.pi0.toFixed(3)} (λ = ${STOREY_LAMBDA})`;
+    else if (method.id === "file") note.textContent = `Using the "${state.dataset.mapping.padj}" column as-is.`;
+    else if (method.id === "holm" || method.id === "bonferroni") note.textContent = "Controls the family-wise error rate.";
+    else note.textContent = "Controls the false discovery rate.";
+  }
 }
 
 // --- Controls ---
@@ -499,10 +3265,9 @@ function bindControls() {
   const fdrValue = document.getElementById("fdr-value");
   const topNInput = document.getElementById("top-n");
   const showLabelsCb = document.getElementById("show-labels");
-  const searchId = document.getElementById("search-id");
-  const searchBtn = document.getElementById("search-btn");
-  const regenerateBtn = document.getElementById("regenerate");
   const exportBtn = document.getElementById("export-csv");
+  const dataFileInput = document.getElementById("data-file");
+  const correctionSelect = document.getElementById("correction-method");
 
   function updateFc() {
     const v = parseFloat(fcInput.value);
@@ -515,14 +3280,57 @@ function bindControls() {
   function updateFdr() {
     const v = parseFloat(fdrInput.value);
     state.fdrThreshold = v;
-    if (fdrValue) fdrValue.textContent = v.toFixed(3);
-    fdrInput.setAttribute("aria-valuetext", v.toFixed(3));
+    if (fdrValue) fdrValue.textContent = formatAlpha(v);
+    fdrInput.setAttribute("aria-valuetext", formatAlpha(v));
     redraw();
   }
 
   if (fcInput) fcInput.addEventListener("input", updateFc);
   if (fdrInput) fdrInput.addEventListener("input", updateFdr);
 
+  const fcDownInput = document.getElementById("fc-down-threshold");
+  if (fcDownInput)
+    fcDownInput.addEventListener("input", () => {
+      state.fcDownThreshold = parseFloat(fcDownInput.value);
+      syncControls();
+      redraw();
+    });
+  document.getElementById("fc-symmetric")?.addEventListener("change", (e) => {
+    // Unlinking starts the down cutoff where the symmetric one was.
+    state.fcDownThreshold = e.target.checked ? null : state.fcThreshold;
+    syncControls();
+    redraw();
+  });
+  const pModeSelect = document.getElementById("p-mode");
+  if (pModeSelect) {
+    d3.select(pModeSelect)
+      .selectAll("option")
+      .data(P_MODES)
+      .join("option")
+      .attr("value", (m) => m.id)
+      .text((m) => m.label);
+    pModeSelect.addEventListener("change", () => {
+      state.pMode = pModeSelect.value;
+      updateCorrectionUI();
+      redraw();
+    });
+  }
+  const minBaseMeanInput = document.getElementById("min-base-mean");
+  if (minBaseMeanInput)
+    minBaseMeanInput.addEventListener("input", () => {
+      const v = parseFloat(minBaseMeanInput.value);
+      state.minBaseMean = Number.isFinite(v) && v > 0 ? v : 0;
+      redraw();
+    });
+
+  if (correctionSelect)
+    correctionSelect.addEventListener("change", () => {
+      state.correction = correctionSelect.value;
+      updateCorrectionUI();
+      // Redraws once the worker has the new adjusted values.
+      syncCorrection();
+    });
+
   if (topNInput)
     topNInput.addEventListener("change", () => {
       state.topN = Math.max(0, Math.min(50, parseInt(topNInput.value, 10) || 10));
@@ -534,37 +3342,24 @@ function bindControls() {
       redraw();
     });
 
-  function doSearch() {
-    const q = (searchId?.value || "").trim().toLowerCase();
-    if (!q) {
-      state.searchHighlightId = null;
-      redraw();
-      return;
-    }
-    const found = state.data.find((d) => d.id.toLowerCase().includes(q));
-    if (found) {
-      state.searchHighlightId = found.id;
-      const pad = 1.2;
-      state.zoomDomain = {
-        x: [found.log2FC - pad, found.log2FC + pad],
-        y: [Math.max(0, found.negLog10P - pad), found.negLog10P + pad],
-      };
-      redraw();
-    } else {
-      state.searchHighlightId = null;
-      state.zoomDomain = null;
-      redraw();
-    }
-  }
-  if (searchBtn) searchBtn.addEventListener("click", doSearch);
-  if (searchId) searchId.addEventListener("keydown", (e) => { if (e.key === "Enter") doSearch(); });
   const resetZoomBtn = document.getElementById("reset-zoom-btn");
   if (resetZoomBtn)
     resetZoomBtn.addEventListener("click", () => {
-      state.zoomDomain = null;
       state.searchHighlightId = null;
-      redraw();
+      plot.zoomTo(null);
+      updateSearchUI();
+    });
+
+  const zoomAxisSelect = document.getElementById("zoom-axis");
+  if (zoomAxisSelect)
+    zoomAxisSelect.addEventListener("change", () => {
+      state.zoomAxis = zoomAxisSelect.value;
+      redraw({ animate: false });
     });
+  bindAxisControls();
+  document.getElementById("zoom-back")?.addEventListener("click", () => stepZoomHistory(-1));
+  document.getElementById("zoom-forward")?.addEventListener("click", () => stepZoomHistory(1));
+  document.getElementById("zoom-selection")?.addEventListener("click", zoomToSelection);
 
   const graphSizeInput = document.getElementById("graph-size");
   const graphSizeValue = document.getElementById("graph-size-value");
@@ -583,20 +3378,50 @@ function bindControls() {
     updateGraphSize();
   }
 
-  if (regenerateBtn)
-    regenerateBtn.addEventListener("click", () => {
-      state.data = generateData();
-      state.pinned.clear();
-      state.pinnedTooltipData = null;
-      state.selected.clear();
-      state.searchHighlightId = null;
-      state.zoomDomain = null;
-      hideTooltip();
-      updateSelectionUI();
-      redraw();
+  if (dataFileInput)
+    dataFileInput.addEventListener("change", () => {
+      importFile(dataFileInput.files?.[0]);
+      dataFileInput.value = "";
     });
 
-  if (exportBtn) exportBtn.addEventListener("click", exportSelectedCsv);
+  if (exportBtn) exportBtn.addEventListener("click", () => openExportDialog("selection"));
+}
+
+/** Y scale type, the broken axis's break, the −log₁₀ p cap and the x clip. Blank number inputs mean auto / off. */
+function bindAxisControls() {
+  const yScaleSelect = document.getElementById("y-scale");
+  if (!yScaleSelect) return;
+  d3.select(yScaleSelect)
+    .selectAll("option")
+    .data(Y_SCALES)
+    .join("option")
+    .attr("value", (s) => s.id)
+    .text((s) => s.label);
+  yScaleSelect.addEventListener("change", () => {
+    state.yScaleType = yScaleSelect.value;
+    syncControls();
+    redraw({ animate: false });
+  });
+  const positiveOrNull = (input) => {
+    const v = parseFloat(input.value);
+    return Number.isFinite(v) && v > 0 ? v : null;
+  };
+  [
+    ["y-break", "yBreak"],
+    ["y-cap", "yCap"],
+    ["x-clip", "xClip"],
+  ].forEach(([id, key]) => {
+    const input = document.getElementById(id);
+    input.addEventListener("change", () => {
+      state[key] = positiveOrNull(input);
+      redraw({ animate: false });
+    });
+  });
+  document.getElementById("x-clip-auto").addEventListener("click", () => {
+    state.xClip = suggestXClip(state.data);
+    syncControls();
+    redraw({ animate: false });
+  });
 }
 
 // --- Resizable plot (drag handle to scale plot area) ---
@@ -642,16 +3467,54 @@ function setupResizeHandle() {
 
 // --- Init ---
 function init() {
-  state.data = generateData();
-  const dims = initContainer();
-  if (dims) {
-    const w = dims.width > 0 ? dims.width : 800;
-    const h = dims.height > 0 ? dims.height : 500;
-    updateScalesAndAxes(w, h);
-    redraw();
-  }
+  loadAnnotationSettings();
+  loadThemeConfig();
+  loadThemeSettings();
+  applyPageTheme();
+  updateCorrectionUI();
+  updateBaseMeanUI();
+  initPlot();
+  redraw();
   bindControls();
+  bindColumnMappingDialog();
+  bindFigureDialog();
+  bindExportDialog();
+  bindSessionControls();
+  bindGeneSetControls();
+  bindCompareControls();
+  bindAnnotationControls();
+  bindResultsTable();
+  bindDetailsPanel();
+  bindSearchControls();
+  bindSelectionControls();
+  bindColorControls();
+  bindThemeControls();
+  bindGeneratorControls();
+  setupFileDrop();
   setupResizeHandle();
+  bindHistoryControls();
+  loadFirstDataset();
+}
+
+/**
+ * Generates the first dataset in the worker like any other load, from the link's seed and settings
+ * when it has them, then applies the rest of the link's view.
+ */
+function loadFirstDataset() {
+  const decoded = decodeHash(location.hash);
+  const seed = decoded?.seed ?? newSeed();
+  const generator = decoded?.generator ?? DEFAULT_GENERATOR;
+  loadData("main", "generate", { params: generator, seed }, "Generating data")
+    .then((result) => adjustLoaded("main", result, correctionMethod(false)))
+    .then((result) => {
+      if (!result) return;
+      replaceData(result.data, syntheticDataset(seed, generator), result);
+      restoreFromHash();
+      // Undo goes back as far as the page the link opened, not the empty one before the data came.
+      undoHistory.reset("Opened the page", takeSnapshot());
+      updateHistoryUI();
+    })
+    .catch((err) => setGeneratorError(`Could not generate data: ${err.message}`));
 }
 
 if (document.readyState === "loading") {
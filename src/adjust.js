@@ -0,0 +1,139 @@
+/**
+ * Multiple-testing correction: BH, BY, Bonferroni, Holm and Storey q-values.
+ * All functions take raw p-values and return adjusted values in the same order,
+ * matching R's p.adjust() (and qvalue::qvalue() with a fixed λ for Storey, except that π₀ is
+ * kept at 1/n or more where qvalue stops with an error at π₀ = 0).
+ */
+
+/** Correction methods offered in the control panel. "file" uses adjusted values from an imported file. */
+export const CORRECTION_METHODS = [
+  { id: "BH", label: "Benjamini–Hochberg (FDR)", short: "BH adj. p", threshold: "FDR threshold" },
+  { id: "BY", label: "Benjamini–Yekutieli (FDR)", short: "BY adj. p", threshold: "FDR threshold" },
+  { id: "storey", label: "Storey q-value", short: "q-value", threshold: "q-value threshold" },
+  { id: "holm", label: "Holm (FWER)", short: "Holm adj. p", threshold: "FWER threshold" },
+  { id: "bonferroni", label: "Bonferroni (FWER)", short: "Bonf. adj. p", threshold: "FWER threshold" },
+  { id: "file", label: "Adjusted p-values from file", short: "padj (file)", threshold: "Adjusted p threshold" },
+];
+
+export const DEFAULT_CORRECTION = "BH";
+
+/** λ used for the Storey π₀ estimate, as in Storey (2002). */
+export const STOREY_LAMBDA = 0.5;
+
+export function getCorrectionMethod(id) {
+  return CORRECTION_METHODS.find((m) => m.id === id) || CORRECTION_METHODS[0];
+}
+
+/** Indices of pvals sorted by ascending p-value (ties in row order, like sortedOrder() in data-index.js). */
+function ascendingOrder(pvals) {
+  return pvals.map((_, i) => i).sort((a, b) => pvals[a] - pvals[b] || a - b);
+}
+
+/**
+ * Step-up adjustment shared by BH, BY and Storey: q_(k) = min_{j≥k} scale · p_(j) · n / j, capped at 1.
+ * The running minimum from the largest rank down keeps adjusted values monotone in p.
+ */
+function stepUp(pvals, scale, order = ascendingOrder(pvals)) {
+  const n = pvals.length;
+  const adjusted = new Array(n);
+  let running = 1;
+  for (let k = n - 1; k >= 0; k--) {
+    const i = order[k];
+    running = Math.min(running, (scale * pvals[i] * n) / (k + 1));
+    adjusted[i] = running;
+  }
+  return adjusted;
+}
+
+/**
+ * Benjamini–Hochberg FDR (R: p.adjust(p, "BH")).
+ * @param {number[]} pvals - Raw p-values (will not be mutated)
+ * @param {ArrayLike<number>} [order] - Indices of pvals in ascending order, when already known
+ * @returns {number[]} Adjusted values in same order as pvals
+ */
+export function benjaminiHochberg(pvals, order) {
+  return stepUp(pvals, 1, order);
+}
+
+/** Benjamini–Yekutieli FDR under arbitrary dependence (R: p.adjust(p, "BY")). */
+export function benjaminiYekutieli(pvals, order) {
+  let harmonic = 0;
+  for (let i = 1; i <= pvals.length; i++) harmonic += 1 / i;
+  return stepUp(pvals, harmonic, order);
+}
+
+/** Bonferroni FWER (R: p.adjust(p, "bonferroni")). */
+export function bonferroni(pvals) {
+  const n = pvals.length;
+  return pvals.map((p) => Math.min(1, p * n));
+}
+
+/** Holm step-down FWER (R: p.adjust(p, "holm")). */
+export function holm(pvals, order = ascendingOrder(pvals)) {
+  const n = pvals.length;
+  const adjusted = new Array(n);
+  let running = 0;
+  for (let k = 0; k < n; k++) {
+    const i = order[k];
+    running = Math.max(running, Math.min(1, (n - k) * pvals[i]));
+    adjusted[i] = running;
+  }
+  return adjusted;
+}
+
+/**
+ * Storey's estimate of the proportion of true nulls: π₀ = #{p ≥ λ} / (n · (1 − λ)), as qvalue
+ * computes it, clamped to [1/n, 1].
+ * @param {number[]} pvals
+ * @param {number} [lambda]
+ */
+export function estimatePi0(pvals, lambda = STOREY_LAMBDA) {
+  const n = pvals.length;
+  if (n === 0) return 1;
+  let atLeast = 0;
+  for (const p of pvals) if (p >= lambda) atLeast++;
+  return Math.min(1, Math.max(atLeast / (n * (1 - lambda)), 1 / n));
+}
+
+/** Storey q-values: π₀ · BH (qvalue::qvalue(p, lambda = λ)). */
+export function storeyQValues(pvals, lambda = STOREY_LAMBDA, order) {
+  const pi0 = estimatePi0(pvals, lambda);
+  return { adjusted: stepUp(pvals, pi0, order), pi0 };
+}
+
+/**
+ * Adjusts p-values with the given method.
+ * @param {number[]} pvals - Raw p-values
+ * @param {string} method - One of CORRECTION_METHODS ids except "file"
+ * @param {ArrayLike<number>} [order] - Indices of pvals in ascending order (a data index's byP), to skip the sort
+ * @returns {{ adjusted: number[], pi0: number|null }}
+ */
+export function adjustPValues(pvals, method, order) {
+  switch (method) {
+    case "BY":
+      return { adjusted: benjaminiYekutieli(pvals, order), pi0: null };
+    case "bonferroni":
+      return { adjusted: bonferroni(pvals), pi0: null };
+    case "holm":
+      return { adjusted: holm(pvals, order), pi0: null };
+    case "storey":
+      return storeyQValues(pvals, STOREY_LAMBDA, order);
+    case "BH":
+    default:
+      return { adjusted: benjaminiHochberg(pvals, order), pi0: null };
+  }
+}
+
+/**
+ * Largest raw p-value whose adjusted value is within the threshold, i.e. the p-value cutoff
+ * the step-up (or step-down) rule implies. Returns null when no row passes.
+ * @param {Object[]} data - Rows with pval and fdr (adjusted) fields
+ * @param {number} threshold
+ */
+export function pvalueAtFdrThreshold(data, threshold) {
+  let cutoff = null;
+  for (const d of data) {
+    if (d.fdr <= threshold && (cutoff === null || d.pval > cutoff)) cutoff = d.pval;
+  }
+  return cutoff;
+}
@@ -0,0 +1,313 @@
+/**
+ * Gene annotation providers for the tooltip and the details panel. A provider has an id, a label and
+ * lookup(symbol, { organism }) → Promise of a result:
+ *   { status: "found", proteinName, description, source, accession? }
+ *   { status: "not_found" | "offline" | "error", message, source }
+ * Lookups never reject, so the tooltip can always say why an annotation is missing.
+ * Backends: UniProt REST, a local TSV/CSV/JSON file, and a chain of both; any of them can be
+ * wrapped in a cache backed by IndexedDB so annotations survive reloads and work offline.
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+/** NCBI taxonomy ids offered for the UniProt organism filter ("" searches every organism). */
+export const ORGANISMS = [
+  { id: "9606", label: "Human" },
+  { id: "10090", label: "Mouse" },
+  { id: "10116", label: "Rat" },
+  { id: "7955", label: "Zebrafish" },
+  { id: "7227", label: "Fruit fly" },
+  { id: "6239", label: "C. elegans" },
+  { id: "559292", label: "Yeast (S. cerevisiae)" },
+  { id: "", label: "Any organism" },
+];
+
+export const ANNOTATION_SOURCES = [
+  { id: "uniprot", label: "UniProt (online)" },
+  { id: "local", label: "Local file" },
+  { id: "local+uniprot", label: "Local file, then UniProt" },
+  { id: "off", label: "Off" },
+];
+
+/** Tooltips show this much of a function text; the details panel shows all of it. */
+export const DESCRIPTION_MAX = 220;
+const UNIPROT_TIMEOUT_MS = 8000;
+
+export function shortDescription(text, max = DESCRIPTION_MAX) {
+  return text.length > max ? text.slice(0, max).trim() + "…" : text;
+}
+
+function organismLabel(id) {
+  return ORGANISMS.find((o) => o.id === id)?.label || `taxon ${id}`;
+}
+
+// --- UniProt REST (https://www.uniprot.org/help/api) ---
+/**
+ * @param {Object} [opts]
+ * @param {Function} [opts.fetch] - fetch implementation (defaults to the global one)
+ * @param {number} [opts.timeoutMs]
+ */
+export function createUniProtProvider({ fetch = globalThis.fetch, timeoutMs = UNIPROT_TIMEOUT_MS } = {}) {
+  const source = "UniProt";
+  return {
+    id: "uniprot",
+    label: source,
+    lookup(symbol, { organism = "" } = {}) {
+      if (typeof navigator !== "undefined" && navigator.onLine === false) {
+        return Promise.resolve({ status: "offline", message: "Offline; UniProt can't be reached.", source });
+      }
+      let query = `(gene_exact:${symbol})`;
+      if (organism) query += ` AND (organism_id:${organism})`;
+      const url =
+        "https://rest.uniprot.org/uniprotkb/search?" +
+        "query=" + encodeURIComponent(query) +
+        "&format=json&size=1" +
+        "&fields=accession,protein_name,gene_names,organism_name,cc_function";
+      const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+      return fetch(url, controller ? { signal: controller.signal } : undefined)
+        .then((res) => {
+          if (!res.ok) return { status: "error", message: `UniProt returned HTTP ${res.status}.`, source };
+          return res.json().then((data) => {
+            const entry = data?.results?.[0];
+            const where = organism ? ` for ${organismLabel(organism)}` : "";
+            if (!entry) return { status: "not_found", message: `No UniProt entry for ${symbol}${where}.`, source };
+            const proteinName = entry.proteinDescription?.recommendedName?.fullName?.value || "";
+            const funcComment = entry.comments?.find((c) => c.commentType === "FUNCTION");
+            const description = funcComment?.texts?.[0]?.value || "";
+            if (!proteinName && !description) {
+              return { status: "not_found", message: `UniProt entry for ${symbol} has no name or function.`, source };
+            }
+            return { status: "found", proteinName, description, source, accession: entry.primaryAccession || null };
+          });
+        })
+        .catch((err) => {
+          if (err?.name === "AbortError") {
+            return { status: "error", message: `UniProt didn't respond within ${timeoutMs / 1000} s.`, source };
+          }
+          // fetch() rejects with a TypeError when the request never got a response (offline, DNS, firewall, CORS).
+          if (err instanceof TypeError) {
+            return { status: "offline", message: "UniProt is unreachable (offline or blocked by a firewall).", source };
+          }
+          return { status: "error", message: `UniProt lookup failed: ${err?.message || err}.`, source };
+        })
+        .finally(() => {
+          if (timer) clearTimeout(timer);
+        });
+    },
+  };
+}
+
+// --- External links ---
+/**
+ * Links to a gene's pages in the public databases. UniProt links straight to the entry when the
+ * lookup found its accession; the others search by symbol (restricted to the organism where the
+ * site supports it). GeneCards only covers human genes.
+ * @param {string} symbol
+ * @param {Object} [opts]
+ * @param {string} [opts.organism] - NCBI taxonomy id ("" = any)
+ * @param {string|null} [opts.accession] - UniProt accession
+ * @returns {{ label: string, url: string }[]}
+ */
+export function geneLinks(symbol, { organism = "", accession = null } = {}) {
+  const q = encodeURIComponent(symbol);
+  const uniprotQuery = encodeURIComponent(`(gene_exact:${symbol})${organism ? ` AND (organism_id:${organism})` : ""}`);
+  const ncbiQuery = encodeURIComponent(`${symbol}[sym]${organism ? ` AND ${organism}[taxid]` : ""}`);
+  const links = [
+    {
+      label: "UniProt",
+      url: accession
+        ? `https://www.uniprot.org/uniprotkb/${encodeURIComponent(accession)}/entry`
+        : `https://www.uniprot.org/uniprotkb?query=${uniprotQuery}`,
+    },
+    { label: "NCBI Gene", url: `https://www.ncbi.nlm.nih.gov/gene/?term=${ncbiQuery}` },
+    { label: "Ensembl", url: `https://www.ensembl.org/Multi/Search/Results?q=${q}` },
+  ];
+  if (organism === "" || organism === "9606") {
+    links.push({ label: "GeneCards", url: `https://www.genecards.org/cgi-bin/carddisp.pl?gene=${q}` });
+  }
+  return links;
+}
+
+// --- Local annotation file ---
+const SYMBOL_COLUMNS = ["symbol", "gene", "gene_symbol", "genesymbol", "gene_name", "gene name", "name"];
+const PROTEIN_COLUMNS = ["protein_name", "protein name", "proteinname", "protein", "title"];
+const FUNCTION_COLUMNS = ["function", "description", "desc", "summary", "cc_function"];
+
+function pickColumn(columns, candidates) {
+  const lower = columns.map((c) => c.trim().toLowerCase());
+  for (const cand of candidates) {
+    const i = lower.indexOf(cand);
+    if (i >= 0) return columns[i];
+  }
+  return null;
+}
+
+/**
+ * Parses a local annotation file into symbol → { proteinName, description }.
+ * Accepts TSV/CSV with a symbol column plus protein name and/or function columns, a JSON object
+ * keyed by symbol (values are strings or { proteinName, description }), or a JSON array of records.
+ * @returns {{ entries: Map<string, Object>, error: string|null }} Keys are upper-cased symbols
+ */
+export function parseAnnotationFile(text, fileName = "") {
+  const clean = String(text).replace(/^\uFEFF/, "");
+  const entries = new Map();
+  const add = (symbol, proteinName, description) => {
+    const key = String(symbol ?? "").trim().toUpperCase();
+    const name = String(proteinName ?? "").trim();
+    const desc = String(description ?? "").trim();
+    if (key && (name || desc)) entries.set(key, { proteinName: name, description: desc });
+  };
+
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(clean)) {
+    let json;
+    try {
+      json = JSON.parse(clean);
+    } catch (err) {
+      return { entries, error: `Not valid JSON: ${err.message}` };
+    }
+    const records = Array.isArray(json)
+      ? json
+      : Object.entries(json || {}).map(([symbol, v]) => (typeof v === "string" ? { symbol, description: v } : { symbol, ...v }));
+    records.forEach((r) => {
+      if (!r || typeof r !== "object") return;
+      const columns = Object.keys(r);
+      const symbolCol = pickColumn(columns, SYMBOL_COLUMNS);
+      const proteinCol = pickColumn(columns.filter((c) => c !== symbolCol), PROTEIN_COLUMNS);
+      const functionCol = pickColumn(columns, FUNCTION_COLUMNS);
+      if (symbolCol) add(r[symbolCol], proteinCol && r[proteinCol], functionCol && r[functionCol]);
+    });
+    return { entries, error: entries.size === 0 ? "No annotations found in the JSON." : null };
+  }
+
+  const firstLine = clean.split(/\r?\n/, 1)[0] || "";
+  const delimiter = firstLine.includes("\t") ? "\t" : ",";
+  const rows = d3.dsvFormat(delimiter).parse(clean);
+  const columns = rows.columns || [];
+  const symbolCol = pickColumn(columns, SYMBOL_COLUMNS);
+  const proteinCol = pickColumn(columns.filter((c) => c !== symbolCol), PROTEIN_COLUMNS);
+  const functionCol = pickColumn(columns, FUNCTION_COLUMNS);
+  if (!symbolCol || (!proteinCol && !functionCol)) {
+    return { entries, error: "Expected a symbol column plus a protein name and/or function column." };
+  }
+  rows.forEach((r) => add(r[symbolCol], proteinCol && r[proteinCol], functionCol && r[functionCol]));
+  return { entries, error: entries.size === 0 ? "No annotations found in the file." : null };
+}
+
+/**
+ * @param {Map<string, Object>|null} entries - parseAnnotationFile() output (null when no file is loaded)
+ * @param {string} [fileName]
+ */
+export function createLocalFileProvider(entries, fileName = "local file") {
+  return {
+    id: "local",
+    label: fileName,
+    lookup(symbol) {
+      if (!entries) {
+        return Promise.resolve({ status: "not_found", message: "No local annotation file loaded.", source: fileName });
+      }
+      const hit = entries.get(String(symbol).trim().toUpperCase());
+      if (!hit) return Promise.resolve({ status: "not_found", message: `${symbol} isn't in ${fileName}.`, source: fileName });
+      return Promise.resolve({ status: "found", ...hit, source: fileName });
+    },
+  };
+}
+
+/**
+ * Tries providers in order and returns the first annotation found. When none has one,
+ * the last provider's reason is kept (e.g. "offline" beats an earlier "not in file").
+ */
+export function chainProviders(providers, id = providers.map((p) => p.id).join("+")) {
+  return {
+    id,
+    label: providers.map((p) => p.label).join(", then "),
+    lookup(symbol, opts) {
+      return providers.reduce(
+        (prev, provider) => prev.then((result) => (result?.status === "found" ? result : provider.lookup(symbol, opts))),
+        Promise.resolve(null)
+      );
+    },
+  };
+}
+
+// --- Persistent cache (IndexedDB) ---
+const DB_NAME = "volcano-annotations";
+const DB_VERSION = 1;
+const STORES = ["lookups", "files"];
+/** Part of every lookup key; bumped when results change shape (2: full function text plus accession). */
+const CACHE_FORMAT = 2;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Opens the annotation database. Resolves to a small key-value API over the "lookups" and "files"
+ * stores, or to null when IndexedDB isn't available (private windows, file:// pages, tests).
+ * @returns {Promise<{ get: Function, set: Function, clear: Function } | null>}
+ */
+export function openAnnotationStore(idb = globalThis.indexedDB) {
+  if (!idb) return Promise.resolve(null);
+  let open;
+  try {
+    open = idb.open(DB_NAME, DB_VERSION);
+  } catch {
+    return Promise.resolve(null);
+  }
+  open.onupgradeneeded = () => {
+    STORES.forEach((name) => {
+      if (!open.result.objectStoreNames.contains(name)) open.result.createObjectStore(name);
+    });
+  };
+  return request(open)
+    .then((db) => {
+      const tx = (store, mode, fn) => request(fn(db.transaction(store, mode).objectStore(store)));
+      return {
+        get: (store, key) => tx(store, "readonly", (s) => s.get(key)),
+        set: (store, key, value) => tx(store, "readwrite", (s) => s.put(value, key)),
+        clear: (store) => tx(store, "readwrite", (s) => s.clear()),
+      };
+    })
+    .catch(() => null);
+}
+
+/**
+ * Wraps a provider with an in-memory cache and, when given, the persistent store. Found and
+ * not-found results are cached; offline and error results are not, so they're retried.
+ * @param {Object} provider
+ * @param {Object|null} store - openAnnotationStore() result
+ */
+export function withCache(provider, store) {
+  const memory = new Map();
+  const cacheKey = (symbol, organism) =>
+    `v${CACHE_FORMAT}|${provider.id}|${organism || "*"}|${String(symbol).trim().toUpperCase()}`;
+  const keep = (result) => result.status === "found" || result.status === "not_found";
+  return {
+    ...provider,
+    lookup(symbol, opts = {}) {
+      const key = cacheKey(symbol, opts.organism);
+      if (memory.has(key)) return Promise.resolve(memory.get(key));
+      const stored = store ? store.get("lookups", key).catch(() => undefined) : Promise.resolve(undefined);
+      return stored.then((hit) => {
+        if (hit) {
+          memory.set(key, hit);
+          return hit;
+        }
+        return provider.lookup(symbol, opts).then((result) => {
+          if (keep(result)) {
+            memory.set(key, result);
+            if (store) store.set("lookups", key, result).catch(() => {});
+          }
+          return result;
+        });
+      });
+    },
+    clearMemory() {
+      memory.clear();
+    },
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Axis scaling for the volcano plot: linear, square-root or broken y axes, a ceiling on
+ * −log₁₀ p above which points are drawn as triangles in a band at the top, and clipping of
+ * extreme fold changes to triangles at the x edges.
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { TRIANGLE_SCALE } from "./canvas-points.js";
+
+export const Y_SCALES = [
+  { id: "linear", label: "Linear" },
+  { id: "sqrt", label: "Square root" },
+  { id: "broken", label: "Broken above a cutoff" },
+];
+
+/**
+ * −log₁₀ of the smallest p-value kept on import (p = 0 is floored there): without a user ceiling,
+ * rows at or above it (and non-finite ones) go to the capped band.
+ */
+export const EXTREME_NEG_LOG10_P = 300;
+/** Pixel height of the band at the top of the plot that holds capped points. */
+export const CAP_BAND = 18;
+/** Share of the plot height above the break on a broken y axis. */
+const BROKEN_SHARE = 0.25;
+
+/**
+ * @typedef {Object} AxisOptions
+ * @property {"linear"|"sqrt"|"broken"} yScale
+ * @property {number|null} yBreak - Where a broken axis is compressed above (null = automatic)
+ * @property {number|null} yCap - −log₁₀ p ceiling (null = only extreme values are capped)
+ * @property {number|null} xClip - |log₂FC| beyond which points sit at the edge (null = off)
+ */
+
+/** The −log₁₀ p at and above which a row is drawn in the capped band. */
+export function yCeiling(opts) {
+  return opts.yCap ?? EXTREME_NEG_LOG10_P;
+}
+
+/** Whether a −log₁₀ p is drawn in the capped band (at the ceiling, above it, or not finite). */
+export function isCapped(negLog10P, opts) {
+  return !(negLog10P < yCeiling(opts));
+}
+
+/** Whether a fold change is beyond the x clip. */
+export function isClipped(log2FC, opts) {
+  return opts.xClip != null && Math.abs(log2FC) > opts.xClip;
+}
+
+/** log₂FC a point is drawn at: clipped values sit at ±xClip. */
+export function plotLog2FC(log2FC, opts) {
+  return isClipped(log2FC, opts) ? Math.sign(log2FC) * opts.xClip : log2FC;
+}
+
+/**
+ * Marker direction for an off-scale row: null for a plain circle, else the angle of a triangle
+ * (0 points up for capped rows, ±π/2 right / left for clipped ones; capped wins).
+ */
+export function markerAngle(d, opts) {
+  if (isCapped(d.negLog10P, opts)) return 0;
+  if (isClipped(d.log2FC, opts)) return d.log2FC > 0 ? Math.PI / 2 : -Math.PI / 2;
+  return null;
+}
+
+/** Default x domain: the drawn fold changes (clipped ones at ±xClip), padded by 5%; −1 to 1 without rows. */
+export function defaultXDomain(data, opts) {
+  const [x0 = -0.5, x1 = 0.5] = d3.extent(data, (d) => plotLog2FC(d.log2FC, opts));
+  const pad = Math.max(0.5, (x1 - x0) * 0.05);
+  return [x0 - pad, x1 + pad];
+}
+
+/** Default y domain: 0 to the largest uncapped −log₁₀ p, with 5% headroom (at least 2). */
+export function defaultYDomain(data, opts) {
+  const max = d3.max(data, (d) => (isCapped(d.negLog10P, opts) ? undefined : d.negLog10P)) ?? 0;
+  return [0, Math.max(max * 1.05, 2)];
+}
+
+/**
+ * Break for a broken axis: the user's value, else the 99th percentile of the uncapped values
+ * rounded up, so the top band holds the sparse extreme points.
+ */
+export function breakValue(data, opts) {
+  if (opts.yBreak != null) return opts.yBreak;
+  const values = data.filter((d) => !isCapped(d.negLog10P, opts)).map((d) => d.negLog10P);
+  return Math.ceil(d3.quantile(values, 0.99) ?? 0);
+}
+
+/**
+ * Builds the y scale. A broken axis is piecewise linear: [domain start, break] takes the lower
+ * 75% of the range and [break, domain end] the rest; when the break is outside the domain it's linear.
+ * @param {string} type - Id from Y_SCALES
+ * @param {number[]} domain - [min, max]
+ * @param {number[]} range - [bottom, top] pixels
+ * @param {number} breakAt
+ */
+export function buildYScale(type, domain, range, breakAt) {
+  if (type === "sqrt") return d3.scaleSqrt().domain(domain).range(range);
+  if (type === "broken" && breakAt > domain[0] && breakAt < domain[1]) {
+    const split = range[0] + (range[1] - range[0]) * (1 - BROKEN_SHARE);
+    return d3.scaleLinear().domain([domain[0], breakAt, domain[1]]).range([range[0], split, range[1]]);
+  }
+  return d3.scaleLinear().domain(domain).range(range);
+}
+
+/** [min, max] of a y scale's domain (a broken scale's domain also holds the break). */
+export function domainEnds(scale) {
+  const domain = scale.domain();
+  return [domain[0], domain[domain.length - 1]];
+}
+
+/** Whether the scale has a break (a three-point domain). */
+export function hasBreak(scale) {
+  return scale.domain().length === 3;
+}
+
+/** Tick values: a broken axis gets separate ticks below and above the break. */
+export function yTicks(scale, count = 8) {
+  if (!hasBreak(scale)) return scale.ticks(count);
+  const [lo, breakAt, hi] = scale.domain();
+  const below = d3.ticks(lo, breakAt, Math.max(2, count - 3));
+  const above = d3.ticks(breakAt, hi, 2).filter((v) => v > breakAt);
+  return [...below, ...above];
+}
+
+/**
+ * SVG path, centred on the origin, for a triangle pointing at angle (0 = up) that looks about as big
+ * as a circle of radius r (same shape as the canvas layer draws).
+ */
+export function trianglePath(r, angle) {
+  const R = r * TRIANGLE_SCALE;
+  const vertices = d3.range(3).map((i) => {
+    const a = angle + (i * 2 * Math.PI) / 3;
+    return `${(R * Math.sin(a)).toFixed(2)},${(-R * Math.cos(a)).toFixed(2)}`;
+  });
+  return `M${vertices.join("L")}Z`;
+}
+
+/**
+ * Suggested x clip: the 99th percentile of |log₂FC| rounded up to the next 0.5, so about 1% of rows
+ * become edge markers.
+ */
+export function suggestXClip(data) {
+  const q = d3.quantile(data, 0.99, (d) => Math.abs(d.log2FC));
+  return q > 0 ? Math.ceil(q * 2) / 2 : null;
+}
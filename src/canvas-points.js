@@ -0,0 +1,142 @@
+/**
+ * Canvas point layer for large datasets, plus a quadtree over screen positions
+ * for hover, click and box-selection hit-testing. Axes, thresholds and labels stay in SVG.
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+/**
+ * Inserts a <canvas> behind the plot SVG.
+ * @param {HTMLElement} containerNode - Element that also holds the SVG
+ * @returns {Object|null} Layer API, or null when 2D canvas isn't available (caller keeps SVG points)
+ */
+export function createCanvasLayer(containerNode) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext ? canvas.getContext("2d") : null;
+  if (!ctx) return null;
+  canvas.className = "points-canvas";
+  canvas.setAttribute("aria-hidden", "true");
+  containerNode.insertBefore(canvas, containerNode.firstChild);
+
+  let cssWidth = 0;
+  let cssHeight = 0;
+
+  return {
+    node: canvas,
+
+    /** Matches the canvas to the SVG's size (CSS pixels), scaled for the device pixel ratio. */
+    resize(width, height) {
+      const dpr = window.devicePixelRatio || 1;
+      if (width === cssWidth && height === cssHeight && canvas.width === Math.round(width * dpr)) return;
+      cssWidth = width;
+      cssHeight = height;
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+    },
+
+    clear() {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    },
+
+    /**
+     * Draws points batched by fill color, then outlined points on top.
+     * @param {Object[]} points
+     * @param {Object} opts - x, y, radius, fill, stroke accessors (stroke returns null for no outline);
+     *   optional angle accessor (null for a circle, else a triangle pointing that way; 0 = up);
+     *   margin { top, left } and plot width/height for the clip rectangle
+     */
+    draw(points, { x, y, radius, fill, stroke, angle = () => null, margin, width, height }) {
+      const dpr = window.devicePixelRatio || 1;
+      this.clear();
+      ctx.setTransform(dpr, 0, 0, dpr, dpr * margin.left, dpr * margin.top);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, 0, width, height);
+      ctx.clip();
+
+      const byFill = d3.group(points, fill);
+      const outlined = [];
+      byFill.forEach((group, color) => {
+        ctx.beginPath();
+        for (const d of group) {
+          addMarker(ctx, x(d), y(d), radius(d), angle(d));
+          if (stroke(d)) outlined.push(d);
+        }
+        ctx.fillStyle = color;
+        ctx.fill();
+      });
+
+      ctx.lineWidth = 2;
+      for (const d of outlined) {
+        ctx.beginPath();
+        addMarker(ctx, x(d), y(d), radius(d), angle(d));
+        ctx.fillStyle = fill(d);
+        ctx.fill();
+        ctx.strokeStyle = stroke(d);
+        ctx.stroke();
+      }
+      ctx.restore();
+    },
+  };
+}
+
+/** Triangles are drawn with a larger circumradius so they look about as big as the circles. */
+export const TRIANGLE_SCALE = 1.4;
+
+/** Adds a circle, or a triangle a little larger than it pointing at angle, to the current path. */
+function addMarker(ctx, px, py, r, angle) {
+  if (angle === null) {
+    ctx.moveTo(px + r, py);
+    ctx.arc(px, py, r, 0, 2 * Math.PI);
+    return;
+  }
+  const R = r * TRIANGLE_SCALE;
+  for (let i = 0; i < 3; i++) {
+    const a = angle + (i * 2 * Math.PI) / 3;
+    const vx = px + R * Math.sin(a);
+    const vy = py - R * Math.cos(a);
+    if (i === 0) ctx.moveTo(vx, vy);
+    else ctx.lineTo(vx, vy);
+  }
+  ctx.closePath();
+}
+
+// --- Spatial index ---
+/**
+ * Quadtree over plot-area pixel positions.
+ * @param {Object[]} points
+ * @param {Function} x - d → pixel x
+ * @param {Function} y - d → pixel y
+ */
+export function buildPointIndex(points, x, y) {
+  return d3.quadtree().x(x).y(y).addAll(points);
+}
+
+/** Nearest point within radius pixels of (px, py), or undefined. */
+export function findPoint(index, px, py, radius) {
+  return index ? index.find(px, py, radius) : undefined;
+}
+
+/** All points whose pixel position lies inside the rectangle [x0, x1] × [y0, y1]. */
+export function pointsInRect(index, x0, y0, x1, y1) {
+  const found = [];
+  if (!index) return found;
+  const px = index.x();
+  const py = index.y();
+  index.visit((node, nx0, ny0, nx1, ny1) => {
+    if (!node.length) {
+      let leaf = node;
+      do {
+        const d = leaf.data;
+        const dx = px(d);
+        const dy = py(d);
+        if (dx >= x0 && dx <= x1 && dy >= y0 && dy <= y1) found.push(d);
+      } while ((leaf = leaf.next));
+    }
+    return nx0 > x1 || nx1 < x0 || ny0 > y1 || ny1 < y0;
+  });
+  return found;
+}
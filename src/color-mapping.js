@@ -0,0 +1,189 @@
+/**
+ * Point color and size mappings: palette presets (including colorblind-safe ones), discovery of
+ * the numeric and categorical columns a dataset offers, and the scales that turn a column into
+ * fills, radii and legend entries.
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+const OKABE_ITO = ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7", "#999999"];
+
+/**
+ * category: fills for sig_up / sig_down / not_sig; categorical: colors for column values;
+ * sequential / diverging: interpolators for numeric columns (diverging runs low → high).
+ */
+export const PALETTES = [
+  {
+    id: "default",
+    label: "Green / red",
+    category: { sig_up: "#3fb950", sig_down: "#f85149", not_sig: "#484f58" },
+    categorical: d3.schemeTableau10,
+    sequential: d3.interpolateViridis,
+    diverging: (t) => d3.interpolateRdBu(1 - t),
+  },
+  {
+    id: "okabe-ito",
+    label: "Okabe–Ito (colorblind-safe)",
+    category: { sig_up: "#E69F00", sig_down: "#56B4E9", not_sig: "#4d5560" },
+    categorical: OKABE_ITO,
+    sequential: d3.interpolateCividis,
+    diverging: (t) => d3.interpolatePuOr(1 - t),
+  },
+  {
+    id: "viridis",
+    label: "Viridis (colorblind-safe)",
+    category: { sig_up: "#fde725", sig_down: "#21918c", not_sig: "#4d5560" },
+    categorical: OKABE_ITO,
+    sequential: d3.interpolateViridis,
+    diverging: (t) => d3.interpolateBrBG(t),
+  },
+];
+
+export function getPalette(id) {
+  return PALETTES.find((p) => p.id === id) || PALETTES[0];
+}
+
+export const MISSING_COLOR = "#6e7681";
+export const OTHER_COLOR = "#8b949e";
+/** Continuous scales are cut into this many colors so canvas drawing can still batch by fill. */
+const COLOR_STEPS = 64;
+/** Columns with more distinct text values than this aren't offered for categorical coloring. */
+const CATEGORICAL_MAX = 50;
+/** Share of non-empty values that must parse as numbers for a column to count as numeric. */
+const NUMERIC_SHARE = 0.9;
+export const SIZE_RANGE = [2, 9];
+
+/** Built-in numeric fields, in menu order (baseMean only when the rows have it). */
+const BUILTIN_NUMERIC = [
+  { key: "log2FC", label: "log₂ FC" },
+  { key: "negLog10P", label: "−log₁₀ p" },
+  { key: "pval", label: "p-value" },
+  { key: "fdr", label: "Adjusted p" },
+  { key: "baseMean", label: "Mean expression" },
+];
+
+/** Same NA spellings the importer accepts. */
+const isMissing = (v) => v == null || /^(|na|nan|null|none|n\/a|\.)$/i.test(String(v).trim());
+
+/**
+ * Columns that can drive color or size: the built-in numeric fields, the ground truth of synthetic
+ * data, plus each extra column of an imported file (d.fields), classified as numeric or categorical
+ * from its values.
+ * @returns {{ id: string, label: string, type: "numeric"|"categorical", value: Function }[]}
+ */
+export function describeColumns(data) {
+  const columns = BUILTIN_NUMERIC.filter((c) => c.key !== "baseMean" || data[0]?.baseMean !== undefined).map((c) => ({
+    id: c.key,
+    label: c.label,
+    type: "numeric",
+    value: (d) => (d[c.key] == null ? NaN : d[c.key]),
+  }));
+  if (data[0]?.trueLog2FC !== undefined) {
+    columns.push({
+      id: "truth",
+      label: "Ground truth (synthetic)",
+      type: "categorical",
+      value: (d) => (d.trueLog2FC > 0 ? "Truly up" : d.trueLog2FC < 0 ? "Truly down" : "Null"),
+    });
+  }
+  const fieldNames = data[0]?.fields ? Object.keys(data[0].fields) : [];
+  fieldNames.forEach((name) => {
+    let present = 0;
+    let numeric = 0;
+    const distinct = new Set();
+    for (const d of data) {
+      const v = d.fields?.[name];
+      if (isMissing(v)) continue;
+      present++;
+      if (Number.isFinite(Number(v))) numeric++;
+      if (distinct.size <= CATEGORICAL_MAX) distinct.add(String(v).trim());
+    }
+    if (present === 0) return;
+    if (numeric / present >= NUMERIC_SHARE) {
+      columns.push({
+        id: `field:${name}`,
+        label: name,
+        type: "numeric",
+        value: (d) => (isMissing(d.fields?.[name]) ? NaN : Number(d.fields[name])),
+      });
+    } else if (distinct.size <= CATEGORICAL_MAX) {
+      columns.push({
+        id: `field:${name}`,
+        label: name,
+        type: "categorical",
+        value: (d) => (isMissing(d.fields?.[name]) ? null : String(d.fields[name]).trim()),
+      });
+    }
+  });
+  return columns;
+}
+
+/**
+ * Continuous color scale for a numeric column. Data spanning zero gets a diverging scale centred
+ * on 0; positive data covering more than two decades gets a log scale; otherwise linear.
+ * @returns {{ color: Function, legend: Object }} color(value) → CSS color; legend describes a gradient
+ */
+export function numericColorScale(values, palette) {
+  const finite = values.filter(Number.isFinite);
+  let [lo, hi] = finite.length ? d3.extent(finite) : [0, 1];
+  if (lo === hi) [lo, hi] = [lo - 1, hi + 1];
+  let t;
+  let kind;
+  let interpolate;
+  if (lo < 0 && hi > 0) {
+    const m = Math.max(-lo, hi);
+    [lo, hi] = [-m, m];
+    t = d3.scaleLinear().domain([-m, m]).range([0, 1]).clamp(true);
+    kind = "diverging";
+    interpolate = palette.diverging;
+  } else if (lo > 0 && hi / lo > 100) {
+    t = d3.scaleLog().domain([lo, hi]).range([0, 1]).clamp(true);
+    kind = "log";
+    interpolate = palette.sequential;
+  } else {
+    t = d3.scaleLinear().domain([lo, hi]).range([0, 1]).clamp(true);
+    kind = "linear";
+    interpolate = palette.sequential;
+  }
+  const steps = d3.quantize(interpolate, COLOR_STEPS).map((c) => d3.color(c).formatHex());
+  return {
+    color: (v) => (Number.isFinite(v) ? steps[Math.round(t(v) * (COLOR_STEPS - 1))] : MISSING_COLOR),
+    legend: { type: "gradient", domain: [lo, hi], kind, stops: d3.quantize(interpolate, 9).map((c) => d3.color(c).formatHex()) },
+  };
+}
+
+/**
+ * Color per value of a categorical column: the most frequent values get the palette's colors in
+ * order, the rest share OTHER_COLOR.
+ * @returns {{ color: Function, legend: Object }} legend.entries: [{ value, color, count }]
+ */
+export function categoricalColorScale(values, palette) {
+  const counts = d3.rollups(
+    values.filter((v) => v != null),
+    (v) => v.length,
+    (v) => v
+  ).sort((a, b) => b[1] - a[1] || d3.ascending(a[0], b[0]));
+  const colors = palette.categorical;
+  const named = counts.slice(0, colors.length);
+  const byValue = new Map(named.map(([v], i) => [v, colors[i]]));
+  const entries = named.map(([value, count]) => ({ value, color: byValue.get(value), count }));
+  const other = d3.sum(counts.slice(colors.length), (c) => c[1]);
+  if (other > 0) entries.push({ value: "Other", color: OTHER_COLOR, count: other });
+  const missing = values.length - d3.sum(counts, (c) => c[1]);
+  if (missing > 0) entries.push({ value: "Missing", color: MISSING_COLOR, count: missing });
+  return {
+    color: (v) => (v == null ? MISSING_COLOR : byValue.get(v) || OTHER_COLOR),
+    legend: { type: "swatches", entries },
+  };
+}
+
+/**
+ * Radius scale for a numeric column: area grows with the value (sqrt scale over SIZE_RANGE);
+ * missing values get the smallest size.
+ */
+export function sizeScale(values) {
+  const finite = values.filter(Number.isFinite);
+  const [lo, hi] = finite.length ? d3.extent(finite) : [0, 1];
+  const scale = d3.scaleSqrt().domain([Math.min(0, lo), hi === lo ? hi + 1 : hi]).range(SIZE_RANGE).clamp(true);
+  return (v) => (Number.isFinite(v) ? scale(v) : SIZE_RANGE[0]);
+}
@@ -0,0 +1,303 @@
+/**
+ * Linked small multiples for comparing contrasts: one mini volcano per contrast plus a
+ * log₂FC A vs log₂FC B scatter. Points go on a canvas when one is available (SVG otherwise);
+ * hit-testing uses a quadtree per panel, and highlight rings are drawn in SVG so hover and
+ * selection updates don't repaint the points.
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { createCanvasLayer, buildPointIndex, findPoint } from "./canvas-points.js";
+
+const PANEL_MARGIN = { top: 8, right: 10, bottom: 30, left: 40 };
+const PANEL_HEIGHT = 200;
+const PANEL_MIN_WIDTH = 220;
+const POINT_RADIUS = 2.5;
+const HIT_RADIUS = 5;
+
+/**
+ * Creates one scatter panel (title, optional canvas, SVG with axes, guides and highlight layer).
+ * @param {d3.Selection} parent
+ * @param {Object} handlers - onHover(key | null, event, point), onClick(key, point), onRemove() (optional)
+ */
+function createPanel(parent, handlers) {
+  const root = parent.append("figure").attr("class", "compare-panel");
+  const caption = root.append("figcaption");
+  const title = caption.append("span").attr("class", "compare-title");
+  if (handlers.onRemove) {
+    caption
+      .append("button")
+      .attr("type", "button")
+      .attr("class", "compare-remove")
+      .text("×")
+      .on("click", handlers.onRemove);
+  }
+  const body = root.append("div").attr("class", "compare-body");
+  const canvas = createCanvasLayer(body.node());
+  const svg = body.append("svg");
+  const g = svg.append("g").attr("transform", `translate(${PANEL_MARGIN.left},${PANEL_MARGIN.top})`);
+  const gGuides = g.append("g").attr("class", "compare-guides");
+  const gPoints = g.append("g");
+  const gRings = g.append("g").attr("class", "compare-rings");
+  const gx = g.append("g").attr("class", "x-axis");
+  const gy = g.append("g").attr("class", "y-axis");
+  const xLabel = g.append("text").attr("class", "axis-label").attr("text-anchor", "middle");
+  const yLabel = g.append("text").attr("class", "axis-label").attr("text-anchor", "middle");
+  const hit = g.append("rect").attr("fill", "none").attr("pointer-events", "all");
+
+  let spec = null;
+  let index = null;
+  let byKey = new Map();
+  let hovered = null;
+
+  const pointAt = (e) => {
+    const [px, py] = d3.pointer(e, g.node());
+    return findPoint(index, px, py, HIT_RADIUS);
+  };
+  hit
+    .on("mousemove", (e) => {
+      const p = pointAt(e);
+      hit.style("cursor", p ? "pointer" : null);
+      if (p === hovered) return;
+      hovered = p || null;
+      handlers.onHover(p ? spec.key(p) : null, e, p);
+    })
+    .on("mouseleave", (e) => {
+      hovered = null;
+      handlers.onHover(null, e, null);
+    })
+    .on("click", (e) => {
+      const p = pointAt(e);
+      if (p) handlers.onClick(spec.key(p), p);
+    });
+
+  return {
+    node: root.node(),
+
+    /**
+     * @param {Object} next - title, points, key, x, y (row → data value), fill, xDomain, yDomain,
+     *   guides ([x1, y1, x2, y2] in data units), xLabel, yLabel
+     * @param {number} outerWidth
+     */
+    draw(next, outerWidth) {
+      spec = next;
+      const width = outerWidth - PANEL_MARGIN.left - PANEL_MARGIN.right;
+      const height = PANEL_HEIGHT - PANEL_MARGIN.top - PANEL_MARGIN.bottom;
+      const x = d3.scaleLinear().domain(spec.xDomain).range([0, width]);
+      const y = d3.scaleLinear().domain(spec.yDomain).range([height, 0]);
+      const px = (d) => x(spec.x(d));
+      const py = (d) => y(spec.y(d));
+      spec.px = px;
+      spec.py = py;
+      title.text(spec.title).attr("title", spec.title);
+      svg.attr("viewBox", `0 0 ${outerWidth} ${PANEL_HEIGHT}`).attr("width", outerWidth).attr("height", PANEL_HEIGHT);
+      gx.attr("transform", `translate(0,${height})`).call(d3.axisBottom(x).ticks(5));
+      gy.call(d3.axisLeft(y).ticks(5));
+      xLabel.attr("x", width / 2).attr("y", height + 26).text(spec.xLabel);
+      yLabel.attr("transform", `translate(-30,${height / 2}) rotate(-90)`).text(spec.yLabel);
+      hit.attr("width", width).attr("height", height);
+
+      gGuides
+        .selectAll("line")
+        .data(spec.guides)
+        .join("line")
+        .attr("x1", (l) => x(l[0]))
+        .attr("y1", (l) => y(l[1]))
+        .attr("x2", (l) => x(l[2]))
+        .attr("y2", (l) => y(l[3]));
+
+      if (canvas) {
+        canvas.resize(outerWidth, PANEL_HEIGHT);
+        canvas.draw(spec.points, {
+          x: px,
+          y: py,
+          radius: () => POINT_RADIUS,
+          fill: spec.fill,
+          stroke: () => null,
+          margin: PANEL_MARGIN,
+          width,
+          height,
+        });
+      } else {
+        gPoints
+          .selectAll("circle")
+          .data(spec.points)
+          .join("circle")
+          .attr("r", POINT_RADIUS)
+          .attr("cx", px)
+          .attr("cy", py)
+          .attr("fill", spec.fill);
+      }
+      index = buildPointIndex(spec.points, px, py);
+      byKey = d3.group(spec.points, spec.key);
+    },
+
+    /** Rings around points whose key is selected (blue) or hovered (orange). */
+    highlight(selectedKeys, hoverKey) {
+      if (!spec) return;
+      const rings = [];
+      selectedKeys.forEach((k) => (byKey.get(k) || []).forEach((d) => rings.push({ d, kind: "selected" })));
+      (byKey.get(hoverKey) || []).forEach((d) => rings.push({ d, kind: "hover" }));
+      gRings
+        .selectAll("circle")
+        .data(rings)
+        .join("circle")
+        .attr("r", (r) => (r.kind === "hover" ? 6 : 4.5))
+        .attr("cx", (r) => spec.px(r.d))
+        .attr("cy", (r) => spec.py(r.d))
+        .attr("class", (r) => `ring-${r.kind}`)
+        .attr("fill", "none")
+        .attr("stroke-width", (r) => (r.kind === "hover" ? 2 : 1.5));
+    },
+  };
+}
+
+/** "Only in A" → "Only in <contrast A name>". */
+function categoryLabel(category, pair) {
+  return category.label.replace(/\bA$/, pair.a).replace(/\bB$/, pair.b);
+}
+
+/**
+ * Builds the comparison view inside root, which must contain .compare-grid, .concordance-plot
+ * and .concordance-legend elements.
+ * @param {HTMLElement} root
+ * @param {Object} handlers - onHover(key | null, event, row), onClick(key), onRemove(contrastId),
+ *   onSelectCategory(categoryId)
+ * @returns {{ update: Function, highlight: Function }}
+ */
+export function createCompareView(root, handlers) {
+  const grid = d3.select(root).select(".compare-grid");
+  const legend = d3.select(root).select(".concordance-legend");
+  const panels = new Map(); // contrast id → panel
+  const scatter = createPanel(d3.select(root).select(".concordance-plot"), {
+    onHover: (key, e, r) => handlers.onHover(key, e, r ? r.a : null),
+    onClick: (key) => handlers.onClick(key),
+  });
+
+  function panelWidth(count) {
+    const available = grid.node().clientWidth || PANEL_MIN_WIDTH * 3;
+    const perRow = Math.max(1, Math.min(count, Math.floor(available / PANEL_MIN_WIDTH)));
+    return Math.floor(available / perRow) - 8;
+  }
+
+  return {
+    /**
+     * @param {Object} model
+     * @param {Object[]} model.contrasts - { id, name, data, pCutoff, removable } (rows carry _category)
+     * @param {Function} model.key - Row → match key
+     * @param {Object} model.colors - Volcano category → color
+     * @param {number} model.fcUp - log₂FC cutoff for up (guides at +fcUp)
+     * @param {number} model.fcDown - log₂FC cutoff for down (guides at −fcDown)
+     * @param {number} [model.yCeiling] - −log₁₀ p from which points sit at the top of their panel
+     * @param {Object|null} model.pair - { a, b } contrast names plus the joinContrasts() output, or null
+     * @param {Object[]} model.concordance - CONCORDANCE_CATEGORIES
+     */
+    update(model) {
+      const keep = new Set(model.contrasts.map((c) => c.id));
+      panels.forEach((p, id) => {
+        if (keep.has(id)) return;
+        p.node.remove();
+        panels.delete(id);
+      });
+      const width = panelWidth(model.contrasts.length);
+      const { fcUp, fcDown, yCeiling = Infinity } = model;
+      model.contrasts.forEach((c) => {
+        if (!panels.has(c.id)) {
+          panels.set(
+            c.id,
+            createPanel(grid, {
+              onHover: handlers.onHover,
+              onClick: (key) => handlers.onClick(key),
+              onRemove: c.removable ? () => handlers.onRemove(c.id) : null,
+            })
+          );
+        }
+        const panel = panels.get(c.id);
+        grid.node().appendChild(panel.node);
+        const xExt = d3.extent(c.data, (d) => d.log2FC);
+        const pad = Math.max(0.5, (xExt[1] - xExt[0]) * 0.05);
+        const xDomain = [Math.min(xExt[0] - pad, -fcDown - pad), Math.max(xExt[1] + pad, fcUp + pad)];
+        const yMax = d3.max(c.data, (d) => (d.negLog10P < yCeiling ? d.negLog10P : undefined)) ?? 0;
+        const yDomain = [0, Math.max(2, yMax * 1.05)];
+        const guides = [
+          [fcUp, yDomain[0], fcUp, yDomain[1]],
+          [-fcDown, yDomain[0], -fcDown, yDomain[1]],
+        ];
+        if (c.pCutoff !== null) guides.push([xDomain[0], -Math.log10(c.pCutoff), xDomain[1], -Math.log10(c.pCutoff)]);
+        panel.draw(
+          {
+            title: c.name,
+            points: c.data,
+            key: model.key,
+            x: (d) => d.log2FC,
+            y: (d) => Math.min(d.negLog10P, yDomain[1]),
+            fill: (d) => model.colors[d._category],
+            xDomain,
+            yDomain,
+            guides,
+            xLabel: "log₂ FC",
+            yLabel: "−log₁₀(p)",
+          },
+          width
+        );
+      });
+
+      const pair = model.pair;
+      d3.select(root).select(".concordance").attr("hidden", pair ? null : "");
+      if (!pair) return;
+      const colorOf = Object.fromEntries(model.concordance.map((c) => [c.id, c.color]));
+      const ext = d3.extent(pair.rows.flatMap((r) => [r.a.log2FC, r.b.log2FC]));
+      const lim = Math.max(Math.abs(ext[0] ?? 1), Math.abs(ext[1] ?? 1), fcUp, fcDown) * 1.05;
+      const domain = [-lim, lim];
+      // Neither-significant genes first so concordant and discordant ones sit on top.
+      const order = Object.fromEntries(model.concordance.map((c, i) => [c.id, -i]));
+      scatter.draw(
+        {
+          title: `log₂FC ${pair.a} vs ${pair.b}`,
+          points: pair.rows.slice().sort((r1, r2) => order[r1.category] - order[r2.category]),
+          key: (r) => r.key,
+          x: (r) => r.a.log2FC,
+          y: (r) => r.b.log2FC,
+          fill: (r) => colorOf[r.category],
+          xDomain: domain,
+          yDomain: domain,
+          guides: [
+            [-lim, -lim, lim, lim],
+            [fcUp, -lim, fcUp, lim],
+            [-fcDown, -lim, -fcDown, lim],
+            [-lim, fcUp, lim, fcUp],
+            [-lim, -fcDown, lim, -fcDown],
+          ],
+          xLabel: `log₂FC ${pair.a}`,
+          yLabel: `log₂FC ${pair.b}`,
+        },
+        Math.min(Math.max(width, 320), 420)
+      );
+
+      legend
+        .selectAll("li")
+        .data(model.concordance, (c) => c.id)
+        .join((enter) => {
+          const li = enter.append("li").attr("tabindex", 0).attr("role", "button");
+          li.append("span").attr("class", "swatch").style("background", (c) => c.color);
+          li.append("span").attr("class", "concordance-label");
+          li.append("span").attr("class", "value");
+          li.on("click", (e, c) => handlers.onSelectCategory(c.id)).on("keydown", (e, c) => {
+            if (e.key === "Enter" || e.key === " ") {
+              e.preventDefault();
+              handlers.onSelectCategory(c.id);
+            }
+          });
+          return li;
+        })
+        .attr("title", (c) => `Select the genes in “${categoryLabel(c, pair)}”`)
+        .call((li) => li.select(".concordance-label").text((c) => categoryLabel(c, pair)))
+        .call((li) => li.select(".value").text((c) => pair.counts[c.id]));
+    },
+
+    /** Updates highlight rings in every panel. */
+    highlight(selectedKeys, hoverKey) {
+      panels.forEach((p) => p.highlight(selectedKeys, hoverKey));
+      scatter.highlight(selectedKeys, hoverKey);
+    },
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Multi-contrast comparison: rows from two result sets are matched by a key (id or gene symbol)
+ * and each shared gene gets a concordance category from its significance in both contrasts.
+ */
+
+/** Concordance categories for the log₂FC A vs log₂FC B scatter, in legend order. */
+export const CONCORDANCE_CATEGORIES = [
+  { id: "both_up", label: "Up in both", color: "#3fb950" },
+  { id: "both_down", label: "Down in both", color: "#f85149" },
+  { id: "opposite", label: "Opposite directions", color: "#d2a8ff" },
+  { id: "only_a", label: "Only in A", color: "#58a6ff" },
+  { id: "only_b", label: "Only in B", color: "#ffa657" },
+  { id: "neither", label: "Neither", color: "#484f58" },
+];
+
+/**
+ * Concordance of two volcano categories (sig_up / sig_down / not_sig).
+ * @returns {string} Id from CONCORDANCE_CATEGORIES
+ */
+export function concordanceCategory(catA, catB) {
+  const sigA = catA !== "not_sig";
+  const sigB = catB !== "not_sig";
+  if (sigA && sigB) {
+    if (catA !== catB) return "opposite";
+    return catA === "sig_up" ? "both_up" : "both_down";
+  }
+  if (sigA) return "only_a";
+  if (sigB) return "only_b";
+  return "neither";
+}
+
+/**
+ * Map of key → row. When several rows share a key (e.g. probes of one gene) the first one wins.
+ * @returns {{ byKey: Map<string, Object>, duplicates: number }}
+ */
+export function indexByKey(data, key) {
+  const byKey = new Map();
+  let duplicates = 0;
+  for (const d of data) {
+    const k = key(d);
+    if (byKey.has(k)) duplicates++;
+    else byKey.set(k, d);
+  }
+  return { byKey, duplicates };
+}
+
+/**
+ * Joins two contrasts on a key; rows must carry _category.
+ * @param {Object[]} a - Rows of contrast A
+ * @param {Object[]} b - Rows of contrast B
+ * @param {Function} key - Row → key
+ * @returns {{ rows: Object[], counts: Object<string, number>, onlyInA: number, onlyInB: number }}
+ *   rows as { key, a, b, category } for keys present in both
+ */
+export function joinContrasts(a, b, key) {
+  const indexA = indexByKey(a, key).byKey;
+  const indexB = indexByKey(b, key).byKey;
+  const counts = Object.fromEntries(CONCORDANCE_CATEGORIES.map((c) => [c.id, 0]));
+  const rows = [];
+  indexA.forEach((rowA, k) => {
+    const rowB = indexB.get(k);
+    if (!rowB) return;
+    const category = concordanceCategory(rowA._category, rowB._category);
+    counts[category]++;
+    rows.push({ key: k, a: rowA, b: rowB, category });
+  });
+  return { rows, counts, onlyInA: indexA.size - rows.length, onlyInB: indexB.size - rows.length };
+}
@@ -0,0 +1,95 @@
+/**
+ * Runs data-worker.js tasks in a module worker, with progress callbacks. When a worker can't be
+ * created or fails to load (no Worker, a page opened from file://), the same tasks run on the
+ * main thread instead, so callers always just get a promise.
+ */
+
+import { runDataTask } from "./data-worker.js";
+
+/**
+ * @param {Object} [opts]
+ * @param {URL|string} [opts.workerUrl]
+ * @returns {{ run: Function, terminate: Function }}
+ */
+export function createDataClient({ workerUrl = new URL("./data-worker.js", import.meta.url) } = {}) {
+  let worker = null;
+  let failed = false;
+  let nextId = 1;
+  const pending = new Map(); // message id → { task, payload, onProgress, resolve, reject }
+
+  function runHere(job) {
+    // After a tick, so a progress indicator the caller just showed gets painted first.
+    setTimeout(() => {
+      try {
+        job.resolve(runDataTask(job.task, job.payload, job.onProgress));
+      } catch (err) {
+        job.reject(err);
+      }
+    }, 0);
+  }
+
+  /** The worker didn't load: run what it was given, and everything after, on the main thread. */
+  function fallBack() {
+    failed = true;
+    worker?.terminate();
+    worker = null;
+    const jobs = [...pending.values()];
+    pending.clear();
+    jobs.forEach(runHere);
+  }
+
+  function getWorker() {
+    if (worker || failed) return worker;
+    try {
+      worker = new Worker(workerUrl, { type: "module" });
+    } catch {
+      failed = true;
+      return null;
+    }
+    worker.onmessage = (e) => {
+      const { id, progress, result, error } = e.data;
+      const job = pending.get(id);
+      if (!job) return;
+      if (progress) {
+        job.onProgress(progress);
+        return;
+      }
+      pending.delete(id);
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+    };
+    // Task errors come back as messages, so an error event means the module itself didn't load.
+    worker.onerror = (e) => {
+      e.preventDefault();
+      fallBack();
+    };
+    return worker;
+  }
+
+  return {
+    /**
+     * @param {string} task - See runDataTask()
+     * @param {Object} payload
+     * @param {Function} [onProgress] - ({ stage, fraction }) while the task runs
+     * @returns {Promise<Object>}
+     */
+    run(task, payload, onProgress = () => {}) {
+      return new Promise((resolve, reject) => {
+        const job = { task, payload, onProgress, resolve, reject };
+        const w = typeof Worker === "undefined" ? null : getWorker();
+        if (!w) {
+          runHere(job);
+          return;
+        }
+        const id = nextId++;
+        pending.set(id, job);
+        w.postMessage({ id, task, payload });
+      });
+    },
+
+    terminate() {
+      worker?.terminate();
+      worker = null;
+    },
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * Import of differential-expression results (DESeq2, edgeR, limma, ...) from CSV/TSV text.
+ * Produces rows in the same shape as generateData(): id, geneSymbol, log2FC, pval, plus baseMean
+ * when a mean-expression column is mapped (fdr and negLog10P are filled in by the caller once
+ * adjustment has run).
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- Column detection ---
+/** Roles a column can be mapped to. log2FC and pval are required. */
+export const COLUMN_ROLES = ["id", "geneSymbol", "log2FC", "pval", "padj", "baseMean"];
+export const REQUIRED_ROLES = ["log2FC", "pval"];
+
+export const ROLE_LABELS = {
+  id: "Feature id",
+  geneSymbol: "Gene symbol",
+  log2FC: "log₂ fold change",
+  pval: "p-value",
+  padj: "Adjusted p-value",
+  baseMean: "Mean expression",
+};
+
+// Aliases are compared after normalizeHeader(), so "adj.P.Val" matches "adjpval".
+const COLUMN_ALIASES = {
+  id: ["id", "geneid", "ensemblgeneid", "ensemblid", "ensembl", "featureid", "feature", "probeid", "rownames", "x", ""],
+  geneSymbol: ["genesymbol", "symbol", "gene", "genename", "hgncsymbol", "externalgenename", "mgisymbol", "name"],
+  log2FC: ["log2foldchange", "logfc", "log2fc", "log2ratio", "lfc", "foldchangelog2", "logfoldchange"],
+  pval: ["pvalue", "pval", "p", "rawp", "rawpvalue", "pvalues"],
+  padj: ["padj", "adjpval", "adjpvalue", "fdr", "qvalue", "qval", "padjust", "adjustedpvalue", "bh"],
+  baseMean: ["basemean", "aveexpr", "logcpm", "meanexpression", "avgexpr", "averageexpression", "meanexpr"],
+};
+
+function normalizeHeader(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Maps each role to the first header matching one of its aliases.
+ * @param {string[]} columns - Header names in file order
+ * @returns {Object<string, string|null>} role → column name (null when not found)
+ */
+export function detectColumns(columns) {
+  const mapping = {};
+  const used = new Set();
+  for (const role of COLUMN_ROLES) {
+    mapping[role] = null;
+    for (const alias of COLUMN_ALIASES[role]) {
+      const col = columns.find((c) => !used.has(c) && normalizeHeader(c) === alias);
+      if (col !== undefined) {
+        mapping[role] = col;
+        used.add(col);
+        break;
+      }
+    }
+  }
+  return mapping;
+}
+
+export function isMappingComplete(mapping) {
+  return REQUIRED_ROLES.every((role) => mapping[role] != null);
+}
+
+// --- Parsing ---
+function detectDelimiter(text, fileName = "") {
+  const ext = fileName.toLowerCase().split(".").pop();
+  if (ext === "tsv" || ext === "tab") return "\t";
+  if (ext === "csv") return ",";
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = ["\t", ",", ";"].map((c) => [c, firstLine.split(c).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+/**
+ * Parses delimited text (comma, tab or semicolon; quoted fields allowed).
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to pick the delimiter from the extension
+ * @returns {{ columns: string[], rows: Object[], delimiter: string }}
+ */
+export function parseTable(text, fileName) {
+  const clean = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(clean, fileName);
+  const rows = d3.dsvFormat(delimiter).parse(clean);
+  return { columns: rows.columns || [], rows, delimiter };
+}
+
+// --- Row conversion ---
+const NA_TOKENS = new Set(["", "na", "nan", "null", "none", "n/a", "."]);
+
+function parseNumber(value) {
+  if (value == null) return NaN;
+  const s = String(value).trim();
+  if (NA_TOKENS.has(s.toLowerCase())) return NaN;
+  if (/^[+-]?inf(inity)?$/i.test(s)) return s.startsWith("-") ? -Infinity : Infinity;
+  return Number(s);
+}
+
+/** p-values of exactly 0 are floored here so -log10(p) stays finite. */
+export const P_VALUE_FLOOR = 1e-300;
+
+export const SKIP_REASONS = {
+  missingLog2FC: "missing or non-numeric log₂FC",
+  missingPval: "missing (NA) p-value",
+  invalidPval: "p-value outside [0, 1]",
+};
+
+const MAX_EXAMPLE_LINES = 5;
+
+/** Id and gene symbol a row names itself, before duplicate ids are renamed. */
+function rowIdentity(row, mapping, line) {
+  const symbolRaw = mapping.geneSymbol != null ? String(row[mapping.geneSymbol] ?? "").trim() : "";
+  const idRaw = mapping.id != null ? String(row[mapping.id] ?? "").trim() : "";
+  const geneSymbol = symbolRaw && !NA_TOKENS.has(symbolRaw.toLowerCase()) ? symbolRaw : idRaw || null;
+  return { id: idRaw || geneSymbol || `row_${line}`, geneSymbol };
+}
+
+/**
+ * Converts parsed rows to plot rows using a column mapping.
+ *
+ * Row policy:
+ * - log2FC missing/NA/non-finite → row skipped
+ * - p-value missing/NA → row skipped; outside [0, 1] → row skipped
+ * - p-value of 0 → kept, floored at P_VALUE_FLOOR
+ * - adjusted p-value NA (e.g. DESeq2 independent filtering) → kept, treated as 1
+ * - mean expression NA → kept, baseMean null (fails any minimum-expression filter)
+ * - columns without a role → kept as raw text in d.fields, for coloring and rule-based categories
+ * - missing id → gene symbol, else "row_<line>"; duplicate ids get the first free "_2", "_3", ... suffix
+ *   (one no other row of the file has as its id)
+ *
+ * @param {Object[]} rows - Output of parseTable() (its columns property lists the header)
+ * @param {Object<string, string|null>} mapping - role → column name
+ * @returns {{ data: Object[], hasPadj: boolean, report: Object }}
+ */
+export function rowsToData(rows, mapping) {
+  const hasPadj = mapping.padj != null;
+  const hasBaseMean = mapping.baseMean != null;
+  const mapped = new Set(Object.values(mapping));
+  const extraColumns = (rows.columns || []).filter((col) => col && !mapped.has(col));
+  const report = {
+    total: rows.length,
+    kept: 0,
+    skipped: {},
+    flooredPvals: 0,
+    naPadj: 0,
+    renamedIds: 0,
+  };
+  const skip = (reason, line) => {
+    const entry = report.skipped[reason] || (report.skipped[reason] = { count: 0, lines: [] });
+    entry.count++;
+    if (entry.lines.length < MAX_EXAMPLE_LINES) entry.lines.push(line);
+  };
+  const fileIds = new Set(rows.map((row, i) => rowIdentity(row, mapping, i + 2).id));
+  const usedIds = new Set();
+  const nextSuffix = new Map(); // id → next suffix to try for its duplicates
+  const data = [];
+
+  rows.forEach((row, i) => {
+    const line = i + 2; // 1-based, after the header line
+    const log2FC = parseNumber(row[mapping.log2FC]);
+    if (!Number.isFinite(log2FC)) return skip("missingLog2FC", line);
+    let pval = parseNumber(row[mapping.pval]);
+    if (Number.isNaN(pval)) return skip("missingPval", line);
+    if (pval < 0 || pval > 1) return skip("invalidPval", line);
+    if (pval === 0) {
+      pval = P_VALUE_FLOOR;
+      report.flooredPvals++;
+    }
+
+    const { id: ownId, geneSymbol } = rowIdentity(row, mapping, line);
+    let id = ownId;
+    if (usedIds.has(id)) {
+      // First suffix that no earlier row took and no row of the file has as its own id.
+      let n = nextSuffix.get(ownId) || 2;
+      while (usedIds.has(`${ownId}_${n}`) || fileIds.has(`${ownId}_${n}`)) n++;
+      nextSuffix.set(ownId, n + 1);
+      id = `${ownId}_${n}`;
+      report.renamedIds++;
+    }
+    usedIds.add(id);
+
+    const d = { id, geneSymbol: geneSymbol || id, log2FC, pval };
+    if (hasPadj) {
+      const padj = parseNumber(row[mapping.padj]);
+      if (Number.isFinite(padj) && padj >= 0 && padj <= 1) {
+        d.padj = padj;
+      } else {
+        d.padj = 1;
+        report.naPadj++;
+      }
+    }
+    if (hasBaseMean) {
+      const baseMean = parseNumber(row[mapping.baseMean]);
+      d.baseMean = Number.isFinite(baseMean) ? baseMean : null;
+    }
+    if (extraColumns.length > 0) {
+      d.fields = {};
+      extraColumns.forEach((col) => (d.fields[col] = String(row[col] ?? "").trim()));
+    }
+    data.push(d);
+  });
+
+  report.kept = data.length;
+  return { data, hasPadj, report };
+}
+
+/**
+ * One-line summary plus per-reason details for the import status area.
+ * @returns {{ summary: string, details: string[] }}
+ */
+export function describeImportReport(name, report) {
+  const skippedTotal = Object.values(report.skipped).reduce((s, e) => s + e.count, 0);
+  const fmt = d3.format(",");
+  let summary = `Loaded ${name}: ${fmt(report.kept)} of ${fmt(report.total)} rows`;
+  summary += skippedTotal > 0 ? `, skipped ${fmt(skippedTotal)}.` : ".";
+  const details = Object.entries(report.skipped).map(([reason, e]) => {
+    const more = e.count > e.lines.length ? ", …" : "";
+    return `${fmt(e.count)} × ${SKIP_REASONS[reason]} (line ${e.lines.join(", ")}${more})`;
+  });
+  if (report.flooredPvals > 0) details.push(`${fmt(report.flooredPvals)} × p = 0 floored at ${P_VALUE_FLOOR}`);
+  if (report.naPadj > 0) details.push(`${fmt(report.naPadj)} × NA adjusted p-value treated as 1`);
+  if (report.renamedIds > 0) details.push(`${fmt(report.renamedIds)} × duplicate id renamed with a numeric suffix`);
+  return { summary, details };
+}
@@ -0,0 +1,176 @@
+/**
+ * Per-dataset index: row order by p-value and by log₂ FC, sorted once per dataset (in the data
+ * worker for generated and imported data). With it the threshold line is a binary search, top-N
+ * labels are the first significant rows in p order, and a threshold change only reclassifies
+ * the rows between the old and the new cutoff.
+ */
+
+import { getCategory } from "./thresholds.js";
+
+/**
+ * Row indices in ascending order of values; ties keep row order and NaN sorts last.
+ * @param {ArrayLike<number>} values
+ * @returns {Uint32Array}
+ */
+export function sortedOrder(values) {
+  const keys = Float64Array.from(values, (v) => (Number.isNaN(v) ? Infinity : v));
+  return new Uint32Array(keys.length)
+    .map((_, i) => i)
+    .sort((a, b) => (keys[a] < keys[b] ? -1 : keys[a] > keys[b] ? 1 : a - b));
+}
+
+/** Number of values ≤ v in an ascending array. */
+function countAtMost(sorted, v) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] <= v) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** Number of values < v in an ascending array. */
+function countBelow(sorted, v) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] < v) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * @param {Object[]} data - Rows with pval, log2FC and fdr
+ * @param {{ byP?: Uint32Array, byFC?: Uint32Array }} [orders] - Precomputed sortedOrder() results (from the worker)
+ */
+export function createDataIndex(data, { byP = null, byFC = null } = {}) {
+  const pOrder = byP && byP.length === data.length ? byP : sortedOrder(data.map((d) => d.pval));
+  const fcOrder = byFC && byFC.length === data.length ? byFC : sortedOrder(data.map((d) => d.log2FC));
+  const index = {
+    data,
+    byP: pOrder,
+    byFC: fcOrder,
+    sortedP: Float64Array.from(pOrder, (i) => data[i].pval),
+    sortedFC: Float64Array.from(fcOrder, (i) => (Number.isNaN(data[i].log2FC) ? Infinity : data[i].log2FC)),
+    /** d.fdr in p order; null until adjustedChanged() */
+    sortedAdjusted: null,
+    /** Whether adjusted values never decrease in p order (every correction here, not always a file's padj). */
+    adjustedMonotone: false,
+    /** Bumped by adjustedChanged(), so classifiers know to start over. */
+    version: 0,
+    /** Bumped by a classifier whenever it changes some row's d._category, for views that follow the categories. */
+    categoryVersion: 0,
+    /** Call after rewriting d.fdr (a new correction method). */
+    adjustedChanged() {
+      index.sortedAdjusted = Float64Array.from(pOrder, (i) => data[i].fdr);
+      let monotone = true;
+      for (let k = 1; k < pOrder.length && monotone; k++) {
+        monotone = index.sortedAdjusted[k] >= index.sortedAdjusted[k - 1];
+      }
+      index.adjustedMonotone = monotone;
+      index.version++;
+    },
+    /**
+     * pvalueAtFdrThreshold() by binary search: the rows passing a monotone adjustment are a
+     * prefix in p order, so the cutoff is the last p of that prefix. Undefined when the adjusted
+     * values aren't monotone, for the caller to scan instead.
+     */
+    pValueCutoff(alpha) {
+      if (!index.adjustedMonotone) return undefined;
+      const k = countAtMost(index.sortedAdjusted, alpha);
+      return k === 0 ? null : index.sortedP[k - 1];
+    },
+    /** The adjusted p of the least significant row with pval ≤ p (0 when none), as alphaForPValue(). */
+    alphaForPValue(p) {
+      const k = countAtMost(index.sortedP, p);
+      return k === 0 ? 0 : data[pOrder[k - 1]].fdr;
+    },
+    /** First n rows in p order whose d._category is significant. */
+    topSignificant(n) {
+      const rows = [];
+      for (let k = 0; k < pOrder.length && rows.length < n; k++) {
+        const d = data[pOrder[k]];
+        if (d._category !== "not_sig") rows.push(d);
+      }
+      return rows;
+    },
+  };
+  index.adjustedChanged();
+  return index;
+}
+
+/**
+ * Keeps d._category and the category counts of an index's rows up to date. A change of fcUp,
+ * fcDown or alpha reclassifies only the rows between the old and new cutoff (found by binary
+ * search); anything else — pMode, minBaseMean, new adjusted values — reclassifies every row.
+ * @param {Object} index - createDataIndex() result
+ */
+export function createClassifier(index) {
+  let last = null;
+  let version = -1;
+  let counts = null;
+
+  function classifyAll(t) {
+    counts = { sig_up: 0, sig_down: 0, not_sig: 0, belowMinMean: 0 };
+    let changed = false;
+    for (const d of index.data) {
+      const next = getCategory(d, t);
+      if (next !== d._category) changed = true;
+      d._category = next;
+      counts[next]++;
+      if (t.minBaseMean > 0 && d.baseMean !== undefined && !(d.baseMean >= t.minBaseMean)) counts.belowMinMean++;
+    }
+    if (changed) index.categoryVersion++;
+  }
+
+  /** Rows at positions [from, to) of an order, reclassified. */
+  function reclassify(order, from, to, t) {
+    let changed = false;
+    for (let k = from; k < to; k++) {
+      const d = index.data[order[k]];
+      const next = getCategory(d, t);
+      if (next === d._category) continue;
+      counts[d._category]--;
+      counts[next]++;
+      d._category = next;
+      changed = true;
+    }
+    if (changed) index.categoryVersion++;
+  }
+
+  /** Positions of an ascending array with values in [a, b] (either order). */
+  const between = (sorted, a, b) => [countBelow(sorted, Math.min(a, b)), countAtMost(sorted, Math.max(a, b))];
+
+  return {
+    /**
+     * @param {Object} t - Thresholds with fcDown resolved
+     * @returns {{ sig_up: number, sig_down: number, not_sig: number, belowMinMean: number }}
+     */
+    update(t) {
+      const adjustedAlpha = t.pMode === "adjusted";
+      const full =
+        !last ||
+        version !== index.version ||
+        t.pMode !== last.pMode ||
+        t.minBaseMean !== last.minBaseMean ||
+        (t.alpha !== last.alpha && adjustedAlpha && !index.adjustedMonotone);
+      if (full) {
+        classifyAll(t);
+      } else {
+        if (t.fcUp !== last.fcUp) reclassify(index.byFC, ...between(index.sortedFC, last.fcUp, t.fcUp), t);
+        if (t.fcDown !== last.fcDown) reclassify(index.byFC, ...between(index.sortedFC, -last.fcDown, -t.fcDown), t);
+        if (t.alpha !== last.alpha) {
+          const sorted = adjustedAlpha ? index.sortedAdjusted : index.sortedP;
+          reclassify(index.byP, ...between(sorted, last.alpha, t.alpha), t);
+        }
+      }
+      last = { ...t };
+      version = index.version;
+      return { ...counts };
+    },
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Data tasks that are too slow for the main thread on large datasets: parsing result files,
+ * generating synthetic data, sorting the per-dataset orders of data-index.js and multiple-testing
+ * corrections. Loaded as a
+ * module worker by data-client.js, which also runs runDataTask() directly when workers aren't
+ * available.
+ *
+ * Worker messages in: { id, task, payload }. Out: { id, progress: { stage, fraction } } while
+ * working, then { id, result } or { id, error }.
+ */
+
+import { generateData } from "./synthetic-data.js";
+import { detectColumns, isMappingComplete, parseTable, rowsToData } from "./data-import.js";
+import { sortedOrder } from "./data-index.js";
+import { adjustPValues } from "./adjust.js";
+
+/** Row orders by p-value and log₂ FC, for createDataIndex(). */
+function orders(data) {
+  return { byP: sortedOrder(data.map((d) => d.pval)), byFC: sortedOrder(data.map((d) => d.log2FC)) };
+}
+
+const TASKS = {
+  /** { params, seed } → { data, byP, byFC } */
+  generate({ params, seed }, progress) {
+    const data = generateData(params, seed, (done, total) => progress("Generating rows", (0.9 * done) / total));
+    progress("Sorting", 0.9);
+    return { data, ...orders(data) };
+  },
+
+  /**
+   * { text, fileName, mapping, previewRows } → { columns, rows: 0 } for a file without rows;
+   * { columns, mapping, preview } when the mapping is incomplete (for the mapping dialog); else
+   * { columns, mapping, data, hasPadj, report, byP, byFC }. mapping null = detect from the header.
+   */
+  import({ text, fileName, mapping = null, previewRows = 5 }, progress) {
+    progress("Parsing", 0);
+    const table = parseTable(text, fileName);
+    if (table.rows.length === 0) return { columns: table.columns, rows: 0 };
+    const roles = mapping || detectColumns(table.columns);
+    if (!isMappingComplete(roles)) {
+      return { columns: table.columns, mapping: roles, preview: table.rows.slice(0, previewRows) };
+    }
+    progress("Converting rows", 0.5);
+    const { data, hasPadj, report } = rowsToData(table.rows, roles);
+    data.forEach((d) => {
+      d.negLog10P = -Math.log10(d.pval);
+    });
+    progress("Sorting", 0.8);
+    return { columns: table.columns, mapping: roles, data, hasPadj, report, ...orders(data) };
+  },
+
+  /** { pvals, log2FC } → { byP, byFC } (rows restored from a session file) */
+  orders({ pvals, log2FC }) {
+    return { byP: sortedOrder(pvals), byFC: sortedOrder(log2FC) };
+  },
+
+  /**
+   * { sets: [{ method, pvals, order }] } → { sets: [{ adjusted, pi0 }] }, one per dataset; order is
+   * its index's byP. A "file" set has no pvals and gets adjusted null (the rows keep their padj).
+   */
+  adjust({ sets }, progress) {
+    return {
+      sets: sets.map(({ method, pvals, order }, i) => {
+        progress("Adjusting p-values", i / sets.length);
+        if (method === "file") return { adjusted: null, pi0: null };
+        const { adjusted, pi0 } = adjustPValues(pvals, method, order);
+        return { adjusted: Float64Array.from(adjusted), pi0 };
+      }),
+    };
+  },
+};
+
+/**
+ * @param {string} task - "generate", "import", "orders" or "adjust"
+ * @param {Object} payload
+ * @param {Function} [onProgress] - ({ stage, fraction }) as the task goes
+ * @returns {Object} The task's result
+ */
+export function runDataTask(task, payload, onProgress = () => {}) {
+  const run = TASKS[task];
+  if (!run) throw new Error(`Unknown data task "${task}".`);
+  return run(payload, (stage, fraction) => onProgress({ stage, fraction }));
+}
+
+// Only when loaded as a worker (the main thread imports runDataTask for its fallback).
+if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+  self.onmessage = (e) => {
+    const { id, task, payload } = e.data;
+    try {
+      const result = runDataTask(task, payload, (progress) => self.postMessage({ id, progress }));
+      const arrays = [result.byP, result.byFC, ...(result.sets || []).map((s) => s.adjusted)];
+      const transfer = arrays.filter(Boolean).map((a) => a.buffer);
+      self.postMessage({ id, result }, transfer);
+    } catch (err) {
+      self.postMessage({ id, error: err?.message || String(err) });
+    }
+  };
+}
@@ -0,0 +1,409 @@
+/**
+ * Publication figure export: builds a standalone SVG of the current view (points, thresholds,
+ * labels, axes, legend) with every style written as an attribute, and rasterizes it to PNG.
+ * The SVG is generated from plot state rather than cloned from the page, so the same state
+ * always serializes to the same bytes regardless of transitions or the canvas rendering path.
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { buildPointIndex, pointsInRect } from "./canvas-points.js";
+import { layoutLabels, leaderEnd } from "./label-layout.js";
+import { buildYScale, hasBreak, isCapped, markerAngle, plotLog2FC, trianglePath, yCeiling, yTicks } from "./axis-scales.js";
+
+/** SVG user units per inch (CSS pixels), so font sizes read as on screen. */
+const UNITS_PER_INCH = 96;
+
+export const FIGURE_THEMES = {
+  print: {
+    label: "Print (light)",
+    background: "#ffffff",
+    text: "#111111",
+    axis: "#333333",
+    threshold: "#666666",
+    labelHalo: "#ffffff",
+    pointStroke: "#111111",
+    category: { sig_up: "#2b8a3e", sig_down: "#d6336c", not_sig: "#b8bcc2" },
+  },
+};
+
+/**
+ * A figure theme with the screen's colors, from a theme of themes.js.
+ * @param {Object} theme - { tokens } from THEMES
+ * @param {Object} [category] - Category fills (default: the theme's)
+ */
+export function screenFigureTheme(theme, category = null) {
+  const t = theme.tokens;
+  return {
+    label: `${theme.label} (as on screen)`,
+    background: t.bg,
+    text: t.text,
+    axis: t.axisLabel,
+    threshold: t.threshold,
+    labelHalo: t.labelHalo,
+    pointStroke: t.pinned,
+    category: category || { sig_up: t.sigUp, sig_down: t.sigDown, not_sig: t.notSig },
+  };
+}
+
+export const DEFAULT_FIGURE_OPTIONS = {
+  theme: "print",
+  title: "",
+  xLabel: "log₂ fold change",
+  yLabel: "−log₁₀(p-value)",
+  fontSize: 12,
+  widthIn: 6,
+  heightIn: 4.5,
+  dpi: 300,
+  legend: true,
+};
+
+const LEGEND_ENTRIES = [
+  { key: "sig_up", text: "Significant up" },
+  { key: "sig_down", text: "Significant down" },
+  { key: "not_sig", text: "Not significant" },
+];
+
+// Two decimals keep the file small and the output stable across floating-point noise.
+const round = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Builds the figure as a standalone SVG string.
+ * @param {Object} model - points (rows with log2FC, negLog10P, _category), highlighted (Set of ids),
+ *   labels ([{ id, text, x, y }] in data units), labelFontSize plus labelOffsets / previousLabelOffsets
+ *   (on-screen pixel offsets, rescaled to the figure's label size), xDomain, yDomain, fcUp and
+ *   fcDown (log₂FC cutoffs, lines at +fcUp and −fcDown), pCutoff (raw p or null), axis (the plot's
+ *   AxisOptions from axis-scales.js plus breakAt, the break of a broken y axis or null); optionally
+ *   fill (row → color, replacing the theme's category colors), size (row → radius multiplier) and
+ *   legend ([{ color, text }] replacing the category entries)
+ * @param {Object} options - See DEFAULT_FIGURE_OPTIONS; theme is a key of FIGURE_THEMES or a theme
+ *   object of the same shape (see screenFigureTheme())
+ * @returns {string}
+ */
+export function buildFigureSvg(model, options) {
+  const opts = { ...DEFAULT_FIGURE_OPTIONS, ...options };
+  const theme = typeof opts.theme === "object" ? opts.theme : FIGURE_THEMES[opts.theme] || FIGURE_THEMES.print;
+  const fs = opts.fontSize;
+  const W = Math.round(opts.widthIn * UNITS_PER_INCH);
+  const H = Math.round(opts.heightIn * UNITS_PER_INCH);
+  const margin = {
+    top: opts.title ? fs * 2.6 : fs,
+    right: fs * 1.2,
+    bottom: fs * 3.4,
+    left: fs * 4.2,
+  };
+  const width = W - margin.left - margin.right;
+  const height = H - margin.top - margin.bottom;
+  const axis = model.axis || { yScale: "linear", yCap: null, xClip: null, breakAt: null };
+  // Capped points get a band above the axis, as on screen.
+  const cappedCount = model.points.filter((d) => isCapped(d.negLog10P, axis)).length;
+  const band = cappedCount > 0 ? round(fs * 1.5) : 0;
+  const x = d3.scaleLinear().domain(model.xDomain).range([0, width]);
+  const y = buildYScale(axis.yScale, model.yDomain, [height, band], axis.breakAt);
+  const px = (log2FC) => x(plotLog2FC(log2FC, axis));
+  const py = (negLog10P) => (isCapped(negLog10P, axis) ? band / 2 : y(negLog10P));
+  const fontFamily = "Helvetica, Arial, sans-serif";
+
+  const root = d3
+    .create("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", `${opts.widthIn}in`)
+    .attr("height", `${opts.heightIn}in`)
+    .attr("viewBox", `0 0 ${W} ${H}`)
+    .attr("font-family", fontFamily);
+  root.append("rect").attr("width", W).attr("height", H).attr("fill", theme.background);
+  root
+    .append("defs")
+    .append("clipPath")
+    .attr("id", "figure-plot-clip")
+    .append("rect")
+    .attr("width", round(width))
+    .attr("height", round(height));
+
+  if (opts.title) {
+    root
+      .append("text")
+      .attr("x", round(W / 2))
+      .attr("y", round(fs * 1.6))
+      .attr("text-anchor", "middle")
+      .attr("font-size", round(fs * 1.25))
+      .attr("font-weight", "bold")
+      .attr("fill", theme.text)
+      .text(opts.title);
+  }
+
+  const plot = root.append("g").attr("transform", `translate(${round(margin.left)},${round(margin.top)})`);
+  const clipped = plot.append("g").attr("clip-path", "url(#figure-plot-clip)");
+
+  // Thresholds
+  const lines = [];
+  if (model.fcUp != null) lines.push([x(model.fcUp), 0, x(model.fcUp), height]);
+  if (model.fcDown != null) lines.push([x(-model.fcDown), 0, x(-model.fcDown), height]);
+  if (model.pCutoff != null) {
+    const yCut = y(-Math.log10(model.pCutoff));
+    lines.push([0, yCut, width, yCut]);
+  }
+  clipped
+    .append("g")
+    .selectAll("line")
+    .data(lines)
+    .join("line")
+    .attr("x1", (l) => round(l[0]))
+    .attr("y1", (l) => round(l[1]))
+    .attr("x2", (l) => round(l[2]))
+    .attr("y2", (l) => round(l[3]))
+    .attr("stroke", theme.threshold)
+    .attr("stroke-width", 1)
+    .attr("stroke-dasharray", "4 2");
+
+  // Points: not significant first so colored points sit on top; highlighted last.
+  const [x0, x1] = x.domain();
+  const [y0, y1] = model.yDomain;
+  const order = { not_sig: 0, sig_down: 1, sig_up: 1 };
+  const inView = (d) => {
+    const fc = plotLog2FC(d.log2FC, axis);
+    return fc >= x0 && fc <= x1 && (isCapped(d.negLog10P, axis) || (d.negLog10P >= y0 && d.negLog10P <= y1));
+  };
+  const visible = model.points
+    .filter(inView)
+    .map((d, i) => ({ d, i, z: model.highlighted.has(d.id) ? 2 : order[d._category] }))
+    .sort((a, b) => a.z - b.z || a.i - b.i);
+  const r = round(fs / 4);
+  const radius = ({ d, z }) => (model.size ? model.size(d) : 1) * (z === 2 ? r * 1.4 : r);
+  const pointsG = clipped.append("g");
+  const styled = (sel) =>
+    sel
+      .attr("fill", ({ d }) => (model.fill ? model.fill(d) : theme.category[d._category]))
+      .attr("stroke", ({ z }) => (z === 2 ? theme.pointStroke : null))
+      .attr("stroke-width", ({ z }) => (z === 2 ? 1 : null));
+  pointsG
+    .selectAll("circle")
+    .data(visible.filter(({ d }) => markerAngle(d, axis) === null))
+    .join("circle")
+    .attr("cx", ({ d }) => round(px(d.log2FC)))
+    .attr("cy", ({ d }) => round(py(d.negLog10P)))
+    .attr("r", (v) => round(radius(v)))
+    .call(styled);
+  // Off-scale points: triangles at the top band or the x edges, on top of the rest.
+  pointsG
+    .selectAll("path")
+    .data(visible.filter(({ d }) => markerAngle(d, axis) !== null))
+    .join("path")
+    .attr("transform", ({ d }) => `translate(${round(px(d.log2FC))},${round(py(d.negLog10P))})`)
+    .attr("d", (v) => trianglePath(radius(v), markerAngle(v.d, axis)))
+    .call(styled);
+
+  // Labels: same layout engine as the screen, seeded with the on-screen offsets
+  const labelSize = round(fs * 0.8);
+  const k = labelSize / (model.labelFontSize || labelSize);
+  const scaled = (offsets) =>
+    new Map([...(offsets || [])].map(([id, o]) => [id, { dx: o.dx * k, dy: o.dy * k }]));
+  const figureIndex = buildPointIndex(
+    visible.map((v) => v.d),
+    (d) => px(d.log2FC),
+    (d) => py(d.negLog10P)
+  );
+  const placed = layoutLabels(
+    model.labels.map((l) => ({ id: l.id, text: l.text, x: px(l.x), y: py(l.y) })),
+    {
+      width,
+      height,
+      fontSize: labelSize,
+      fixed: scaled(model.labelOffsets),
+      previous: scaled(model.previousLabelOffsets),
+      countPoints: (bx0, by0, bx1, by1) => pointsInRect(figureIndex, bx0, by0, bx1, by1).length,
+    }
+  );
+  const labelG = plot.append("g").attr("font-size", labelSize).attr("text-anchor", "middle");
+  placed.forEach((l) => {
+    const lx = round(l.x + l.dx);
+    const ly = round(l.y + l.dy + labelSize * 0.35);
+    if (l.leader) {
+      const end = leaderEnd(l);
+      labelG
+        .append("line")
+        .attr("x1", round(l.x))
+        .attr("y1", round(l.y))
+        .attr("x2", round(end.x))
+        .attr("y2", round(end.y))
+        .attr("stroke", theme.axis)
+        .attr("stroke-width", 0.75);
+    }
+    labelG
+      .append("text")
+      .attr("x", lx)
+      .attr("y", ly)
+      .attr("fill", "none")
+      .attr("stroke", theme.labelHalo)
+      .attr("stroke-width", 3)
+      .attr("stroke-linejoin", "round")
+      .text(l.text);
+    labelG.append("text").attr("x", lx).attr("y", ly).attr("fill", theme.text).text(l.text);
+  });
+
+  // Axes (d3.axis uses currentColor, so the group's color attribute sets the theme)
+  const tickSize = round(fs * 0.85);
+  plot
+    .append("g")
+    .attr("transform", `translate(0,${round(height)})`)
+    .attr("color", theme.axis)
+    .call(d3.axisBottom(x).ticks(8))
+    .attr("font-size", tickSize)
+    .attr("font-family", fontFamily);
+  plot
+    .append("g")
+    .attr("color", theme.axis)
+    .call(d3.axisLeft(y).tickValues(yTicks(y)).tickFormat(d3.format("~g")))
+    .attr("font-size", tickSize)
+    .attr("font-family", fontFamily);
+  // Axis breaks: "//" on the y axis under the capped band and at a broken axis's break (with a dashed line).
+  const breaks = [];
+  if (band > 0) breaks.push({ y: band, line: false });
+  if (hasBreak(y)) breaks.push({ y: y(y.domain()[1]), line: true });
+  breaks.forEach((b) => {
+    const g = plot.append("g").attr("transform", `translate(0,${round(b.y)})`);
+    if (b.line) {
+      g.append("line")
+        .attr("x2", round(width))
+        .attr("stroke", theme.threshold)
+        .attr("stroke-width", 0.5)
+        .attr("stroke-dasharray", "2 3");
+    }
+    g.append("path")
+      .attr("d", "M-5,1L5,-3M-5,5L5,1")
+      .attr("stroke", theme.axis)
+      .attr("fill", "none");
+  });
+  if (band > 0) {
+    plot
+      .append("text")
+      .attr("x", round(-fs * 0.6))
+      .attr("y", round(band / 2 + tickSize * 0.32))
+      .attr("text-anchor", "end")
+      .attr("font-size", tickSize)
+      .attr("fill", theme.text)
+      .text(`≥${d3.format("~g")(yCeiling(axis))}`);
+  }
+  plot
+    .append("text")
+    .attr("x", round(width / 2))
+    .attr("y", round(height + fs * 2.8))
+    .attr("text-anchor", "middle")
+    .attr("font-size", fs)
+    .attr("fill", theme.text)
+    .text(opts.xLabel);
+  plot
+    .append("text")
+    .attr("transform", `translate(${round(-fs * 3.2)},${round(height / 2)}) rotate(-90)`)
+    .attr("text-anchor", "middle")
+    .attr("font-size", fs)
+    .attr("fill", theme.text)
+    .text(opts.yLabel);
+
+  if (opts.legend) {
+    const counts = d3.rollup(model.points, (v) => v.length, (d) => d._category);
+    const entries =
+      model.legend ||
+      LEGEND_ENTRIES.map((e) => ({ color: theme.category[e.key], text: `${e.text} (${counts.get(e.key) || 0})` }));
+    const rowH = round(fs * 1.3);
+    const legend = plot
+      .append("g")
+      .attr("transform", `translate(${round(width - fs * 11)},${round(fs * 0.6)})`)
+      .attr("font-size", round(fs * 0.85));
+    legend
+      .append("rect")
+      .attr("x", round(-fs * 0.5))
+      .attr("y", round(-fs * 0.5))
+      .attr("width", round(fs * 11.2))
+      .attr("height", round(rowH * entries.length + fs * 0.4))
+      .attr("fill", theme.background)
+      .attr("fill-opacity", 0.85)
+      .attr("stroke", theme.axis)
+      .attr("stroke-width", 0.5);
+    entries.forEach((entry, i) => {
+      const row = legend.append("g").attr("transform", `translate(0,${round(i * rowH)})`);
+      row.append("circle").attr("cx", round(fs * 0.3)).attr("cy", round(fs * 0.35)).attr("r", round(fs * 0.3)).attr("fill", entry.color);
+      row
+        .append("text")
+        .attr("x", round(fs * 1))
+        .attr("y", round(fs * 0.65))
+        .attr("fill", theme.text)
+        .text(entry.text);
+    });
+  }
+
+  const markup = new XMLSerializer().serializeToString(root.node());
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${markup}\n`;
+}
+
+/** Pixel size of the PNG for the chosen physical size and DPI. */
+export function pngSize(options) {
+  const opts = { ...DEFAULT_FIGURE_OPTIONS, ...options };
+  return { width: Math.round(opts.widthIn * opts.dpi), height: Math.round(opts.heightIn * opts.dpi) };
+}
+
+/**
+ * Rasterizes the SVG string to a PNG blob at widthIn × heightIn inches and the given DPI.
+ * @returns {Promise<Blob>}
+ */
+export function svgToPng(svgString, options) {
+  const opts = { ...DEFAULT_FIGURE_OPTIONS, ...options };
+  const { width, height } = pngSize(opts);
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svgString], { type: "image/svg+xml;charset=utf-8" }));
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d");
+      if (!ctx) return reject(new Error("Canvas is not available in this browser."));
+      ctx.drawImage(img, 0, 0, width, height);
+      canvas.toBlob((blob) => {
+        if (!blob) return reject(new Error("PNG encoding failed."));
+        blob.arrayBuffer().then((buf) => resolve(new Blob([withPngDpi(new Uint8Array(buf), opts.dpi)], { type: "image/png" })));
+      }, "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The figure SVG could not be rendered."));
+    };
+    img.src = url;
+  });
+}
+
+// --- PNG physical size (pHYs chunk) so the DPI survives into layout software ---
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Inserts a pHYs chunk (pixels per metre) after IHDR. Returns the input unchanged if it isn't a PNG. */
+function withPngDpi(png, dpi) {
+  const IHDR_END = 8 + 25; // signature + IHDR chunk (4 len + 4 type + 13 data + 4 crc)
+  if (png.length < IHDR_END || png[1] !== 0x50 || png[2] !== 0x4e || png[3] !== 0x47) return png;
+  const ppm = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const out = new Uint8Array(png.length + chunk.length);
+  out.set(png.subarray(0, IHDR_END), 0);
+  out.set(chunk, IHDR_END);
+  out.set(png.subarray(IHDR_END), IHDR_END + chunk.length);
+  return out;
+}
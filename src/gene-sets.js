@@ -0,0 +1,143 @@
+/**
+ * Gene sets: GMT / pasted-list parsing and a per-set summary of where members land
+ * (sig_up / sig_down / not_sig) with a hypergeometric over-representation p-value.
+ * Members are matched to rows by geneSymbol, case-insensitively.
+ */
+
+import { benjaminiHochberg } from "./adjust.js";
+
+/** Normalised symbol used for matching rows to set members. */
+export function symbolKey(symbol) {
+  return String(symbol ?? "").trim().toUpperCase();
+}
+
+function uniqueSymbols(tokens) {
+  const seen = new Set();
+  const out = [];
+  for (const t of tokens) {
+    const key = symbolKey(t);
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      out.push(key);
+    }
+  }
+  return out;
+}
+
+/**
+ * Parses a GMT file: one set per line, tab-separated name, description, then member symbols.
+ * @param {string} text
+ * @returns {{ sets: Object[], skipped: number }} sets as { name, description, genes }; skipped counts lines without members
+ */
+export function parseGmt(text) {
+  const sets = [];
+  let skipped = 0;
+  String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      if (!line.trim() || line.startsWith("#")) return;
+      const [name, description = "", ...members] = line.split("\t");
+      const genes = uniqueSymbols(members);
+      if (!name.trim() || genes.length === 0) {
+        skipped++;
+        return;
+      }
+      sets.push({ name: name.trim(), description: description.trim(), genes });
+    });
+  return { sets, skipped };
+}
+
+/**
+ * Parses a pasted list of symbols separated by whitespace, commas or semicolons.
+ * @returns {string[]} Unique normalised symbols
+ */
+export function parseGeneList(text) {
+  return uniqueSymbols(String(text).split(/[\s,;]+/));
+}
+
+/** True when the text looks like GMT (tab-separated lines with a name, description and members). */
+export function looksLikeGmt(text) {
+  const first = String(text).split(/\r?\n/).find((l) => l.trim());
+  return Boolean(first) && first.split("\t").length >= 3;
+}
+
+// --- Hypergeometric test ---
+const logFactorialCache = [0];
+
+function logFactorial(n) {
+  for (let i = logFactorialCache.length; i <= n; i++) {
+    logFactorialCache[i] = logFactorialCache[i - 1] + Math.log(i);
+  }
+  return logFactorialCache[n];
+}
+
+function logChoose(n, k) {
+  return logFactorial(n) - logFactorial(k) - logFactorial(n - k);
+}
+
+/**
+ * P(X ≥ k) for X ~ Hypergeometric(N, K, n): the one-sided Fisher exact test for over-representation.
+ * Matches R's phyper(k - 1, K, N - K, n, lower.tail = FALSE).
+ * @param {number} k - Significant members
+ * @param {number} N - Universe size (rows)
+ * @param {number} K - Significant rows
+ * @param {number} n - Members in the universe
+ */
+export function hypergeometricUpperTail(k, N, K, n) {
+  const lo = Math.max(k, 0, n - (N - K));
+  const hi = Math.min(n, K);
+  if (lo > hi) return 0;
+  if (k <= Math.max(0, n - (N - K))) return 1;
+  const logTotal = logChoose(N, n);
+  // Sum in log space, scaled by the largest term, so tiny tails don't underflow.
+  const terms = [];
+  for (let i = lo; i <= hi; i++) terms.push(logChoose(K, i) + logChoose(N - K, n - i) - logTotal);
+  const max = Math.max(...terms);
+  const sum = terms.reduce((s, t) => s + Math.exp(t - max), 0);
+  return Math.min(1, Math.exp(max) * sum);
+}
+
+// --- Per-set summary ---
+const EMPTY_COUNTS = () => ({ sig_up: 0, sig_down: 0, not_sig: 0 });
+
+/**
+ * Counts members per category under the current thresholds (rows must carry _category).
+ * The universe for the enrichment test is every plotted row; "significant" is sig_up or sig_down.
+ * @param {Object[]} sets - { id, name, genes }
+ * @param {Object[]} data - Plotted rows
+ * @returns {Object[]} { set, rows, missing, counts, p, q } in input order; p and q are null for sets with no rows
+ */
+export function summarizeGeneSets(sets, data) {
+  const bySymbol = new Map();
+  let significant = 0;
+  for (const d of data) {
+    const key = symbolKey(d.geneSymbol);
+    if (!bySymbol.has(key)) bySymbol.set(key, EMPTY_COUNTS());
+    bySymbol.get(key)[d._category]++;
+    if (d._category !== "not_sig") significant++;
+  }
+  const summaries = sets.map((set) => {
+    const counts = EMPTY_COUNTS();
+    let missing = 0;
+    for (const gene of set.genes) {
+      const c = bySymbol.get(gene);
+      if (!c) {
+        missing++;
+        continue;
+      }
+      counts.sig_up += c.sig_up;
+      counts.sig_down += c.sig_down;
+      counts.not_sig += c.not_sig;
+    }
+    const rows = counts.sig_up + counts.sig_down + counts.not_sig;
+    const p = rows > 0 ? hypergeometricUpperTail(counts.sig_up + counts.sig_down, data.length, significant, rows) : null;
+    return { set, rows, missing, counts, p, q: null };
+  });
+  const tested = summaries.filter((s) => s.p !== null);
+  const q = benjaminiHochberg(tested.map((s) => s.p));
+  tested.forEach((s, i) => {
+    s.q = q[i];
+  });
+  return summaries;
+}
@@ -0,0 +1,132 @@
+/**
+ * Undo / redo. Every step is a snapshot of the page's state after an action (the view fields of
+ * session.js plus the dataset), with a label saying what changed. Labels come from comparing a
+ * step's view with the one before it, so actions don't have to describe themselves.
+ */
+
+export const HISTORY_LIMIT = 100;
+
+/**
+ * @param {number} [limit] - Oldest steps are dropped past this many
+ */
+export function createHistory(limit = HISTORY_LIMIT) {
+  let entries = [];
+  let index = -1;
+  const at = (i) => entries[i]?.snapshot ?? null;
+  return {
+    /** Starts over with one step (nothing to undo). */
+    reset(label, snapshot) {
+      entries = [{ label, snapshot }];
+      index = 0;
+    },
+    /** Records a new step after the current one; anything that could be redone is dropped. */
+    push(label, snapshot) {
+      entries = entries.slice(0, index + 1);
+      entries.push({ label, snapshot });
+      if (entries.length > limit) entries = entries.slice(entries.length - limit);
+      index = entries.length - 1;
+    },
+    /** @returns {Object|null} The snapshot to restore, or null at the oldest step */
+    undo() {
+      if (index <= 0) return null;
+      return at(--index);
+    },
+    redo() {
+      if (index >= entries.length - 1) return null;
+      return at(++index);
+    },
+    /** Jumps to step i (from list()). */
+    goTo(i) {
+      if (i < 0 || i >= entries.length || i === index) return null;
+      index = i;
+      return at(index);
+    },
+    current() {
+      return at(index);
+    },
+    /** Label of the step undo() would take back, or null. */
+    undoLabel() {
+      return index > 0 ? entries[index].label : null;
+    },
+    redoLabel() {
+      return index < entries.length - 1 ? entries[index + 1].label : null;
+    },
+    /** @returns {{ label: string, current: boolean }[]} Oldest first */
+    list() {
+      return entries.map((e, i) => ({ label: e.label, current: i === index }));
+    },
+  };
+}
+
+// --- Step labels ---
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+const show = (v) => (v === null || v === undefined ? "off" : String(v));
+
+/** "Pinned TP53_1" / "Pinned 3 points", and the same for unpinning. */
+function listChange(prev, next, added, removed) {
+  const before = new Set(prev);
+  const after = new Set(next);
+  const plus = next.filter((id) => !before.has(id));
+  const minus = prev.filter((id) => !after.has(id));
+  const name = (ids) => (ids.length === 1 ? ids[0] : plural(ids.length, "point"));
+  return [plus.length ? `${added} ${name(plus)}` : null, minus.length ? `${removed} ${name(minus)}` : null].filter(Boolean);
+}
+
+function namedChange(prev, next) {
+  const names = (list) => list.map((s) => s.name);
+  const added = names(next).filter((n) => !names(prev).includes(n));
+  const removed = names(prev).filter((n) => !names(next).includes(n));
+  if (added.length) return `Kept selection “${added[0]}”`;
+  if (removed.length) return `Removed selection “${removed[0]}”`;
+  return "Changed named selections";
+}
+
+function ruleChange(prev, next) {
+  if (next.length > prev.length) return `Added category “${next[next.length - 1].name}”`;
+  if (next.length < prev.length) return "Removed a custom category";
+  return "Reordered custom categories";
+}
+
+/**
+ * What changed between two views, for the history list.
+ * @param {Object} prev - currentView() output
+ * @param {Object} next
+ * @returns {string|null} null when nothing differs
+ */
+export function describeViewChange(prev, next) {
+  const parts = [];
+  const changed = (key) => !same(prev[key], next[key]);
+  if (changed("fcThreshold")) parts.push(`log₂ FC cutoff ${prev.fcThreshold} → ${next.fcThreshold}`);
+  if (changed("fcDownThreshold")) {
+    parts.push(next.fcDownThreshold === null ? "Same cutoff for down" : `Down cutoff ${show(prev.fcDownThreshold)} → ${next.fcDownThreshold}`);
+  }
+  if (changed("fdrThreshold")) parts.push(`p threshold ${prev.fdrThreshold} → ${next.fdrThreshold}`);
+  if (changed("pMode")) parts.push(`Threshold on ${next.pMode} p`);
+  if (changed("minBaseMean")) parts.push(`Minimum mean expression ${prev.minBaseMean} → ${next.minBaseMean}`);
+  if (changed("correction")) parts.push(`Correction ${prev.correction} → ${next.correction}`);
+  if (changed("topN")) parts.push(`Top ${next.topN} labels`);
+  if (changed("showLabels")) parts.push(next.showLabels ? "Showed labels" : "Hid labels");
+  if (changed("pinned")) parts.push(...listChange(prev.pinned, next.pinned, "Pinned", "Unpinned"));
+  if (changed("selected")) {
+    parts.push(next.selected.length === 0 ? "Cleared selection" : `Selected ${plural(next.selected.length, "point")}`);
+  }
+  if (changed("namedSelections")) parts.push(namedChange(prev.namedSelections, next.namedSelections));
+  if (changed("searchHighlightId") && next.searchHighlightId) parts.push(`Went to ${next.searchHighlightId}`);
+  if (changed("palette")) parts.push(`Palette ${next.palette}`);
+  if (changed("colorBy")) parts.push(`Color by ${next.colorBy}`);
+  if (changed("sizeBy")) parts.push(next.sizeBy ? `Size by ${next.sizeBy}` : "Uniform point size");
+  if (changed("colorRules")) parts.push(ruleChange(prev.colorRules, next.colorRules));
+  if (changed("yScaleType")) parts.push(`Y axis ${next.yScaleType}`);
+  if (changed("yBreak")) parts.push(`Y break ${show(next.yBreak)}`);
+  if (changed("yCap")) parts.push(`−log₁₀ p cap ${show(next.yCap)}`);
+  if (changed("xClip")) parts.push(`log₂ FC clip ${show(next.xClip)}`);
+  if (changed("zoomAxis")) parts.push(`Zoom axes ${next.zoomAxis}`);
+  if (changed("zoomDomain")) parts.push(next.zoomDomain ? "Zoomed" : "Reset zoom");
+  if (changed("labelOffsets")) {
+    const n = Object.keys(next.labelOffsets).length;
+    parts.push(n >= Object.keys(prev.labelOffsets).length ? "Moved a label" : "Reset a label's position");
+  }
+  if (parts.length === 0) return null;
+  return parts.length > 2 ? `${parts.slice(0, 2).join(", ")} and ${parts.length - 2} more` : parts.join(", ");
+}
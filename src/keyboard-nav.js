@@ -0,0 +1,70 @@
+/**
+ * Keyboard navigation over the plotted points: arrow keys move to the nearest point in that
+ * direction, Tab steps through the significant points from the most significant down.
+ */
+
+/** Screen-space unit vectors (y grows downward). */
+const DIRECTIONS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+
+/** Sideways offset counts this much more than distance ahead, so a point straight ahead beats a closer one off to the side. */
+const ACROSS_WEIGHT = 2;
+
+/** Keys the plot handles, for the on-page help and the README. */
+export const PLOT_KEYS = [
+  { keys: "Tab / Shift+Tab", action: "next / previous significant point" },
+  { keys: "Arrow keys", action: "nearest point in that direction" },
+  { keys: "Enter or Space", action: "pin or unpin the point" },
+  { keys: "Escape", action: "clear pins, selection and focus" },
+  { keys: "+ / −", action: "zoom in / out around the point" },
+  { keys: "0", action: "reset zoom" },
+];
+
+/**
+ * Nearest point within 45° of an arrow key's direction.
+ * @param {Object[]} points - Candidates (e.g. the points in view)
+ * @param {Object} from - Current point
+ * @param {string} key - ArrowLeft, ArrowRight, ArrowUp or ArrowDown
+ * @param {Function} position - d → [x, y] in pixels
+ * @returns {Object|null} null when nothing lies that way
+ */
+export function nearestInDirection(points, from, key, position) {
+  const dir = DIRECTIONS[key];
+  if (!dir) return null;
+  const [x0, y0] = position(from);
+  let best = null;
+  let bestScore = Infinity;
+  for (const d of points) {
+    if (d === from) continue;
+    const [x, y] = position(d);
+    const along = (x - x0) * dir[0] + (y - y0) * dir[1];
+    const across = Math.abs((x - x0) * dir[1] - (y - y0) * dir[0]);
+    if (along <= 0 || across > along) continue;
+    const score = along + ACROSS_WEIGHT * across;
+    if (score < bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** Significant points (not not_sig), most significant first; ties keep data order. */
+export function significantOrder(points) {
+  return points.filter((d) => d._category !== "not_sig").sort((a, b) => a.pval - b.pval);
+}
+
+/**
+ * The point after (delta 1) or before (−1) the current one in an ordered list. From a point not in
+ * the list, 1 gives the first and −1 the last.
+ * @returns {Object|null} null past either end, so Tab can leave the plot
+ */
+export function stepInOrder(ordered, current, delta) {
+  const i = current ? ordered.indexOf(current) : -1;
+  if (i === -1) return (delta > 0 ? ordered[0] : ordered[ordered.length - 1]) ?? null;
+  return ordered[i + delta] ?? null;
+}
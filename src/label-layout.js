@@ -0,0 +1,115 @@
+/**
+ * Greedy label placement with collision boxes. Each label tries candidate offsets around its
+ * point (8 directions, growing rings) and keeps the first that clears already-placed labels,
+ * nearby points and the plot bounds; otherwise the least-bad one. The offset a label had on
+ * the previous layout is tried first, so labels stay put while thresholds or zoom change.
+ */
+
+/** Approximate glyph advance as a fraction of font size (sans-serif, mixed case and digits). */
+const CHAR_WIDTH_EM = 0.6;
+const POINT_GAP = 5;
+const RINGS = 4;
+const DIRECTIONS = [
+  [0, -1], [1, -1], [-1, -1], [1, 0], [-1, 0], [0, 1], [1, 1], [-1, 1],
+];
+const COST = { outOfBounds: 1e6, labelOverlap: 1000, pointOverlap: 10, distance: 0.01 };
+
+/** Label box size in pixels for text at the given font size. */
+export function measureLabel(text, fontSize) {
+  return { w: text.length * fontSize * CHAR_WIDTH_EM + 2, h: fontSize * 1.2 };
+}
+
+function candidateOffsets(w, h) {
+  const out = [];
+  for (let ring = 0; ring < RINGS; ring++) {
+    for (const [ux, uy] of DIRECTIONS) {
+      out.push({
+        dx: ux * (w / 2 + POINT_GAP + ring * w * 0.6),
+        dy: uy * (h / 2 + POINT_GAP + ring * h * 1.1),
+        ring,
+      });
+    }
+  }
+  return out;
+}
+
+function boxAt(item, off) {
+  const cx = item.x + off.dx;
+  const cy = item.y + off.dy;
+  return { x0: cx - item.w / 2, y0: cy - item.h / 2, x1: cx + item.w / 2, y1: cy + item.h / 2 };
+}
+
+function overlaps(a, b) {
+  return a.x0 < b.x1 && a.x1 > b.x0 && a.y0 < b.y1 && a.y1 > b.y0;
+}
+
+/** True when the segment from the point to the box center should be drawn as a leader line. */
+function needsLeader(item, off) {
+  const base = item.h / 2 + POINT_GAP + 1;
+  return Math.abs(off.dy) > base + item.h * 0.5 || Math.abs(off.dx) > item.w / 2 + POINT_GAP + 1;
+}
+
+/**
+ * Places labels in priority order.
+ * @param {Object[]} items - { id, text, x, y } with x/y the point position in plot pixels, most important first
+ * @param {Object} opts
+ * @param {number} opts.width - Plot width (labels are kept inside [0, width] × [0, height])
+ * @param {number} opts.height
+ * @param {number} opts.fontSize
+ * @param {Map<string, {dx: number, dy: number}>} [opts.fixed] - Manual offsets (dragged labels), placed as-is
+ * @param {Map<string, {dx: number, dy: number}>} [opts.previous] - Offsets from the last layout, tried first
+ * @param {Function} [opts.countPoints] - (x0, y0, x1, y1) → number of points inside the box
+ * @returns {Object[]} { id, text, x, y, dx, dy, w, h, leader, manual } in input order
+ */
+export function layoutLabels(items, { width, height, fontSize, fixed = new Map(), previous = new Map(), countPoints }) {
+  const sized = items.map((it) => ({ ...it, ...measureLabel(it.text, fontSize) }));
+  const placedBoxes = [];
+  const result = new Map();
+
+  // Manual labels first: they don't move and the others avoid them.
+  for (const item of sized) {
+    const off = fixed.get(item.id);
+    if (!off) continue;
+    placedBoxes.push(boxAt(item, off));
+    result.set(item.id, { ...item, dx: off.dx, dy: off.dy, leader: needsLeader(item, off), manual: true });
+  }
+
+  for (const item of sized) {
+    if (result.has(item.id)) continue;
+    const candidates = candidateOffsets(item.w, item.h);
+    const prev = previous.get(item.id);
+    if (prev) candidates.unshift({ ...prev, ring: 0 });
+
+    let best = null;
+    let bestCost = Infinity;
+    for (const off of candidates) {
+      const box = boxAt(item, off);
+      let cost = off.ring + Math.hypot(off.dx, off.dy) * COST.distance;
+      if (box.x0 < 0 || box.y0 < 0 || box.x1 > width || box.y1 > height) cost += COST.outOfBounds;
+      for (const other of placedBoxes) if (overlaps(box, other)) cost += COST.labelOverlap;
+      // The point query is the expensive part; skip it for candidates that already lost.
+      if (countPoints && cost < bestCost) cost += countPoints(box.x0, box.y0, box.x1, box.y1) * COST.pointOverlap;
+      if (cost < bestCost) {
+        best = off;
+        bestCost = cost;
+        if (cost < COST.pointOverlap) break; // clear of labels, points and bounds: keep it
+      }
+    }
+    placedBoxes.push(boxAt(item, best));
+    result.set(item.id, { ...item, dx: best.dx, dy: best.dy, leader: needsLeader(item, best), manual: false });
+  }
+  return items.map((it) => result.get(it.id));
+}
+
+/**
+ * Where a leader line from the point should meet the label box (nearest point on the box edge).
+ * @returns {{ x: number, y: number }} In the same pixel space as the label's point
+ */
+export function leaderEnd(label) {
+  const cx = label.x + label.dx;
+  const cy = label.y + label.dy;
+  return {
+    x: Math.max(cx - label.w / 2, Math.min(label.x, cx + label.w / 2)),
+    y: Math.max(cy - label.h / 2, Math.min(label.y, cy + label.h / 2)),
+  };
+}
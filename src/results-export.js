@@ -0,0 +1,129 @@
+/**
+ * Results export: rows as CSV, TSV or JSON, or a bare list of gene symbols. Table formats carry
+ * the settings that produced the calls (thresholds, correction method, …) as "# key: value"
+ * comment lines; JSON carries them in a metadata object.
+ */
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV", extension: "csv", mimeType: "text/csv" },
+  { id: "tsv", label: "TSV", extension: "tsv", mimeType: "text/tab-separated-values" },
+  { id: "json", label: "JSON", extension: "json", mimeType: "application/json" },
+  { id: "symbols", label: "Gene symbol list", extension: "txt", mimeType: "text/plain" },
+];
+
+export function getExportFormat(id) {
+  return EXPORT_FORMATS.find((f) => f.id === id) || EXPORT_FORMATS[0];
+}
+
+const finiteOrNull = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+/**
+ * Columns of an export, in order: the built-in fields, mean expression when the rows have it, the
+ * category, the true effect of synthetic rows, an imported file's extra columns (d.fields) and,
+ * when given, gene annotations.
+ * @param {Object[]} rows
+ * @param {Object} [opts]
+ * @param {Map<string, Object>} [opts.annotations] - Row id → { proteinName, description }
+ * @returns {{ name: string, value: Function }[]} value(d) → string, number or null
+ */
+export function exportColumns(rows, { annotations } = {}) {
+  const first = rows[0] || {};
+  const columns = [
+    { name: "id", value: (d) => d.id },
+    { name: "geneSymbol", value: (d) => d.geneSymbol ?? null },
+    { name: "log2FC", value: (d) => finiteOrNull(d.log2FC) },
+    { name: "pval", value: (d) => finiteOrNull(d.pval) },
+    { name: "padj", value: (d) => finiteOrNull(d.fdr) },
+    { name: "negLog10P", value: (d) => finiteOrNull(d.negLog10P) },
+  ];
+  if (first.baseMean !== undefined) columns.push({ name: "baseMean", value: (d) => finiteOrNull(d.baseMean) });
+  columns.push({ name: "category", value: (d) => d._category ?? null });
+  if (first.trueLog2FC !== undefined) columns.push({ name: "trueLog2FC", value: (d) => finiteOrNull(d.trueLog2FC) });
+  for (const name of Object.keys(first.fields || {})) {
+    columns.push({ name, value: (d) => d.fields?.[name] ?? null });
+  }
+  if (annotations) {
+    columns.push({ name: "proteinName", value: (d) => annotations.get(d.id)?.proteinName || null });
+    columns.push({ name: "function", value: (d) => annotations.get(d.id)?.description || null });
+  }
+  return columns;
+}
+
+/** CSV field: quoted when it holds a comma, quote or line break (RFC 4180). */
+function csvField(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** TSV has no quoting, so tabs and line breaks inside a value become spaces. */
+function tsvField(v) {
+  return v == null ? "" : String(v).replace(/[\t\r\n]+/g, " ");
+}
+
+/** "# key: value" lines for the metadata block of a text export. */
+export function metadataLines(metadata) {
+  return Object.entries(metadata)
+    .filter(([, v]) => v !== null && v !== undefined && v !== "")
+    .map(([k, v]) => `# ${k}: ${String(v).replace(/[\r\n]+/g, " ")}`);
+}
+
+/**
+ * Gene symbols (falling back to the id) of the rows, once each, in row order.
+ * @returns {string[]}
+ */
+export function uniqueSymbols(rows) {
+  const seen = new Set();
+  const symbols = [];
+  for (const d of rows) {
+    const s = String(d.geneSymbol || d.id).trim();
+    if (!s || seen.has(s.toUpperCase())) continue;
+    seen.add(s.toUpperCase());
+    symbols.push(s);
+  }
+  return symbols;
+}
+
+/**
+ * @param {Object[]} rows
+ * @param {"csv"|"tsv"|"json"|"symbols"} format
+ * @param {Object} [opts]
+ * @param {{ name: string, value: Function }[]} [opts.columns] - Defaults to exportColumns(rows)
+ * @param {Object|null} [opts.metadata] - Settings to record; table formats write them as comment lines
+ * @returns {string}
+ */
+export function formatResults(rows, format, { columns = exportColumns(rows), metadata = null } = {}) {
+  if (format === "symbols") return uniqueSymbols(rows).join("\n") + "\n";
+  if (format === "json") {
+    const out = rows.map((d) => Object.fromEntries(columns.map((c) => [c.name, c.value(d)])));
+    return JSON.stringify(metadata ? { metadata, rows: out } : { rows: out }, null, 2) + "\n";
+  }
+  const field = format === "tsv" ? tsvField : csvField;
+  const sep = format === "tsv" ? "\t" : ",";
+  const lines = metadata ? metadataLines(metadata) : [];
+  lines.push(columns.map((c) => field(c.name)).join(sep));
+  for (const d of rows) lines.push(columns.map((c) => field(c.value(d))).join(sep));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Runs fn over items with at most `limit` calls in flight (annotation lookups).
+ * @param {Function} fn - item → Promise
+ * @param {Function} [onProgress] - (done, total) after each item
+ * @returns {Promise<Array>} Results in item order
+ */
+export function mapLimit(items, limit, fn, onProgress) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+  const worker = () => {
+    if (next >= items.length) return Promise.resolve();
+    const i = next++;
+    return Promise.resolve(fn(items[i])).then((r) => {
+      results[i] = r;
+      done++;
+      if (onProgress) onProgress(done, items.length);
+      return worker();
+    });
+  };
+  return Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker)).then(() => results);
+}
@@ -0,0 +1,195 @@
+/**
+ * Results table: every row with sorting, text / numeric range / category filters and
+ * virtual scrolling (only the rows in view are in the DOM, so 50k+ rows stay fast).
+ * Filtering and sorting are pure functions; createResultsTable() renders what it's given.
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+const fmtFixed = d3.format(".3f");
+const fmtExp = (v) => (v === 0 ? "0" : v < 1e-3 ? v.toExponential(2) : v.toPrecision(3));
+
+export const CATEGORY_LABELS = { sig_up: "Up", sig_down: "Down", not_sig: "n.s." };
+
+export const TABLE_COLUMNS = [
+  { key: "id", label: "id", numeric: false, format: String },
+  { key: "geneSymbol", label: "Gene", numeric: false, format: String },
+  { key: "log2FC", label: "log₂FC", numeric: true, format: fmtFixed },
+  { key: "pval", label: "p", numeric: true, format: fmtExp },
+  { key: "fdr", label: "adj. p", numeric: true, format: fmtExp },
+  { key: "_category", label: "Category", numeric: false, format: (v) => CATEGORY_LABELS[v] || v },
+];
+
+/** Columns offered for the numeric range filter. */
+export const RANGE_COLUMNS = [
+  { key: "log2FC", label: "log₂FC" },
+  { key: "absLog2FC", label: "|log₂FC|", value: (d) => Math.abs(d.log2FC) },
+  { key: "pval", label: "p" },
+  { key: "fdr", label: "adj. p" },
+  { key: "negLog10P", label: "−log₁₀ p" },
+];
+
+/**
+ * @param {Object[]} data
+ * @param {Object} filter
+ * @param {string} [filter.text] - Substring of id or gene symbol (case-insensitive)
+ * @param {Set<string>} [filter.categories] - Categories to keep (all when omitted)
+ * @param {{ column: string, min: number|null, max: number|null }} [filter.range]
+ * @param {Set<string>|null} [filter.ids] - Keep only these ids (e.g. the plot selection)
+ * @returns {Object[]}
+ */
+export function filterRows(data, { text = "", categories = null, range = null, ids = null } = {}) {
+  const q = text.trim().toLowerCase();
+  const rangeCol = range && RANGE_COLUMNS.find((c) => c.key === range.column);
+  const value = rangeCol ? rangeCol.value || ((d) => d[rangeCol.key]) : null;
+  const hasMin = rangeCol && range.min !== null && Number.isFinite(range.min);
+  const hasMax = rangeCol && range.max !== null && Number.isFinite(range.max);
+  return data.filter((d) => {
+    if (ids && !ids.has(d.id)) return false;
+    if (categories && !categories.has(d._category)) return false;
+    if (q && !d.id.toLowerCase().includes(q) && !String(d.geneSymbol ?? "").toLowerCase().includes(q)) return false;
+    if (hasMin && !(value(d) >= range.min)) return false;
+    if (hasMax && !(value(d) <= range.max)) return false;
+    return true;
+  });
+}
+
+const collator = new Intl.Collator();
+
+/**
+ * Row indices in sort order; ties keep their input order. Each row's key is read once, and text
+ * columns are ranked with one shared Intl.Collator.
+ * @param {{ key: string, dir: "asc"|"desc" }} sort
+ * @returns {Uint32Array}
+ */
+export function sortOrder(rows, { key, dir }) {
+  const order = new Uint32Array(rows.length).map((_, i) => i);
+  const col = TABLE_COLUMNS.find((c) => c.key === key);
+  if (!col) return order;
+  const sign = dir === "desc" ? -1 : 1;
+  if (col.numeric) {
+    const keys = Float64Array.from(rows, (d) => d[key]);
+    return order.sort((a, b) => sign * (keys[a] - keys[b]) || a - b);
+  }
+  // Text: each distinct value is collated once (a gene symbol repeats across rows), then rows sort by rank.
+  const keys = rows.map((d) => String(d[key]));
+  const rank = new Map([...new Set(keys)].sort(collator.compare).map((v, i) => [v, i]));
+  const ranks = Uint32Array.from(keys, (k) => rank.get(k));
+  return order.sort((a, b) => sign * (ranks[a] - ranks[b]) || a - b);
+}
+
+/**
+ * Sorts a copy of rows; ties keep their input order.
+ * @param {{ key: string, dir: "asc"|"desc" }} sort
+ */
+export function sortRows(rows, sort) {
+  return Array.from(sortOrder(rows, sort), (i) => rows[i]);
+}
+
+const ROW_HEIGHT = 24;
+const OVERSCAN = 8;
+
+/**
+ * Renders the table into container (a header row and a scrolling body).
+ * @param {HTMLElement} container
+ * @param {Object} handlers - onSort(key), onRowClick(row, event)
+ * @returns {{ update: Function, scrollToId: Function }}
+ */
+export function createResultsTable(container, { onSort, onRowClick }) {
+  const root = d3.select(container).attr("role", "grid").attr("aria-rowcount", 0);
+  const header = root.append("div").attr("class", "rt-row rt-header").attr("role", "row");
+  const viewport = root.append("div").attr("class", "rt-viewport");
+  const spacer = viewport.append("div").attr("class", "rt-spacer");
+  const body = spacer.append("div").attr("class", "rt-body").attr("role", "rowgroup");
+
+  let model = { rows: [], selected: new Set(), focusedId: null, sort: { key: "pval", dir: "asc" } };
+
+  header
+    .selectAll("button")
+    .data(TABLE_COLUMNS)
+    .join("button")
+    .attr("type", "button")
+    .attr("role", "columnheader")
+    .attr("class", (c) => (c.numeric ? "rt-cell numeric" : "rt-cell"))
+    .on("click", (e, c) => onSort(c.key));
+
+  function renderHeader() {
+    header
+      .selectAll("button")
+      .attr("aria-sort", (c) => (c.key !== model.sort.key ? "none" : model.sort.dir === "asc" ? "ascending" : "descending"))
+      .text((c) => c.label + (c.key !== model.sort.key ? "" : model.sort.dir === "asc" ? " ▲" : " ▼"));
+  }
+
+  function renderWindow() {
+    const { rows } = model;
+    const height = viewport.node().clientHeight || ROW_HEIGHT * 20;
+    const first = Math.max(0, Math.floor(viewport.node().scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((viewport.node().scrollTop + height) / ROW_HEIGHT) + OVERSCAN);
+    body.style("transform", `translateY(${first * ROW_HEIGHT}px)`);
+    body
+      .selectAll("div.rt-row")
+      .data(rows.slice(first, last), (d) => d.id)
+      .join((enter) => {
+        const row = enter
+          .append("div")
+          .attr("role", "row")
+          .attr("tabindex", -1)
+          .on("click", (e, d) => onRowClick(d, e))
+          .on("keydown", (e, d) => {
+            if (e.key === "Enter" || e.key === " ") {
+              e.preventDefault();
+              onRowClick(d, e);
+            }
+          });
+        TABLE_COLUMNS.forEach((c) =>
+          row
+            .append("div")
+            .attr("role", "gridcell")
+            .attr("class", c.numeric ? "rt-cell numeric" : "rt-cell")
+        );
+        return row;
+      })
+      .attr("class", (d) => {
+        let c = `rt-row ${d._category}`;
+        if (model.selected.has(d.id)) c += " selected";
+        if (model.focusedId === d.id) c += " focused";
+        return c;
+      })
+      .attr("aria-rowindex", (d, i) => first + i + 2)
+      .attr("aria-selected", (d) => String(model.selected.has(d.id)))
+      .each(function (d) {
+        d3.select(this)
+          .selectAll(".rt-cell")
+          .data(TABLE_COLUMNS)
+          .text((c) => c.format(d[c.key]))
+          .attr("title", (c) => (c.numeric ? String(d[c.key]) : null));
+      });
+  }
+
+  viewport.on("scroll", renderWindow);
+
+  return {
+    /**
+     * @param {Object} next - rows (filtered and sorted), selected (Set of ids), focusedId, sort
+     */
+    update(next) {
+      model = next;
+      root.attr("aria-rowcount", model.rows.length + 1);
+      spacer.style("height", `${model.rows.length * ROW_HEIGHT}px`);
+      renderHeader();
+      renderWindow();
+    },
+
+    /** Scrolls so the row with this id is visible (no-op when it's filtered out). */
+    scrollToId(id) {
+      const i = model.rows.findIndex((d) => d.id === id);
+      if (i < 0) return;
+      const node = viewport.node();
+      const top = i * ROW_HEIGHT;
+      if (top < node.scrollTop || top + ROW_HEIGHT > node.scrollTop + node.clientHeight) {
+        node.scrollTop = Math.max(0, top - node.clientHeight / 2);
+        renderWindow();
+      }
+    },
+  };
+}
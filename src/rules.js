@@ -0,0 +1,209 @@
+/**
+ * Rule expressions for user-defined point categories, e.g. `sig and abs(log2FC) < 2` or
+ * `biotype == "lncRNA"`. A small recursive-descent parser compiles the text to a predicate;
+ * nothing is passed to eval, and unknown names are reported when the rule is added.
+ *
+ * Grammar: or/||, and/&&, not/!, comparisons (< <= > >= == = !=), + - * /, parentheses,
+ * numbers, "strings", names (a built-in field or a data column; `backticks` for names with
+ * spaces) and the functions abs, log10, log2, min, max.
+ */
+
+/** Built-in names available in every dataset. */
+export const RULE_FIELDS = {
+  log2FC: (d) => d.log2FC,
+  pval: (d) => d.pval,
+  fdr: (d) => d.fdr,
+  padj: (d) => d.fdr,
+  negLog10P: (d) => d.negLog10P,
+  baseMean: (d) => (d.baseMean == null ? NaN : d.baseMean),
+  category: (d) => d._category,
+  sig: (d) => d._category !== "not_sig",
+  up: (d) => d._category === "sig_up",
+  down: (d) => d._category === "sig_down",
+  id: (d) => d.id,
+  gene: (d) => d.geneSymbol,
+};
+
+const FUNCTIONS = {
+  abs: [1, Math.abs],
+  log10: [1, Math.log10],
+  log2: [1, Math.log2],
+  min: [2, Math.min],
+  max: [2, Math.max],
+};
+
+const TOKEN = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|`([^`]+)`|([A-Za-z_][\w.]*)|(<=|>=|==|!=|&&|\|\||[<>=!()+\-*/,]))/iy;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let pos = 0;
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.slice(pos))) break;
+    TOKEN.lastIndex = pos;
+    const m = TOKEN.exec(text);
+    if (!m) {
+      const at = pos + text.slice(pos).search(/\S/);
+      throw new Error(`Unexpected "${text[at]}" at position ${at + 1}`);
+    }
+    pos = TOKEN.lastIndex;
+    if (m[1] !== undefined) tokens.push({ type: "num", value: Number(m[1]) });
+    else if (m[2] !== undefined || m[3] !== undefined) tokens.push({ type: "str", value: (m[2] ?? m[3]).replace(/\\(.)/g, "$1") });
+    else if (m[4] !== undefined) tokens.push({ type: "name", value: m[4] });
+    else if (m[5] !== undefined) {
+      const word = m[5].toLowerCase();
+      if (word === "and" || word === "or" || word === "not") tokens.push({ type: "op", value: word });
+      else if (word === "true" || word === "false") tokens.push({ type: "bool", value: word === "true" });
+      else tokens.push({ type: "name", value: m[5] });
+    } else tokens.push({ type: "op", value: m[6] });
+  }
+  return tokens;
+}
+
+/** Loose equality: numbers compare as numbers, anything else as case-insensitive text. */
+function equals(a, b) {
+  const na = typeof a === "number" ? a : Number(a);
+  const nb = typeof b === "number" ? b : Number(b);
+  if (a !== "" && b !== "" && Number.isFinite(na) && Number.isFinite(nb)) return na === nb;
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+const toNumber = (v) => (typeof v === "number" ? v : v === "" || v == null ? NaN : Number(v));
+
+/**
+ * @param {string} text
+ * @param {string[]} [columns] - Data column names (read from d.fields) usable besides RULE_FIELDS
+ * @returns {{ test: Function|null, error: string|null }} test(d) → boolean
+ */
+export function compileRule(text, columns = []) {
+  let tokens;
+  try {
+    tokens = tokenize(String(text ?? ""));
+  } catch (err) {
+    return { test: null, error: err.message };
+  }
+  if (tokens.length === 0) return { test: null, error: "Rule is empty." };
+  const columnSet = new Set(columns);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (...ops) => peek()?.type === "op" && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) throw new Error(`Expected "${op}"${peek() ? "" : " before the end"}`);
+    i++;
+  };
+
+  function resolveName(name) {
+    if (Object.hasOwn(RULE_FIELDS, name)) return RULE_FIELDS[name];
+    if (columnSet.has(name)) return (d) => d.fields?.[name] ?? "";
+    throw new Error(`Unknown name "${name}"`);
+  }
+
+  function primary() {
+    const t = peek();
+    if (!t) throw new Error("Rule ends too early");
+    i++;
+    if (t.type === "num" || t.type === "str" || t.type === "bool") return () => t.value;
+    if (t.type === "name") {
+      if (isOp("(") && Object.hasOwn(FUNCTIONS, t.value.toLowerCase())) {
+        const [arity, fn] = FUNCTIONS[t.value.toLowerCase()];
+        i++;
+        const args = [or()];
+        while (isOp(",")) {
+          i++;
+          args.push(or());
+        }
+        expect(")");
+        if (args.length !== arity) throw new Error(`${t.value}() takes ${arity} argument${arity === 1 ? "" : "s"}`);
+        return (d) => fn(...args.map((a) => toNumber(a(d))));
+      }
+      return resolveName(t.value);
+    }
+    if (t.value === "(") {
+      const inner = or();
+      expect(")");
+      return inner;
+    }
+    throw new Error(`Unexpected "${t.value}"`);
+  }
+
+  function unary() {
+    if (isOp("-")) {
+      i++;
+      const operand = unary();
+      return (d) => -toNumber(operand(d));
+    }
+    return primary();
+  }
+
+  function binary(next, ops, apply) {
+    return () => {
+      let left = next();
+      while (isOp(...ops)) {
+        const op = tokens[i++].value;
+        const l = left;
+        const r = next();
+        left = (d) => apply(op, l(d), r(d));
+      }
+      return left;
+    };
+  }
+
+  const term = binary(unary, ["*", "/"], (op, a, b) => (op === "*" ? toNumber(a) * toNumber(b) : toNumber(a) / toNumber(b)));
+  const sum = binary(term, ["+", "-"], (op, a, b) => (op === "+" ? toNumber(a) + toNumber(b) : toNumber(a) - toNumber(b)));
+
+  function comparison() {
+    const left = sum();
+    if (!isOp("<", "<=", ">", ">=", "==", "=", "!=")) return left;
+    const op = tokens[i++].value;
+    const right = sum();
+    if (op === "==" || op === "=") return (d) => equals(left(d), right(d));
+    if (op === "!=") return (d) => !equals(left(d), right(d));
+    return (d) => {
+      const a = toNumber(left(d));
+      const b = toNumber(right(d));
+      if (op === "<") return a < b;
+      if (op === "<=") return a <= b;
+      if (op === ">") return a > b;
+      return a >= b;
+    };
+  }
+
+  function not() {
+    if (isOp("not", "!")) {
+      i++;
+      const operand = not();
+      return (d) => !operand(d);
+    }
+    return comparison();
+  }
+
+  function and() {
+    let left = not();
+    while (isOp("and", "&&")) {
+      i++;
+      const l = left;
+      const r = not();
+      left = (d) => Boolean(l(d)) && Boolean(r(d));
+    }
+    return left;
+  }
+
+  function or() {
+    let left = and();
+    while (isOp("or", "||")) {
+      i++;
+      const l = left;
+      const r = and();
+      left = (d) => Boolean(l(d)) || Boolean(r(d));
+    }
+    return left;
+  }
+
+  try {
+    const expr = or();
+    if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].value}"`);
+    return { test: (d) => Boolean(expr(d)), error: null };
+  } catch (err) {
+    return { test: null, error: err.message };
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Point search: substring, exact symbol/id, regular expression, or a pasted gene list.
+ * Matching is case-insensitive and looks at both the row id and its gene symbol.
+ */
+
+import { parseGeneList, symbolKey } from "./gene-sets.js";
+
+export const SEARCH_MODES = [
+  { id: "contains", label: "Contains", placeholder: "e.g. AKT" },
+  { id: "exact", label: "Exact symbol or id", placeholder: "e.g. TP53" },
+  { id: "regex", label: "Regular expression", placeholder: "e.g. ^IL\\d+$" },
+  { id: "list", label: "Gene list", placeholder: "Paste symbols or ids" },
+];
+
+const byPValue = (a, b) => a.pval - b.pval;
+
+const isExact = (d, term) => symbolKey(d.geneSymbol) === term || symbolKey(d.id) === term;
+
+/**
+ * @param {Object[]} data
+ * @param {string} query
+ * @param {string} mode - Id from SEARCH_MODES
+ * @returns {{ matches: Object[], notFound: string[], error: string|null }}
+ *   matches are unique rows, most significant first (list mode: in list order, then by p-value)
+ */
+export function searchRows(data, query, mode) {
+  const q = String(query ?? "").trim();
+  const result = { matches: [], notFound: [], error: null };
+  if (!q) return result;
+
+  if (mode === "list") {
+    // One pass to index symbols and ids, so long lists stay linear in the data size.
+    const index = new Map();
+    const add = (key, d) => {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(d);
+    };
+    data.forEach((d) => {
+      const symbol = symbolKey(d.geneSymbol);
+      const id = symbolKey(d.id);
+      add(symbol, d);
+      if (id !== symbol) add(id, d);
+    });
+    const seen = new Set();
+    parseGeneList(q).forEach((term) => {
+      const hits = (index.get(term) || []).slice().sort(byPValue);
+      if (hits.length === 0) result.notFound.push(term);
+      hits.forEach((d) => {
+        if (seen.has(d.id)) return;
+        seen.add(d.id);
+        result.matches.push(d);
+      });
+    });
+    return result;
+  }
+
+  let test;
+  if (mode === "regex") {
+    let re;
+    try {
+      re = new RegExp(q, "i");
+    } catch (err) {
+      return { ...result, error: err.message };
+    }
+    test = (d) => re.test(d.id) || re.test(String(d.geneSymbol ?? ""));
+  } else if (mode === "exact") {
+    const term = symbolKey(q);
+    test = (d) => isExact(d, term);
+  } else {
+    const term = q.toLowerCase();
+    test = (d) => d.id.toLowerCase().includes(term) || String(d.geneSymbol ?? "").toLowerCase().includes(term);
+  }
+  result.matches = data.filter(test).sort(byPValue);
+  if (result.matches.length === 0) result.notFound.push(q);
+  return result;
+}
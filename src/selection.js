@@ -0,0 +1,80 @@
+/**
+ * Selection geometry and set logic: lasso (polygon) hit-testing, combining a new selection with
+ * the current one (replace / add / subtract), and overlap counts for comparing two selections.
+ */
+
+import { pointsInRect } from "./canvas-points.js";
+
+export const SELECTION_TOOLS = [
+  { id: "pan", label: "Pan", hint: "Drag pans; Shift+drag draws a box" },
+  { id: "box", label: "Box", hint: "Drag draws a box" },
+  { id: "lasso", label: "Lasso", hint: "Drag draws a freehand outline" },
+];
+
+/** Colors handed out to new named selections, in order. */
+export const NAMED_SELECTION_COLORS = ["#ff7b72", "#79c0ff", "#e3b341", "#56d4dd", "#f778ba", "#a5d6ff", "#7ee787", "#ffa198"];
+
+/**
+ * Shift adds to the current selection, Alt subtracts from it, no modifier replaces it.
+ * @param {{ shiftKey: boolean, altKey: boolean }} e - Mouse or keyboard event
+ * @returns {"replace"|"add"|"subtract"}
+ */
+export function selectionMode(e) {
+  if (e.altKey) return "subtract";
+  if (e.shiftKey) return "add";
+  return "replace";
+}
+
+/**
+ * @param {Set<string>} current
+ * @param {Iterable<string>} ids
+ * @param {"replace"|"add"|"subtract"} mode
+ * @returns {Set<string>} A new set
+ */
+export function combineSelection(current, ids, mode) {
+  if (mode === "replace") return new Set(ids);
+  const next = new Set(current);
+  for (const id of ids) {
+    if (mode === "add") next.add(id);
+    else next.delete(id);
+  }
+  return next;
+}
+
+/** Even-odd rule: is (x, y) inside the polygon [[x, y], …]? */
+export function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Points of a quadtree (buildPointIndex) inside a lasso polygon; the polygon's bounding box
+ * narrows the search first.
+ */
+export function pointsInPolygon(index, polygon) {
+  if (!index || polygon.length < 3) return [];
+  const xs = polygon.map((p) => p[0]);
+  const ys = polygon.map((p) => p[1]);
+  const px = index.x();
+  const py = index.y();
+  return pointsInRect(index, Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)).filter((d) =>
+    pointInPolygon(px(d), py(d), polygon)
+  );
+}
+
+/**
+ * Overlap of two id sets.
+ * @returns {{ onlyA: string[], both: string[], onlyB: string[] }}
+ */
+export function compareSelections(a, b) {
+  const onlyA = [];
+  const both = [];
+  a.forEach((id) => (b.has(id) ? both : onlyA).push(id));
+  const onlyB = [...b].filter((id) => !a.has(id));
+  return { onlyA, both, onlyB };
+}
@@ -0,0 +1,311 @@
+/**
+ * Shareable plot state: view settings in the URL hash, and session files that bundle
+ * the dataset with its view. Everything read back is validated; anything that can't be
+ * restored is reported as a warning instead of failing the whole load.
+ */
+
+import { CORRECTION_METHODS } from "./adjust.js";
+import { P_MODES } from "./thresholds.js";
+import { PALETTES } from "./color-mapping.js";
+import { Y_SCALES } from "./axis-scales.js";
+import { DEFAULT_GENERATOR, sameGenerator, sanitizeGenerator } from "./synthetic-data.js";
+
+export const SESSION_FORMAT = "volcano-session";
+export const SESSION_VERSION = 1;
+
+/** Selections larger than this are left out of the URL (session files keep them). */
+export const HASH_MAX_SELECTED = 200;
+
+const ZOOM_AXES = ["xy", "x", "y"];
+
+// --- View validation ---
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+function validDomain(d) {
+  return (
+    d &&
+    Array.isArray(d.x) &&
+    Array.isArray(d.y) &&
+    d.x.length === 2 &&
+    d.y.length === 2 &&
+    [...d.x, ...d.y].every(isFiniteNumber) &&
+    d.x[0] < d.x[1] &&
+    d.y[0] < d.y[1]
+  );
+}
+
+const VIEW_FIELDS = {
+  fcThreshold: (v) => isFiniteNumber(v) && v >= 0,
+  fcDownThreshold: (v) => v === null || (isFiniteNumber(v) && v >= 0),
+  pMode: (v) => P_MODES.some((m) => m.id === v),
+  minBaseMean: (v) => isFiniteNumber(v) && v >= 0,
+  fdrThreshold: (v) => isFiniteNumber(v) && v >= 0 && v <= 1,
+  correction: (v) => CORRECTION_METHODS.some((m) => m.id === v),
+  topN: (v) => Number.isInteger(v) && v >= 0 && v <= 50,
+  showLabels: (v) => typeof v === "boolean",
+  pinned: (v) => Array.isArray(v) && v.every((id) => typeof id === "string"),
+  selected: (v) => Array.isArray(v) && v.every((id) => typeof id === "string"),
+  namedSelections: (v) =>
+    Array.isArray(v) &&
+    v.every(
+      (s) =>
+        s &&
+        typeof s.name === "string" &&
+        /^#[0-9a-f]{6}$/i.test(s.color) &&
+        typeof s.visible === "boolean" &&
+        Array.isArray(s.ids) &&
+        s.ids.every((id) => typeof id === "string")
+    ),
+  searchHighlightId: (v) => v === null || typeof v === "string",
+  palette: (v) => PALETTES.some((p) => p.id === v),
+  colorBy: (v) => typeof v === "string" && v !== "",
+  sizeBy: (v) => v === null || (typeof v === "string" && v !== ""),
+  colorRules: (v) =>
+    Array.isArray(v) &&
+    v.every((r) => r && typeof r.name === "string" && typeof r.expr === "string" && /^#[0-9a-f]{6}$/i.test(r.color)),
+  zoomDomain: (v) => v === null || validDomain(v),
+  zoomAxis: (v) => ZOOM_AXES.includes(v),
+  yScaleType: (v) => Y_SCALES.some((s) => s.id === v),
+  yBreak: (v) => v === null || (isFiniteNumber(v) && v > 0),
+  yCap: (v) => v === null || (isFiniteNumber(v) && v > 0),
+  xClip: (v) => v === null || (isFiniteNumber(v) && v > 0),
+  labelOffsets: (v) =>
+    v !== null &&
+    typeof v === "object" &&
+    !Array.isArray(v) &&
+    Object.values(v).every((o) => Array.isArray(o) && o.length === 2 && o.every(isFiniteNumber)),
+};
+
+/**
+ * Keeps the recognised, well-formed view fields.
+ * @param {Object} raw
+ * @returns {{ view: Object, warnings: string[] }}
+ */
+export function sanitizeView(raw) {
+  const view = {};
+  const warnings = [];
+  if (!raw || typeof raw !== "object") return { view, warnings: ["View settings missing; defaults kept."] };
+  for (const [key, valid] of Object.entries(VIEW_FIELDS)) {
+    if (!(key in raw) || raw[key] === undefined) continue;
+    if (valid(raw[key])) view[key] = raw[key];
+    else warnings.push(`Ignored invalid ${key} (${JSON.stringify(raw[key])}).`);
+  }
+  return { view, warnings };
+}
+
+// --- URL hash ---
+const roundTo = (v, digits) => Number(v.toPrecision(digits));
+
+/** Hash keys of the synthetic generator settings (only those that differ from the defaults are written). */
+const GENERATOR_KEYS = {
+  gn: "n",
+  gdiff: "diffFraction",
+  geff: "effect",
+  gsize: "effectSize",
+  gnoise: "noise",
+  gnull: "nullDist",
+};
+
+/**
+ * Encodes the view (and the synthetic seed and generator settings, when there are any) as URL
+ * hash parameters.
+ * @param {Object} view - Fields from VIEW_FIELDS
+ * @param {Object} dataset - state.dataset
+ * @returns {string} Hash without the leading "#"
+ */
+export function encodeHash(view, dataset) {
+  const p = new URLSearchParams();
+  if (dataset.source === "synthetic" && dataset.seed != null) {
+    p.set("seed", String(dataset.seed));
+    const g = dataset.generator;
+    if (g && !sameGenerator(g)) {
+      for (const [key, field] of Object.entries(GENERATOR_KEYS)) {
+        if (g[field] !== DEFAULT_GENERATOR[field]) p.set(key, String(g[field]));
+      }
+    }
+  } else if (dataset.source === "file") p.set("file", dataset.name);
+  p.set("fc", String(view.fcThreshold));
+  if (view.fcDownThreshold != null) p.set("fcdown", String(view.fcDownThreshold));
+  p.set("fdr", String(view.fdrThreshold));
+  p.set("m", view.correction);
+  if (view.pMode === "raw") p.set("pm", "raw");
+  if (view.minBaseMean > 0) p.set("minmean", String(view.minBaseMean));
+  p.set("top", String(view.topN));
+  if (view.showLabels) p.set("labels", "1");
+  if (view.pinned.length) p.set("pin", view.pinned.join(","));
+  if (view.selected.length && view.selected.length <= HASH_MAX_SELECTED) p.set("sel", view.selected.join(","));
+  if (view.searchHighlightId) p.set("hl", view.searchHighlightId);
+  if (view.palette !== "default") p.set("pal", view.palette);
+  if (view.colorBy !== "category") p.set("color", view.colorBy);
+  if (view.sizeBy) p.set("size", view.sizeBy);
+  if (view.zoomDomain) {
+    const z = view.zoomDomain;
+    p.set("zoom", [...z.x, ...z.y].map((v) => roundTo(v, 6)).join(","));
+  }
+  if (view.zoomAxis !== "xy") p.set("axis", view.zoomAxis);
+  if (view.yScaleType !== "linear") p.set("ys", view.yScaleType);
+  if (view.yBreak !== null) p.set("yb", String(view.yBreak));
+  if (view.yCap !== null) p.set("ycap", String(view.yCap));
+  if (view.xClip !== null) p.set("xclip", String(view.xClip));
+  return p.toString();
+}
+
+const splitIds = (s) => s.split(",").filter(Boolean);
+
+/**
+ * Reads hash parameters back into a view plus dataset hints.
+ * @param {string} hash - location.hash, with or without "#"
+ * @returns {{ view: Object, seed: number|null, generator: Object, fileName: string|null, warnings: string[] } | null}
+ *   null when the hash holds no plot state
+ */
+export function decodeHash(hash) {
+  const p = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if ([...p.keys()].length === 0) return null;
+  const raw = {};
+  const warnings = [];
+  const num = (key, field, parse = Number) => {
+    if (!p.has(key)) return;
+    const v = parse(p.get(key));
+    raw[field] = Number.isNaN(v) ? p.get(key) : v;
+  };
+  num("fc", "fcThreshold");
+  raw.fcDownThreshold = null;
+  num("fcdown", "fcDownThreshold");
+  raw.pMode = p.get("pm") || "adjusted";
+  raw.minBaseMean = 0;
+  num("minmean", "minBaseMean");
+  num("fdr", "fdrThreshold");
+  num("top", "topN", (s) => (/^\d+$/.test(s) ? parseInt(s, 10) : NaN));
+  if (p.has("m")) raw.correction = p.get("m");
+  raw.showLabels = p.get("labels") === "1";
+  if (p.has("pin")) raw.pinned = splitIds(p.get("pin"));
+  if (p.has("sel")) raw.selected = splitIds(p.get("sel"));
+  if (p.has("hl")) raw.searchHighlightId = p.get("hl");
+  raw.palette = p.get("pal") || "default";
+  raw.colorBy = p.get("color") || "category";
+  raw.sizeBy = p.get("size") || null;
+  if (p.has("zoom")) {
+    const z = p.get("zoom").split(",").map(Number);
+    raw.zoomDomain = z.length === 4 ? { x: [z[0], z[1]], y: [z[2], z[3]] } : p.get("zoom");
+  }
+  if (p.has("axis")) raw.zoomAxis = p.get("axis");
+  raw.yScaleType = p.get("ys") || "linear";
+  raw.yBreak = null;
+  num("yb", "yBreak");
+  raw.yCap = null;
+  num("ycap", "yCap");
+  raw.xClip = null;
+  num("xclip", "xClip");
+  const { view, warnings: viewWarnings } = sanitizeView(raw);
+  warnings.push(...viewWarnings);
+
+  let seed = null;
+  if (p.has("seed")) {
+    const s = Number(p.get("seed"));
+    if (Number.isInteger(s) && s >= 0) seed = s;
+    else warnings.push(`Ignored invalid seed (${p.get("seed")}).`);
+  }
+  const rawGenerator = {};
+  for (const [key, field] of Object.entries(GENERATOR_KEYS)) {
+    if (!p.has(key)) continue;
+    const text = p.get(key);
+    const v = typeof DEFAULT_GENERATOR[field] === "number" ? Number(text) : text;
+    rawGenerator[field] = Number.isNaN(v) || text.trim() === "" ? text : v;
+  }
+  const { params: generator, warnings: generatorWarnings } = sanitizeGenerator(rawGenerator);
+  warnings.push(...generatorWarnings);
+  return { view, seed, generator, fileName: p.get("file"), warnings };
+}
+
+// --- Session files ---
+/**
+ * @param {Object} view - Fields from VIEW_FIELDS
+ * @param {Object} dataset - state.dataset
+ * @param {Object[]} data - state.data (rows are only stored for file datasets; synthetic ones keep the
+ *   seed and generator settings)
+ */
+export function buildSession(view, dataset, data) {
+  const session = {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    dataset: { source: dataset.source, name: dataset.name },
+    view,
+  };
+  if (dataset.source === "synthetic") {
+    session.dataset.seed = dataset.seed;
+    session.dataset.generator = { ...DEFAULT_GENERATOR, ...dataset.generator };
+  } else {
+    session.dataset.hasPadj = Boolean(dataset.hasPadj);
+    session.dataset.mapping = dataset.mapping || null;
+    session.dataset.rows = data.map((d) => {
+      const row = { id: d.id, geneSymbol: d.geneSymbol, log2FC: d.log2FC, pval: d.pval };
+      if (dataset.hasPadj) row.padj = d.padj;
+      if (d.baseMean !== undefined) row.baseMean = d.baseMean;
+      if (d.fields) row.fields = d.fields;
+      return row;
+    });
+  }
+  return session;
+}
+
+function validRow(r) {
+  return (
+    r &&
+    typeof r.id === "string" &&
+    isFiniteNumber(r.log2FC) &&
+    isFiniteNumber(r.pval) &&
+    r.pval > 0 &&
+    r.pval <= 1 &&
+    (r.padj === undefined || (isFiniteNumber(r.padj) && r.padj >= 0 && r.padj <= 1)) &&
+    (r.baseMean === undefined || r.baseMean === null || isFiniteNumber(r.baseMean)) &&
+    (r.fields === undefined ||
+      (r.fields !== null && typeof r.fields === "object" && Object.values(r.fields).every((v) => typeof v === "string")))
+  );
+}
+
+/**
+ * Checks a parsed session file.
+ * @param {*} obj - JSON.parse() output
+ * @returns {{ error: string } | { dataset: Object, rows: Object[]|null, view: Object, warnings: string[] }}
+ */
+export function validateSession(obj) {
+  if (!obj || typeof obj !== "object" || obj.format !== SESSION_FORMAT) {
+    return { error: "Not a volcano plot session file." };
+  }
+  if (obj.version !== SESSION_VERSION) {
+    return { error: `Unsupported session version ${JSON.stringify(obj.version)} (expected ${SESSION_VERSION}).` };
+  }
+  const ds = obj.dataset;
+  if (!ds || (ds.source !== "synthetic" && ds.source !== "file")) {
+    return { error: "Session has no dataset." };
+  }
+  const warnings = [];
+  const name = typeof ds.name === "string" && ds.name ? ds.name : "Session data";
+  let dataset;
+  let rows = null;
+  if (ds.source === "synthetic") {
+    if (!Number.isInteger(ds.seed) || ds.seed < 0) return { error: "Synthetic dataset has no valid seed." };
+    const { params: generator, warnings: generatorWarnings } = sanitizeGenerator(ds.generator);
+    warnings.push(...generatorWarnings);
+    dataset = { source: "synthetic", name, seed: ds.seed, generator };
+  } else {
+    if (!Array.isArray(ds.rows)) return { error: "File dataset has no rows." };
+    const hasPadj = ds.hasPadj === true;
+    rows = ds.rows.filter(validRow).map((r) => ({
+      id: r.id,
+      geneSymbol: typeof r.geneSymbol === "string" && r.geneSymbol ? r.geneSymbol : r.id,
+      log2FC: r.log2FC,
+      pval: r.pval,
+      ...(hasPadj ? { padj: r.padj ?? 1 } : {}),
+      ...(r.baseMean !== undefined ? { baseMean: r.baseMean } : {}),
+      ...(r.fields !== undefined ? { fields: r.fields } : {}),
+    }));
+    const dropped = ds.rows.length - rows.length;
+    if (dropped > 0) warnings.push(`Dropped ${dropped} malformed row${dropped === 1 ? "" : "s"}.`);
+    if (rows.length === 0) return { error: "Session dataset has no valid rows." };
+    dataset = { source: "file", name, hasPadj, mapping: ds.mapping || null };
+  }
+  const { view, warnings: viewWarnings } = sanitizeView(obj.view);
+  warnings.push(...viewWarnings);
+  return { dataset, rows, view, warnings };
+}
@@ -0,0 +1,255 @@
+/**
+ * Seeded synthetic results for demos and testing. A chosen fraction of features is truly
+ * differential; the rest are null. Every row keeps its true effect (trueLog2FC, 0 for null
+ * features) so a threshold's calls can be scored against the ground truth.
+ */
+
+export const EFFECT_DISTRIBUTIONS = [
+  { id: "fixed", label: "Fixed" },
+  { id: "uniform", label: "Uniform" },
+  { id: "exponential", label: "Exponential (many small, few large)" },
+];
+
+export const NULL_DISTRIBUTIONS = [
+  { id: "uniform", label: "Uniform (well calibrated)" },
+  { id: "conservative", label: "Conservative (too few small p)" },
+  { id: "anticonservative", label: "Anti-conservative (too many small p)" },
+];
+
+/**
+ * @typedef {Object} GeneratorParams
+ * @property {number} n - Number of features
+ * @property {number} diffFraction - Share of features with a true effect, 0–1
+ * @property {string} effect - Id from EFFECT_DISTRIBUTIONS: how |true log₂FC| is drawn
+ * @property {number} effectSize - Mean |true log₂FC| of the differential features
+ * @property {number} noise - Standard error of the observed log₂FC
+ * @property {string} nullDist - Id from NULL_DISTRIBUTIONS: p-values of the null features
+ */
+
+/** @type {GeneratorParams} */
+export const DEFAULT_GENERATOR = {
+  n: 1200,
+  diffFraction: 0.2,
+  effect: "exponential",
+  effectSize: 1.5,
+  noise: 0.5,
+  nullDist: "uniform",
+};
+
+const GENERATOR_FIELDS = {
+  n: (v) => Number.isInteger(v) && v >= 1 && v <= 200000,
+  diffFraction: (v) => Number.isFinite(v) && v >= 0 && v <= 1,
+  effect: (v) => EFFECT_DISTRIBUTIONS.some((e) => e.id === v),
+  effectSize: (v) => Number.isFinite(v) && v > 0 && v <= 20,
+  noise: (v) => Number.isFinite(v) && v > 0 && v <= 10,
+  nullDist: (v) => NULL_DISTRIBUTIONS.some((e) => e.id === v),
+};
+
+/**
+ * Fills missing or invalid fields from DEFAULT_GENERATOR.
+ * @param {*} raw
+ * @returns {{ params: GeneratorParams, warnings: string[] }}
+ */
+export function sanitizeGenerator(raw) {
+  const params = { ...DEFAULT_GENERATOR };
+  const warnings = [];
+  if (!raw || typeof raw !== "object") return { params, warnings };
+  for (const [key, valid] of Object.entries(GENERATOR_FIELDS)) {
+    if (raw[key] === undefined) continue;
+    if (valid(raw[key])) params[key] = raw[key];
+    else warnings.push(`Ignored invalid generator ${key} (${JSON.stringify(raw[key])}).`);
+  }
+  return { params, warnings };
+}
+
+/** Whether two parameter sets generate the same data for a seed (b defaults to DEFAULT_GENERATOR). */
+export function sameGenerator(a, b = DEFAULT_GENERATOR) {
+  return Object.keys(DEFAULT_GENERATOR).every((k) => (a?.[k] ?? DEFAULT_GENERATOR[k]) === (b?.[k] ?? DEFAULT_GENERATOR[k]));
+}
+
+// --- Seeded RNG (simple LCG) ---
+export function createRng(seed) {
+  let s = seed;
+  return function () {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    return s / 0xffffffff;
+  };
+}
+
+/** Random 32-bit seed; kept with the dataset so it can be reproduced from a link. */
+export function newSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/** Standard normal draw (Box–Muller). */
+function normalDraw(rng) {
+  const u = Math.max(rng(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+/** Smallest p-value generated; matches the importer's P_VALUE_FLOOR. */
+const MIN_P = 1e-300;
+
+/**
+ * Two-sided p-value of a z statistic. Uses the tail of the erfc approximation directly so very
+ * large |z| keep a small non-zero p instead of rounding 1 − Φ(z) to 0.
+ */
+export function twoSidedP(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1.0 / (1.0 + 0.3275911 * x);
+  const tail = ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t;
+  return Math.min(1, Math.max(MIN_P, tail * Math.exp(-x * x)));
+}
+
+/** |z| whose two-sided p-value is p (inverse normal, Acklam's rational approximation). */
+export function zForTwoSidedP(p) {
+  const q = Math.min(Math.max(p, MIN_P), 1) / 2; // lower tail
+  if (q >= 0.5) return 0;
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  let x;
+  if (q < 0.02425) {
+    const r = Math.sqrt(-2 * Math.log(q));
+    x = (((((c[0] * r + c[1]) * r + c[2]) * r + c[3]) * r + c[4]) * r + c[5]) / ((((d[0] * r + d[1]) * r + d[2]) * r + d[3]) * r + 1);
+  } else {
+    const r = q - 0.5;
+    const s = r * r;
+    x = ((((((a[0] * s + a[1]) * s + a[2]) * s + a[3]) * s + a[4]) * s + a[5]) * r) /
+      (((((b[0] * s + b[1]) * s + b[2]) * s + b[3]) * s + b[4]) * s + 1);
+  }
+  return -x;
+}
+
+// --- Generator (real gene symbols so UniProt hover works) ---
+const GENE_SYMBOLS = [
+  "TP53", "BRCA1", "EGFR", "MYC", "AKT1", "PTEN", "KRAS", "ERBB2", "VEGFA", "IL6",
+  "TNF", "MAPK1", "JUN", "FOS", "STAT3", "NFKB1", "CDKN1A", "BCL2", "CASP3", "ESR1",
+  "AR", "INS", "INSR", "IGF1", "CTNNB1", "APC", "SMAD4", "TGFB1", "CDK1", "CCND1",
+  "RB1", "E2F1", "MDM2", "CDKN2A", "GAPDH", "ACTB", "HSP90AA1", "HSPA8", "TUBB", "LMNA",
+  "SOD1", "CAT", "GPX1", "NFE2L2", "HIF1A", "VHL", "MTOR", "PIK3CA", "GSK3B", "NOTCH1",
+  "WNT1", "DVL1", "AXIN1", "LEF1", "TCF7L2", "MYCN", "FLT1", "KDR", "PDGFRA", "MET",
+  "RET", "BRAF", "RAF1", "MAP2K1", "MAPK3", "ELK1", "CREB1", "ATF2", "JAK2", "SOCS1",
+  "IL10", "IFNG", "CD4", "CD8A", "CD19", "CD34", "KIT", "FLT3", "NPM1", "CEBPA",
+  "RUNX1", "GATA1", "TPO", "EPO", "VEGFB", "FGF2", "PDGFA", "EGF", "TGFB2", "BMP4",
+  "WNT3A", "SHH", "DLL1", "JAG1", "HES1", "HEY1", "SNAI1", "TWIST1", "ZEB1", "CDH1",
+  "VIM", "FN1", "COL1A1", "MMP2", "MMP9", "TIMP1", "SERPINE1", "PLAU", "CXCL12", "CCL2",
+  "IL1B", "IL8", "COX2", "PTGS2", "NOS2", "ARG1", "IDO1", "CD274", "PDCD1", "CTLA4",
+  "CD80", "CD86", "IL2", "IL12A", "TGFB3", "BMP2", "WNT5A", "FZD1", "LRP5", "DKK1",
+];
+
+/** |true log₂FC| of a differential feature; each distribution has mean effectSize. */
+function effectMagnitude(params, rng) {
+  if (params.effect === "fixed") return params.effectSize;
+  if (params.effect === "uniform") return params.effectSize * (0.5 + rng());
+  return -params.effectSize * Math.log(Math.max(1 - rng(), 1e-12));
+}
+
+/** p-value of a null feature: uniform, or skewed towards 1 / towards 0. */
+function nullPValue(params, rng) {
+  const u = rng();
+  if (params.nullDist === "conservative") return Math.sqrt(u);
+  if (params.nullDist === "anticonservative") return u * u;
+  return u;
+}
+
+const PROGRESS_STEP = 10000;
+
+/**
+ * Differential features get observed log₂FC = true log₂FC + noise·N(0, 1) and the matching Wald
+ * p-value. Null features draw their p-value from nullDist and get the log₂FC that implies it, so
+ * every row satisfies p ≈ 2·(1 − Φ(|log₂FC| / noise)).
+ * @param {Partial<GeneratorParams>} [params]
+ * @param {number} [seed]
+ * @param {Function} [onProgress] - (done, total) every PROGRESS_STEP rows
+ * @returns {Object[]} Rows with id, geneSymbol, log2FC, pval, negLog10P, baseMean and trueLog2FC
+ */
+export function generateData(params = DEFAULT_GENERATOR, seed = newSeed(), onProgress = null) {
+  const p = { ...DEFAULT_GENERATOR, ...params };
+  const rng = createRng(seed);
+  // Expression comes from its own stream so changing the effect model keeps each gene's baseMean.
+  const expressionRng = createRng((seed ^ 0x9e3779b9) >>> 0);
+  const data = [];
+  for (let i = 0; i < p.n; i++) {
+    const geneSymbol = GENE_SYMBOLS[i % GENE_SYMBOLS.length];
+    const id = `${geneSymbol}_${i + 1}`;
+    const sign = rng() < 0.5 ? -1 : 1;
+    let trueLog2FC = 0;
+    let log2FC;
+    let pval;
+    if (rng() < p.diffFraction) {
+      trueLog2FC = sign * effectMagnitude(p, rng);
+      log2FC = trueLog2FC + p.noise * normalDraw(rng);
+      pval = twoSidedP(log2FC / p.noise);
+    } else {
+      pval = Math.max(MIN_P, nullPValue(p, rng));
+      log2FC = sign * p.noise * zForTwoSidedP(pval);
+    }
+    const baseMean = Math.round(10 ** (expressionRng() * 4) * 10) / 10;
+    data.push({ id, geneSymbol, log2FC, pval, negLog10P: -Math.log10(pval), baseMean, trueLog2FC });
+    if (onProgress && (i + 1) % PROGRESS_STEP === 0) onProgress(i + 1, p.n);
+  }
+  return data;
+}
+
+/** Two-sided p-value for a simulated contrast: larger |log2FC| tends to be more significant. */
+function contrastPValue(log2FC, rng) {
+  return twoSidedP(Math.abs(log2FC) + rng() * 2);
+}
+
+/**
+ * A second synthetic contrast over the same genes: most share the direction of base
+ * (with a different magnitude), some flip, the rest are unrelated.
+ */
+export function generateContrast(base, seed) {
+  const rng = createRng(seed);
+  return base.map((d) => {
+    const r = rng();
+    let log2FC;
+    if (r < 0.6) log2FC = d.log2FC * (0.4 + rng());
+    else if (r < 0.7) log2FC = -d.log2FC * (0.4 + rng());
+    else log2FC = (rng() - 0.5) * 6;
+    const pval = contrastPValue(log2FC, rng);
+    return { id: d.id, geneSymbol: d.geneSymbol, log2FC, pval, negLog10P: -Math.log10(pval), baseMean: d.baseMean };
+  });
+}
+
+// --- Scoring against the ground truth ---
+/**
+ * Empirical error rates of the current calls. A call is any row whose category isn't not_sig;
+ * it's false when the feature is null or the direction is wrong.
+ * @param {Object[]} data - Rows with trueLog2FC and _category (set by the plot on render)
+ * @returns {{ calls: number, falseCalls: number, signErrors: number, trueDiff: number,
+ *   found: number, fdr: number|null, sensitivity: number|null } | null} null without ground truth
+ */
+export function truthStats(data) {
+  if (data.length === 0 || data[0].trueLog2FC === undefined) return null;
+  let calls = 0;
+  let falseCalls = 0;
+  let signErrors = 0;
+  let trueDiff = 0;
+  let found = 0;
+  for (const d of data) {
+    const diff = d.trueLog2FC !== 0;
+    const called = d._category !== undefined && d._category !== "not_sig";
+    if (diff) trueDiff++;
+    if (!called) continue;
+    calls++;
+    const rightWay = diff && (d._category === "sig_up") === d.trueLog2FC > 0;
+    if (rightWay) found++;
+    else {
+      falseCalls++;
+      if (diff) signErrors++;
+    }
+  }
+  return {
+    calls,
+    falseCalls,
+    signErrors,
+    trueDiff,
+    found,
+    fdr: calls > 0 ? falseCalls / calls : null,
+    sensitivity: trueDiff > 0 ? found / trueDiff : null,
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Color themes: named sets of tokens that style the page (as CSS custom properties) and every SVG
+ * and canvas element of the plot. Light, dark and high-contrast presets are built in; "auto"
+ * follows the system's prefers-color-scheme and prefers-contrast settings, and pages can add their
+ * own themes with registerTheme().
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+/**
+ * Token → what it colors. Each token is also the CSS custom property --<kebab-case name> (see
+ * applyTheme()), which styles.css uses for the page and the plot's classes.
+ */
+export const THEME_TOKENS = {
+  bg: "Page and plot background",
+  surface: "Panels, tooltips and dialogs",
+  panelBg: "Inputs and raised controls",
+  text: "Body text",
+  textMuted: "Secondary text and hints",
+  accent: "Links, focus rings, buttons and the selection box",
+  border: "Borders and separators",
+  warning: "Warnings and error notes",
+  sigUp: "Significant up points (default palette)",
+  sigDown: "Significant down points (default palette)",
+  notSig: "Not significant points (every palette)",
+  axis: "Axis lines, ticks and tick labels",
+  axisLabel: "Axis titles",
+  threshold: "Threshold lines",
+  labelText: "Point labels",
+  labelHalo: "Outline behind point labels",
+  leader: "Label leader lines",
+  pinned: "Outline of pinned points",
+  selected: "Outline of selected points",
+  search: "Search highlight and linked-hover rings",
+  searchMatch: "Outline of other search matches",
+  geneSet: "Gene set members (outline or fill)",
+};
+
+/** The theme choice that follows the system settings (see resolveThemeId()). */
+export const AUTO_THEME = "auto";
+
+const DARK = {
+  bg: "#0f1419",
+  surface: "#1a2332",
+  panelBg: "#1e2a3a",
+  text: "#e6edf3",
+  textMuted: "#8b949e",
+  accent: "#58a6ff",
+  border: "#30363d",
+  warning: "#ffa657",
+  sigUp: "#3fb950",
+  sigDown: "#f85149",
+  notSig: "#484f58",
+  axis: "#e6edf3",
+  axisLabel: "#8b949e",
+  threshold: "#8b949e",
+  labelText: "#e6edf3",
+  labelHalo: "#0f1419",
+  leader: "#8b949e",
+  pinned: "#e6edf3",
+  selected: "#58a6ff",
+  search: "#ffa657",
+  searchMatch: "#bb8009",
+  geneSet: "#d2a8ff",
+};
+
+/**
+ * scheme: "light" or "dark" (sets the CSS color-scheme, so form controls and scrollbars match).
+ * tokens: a value for every key of THEME_TOKENS.
+ */
+const PRESETS = [
+  { id: "dark", label: "Dark", scheme: "dark", tokens: DARK },
+  {
+    id: "light",
+    label: "Light",
+    scheme: "light",
+    tokens: {
+      bg: "#ffffff",
+      surface: "#f6f8fa",
+      panelBg: "#eef1f4",
+      text: "#1f2328",
+      textMuted: "#59636e",
+      accent: "#0969da",
+      border: "#d0d7de",
+      warning: "#bc4c00",
+      sigUp: "#1a7f37",
+      sigDown: "#cf222e",
+      notSig: "#afb8c1",
+      axis: "#1f2328",
+      axisLabel: "#59636e",
+      threshold: "#6e7781",
+      labelText: "#1f2328",
+      labelHalo: "#ffffff",
+      leader: "#6e7781",
+      pinned: "#1f2328",
+      selected: "#0969da",
+      search: "#bc4c00",
+      searchMatch: "#9a6700",
+      geneSet: "#8250df",
+    },
+  },
+  {
+    id: "high-contrast",
+    label: "High contrast",
+    scheme: "dark",
+    // Black background, white text and lines, and brighter category colors (all ≥ 7:1 against black
+    // except not-significant points, which stay quieter than the calls).
+    tokens: {
+      bg: "#000000",
+      surface: "#0a0a0a",
+      panelBg: "#161616",
+      text: "#ffffff",
+      textMuted: "#d6d6d6",
+      accent: "#71b7ff",
+      border: "#9ea7b3",
+      warning: "#ffb757",
+      sigUp: "#26cd4d",
+      sigDown: "#ff8080",
+      notSig: "#7a828e",
+      axis: "#ffffff",
+      axisLabel: "#ffffff",
+      threshold: "#ffffff",
+      labelText: "#ffffff",
+      labelHalo: "#000000",
+      leader: "#d6d6d6",
+      pinned: "#ffffff",
+      selected: "#71b7ff",
+      search: "#ffb757",
+      searchMatch: "#f0b72f",
+      geneSet: "#dbb7ff",
+    },
+  },
+];
+
+/** Presets, then registered themes, in menu order. */
+export const THEMES = [...PRESETS];
+
+export function getTheme(id) {
+  return THEMES.find((t) => t.id === id) || THEMES[0];
+}
+
+/**
+ * Adds a theme (or replaces a registered one with the same id). Tokens it leaves out come from the
+ * theme it extends, or the preset for its scheme.
+ * @param {Object} theme
+ * @param {string} theme.id - Letters, digits and dashes; not a preset's id or "auto"
+ * @param {string} [theme.label] - Menu text (default: the id)
+ * @param {"light"|"dark"} [theme.scheme] - Default: the scheme of the theme it extends
+ * @param {string} [theme.extends] - Id of a theme to start from (default: the preset for scheme, else dark)
+ * @param {Object} [theme.tokens] - Any of THEME_TOKENS, as CSS colors
+ * @returns {Object} The registered theme, with every token filled in
+ */
+export function registerTheme(theme) {
+  const id = String(theme?.id ?? "");
+  if (!/^[A-Za-z0-9-]+$/.test(id)) throw new Error(`Invalid theme id "${id}": use letters, digits and dashes.`);
+  if (id === AUTO_THEME || PRESETS.some((p) => p.id === id)) throw new Error(`Theme id "${id}" is reserved.`);
+  if (theme.scheme !== undefined && theme.scheme !== "light" && theme.scheme !== "dark") {
+    throw new Error(`Theme "${id}": scheme must be "light" or "dark".`);
+  }
+  const base = theme.extends
+    ? THEMES.find((t) => t.id === theme.extends)
+    : PRESETS.find((p) => p.id === (theme.scheme || "dark"));
+  if (!base) throw new Error(`Theme "${id}" extends unknown theme "${theme.extends}".`);
+  const tokens = { ...base.tokens };
+  Object.entries(theme.tokens || {}).forEach(([key, value]) => {
+    if (!(key in THEME_TOKENS)) throw new Error(`Theme "${id}": unknown token "${key}".`);
+    if (typeof value !== "string" || !d3.color(value)) throw new Error(`Theme "${id}": "${value}" is not a color (${key}).`);
+    tokens[key] = value;
+  });
+  const registered = { id, label: String(theme.label || id), scheme: theme.scheme || base.scheme, tokens };
+  const at = THEMES.findIndex((t) => t.id === id);
+  if (at >= 0) THEMES[at] = registered;
+  else THEMES.push(registered);
+  return registered;
+}
+
+/**
+ * The theme id "auto" stands for: high contrast when the system asks for more contrast, else light
+ * or dark after prefers-color-scheme. Other ids pass through.
+ * @param {string} choice - A theme id or "auto"
+ * @param {Function} [matches] - (media query) → boolean; window.matchMedia when available
+ */
+export function resolveThemeId(choice, matches = systemMatches) {
+  if (choice !== AUTO_THEME) return getTheme(choice).id;
+  if (matches("(prefers-contrast: more)")) return "high-contrast";
+  return matches("(prefers-color-scheme: light)") ? "light" : "dark";
+}
+
+function systemMatches(query) {
+  return typeof window !== "undefined" && typeof window.matchMedia === "function" && window.matchMedia(query).matches;
+}
+
+/**
+ * Calls onChange when a system setting that "auto" follows changes.
+ * @returns {Function} Stops listening
+ */
+export function watchSystemTheme(onChange) {
+  if (typeof window === "undefined" || typeof window.matchMedia !== "function") return () => {};
+  const queries = ["(prefers-color-scheme: light)", "(prefers-contrast: more)"].map((q) => window.matchMedia(q));
+  queries.forEach((q) => q.addEventListener?.("change", onChange));
+  return () => queries.forEach((q) => q.removeEventListener?.("change", onChange));
+}
+
+/** CSS custom property for a token: panelBg → --panel-bg. */
+export function tokenProperty(key) {
+  return `--${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+/**
+ * Writes a theme's tokens as CSS custom properties (and its color-scheme) on an element, so
+ * everything inside it that styles.css colors with var(--…) follows the theme.
+ * @param {HTMLElement} node
+ * @param {Object} theme - From THEMES
+ */
+export function applyTheme(node, theme) {
+  Object.entries(theme.tokens).forEach(([key, value]) => node.style.setProperty(tokenProperty(key), value));
+  node.style.setProperty("color-scheme", theme.scheme);
+  node.dataset.theme = theme.id;
+}
+
+/**
+ * Category fills for a palette under a theme: the default palette takes all three from the theme;
+ * the others keep their up / down colors and take the theme's not-significant color, which has to
+ * recede against the background.
+ * @param {Object} palette - From PALETTES in color-mapping.js
+ * @param {Object} theme
+ */
+export function categoryColors(palette, theme) {
+  const { sigUp, sigDown, notSig } = theme.tokens;
+  if (palette.id === "default") return { sig_up: sigUp, sig_down: sigDown, not_sig: notSig };
+  return { ...palette.category, not_sig: notSig };
+}
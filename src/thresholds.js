@@ -0,0 +1,77 @@
+/**
+ * Significance rules: separate up / down log₂FC cutoffs, a cutoff on either the adjusted or the
+ * raw p-value, and an optional minimum mean expression (DESeq2 baseMean, limma AveExpr, …).
+ */
+
+import { pvalueAtFdrThreshold } from "./adjust.js";
+
+export const P_MODES = [
+  { id: "adjusted", label: "Adjusted p-value" },
+  { id: "raw", label: "Raw p-value" },
+];
+
+/**
+ * @typedef {Object} Thresholds
+ * @property {number} fcUp - sig_up needs log2FC ≥ fcUp
+ * @property {number} fcDown - sig_down needs log2FC ≤ −fcDown
+ * @property {number} alpha - Cutoff for the p-value chosen by pMode
+ * @property {"adjusted"|"raw"} pMode - Threshold d.fdr (the selected correction) or d.pval
+ * @property {number} minBaseMean - 0 turns the expression filter off
+ */
+
+/**
+ * Rows below minBaseMean are never significant. Rows without a baseMean field (no expression
+ * column in the data) aren't filtered; rows whose value is missing (null) are.
+ * @param {Object} d - Row with log2FC, pval, fdr and optionally baseMean
+ * @param {Thresholds} t
+ * @returns {"sig_up"|"sig_down"|"not_sig"}
+ */
+export function getCategory(d, t) {
+  if (t.minBaseMean > 0 && d.baseMean !== undefined && !(d.baseMean >= t.minBaseMean)) return "not_sig";
+  const p = t.pMode === "raw" ? d.pval : d.fdr;
+  if (!(p <= t.alpha)) return "not_sig";
+  if (d.log2FC >= t.fcUp) return "sig_up";
+  if (d.log2FC <= -t.fcDown) return "sig_down";
+  return "not_sig";
+}
+
+/**
+ * Raw p-value of the horizontal threshold line: alpha itself in raw mode, otherwise the largest
+ * p-value whose adjusted value passes. Null when nothing passes.
+ * @param {Object} [index] - createDataIndex(data) result, to binary-search instead of scanning
+ */
+export function pValueCutoff(data, t, index = null) {
+  if (t.pMode === "raw") return t.alpha > 0 ? t.alpha : null;
+  const cutoff = index?.pValueCutoff(t.alpha);
+  return cutoff !== undefined ? cutoff : pvalueAtFdrThreshold(data, t.alpha);
+}
+
+/**
+ * Inverse of pValueCutoff for a dragged threshold line: the alpha that puts the line at p.
+ * In adjusted mode that's the adjusted value of the least significant row with pval ≤ p
+ * (0 when no row is that significant).
+ * @param {Object} [index] - createDataIndex(data) result
+ */
+export function alphaForPValue(data, p, pMode, index = null) {
+  if (pMode === "raw") return p;
+  if (index) return index.alphaForPValue(p);
+  let alpha = 0;
+  let best = -1;
+  for (const d of data) {
+    if (d.pval <= p && d.pval > best) {
+      best = d.pval;
+      alpha = d.fdr;
+    }
+  }
+  return alpha;
+}
+
+/** @returns {{ sig_up: number, sig_down: number, not_sig: number, belowMinMean: number }} */
+export function countCategories(data, t) {
+  const counts = { sig_up: 0, sig_down: 0, not_sig: 0, belowMinMean: 0 };
+  for (const d of data) {
+    counts[d._category]++;
+    if (t.minBaseMean > 0 && d.baseMean !== undefined && !(d.baseMean >= t.minBaseMean)) counts.belowMinMean++;
+  }
+  return counts;
+}
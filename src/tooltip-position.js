@@ -0,0 +1,44 @@
+/**
+ * Tooltip placement in viewport (client) coordinates: below-right of the anchor by default,
+ * flipped to the other side when it would run off the right or bottom edge, then clamped so the
+ * whole box stays on screen.
+ */
+
+export const TOOLTIP_OFFSET = 12;
+/** Gap kept between the tooltip and the viewport edge. */
+const EDGE_MARGIN = 4;
+
+/**
+ * @param {{ x: number, y: number }} anchor - Pointer or point position (client coordinates)
+ * @param {{ width: number, height: number }} size - Tooltip box
+ * @param {{ width: number, height: number }} viewport
+ * @param {number} [offset] - Distance from the anchor
+ * @returns {{ left: number, top: number, flippedX: boolean, flippedY: boolean }}
+ */
+export function placeTooltip(anchor, size, viewport, offset = TOOLTIP_OFFSET) {
+  let left = anchor.x + offset;
+  let top = anchor.y + offset;
+  const flippedX = left + size.width > viewport.width - EDGE_MARGIN && anchor.x - offset - size.width >= EDGE_MARGIN;
+  const flippedY = top + size.height > viewport.height - EDGE_MARGIN && anchor.y - offset - size.height >= EDGE_MARGIN;
+  if (flippedX) left = anchor.x - offset - size.width;
+  if (flippedY) top = anchor.y - offset - size.height;
+  // Neither side fits (a tooltip wider or taller than the room on both sides): keep it on screen.
+  left = Math.max(EDGE_MARGIN, Math.min(left, viewport.width - size.width - EDGE_MARGIN));
+  top = Math.max(EDGE_MARGIN, Math.min(top, viewport.height - size.height - EDGE_MARGIN));
+  return { left, top, flippedX, flippedY };
+}
+
+/**
+ * Moves a position: fixed tooltip element next to a client-coordinate point. The element must
+ * already hold its content, so its size can be measured.
+ * @param {HTMLElement} node
+ * @param {number} clientX
+ * @param {number} clientY
+ */
+export function positionTooltip(node, clientX, clientY) {
+  const box = node.getBoundingClientRect();
+  const viewport = { width: window.innerWidth, height: window.innerHeight };
+  const { left, top } = placeTooltip({ x: clientX, y: clientY }, { width: box.width, height: box.height }, viewport);
+  node.style.left = `${Math.round(left)}px`;
+  node.style.top = `${Math.round(top)}px`;
+}
@@ -0,0 +1,1305 @@
+/**
+ * Embeddable volcano plot: axes, threshold lines (draggable), points (SVG, or canvas for large
+ * datasets), labels, tooltip, zoom, box / lasso selection, pins and keyboard navigation, all
+ * scoped to one container so several plots can share a page.
+ *
+ *   const plot = createVolcanoPlot(document.getElementById("plot"), { data });
+ *   plot.on("selectionchange", ({ selected }) => console.log(selected.size));
+ *   plot.setThresholds({ fcUp: 1.5, alpha: 0.01 });
+ *
+ * Rows need id, log2FC, pval, fdr (adjusted p) and negLog10P; geneSymbol and baseMean are optional.
+ * The plot writes d._category on each row when it renders.
+ */
+
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { createCanvasLayer, buildPointIndex, findPoint, pointsInRect } from "./canvas-points.js";
+import { layoutLabels, leaderEnd } from "./label-layout.js";
+import { alphaForPValue, pValueCutoff } from "./thresholds.js";
+import { createClassifier, createDataIndex } from "./data-index.js";
+import {
+  CAP_BAND,
+  breakValue,
+  buildYScale,
+  defaultXDomain,
+  defaultYDomain,
+  domainEnds,
+  hasBreak,
+  isCapped,
+  markerAngle,
+  plotLog2FC,
+  trianglePath,
+  yCeiling,
+  yTicks,
+} from "./axis-scales.js";
+import { combineSelection, pointsInPolygon, selectionMode } from "./selection.js";
+import { PLOT_KEYS, nearestInDirection, significantOrder, stepInOrder } from "./keyboard-nav.js";
+import { formatResults } from "./results-export.js";
+import { positionTooltip } from "./tooltip-position.js";
+import { AUTO_THEME, applyTheme, getTheme, resolveThemeId, watchSystemTheme } from "./themes.js";
+
+const MARGIN = { top: 24, right: 24, bottom: 40, left: 48 };
+const HIT_RADIUS = 6;
+const LABEL_FONT_SIZE = 10;
+const POINT_RADIUS = 3.5;
+const LASSO_MIN_STEP = 3; // px between recorded lasso vertices
+const ZOOM_SELECTION_PAD = 0.1;
+const KEYBOARD_ZOOM_FACTOR = 1.5;
+const SUMMARY_TOP_HITS = 5;
+const CATEGORY_TEXT = { sig_up: "significant up", sig_down: "significant down", not_sig: "not significant" };
+
+/**
+ * Events, each called with one detail object (listeners run before the plot re-renders):
+ * - hover: { point, event } — point is null when the pointer (or keyboard focus) leaves
+ * - click: { point, event }
+ * - selectionchange: { selected, source } — source "box", "lasso", "click", "keyboard" or "api"
+ * - thresholdchange: { thresholds, source } — source "drag" or "api"
+ * - pinchange: { pinned, source } — source "click", "keyboard" or "api"
+ * - zoom: { domain, source } — after a gesture ends ("gesture"), from the keyboard or from zoomTo ("api")
+ * - render: { counts, capped, clipped, pCutoff } — after every render
+ */
+export const PLOT_EVENTS = ["hover", "click", "selectionchange", "thresholdchange", "pinchange", "zoom", "render"];
+
+/**
+ * @typedef {Object} PointStyle - How the embedding page styles points; every field is optional.
+ * @property {Function} prepare - (data) → void, called after categories are set and before drawing
+ * @property {Function} fill - d → CSS color (default: the category colors)
+ * @property {Function} radius - d → radius in px before emphasis (default 3.5)
+ * @property {Function} emphasized - d → whether to enlarge the point as pinned and selected ones are
+ * @property {Function} classes - d → extra class names for an SVG point
+ * @property {Function} outline - (d, own) → outline color or null; own is the plot's pinned / selected
+ *   color (or null). Used by the canvas, and inline in SVG for points the plot doesn't outline itself.
+ * @property {string[]} raise - Selectors of SVG points to draw above the rest, in order
+ */
+
+export const DEFAULT_PLOT_OPTIONS = {
+  data: [],
+  /** fcDown null = the same cutoff as fcUp (dragging either line moves both). */
+  thresholds: { fcUp: 1, fcDown: null, alpha: 0.05, pMode: "adjusted", minBaseMean: 0 },
+  /** Where dragging a threshold line stops: fc [min, max, step] and alpha [min, max]. */
+  limits: { fc: [0, 10, 0.1], alpha: [0, 1] },
+  /** AxisOptions from axis-scales.js. */
+  axis: { yScale: "linear", yBreak: null, yCap: null, xClip: null },
+  topN: 10,
+  showLabels: false,
+  zoomAxis: "xy", // which axes wheel zoom / drag pan change: "xy", "x" or "y"
+  selectionTool: "pan", // id from SELECTION_TOOLS: what a plain drag does
+  name: "Volcano plot", // for the aria-label and the text summary
+  adjustedLabel: "adj. p", // how the tooltip and announcements name d.fdr
+  /** Above this many rows, points go on a canvas layer instead of one SVG element each. */
+  canvasThreshold: 5000,
+  /** @type {PointStyle} */
+  style: {},
+  /** (tip, d, html) → void fills the tooltip (a d3 selection); html is the default content. Null = default. */
+  tooltip: null,
+  /**
+   * createDataIndex(data) result, e.g. with orders sorted by the data worker. Built from the data
+   * when missing or made for other rows. Call its adjustedChanged() after rewriting d.fdr.
+   */
+  index: null,
+  /**
+   * Id from THEMES in themes.js, or "auto" for light, dark or high contrast after the system
+   * settings. The theme's tokens are also set as CSS custom properties on the container.
+   */
+  theme: AUTO_THEME,
+};
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/** Text for HTML markup: ids and labels come from imported files, sessions and links. */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+/**
+ * Default tooltip rows for a data row (text from the data is escaped).
+ * @param {string} adjustedLabel - How to name d.fdr
+ * @param {Object} axis - AxisOptions, for the off-scale note
+ */
+export function pointTooltipHtml(d, adjustedLabel, axis) {
+  return (
+    `<div class="row"><span class="label">id</span> ${escapeHtml(d.id)}</div>` +
+    `<div class="row"><span class="label">log2FC</span> ${d.log2FC.toFixed(3)}</div>` +
+    `<div class="row"><span class="label">pval</span> ${d.pval.toExponential(2)}</div>` +
+    `<div class="row"><span class="label">${escapeHtml(adjustedLabel)}</span> ${d.fdr.toExponential(2)}</div>` +
+    (d.baseMean !== undefined
+      ? `<div class="row"><span class="label">mean expr.</span> ${d.baseMean === null ? "NA" : Number(d.baseMean.toPrecision(4))}</div>`
+      : "") +
+    (markerAngle(d, axis) !== null ? `<div class="row off-scale-note">Off scale: drawn at the plot edge</div>` : "")
+  );
+}
+
+let nextPlotId = 1;
+
+/**
+ * @param {HTMLElement} containerNode - Sized by the page; the plot fills it and follows its size
+ * @param {Object} [options] - See DEFAULT_PLOT_OPTIONS
+ */
+export function createVolcanoPlot(containerNode, options = {}) {
+  const uid = `volcano-${nextPlotId++}`;
+  const dispatch = d3.dispatch(...PLOT_EVENTS);
+  const state = {
+    ...DEFAULT_PLOT_OPTIONS,
+    ...options,
+    data: options.data || [],
+    thresholds: { ...DEFAULT_PLOT_OPTIONS.thresholds, ...options.thresholds },
+    limits: { ...DEFAULT_PLOT_OPTIONS.limits, ...options.limits },
+    axis: { ...DEFAULT_PLOT_OPTIONS.axis, ...options.axis },
+    style: options.style || {},
+    pinned: new Set(),
+    selected: new Set(),
+    zoomDomain: null, // { x: [min, max], y: [min, max] } when zoomed in
+    labelOffsets: new Map(), // id → { dx, dy } pixel offset of a label the user dragged
+    linked: [], // rows ringed by highlight()
+  };
+
+  // Set by updateScalesAndAxes: the options the scales were built with, and how many rows are capped.
+  let xScale, yScale;
+  let axisOpts = state.axis;
+  let cappedCount = 0;
+  let pCutoff = null;
+  let pointIndex = null;
+  let pointIndexKey = null; // data and scales the quadtree was built for
+  let dataIndex = null; // createDataIndex() of state.data
+  let classifier = null;
+  let hoveredPoint = null;
+  let pinnedTooltipPoint = null;
+  let tooltipAnchor = null; // [clientX, clientY] the open tooltip points at, to re-place it when its content grows
+  let focusedPoint = null; // row the keyboard is on (drawn with a focus ring while the plot has focus)
+  let autoLabelOffsets = new Map(); // id → offset from the last layout, so labels don't jump between renders
+  let theme = null; // resolved state.theme (see applyOptionSideEffects)
+  let categoryFill = null; // category → the theme's fill, when style.fill doesn't set one
+
+  // --- DOM ---
+  const container = d3.select(containerNode).classed("volcano-plot", true);
+  const canvasLayer = createCanvasLayer(containerNode);
+  // One tab stop for the whole plot; the focused point is tracked in focusedPoint.
+  const svg = container
+    .append("svg")
+    .attr("width", "100%")
+    .attr("height", "100%")
+    .attr("tabindex", 0)
+    .attr("role", "application")
+    .attr("aria-roledescription", "volcano plot")
+    .attr("aria-describedby", `${uid}-summary ${uid}-keys`);
+  const gPlot = svg.append("g").attr("transform", `translate(${MARGIN.left},${MARGIN.top})`);
+  const overlay = gPlot.append("rect").attr("fill", "none").attr("pointer-events", "all");
+  svg.append("defs").append("clipPath").attr("id", `${uid}-clip`).append("rect");
+  const clip = `url(#${uid}-clip)`;
+  // Under the points: the capped band's background and the broken-axis line.
+  const gAxisBreaks = gPlot.append("g").attr("class", "axis-breaks");
+  const gThresholds = gPlot.append("g").attr("class", "thresholds").attr("clip-path", clip);
+  const gPoints = gPlot.append("g").attr("class", "points").attr("clip-path", clip);
+  const gLinked = gPlot.append("g").attr("class", "linked-hover").attr("clip-path", clip);
+  const gFocus = gPlot.append("g").attr("class", "keyboard-focus").attr("clip-path", clip);
+  const gLabels = gPlot.append("g").attr("class", "labels");
+  const gSelectionBox = gPlot.append("rect").attr("class", "selection-box").attr("visibility", "hidden");
+  const gLasso = gPlot.append("path").attr("class", "selection-box lasso").attr("visibility", "hidden");
+  gPlot.append("g").attr("class", "x-axis");
+  gPlot.append("g").attr("class", "y-axis");
+  gPlot.append("text").attr("class", "axis-label x-label").attr("text-anchor", "middle").text("log₂ FC");
+  gPlot.append("text").attr("class", "axis-label y-label").attr("text-anchor", "middle").text("−log₁₀(p)");
+  const tooltip = container.append("div").attr("class", "tooltip").attr("role", "tooltip").attr("aria-hidden", "true");
+  const summary = container.append("p").attr("id", `${uid}-summary`).attr("class", "visually-hidden");
+  container
+    .append("p")
+    .attr("id", `${uid}-keys`)
+    .attr("class", "visually-hidden")
+    .text(`Keys: ${PLOT_KEYS.map((k) => `${k.keys}, ${k.action}`).join("; ")}.`);
+  const live = container.append("div").attr("class", "visually-hidden").attr("aria-live", "polite").attr("aria-atomic", "true");
+
+  overlay.on("click", (e) => {
+    if (e.defaultPrevented || consumeBoxClick()) return;
+    if (usesCanvas()) {
+      const d = pointAtEvent(e);
+      if (d) {
+        onPointClick(e, d);
+        return;
+      }
+    }
+    clear("click");
+  });
+  overlay.on("mousedown", startBox);
+  // A drag may start on a point, too.
+  gPoints.on("mousedown", startBox);
+  overlay.on("mousemove", hoverCanvasPoint).on("mouseleave", () => setHoveredPoint(null));
+  d3.select("body").on(`mousemove.${uid}`, moveBox).on(`mouseup.${uid}`, endBox);
+  svg.on("keydown", onKeydown).on("blur", () => {
+    if (focusedPoint) hideTooltip();
+  });
+  const zoomBehavior = setupZoom();
+  const resizeObserver = new ResizeObserver(() => render());
+  resizeObserver.observe(containerNode);
+  // Content filled in later (an annotation lookup) changes the tooltip's size: place it again.
+  const tooltipObserver = new ResizeObserver(() => {
+    if (tooltipAnchor && tooltip.classed("visible")) positionTooltip(tooltip.node(), ...tooltipAnchor);
+  });
+  tooltipObserver.observe(tooltip.node());
+  const onScroll = () => anchorPinnedTooltip();
+  window.addEventListener("scroll", onScroll, true);
+  // With theme "auto", follow the system switching between light, dark and more contrast.
+  const stopWatchingTheme = watchSystemTheme(() => {
+    if (state.theme !== AUTO_THEME) return;
+    applyOptionSideEffects();
+    render({ animate: false });
+  });
+  applyOptionSideEffects();
+
+  // --- Scales and axes ---
+  /** Thresholds with fcDown resolved, for getCategory() and the lines. */
+  function resolvedThresholds() {
+    const t = state.thresholds;
+    return { ...t, fcDown: t.fcDown ?? t.fcUp };
+  }
+
+  /** Pixel x of a row (clipped rows at the clip edge). */
+  function plotX(d) {
+    return xScale(plotLog2FC(d.log2FC, axisOpts));
+  }
+
+  /** Pixel y of a row (capped rows in the band above the axis). */
+  function plotY(d) {
+    return isCapped(d.negLog10P, axisOpts) ? CAP_BAND / 2 : yScale(d.negLog10P);
+  }
+
+  function updateScalesAndAxes(svgWidth, svgHeight) {
+    const width = svgWidth - MARGIN.left - MARGIN.right;
+    const height = svgHeight - MARGIN.top - MARGIN.bottom;
+    axisOpts = { ...state.axis };
+    cappedCount = state.data.filter((d) => isCapped(d.negLog10P, axisOpts)).length;
+    const domainX = state.zoomDomain ? state.zoomDomain.x : defaultXDomain(state.data, axisOpts);
+    xScale = d3.scaleLinear().domain(domainX).range([0, width]);
+    const domainY = state.zoomDomain ? state.zoomDomain.y : defaultYDomain(state.data, axisOpts);
+    // Capped rows get a band of their own above the axis.
+    const top = cappedCount > 0 ? CAP_BAND : 0;
+    const breakAt = axisOpts.yScale === "broken" ? breakValue(state.data, axisOpts) : null;
+    yScale = buildYScale(axisOpts.yScale, domainY, [height, top], breakAt);
+    // d3.axis draws in currentColor, so the group's color attribute sets the theme's.
+    gPlot.select(".x-axis").attr("color", theme.tokens.axis).attr("transform", `translate(0,${height})`).call(d3.axisBottom(xScale).ticks(8));
+    gPlot.select(".y-axis").attr("color", theme.tokens.axis).call(d3.axisLeft(yScale).tickValues(yTicks(yScale)).tickFormat(d3.format("~g")));
+    drawAxisBreaks(width);
+    gPlot.selectAll(".axis-label").attr("fill", theme.tokens.axisLabel);
+    gPlot.select(".x-label").attr("x", width / 2).attr("y", height + 36);
+    gPlot.select(".y-label").attr("x", -36).attr("y", height / 2).attr("transform", `rotate(-90, -36, ${height / 2})`);
+    overlay.attr("width", width).attr("height", height);
+    svg.select(`#${uid}-clip rect`).attr("width", width).attr("height", height);
+    return { width, height };
+  }
+
+  /** Capped-points band and broken-axis marks: a band label, a dashed line at the break and "//" marks on the y axis. */
+  function drawAxisBreaks(width) {
+    const fmt = d3.format("~g");
+    const band = cappedCount > 0 ? [{ ceiling: yCeiling(axisOpts), count: cappedCount }] : [];
+    gAxisBreaks
+      .selectAll("g.cap-band")
+      .data(band)
+      .join((enter) => {
+        const g = enter.append("g").attr("class", "cap-band");
+        g.append("rect").attr("y", 0).attr("height", CAP_BAND);
+        g.append("text").attr("class", "cap-label").attr("x", -9).attr("y", CAP_BAND / 2).attr("dy", "0.32em").attr("text-anchor", "end");
+        g.append("title");
+        return g;
+      })
+      .call((g) => g.select("rect").attr("width", width))
+      .call((g) => g.select("text").text((b) => `≥${fmt(b.ceiling)}`))
+      .call((g) =>
+        g.select("title").text((b) => `${b.count} row${b.count === 1 ? "" : "s"} with −log₁₀ p ≥ ${fmt(b.ceiling)} (or p = 0), drawn as triangles`)
+      );
+    const breaks = [];
+    if (cappedCount > 0) breaks.push({ y: CAP_BAND, line: false });
+    if (hasBreak(yScale)) breaks.push({ y: yScale(yScale.domain()[1]), line: true });
+    gAxisBreaks
+      .selectAll("g.axis-break")
+      .data(breaks)
+      .join((enter) => {
+        const g = enter.append("g").attr("class", "axis-break");
+        g.append("line").attr("class", "axis-break-line").attr("x1", 0);
+        g.append("path").attr("class", "axis-break-mark").attr("d", "M-5,1L5,-3M-5,5L5,1");
+        return g;
+      })
+      .attr("transform", (b) => `translate(0,${b.y})`)
+      .call((g) =>
+        g
+          .select("line")
+          .attr("x2", width)
+          .attr("visibility", (b) => (b.line ? "visible" : "hidden"))
+      );
+  }
+
+  // --- Threshold lines (drag to move) ---
+  const thresholdDrag = d3
+    .drag()
+    .on("start", function () {
+      d3.select(this).classed("dragging", true);
+    })
+    .on("drag", (e, line) => dragThreshold(e, line))
+    .on("end", function () {
+      d3.select(this).classed("dragging", false);
+    });
+
+  function drawThresholdLines(width, height, animate) {
+    const t = resolvedThresholds();
+    pCutoff = pValueCutoff(state.data, t, currentIndex());
+    // No row passes the adjusted threshold: there is no p-value cutoff to draw (the handle stays
+    // at the bottom so the line can still be dragged up).
+    const noneSignificant = pCutoff === null;
+    const yVal = noneSignificant ? 0 : -Math.log10(pCutoff);
+    const clipY = Math.max(0, Math.min(height, yScale(yVal)));
+    const lines = [
+      { edge: "up", x1: xScale(t.fcUp), y1: 0, x2: xScale(t.fcUp), y2: height },
+      { edge: "down", x1: xScale(-t.fcDown), y1: 0, x2: xScale(-t.fcDown), y2: height },
+      { edge: "p", x1: 0, y1: clipY, x2: width, y2: clipY, hidden: noneSignificant },
+    ];
+    const groups = gThresholds
+      .selectAll("g.threshold")
+      .data(lines, (d) => d.edge)
+      .join((enter) => {
+        const g = enter.append("g").attr("class", (d) => `threshold threshold-${d.edge}`);
+        g.append("line")
+          .attr("class", "threshold-line")
+          .attr("stroke-width", 1)
+          .attr("stroke-dasharray", "4 2");
+        // Wide transparent line on top: the drag target.
+        g.append("line").attr("class", "threshold-handle");
+        g.call(thresholdDrag);
+        return g;
+      });
+    const visible = groups.select(".threshold-line").attr("stroke", theme.tokens.threshold).attr("opacity", (d) => (d.hidden ? 0 : 0.8));
+    [animate ? visible.transition().duration(200) : visible.interrupt(), groups.select(".threshold-handle")].forEach((sel) =>
+      sel
+        .attr("x1", (d) => d.x1)
+        .attr("y1", (d) => d.y1)
+        .attr("x2", (d) => d.x2)
+        .attr("y2", (d) => d.y2)
+    );
+  }
+
+  /** Clamps v to [min, max] of a limits entry (and, when it has a step and snap is set, rounds to it). */
+  function clampToLimit([min, max, step], v, snap = true) {
+    const snapped = snap && step > 0 ? Math.round(v / step) * step : v;
+    return Math.max(min, Math.min(max, Number(snapped.toFixed(10))));
+  }
+
+  /** Moves a threshold line to the pointer: vertical lines set the FC cutoffs, the horizontal one alpha. */
+  function dragThreshold(e, line) {
+    const t = state.thresholds;
+    if (line.edge === "p") {
+      const range = yScale.range();
+      const [y0, y1] = [range[range.length - 1], range[0]];
+      const p = 10 ** -yScale.invert(Math.max(y0, Math.min(y1, e.y)));
+      t.alpha = clampToLimit(state.limits.alpha, alphaForPValue(state.data, p, t.pMode, currentIndex()), false);
+    } else {
+      const value = xScale.invert(e.x);
+      const v = clampToLimit(state.limits.fc, line.edge === "up" ? value : -value);
+      if (line.edge === "up" || t.fcDown === null) t.fcUp = v;
+      else t.fcDown = v;
+    }
+    dispatch.call("thresholdchange", api, { thresholds: { ...t }, source: "drag" });
+    render({ animate: false });
+  }
+
+  // --- Render ---
+  /**
+   * Re-renders the plot from its state.
+   * @param {{ animate?: boolean }} [opts] - animate: false skips transitions (used while zooming/panning)
+   */
+  function render({ animate = true } = {}) {
+    if (state.data.length === 0) return renderEmpty();
+    const rect = containerNode.getBoundingClientRect();
+    const w = rect.width > 0 ? rect.width : 800;
+    const h = rect.height > 0 ? Math.max(400, rect.height) : 500;
+    svg.attr("viewBox", `0 0 ${w} ${h}`);
+    const { width, height } = updateScalesAndAxes(w, h);
+    drawThresholdLines(width, height, animate);
+
+    // Sets d._category; a threshold change only revisits the rows between the old and new cutoff.
+    const counts = classifier.update(resolvedThresholds());
+    state.style.prepare?.(state.data);
+    updateSummary(counts);
+
+    // Points only move when the data, scales or off-scale policy change (not on threshold drags).
+    const key = [xScale.domain(), xScale.range(), yScale.domain(), yScale.range(), JSON.stringify(axisOpts)].join("|");
+    if (pointIndexKey?.data !== state.data || pointIndexKey.key !== key) {
+      pointIndex = buildPointIndex(state.data, plotX, plotY);
+      pointIndexKey = { data: state.data, key };
+    }
+    if (usesCanvas()) {
+      gPoints.selectAll(".point").remove();
+      drawCanvasPoints(w, h, width, height);
+    } else {
+      if (canvasLayer) canvasLayer.clear();
+      drawSvgPoints(animate);
+    }
+    drawLabels(width, height);
+    drawLinked();
+    drawFocusRing();
+
+    const clipped = axisOpts.xClip === null ? 0 : state.data.filter((d) => Math.abs(d.log2FC) > axisOpts.xClip).length;
+    anchorPinnedTooltip();
+    dispatch.call("render", api, { counts, capped: cappedCount, clipped, pCutoff });
+    return api;
+  }
+
+  /** No rows: clears what earlier data drew (points, labels, threshold lines, axes) and reports zero counts. */
+  function renderEmpty() {
+    gPoints.selectAll("*").remove();
+    if (canvasLayer) canvasLayer.clear();
+    [gAxisBreaks, gThresholds, gLinked, gFocus, gLabels].forEach((g) => g.selectAll("*").remove());
+    gPlot.selectAll(".x-axis, .y-axis").selectAll("*").remove();
+    pointIndex = null;
+    pointIndexKey = null;
+    pCutoff = null;
+    cappedCount = 0;
+    summary.text(`No rows from ${state.name}.`);
+    const counts = { sig_up: 0, sig_down: 0, not_sig: 0, belowMinMean: 0 };
+    dispatch.call("render", api, { counts, capped: 0, clipped: 0, pCutoff });
+    return api;
+  }
+
+  /** The data index (sorted orders) and its classifier: the one from options when it's for these rows, else built once per data. */
+  function currentIndex() {
+    const given = state.index?.data === state.data ? state.index : null;
+    const next = given || (dataIndex?.data === state.data ? dataIndex : createDataIndex(state.data));
+    if (next !== dataIndex) {
+      dataIndex = next;
+      classifier = createClassifier(next);
+    }
+    return dataIndex;
+  }
+
+  /** Whether a row is drawn inside the current view; capped rows are always in the band, whatever the y zoom. */
+  function isInView(d) {
+    const [xMin, xMax] = xScale.domain();
+    const [yMin, yMax] = domainEnds(yScale);
+    const x = plotLog2FC(d.log2FC, axisOpts);
+    return x >= xMin && x <= xMax && (isCapped(d.negLog10P, axisOpts) || (d.negLog10P >= yMin && d.negLog10P <= yMax));
+  }
+
+  // --- Points ---
+  function usesCanvas() {
+    return Boolean(canvasLayer) && state.data.length > state.canvasThreshold;
+  }
+
+  function pointFill(d) {
+    return state.style.fill ? state.style.fill(d) : categoryFill[d._category];
+  }
+
+  function pointRadius(d) {
+    const r = state.style.radius ? state.style.radius(d) : POINT_RADIUS;
+    const emphasized = state.selected.has(d.id) || state.pinned.has(d.id) || Boolean(state.style.emphasized?.(d));
+    return emphasized ? Math.max(5, r + 1.5) : r;
+  }
+
+  /** The plot's own outline for a row: selected, then pinned. */
+  function ownOutline(d) {
+    if (state.selected.has(d.id)) return theme.tokens.selected;
+    if (state.pinned.has(d.id)) return theme.tokens.pinned;
+    return null;
+  }
+
+  function drawSvgPoints(animate) {
+    const { classes, outline, raise = [] } = state.style;
+    // Off-scale rows (capped or clipped) are triangles pointing the way they're off.
+    const circles = gPoints.selectAll("circle.point").data(
+      state.data.filter((d) => markerAngle(d, axisOpts) === null),
+      (d) => d.id
+    );
+    const markers = gPoints.selectAll("path.point").data(
+      state.data.filter((d) => markerAngle(d, axisOpts) !== null),
+      (d) => d.id
+    );
+    circles
+      .join("circle")
+      .call(stylePoints)
+      .attr("r", pointRadius)
+      .attr("cx", plotX)
+      .attr("cy", plotY);
+    markers
+      .join("path")
+      .call(stylePoints)
+      .classed("off-scale", true)
+      .attr("d", (d) => trianglePath(pointRadius(d), markerAngle(d, axisOpts)))
+      .attr("transform", (d) => `translate(${plotX(d)},${plotY(d)})`);
+    (animate ? circles.transition().duration(250) : circles.interrupt())
+      .attr("cx", plotX)
+      .attr("cy", plotY)
+      .attr("fill", pointFill);
+    (animate ? markers.transition().duration(250) : markers.interrupt())
+      .attr("transform", (d) => `translate(${plotX(d)},${plotY(d)})`)
+      .attr("fill", pointFill);
+    raise.forEach((selector) => gPoints.selectAll(selector).raise());
+
+    function stylePoints(points) {
+      points
+        .attr("class", (d) => {
+          let c = "point";
+          const extra = classes?.(d);
+          if (extra) c += ` ${extra}`;
+          if (state.pinned.has(d.id)) c += " pinned";
+          if (state.selected.has(d.id)) c += " selected";
+          return c;
+        })
+        .attr("fill", pointFill)
+        .attr("stroke", "transparent")
+        .attr("stroke-width", 2)
+        // Inline so it loses to nothing but the pinned / selected outlines in CSS, which it skips.
+        .style("stroke", (d) => (outline && !ownOutline(d) ? outline(d, null) : null))
+        .style("cursor", "pointer")
+        .on("mouseenter", (e, d) => showHover(e, d))
+        .on("mousemove", (e) => moveTooltip(e))
+        .on("mouseleave", (e) => hideHover(e))
+        .on("click", (e, d) => {
+          e.preventDefault();
+          if (consumeBoxClick()) return;
+          onPointClick(e, d);
+        });
+    }
+  }
+
+  function drawCanvasPoints(svgWidth, svgHeight, width, height) {
+    const { outline } = state.style;
+    canvasLayer.resize(svgWidth, svgHeight);
+    canvasLayer.draw(state.data, {
+      x: plotX,
+      y: plotY,
+      angle: (d) => markerAngle(d, axisOpts),
+      radius: pointRadius,
+      fill: pointFill,
+      stroke: (d) => (outline ? outline(d, ownOutline(d)) : ownOutline(d)),
+      margin: MARGIN,
+      width,
+      height,
+    });
+  }
+
+  /** Rings rows that match the one hovered in a linked view (see highlight()). */
+  function drawLinked() {
+    gLinked
+      .selectAll("circle")
+      .data(state.linked, (d) => d.id)
+      .join("circle")
+      .attr("r", 7)
+      .attr("cx", plotX)
+      .attr("cy", plotY)
+      .attr("fill", "none")
+      .attr("stroke", theme.tokens.search)
+      .attr("stroke-width", 2)
+      .attr("pointer-events", "none");
+  }
+
+  // --- Labels (collision-avoiding layout, leader lines, drag to place) ---
+  /** Rows to label: top N significant by p-value (when labels are on) plus pinned, limited to the view. */
+  function labelledPoints() {
+    const topSignificant = currentIndex().topSignificant(state.topN);
+    const toLabel = new Set(state.showLabels ? topSignificant.map((d) => d.id) : []);
+    state.pinned.forEach((id) => toLabel.add(id));
+    // Pinned labels get first pick of positions, then the most significant.
+    return state.data
+      .filter((d) => toLabel.has(d.id) && isInView(d))
+      .sort((a, b) => state.pinned.has(b.id) - state.pinned.has(a.id) || a.pval - b.pval);
+  }
+
+  function drawLabels(width, height) {
+    const items = labelledPoints().map((d) => ({
+      id: d.id,
+      text: d.id,
+      x: plotX(d),
+      y: plotY(d),
+    }));
+    const placed = layoutLabels(items, {
+      width,
+      height,
+      fontSize: LABEL_FONT_SIZE,
+      fixed: state.labelOffsets,
+      previous: autoLabelOffsets,
+      countPoints: (x0, y0, x1, y1) => pointsInRect(pointIndex, x0, y0, x1, y1).length,
+    });
+    autoLabelOffsets = new Map(placed.filter((l) => !l.manual).map((l) => [l.id, { dx: l.dx, dy: l.dy }]));
+
+    const drag = d3
+      .drag()
+      .on("start", function () {
+        d3.select(this).raise().classed("dragging", true);
+      })
+      .on("drag", function (e, l) {
+        l.dx += e.dx;
+        l.dy += e.dy;
+        l.dragged = true;
+        l.leader = true;
+        positionLabel(d3.select(this));
+      })
+      .on("end", function (e, l) {
+        d3.select(this).classed("dragging", false);
+        if (!l.dragged) return;
+        state.labelOffsets.set(l.id, { dx: l.dx, dy: l.dy });
+        render({ animate: false });
+      });
+
+    gLabels
+      .selectAll("g.point-label")
+      .data(placed, (l) => l.id)
+      .join((enter) => {
+        const g = enter.append("g").attr("class", "point-label");
+        g.append("line").attr("class", "label-leader").attr("stroke-width", 0.75);
+        g.append("text").attr("class", "label-halo").attr("fill", "none").attr("stroke-width", 3).attr("stroke-linejoin", "round");
+        g.append("text").attr("class", "label-text");
+        g.append("title").text("Drag to move; double-click to reset");
+        return g;
+      })
+      .attr("font-size", `${LABEL_FONT_SIZE}px`)
+      .attr("text-anchor", "middle")
+      .style("cursor", "move")
+      .call((g) => g.selectAll("text").text((l) => l.text))
+      .call((g) => g.select(".label-leader").attr("stroke", theme.tokens.leader))
+      .call((g) => g.select(".label-halo").attr("stroke", theme.tokens.labelHalo))
+      .call((g) => g.select(".label-text").attr("fill", theme.tokens.labelText))
+      .call(positionLabel)
+      .call(drag)
+      .on("dblclick", (e, l) => {
+        // Double-click hands a dragged label back to the automatic layout.
+        e.stopPropagation();
+        state.labelOffsets.delete(l.id);
+        render({ animate: false });
+      });
+  }
+
+  function positionLabel(g) {
+    g.each(function (l) {
+      const sel = d3.select(this);
+      const cx = l.x + l.dx;
+      const baseline = l.y + l.dy + LABEL_FONT_SIZE * 0.35;
+      sel.selectAll("text").attr("x", cx).attr("y", baseline);
+      const end = leaderEnd(l);
+      sel
+        .select("line")
+        .attr("x1", l.x)
+        .attr("y1", l.y)
+        .attr("x2", end.x)
+        .attr("y2", end.y)
+        .attr("visibility", l.leader ? "visible" : "hidden");
+    });
+  }
+
+  // --- Hover, tooltip and pins ---
+  /** Nearest point under the mouse, via the quadtree (plot-area pixel coordinates). */
+  function pointAtEvent(e) {
+    const [px, py] = d3.pointer(e, gPlot.node());
+    return findPoint(pointIndex, px, py, HIT_RADIUS);
+  }
+
+  function hoverCanvasPoint(e) {
+    if (!usesCanvas() || boxStart || zoomStart) return;
+    const d = pointAtEvent(e);
+    if (d !== hoveredPoint) setHoveredPoint(d || null, e);
+    else if (d) moveTooltip(e);
+  }
+
+  function setHoveredPoint(d, e) {
+    if (!usesCanvas()) return;
+    hoveredPoint = d;
+    overlay.style("cursor", d ? "pointer" : idleCursor());
+    if (d) showHover(e, d);
+    else hideHover(e);
+  }
+
+  function showHover(e, d) {
+    showTooltip(e, d);
+    dispatch.call("hover", api, { point: d, event: e });
+  }
+
+  function hideHover(e) {
+    hideTooltip();
+    dispatch.call("hover", api, { point: null, event: e || null });
+  }
+
+  function onPointClick(e, d) {
+    dispatch.call("click", api, { point: d, event: e });
+    togglePin(e, d, "click");
+  }
+
+  function togglePin(e, d, source) {
+    if (state.pinned.has(d.id)) {
+      state.pinned.delete(d.id);
+      if (pinnedTooltipPoint?.id === d.id) {
+        pinnedTooltipPoint = null;
+        hideTooltip();
+      }
+    } else {
+      state.pinned.add(d.id);
+      showPinnedTooltip(e, d);
+    }
+    dispatch.call("pinchange", api, { pinned: state.pinned, source });
+    render();
+  }
+
+  function fillTooltip(d) {
+    const html = pointTooltipHtml(d, state.adjustedLabel, axisOpts);
+    tooltip.classed("visible", true).attr("aria-hidden", "false");
+    if (state.tooltip) state.tooltip(tooltip, d, html);
+    else tooltip.html(html);
+  }
+
+  function showTooltip(e, d) {
+    if (pinnedTooltipPoint) return;
+    fillTooltip(d);
+    moveTooltip(e);
+  }
+
+  /** Places the tooltip by a mouse event (or clientEventAt()), flipped and clamped to stay in the viewport. */
+  function moveTooltip(e) {
+    if (!e) return;
+    tooltipAnchor = [e.clientX, e.clientY];
+    positionTooltip(tooltip.node(), e.clientX, e.clientY);
+  }
+
+  function hideTooltip() {
+    if (pinnedTooltipPoint) return;
+    tooltipAnchor = null;
+    tooltip.classed("visible", false).attr("aria-hidden", "true");
+  }
+
+  /** The pinned tooltip points at its row, not at the click, so it can follow the row through zoom and resize. */
+  function showPinnedTooltip(e, d) {
+    pinnedTooltipPoint = d;
+    fillTooltip(d);
+    anchorPinnedTooltip();
+  }
+
+  /** After a render or scroll: moves the pinned tooltip to its row, hidden while the row is out of view. */
+  function anchorPinnedTooltip() {
+    if (!pinnedTooltipPoint) return;
+    const inView = isInView(pinnedTooltipPoint);
+    tooltip.classed("visible", inView).attr("aria-hidden", String(!inView));
+    if (inView) moveTooltip(clientEventAt(pinnedTooltipPoint));
+  }
+
+  /** Clears pins and the selection (click on empty plot, Escape, clear()). */
+  function clear(source) {
+    state.pinned.clear();
+    pinnedTooltipPoint = null;
+    state.selected.clear();
+    hideTooltip();
+    dispatch.call("pinchange", api, { pinned: state.pinned, source });
+    dispatch.call("selectionchange", api, { selected: state.selected, source });
+    render();
+  }
+
+  // --- Zoom (d3.zoom: wheel to zoom, drag to pan) ---
+  let zoomStart = null; // scales at gesture start, with ranges in SVG coordinates
+
+  /**
+   * Each gesture starts from identity: the d3.zoom transform is applied to the domains captured
+   * at gesture start, then reset on end. That way zoomTo() can set the domain directly without
+   * keeping a zoom transform in sync.
+   */
+  function setupZoom() {
+    const behavior = d3
+      .zoom()
+      // Drags pan only with the Pan tool and no modifier; Shift/Alt drags select.
+      .filter((e) => (e.type === "wheel" || (state.selectionTool === "pan" && !e.shiftKey && !e.altKey)) && !e.button)
+      .extent(() => [
+        [MARGIN.left, MARGIN.top],
+        [MARGIN.left + xScale.range()[1], MARGIN.top + yScale.range()[0]],
+      ])
+      .on("start", (e) => {
+        if (!e.sourceEvent) return;
+        zoomStart = {
+          x: xScale.copy().range(xScale.range().map((v) => v + MARGIN.left)),
+          y: yScale.copy().range(yScale.range().map((v) => v + MARGIN.top)),
+        };
+      })
+      .on("zoom", (e) => {
+        if (!e.sourceEvent || !zoomStart) return;
+        const t = e.transform;
+        const x = state.zoomAxis === "y" ? zoomStart.x : t.rescaleX(zoomStart.x);
+        const y = state.zoomAxis === "x" ? zoomStart.y : t.rescaleY(zoomStart.y);
+        state.zoomDomain = { x: x.domain(), y: domainEnds(y) };
+        zoomStart.moved = true;
+        render({ animate: false });
+      })
+      .on("end", (e) => {
+        if (!e.sourceEvent || !zoomStart) return;
+        const { moved } = zoomStart;
+        zoomStart = null;
+        behavior.transform(svg, d3.zoomIdentity);
+        if (moved) dispatch.call("zoom", api, { domain: copyDomain(state.zoomDomain), source: "gesture" });
+      });
+    svg.call(behavior).on("dblclick.zoom", null);
+    return behavior;
+  }
+
+  function copyDomain(domain) {
+    return domain ? { x: [...domain.x], y: [...domain.y] } : null;
+  }
+
+  function setZoom(domain, source) {
+    state.zoomDomain = copyDomain(domain);
+    dispatch.call("zoom", api, { domain: copyDomain(domain), source });
+    render();
+  }
+
+  /** A window around one row; a capped row sits in the band whatever the y range, so only x changes. */
+  function domainAround(d) {
+    const pad = 1.2;
+    const x = plotLog2FC(d.log2FC, axisOpts);
+    return {
+      x: [x - pad, x + pad],
+      y: isCapped(d.negLog10P, axisOpts) ? domainEnds(yScale) : [Math.max(0, d.negLog10P - pad), d.negLog10P + pad],
+    };
+  }
+
+  /** The rows' extent with a little padding, or null for no rows. */
+  function domainFitting(rows) {
+    if (rows.length === 0) return null;
+    const [x0, x1] = d3.extent(rows, (d) => plotLog2FC(d.log2FC, axisOpts));
+    const onScale = rows.filter((d) => !isCapped(d.negLog10P, axisOpts));
+    const [y0, y1] = onScale.length > 0 ? d3.extent(onScale, (d) => d.negLog10P) : domainEnds(yScale);
+    const padX = Math.max(ZOOM_SELECTION_PAD, (x1 - x0) * ZOOM_SELECTION_PAD);
+    const padY = Math.max(ZOOM_SELECTION_PAD, (y1 - y0) * ZOOM_SELECTION_PAD);
+    return { x: [x0 - padX, x1 + padX], y: [Math.max(0, y0 - padY), y1 + padY] };
+  }
+
+  /** Zooms the axes state.zoomAxis allows by a factor, around the focused point (or the view's centre). */
+  function zoomBy(factor) {
+    const xDomain = xScale.domain();
+    const yDomain = domainEnds(yScale);
+    const onScale = focusedPoint && isInView(focusedPoint) && markerAngle(focusedPoint, axisOpts) === null;
+    const cx = onScale ? focusedPoint.log2FC : (xDomain[0] + xDomain[1]) / 2;
+    const cy = onScale ? focusedPoint.negLog10P : (yDomain[0] + yDomain[1]) / 2;
+    const scale = (domain, c) => domain.map((v) => c + (v - c) / factor);
+    setZoom(
+      {
+        x: state.zoomAxis === "y" ? xDomain : scale(xDomain, cx),
+        y: state.zoomAxis === "x" ? yDomain : scale(yDomain, cy),
+      },
+      "keyboard"
+    );
+    if (focusedPoint) showTooltip(clientEventAt(focusedPoint), focusedPoint);
+    const [x0, x1] = xScale.domain();
+    announce(`${factor > 1 ? "Zoomed in" : "Zoomed out"}: log₂ FC ${x0.toFixed(1)} to ${x1.toFixed(1)}.`);
+  }
+
+  // --- Box and lasso selection ---
+  let boxStart = null; // { x, y, tool, mode } while a box or lasso is being drawn
+  let lassoPoints = [];
+  let boxJustEnded = false;
+
+  /** The click that follows a box drag must not clear the selection it just made. */
+  function consumeBoxClick() {
+    const ended = boxJustEnded;
+    boxJustEnded = false;
+    return ended;
+  }
+
+  function startBox(e) {
+    if (e.button !== 0) return;
+    // With the Pan tool a plain drag pans (d3.zoom) and Shift/Alt+drag draws a box.
+    const tool = state.selectionTool !== "pan" ? state.selectionTool : e.shiftKey || e.altKey ? "box" : null;
+    if (!tool) return;
+    e.preventDefault();
+    const pt = d3.pointer(e, gPlot.node());
+    boxStart = { x: pt[0], y: pt[1], tool, mode: selectionMode(e) };
+    if (tool === "lasso") {
+      lassoPoints = [pt];
+      gLasso.attr("d", null).attr("visibility", "visible");
+    } else {
+      gSelectionBox
+        .attr("x", pt[0])
+        .attr("y", pt[1])
+        .attr("width", 0)
+        .attr("height", 0)
+        .attr("visibility", "visible");
+    }
+  }
+
+  function moveBox(e) {
+    if (!boxStart) return;
+    const pt = d3.pointer(e, gPlot.node());
+    if (boxStart.tool === "lasso") {
+      const last = lassoPoints[lassoPoints.length - 1];
+      if (Math.hypot(pt[0] - last[0], pt[1] - last[1]) < LASSO_MIN_STEP) return;
+      lassoPoints.push(pt);
+      gLasso.attr("d", `M${lassoPoints.join("L")}Z`);
+      return;
+    }
+    const x = Math.min(boxStart.x, pt[0]);
+    const y = Math.min(boxStart.y, pt[1]);
+    const w = Math.abs(pt[0] - boxStart.x);
+    const h = Math.abs(pt[1] - boxStart.y);
+    gSelectionBox.attr("x", x).attr("y", y).attr("width", w).attr("height", h);
+  }
+
+  function endBox(e) {
+    if (!boxStart || e.button !== 0) return;
+    const start = boxStart;
+    const { tool, mode } = start;
+    boxStart = null;
+    let found = null;
+    if (tool === "lasso") {
+      gLasso.attr("visibility", "hidden");
+      const [x0, x1] = d3.extent(lassoPoints, (p) => p[0]);
+      const [y0, y1] = d3.extent(lassoPoints, (p) => p[1]);
+      if (lassoPoints.length >= 3 && x1 - x0 > 4 && y1 - y0 > 4) found = pointsInPolygon(pointIndex, lassoPoints);
+      lassoPoints = [];
+    } else {
+      const pt = d3.pointer(e, gPlot.node());
+      const x = Math.min(start.x, pt[0]);
+      const y = Math.min(start.y, pt[1]);
+      const w = Math.abs(pt[0] - start.x);
+      const h = Math.abs(pt[1] - start.y);
+      gSelectionBox.attr("visibility", "hidden");
+      if (w > 4 && h > 4) found = pointsInRect(pointIndex, x, y, x + w, y + h);
+    }
+    if (!found) return;
+    boxJustEnded = true;
+    applySelection(
+      found.map((d) => d.id),
+      mode,
+      tool
+    );
+  }
+
+  function applySelection(ids, mode, source) {
+    state.selected = combineSelection(state.selected, ids, mode);
+    dispatch.call("selectionchange", api, { selected: state.selected, source });
+    render();
+  }
+
+  function idleCursor() {
+    return state.selectionTool === "pan" ? "grab" : "crosshair";
+  }
+
+  // --- Keyboard navigation and screen-reader text (rules in keyboard-nav.js) ---
+  /** Plot-area pixel position of a row, for directional navigation. */
+  function plotPosition(d) {
+    return [plotX(d), plotY(d)];
+  }
+
+  /** A mouse-event stand-in at a row's position in the viewport, so the tooltip can be placed without a pointer. */
+  function clientEventAt(d) {
+    const rect = svg.node().getBoundingClientRect();
+    return {
+      clientX: rect.left + MARGIN.left + plotX(d),
+      clientY: rect.top + MARGIN.top + plotY(d),
+    };
+  }
+
+  /** Moves the keyboard focus to a row: focus ring, tooltip, hover event and a live-region announcement. */
+  function focusPoint(d, position = "") {
+    focusedPoint = d;
+    drawFocusRing();
+    showTooltip(clientEventAt(d), d);
+    dispatch.call("hover", api, { point: d, event: null });
+    announce(`${describePoint(d)}${position}`);
+  }
+
+  function describePoint(d) {
+    const name = d.geneSymbol && d.geneSymbol !== d.id ? `${d.geneSymbol} (${d.id})` : d.id;
+    const parts = [
+      `log₂ FC ${d.log2FC.toFixed(2)}`,
+      `p ${d.pval.toExponential(1)}`,
+      `${state.adjustedLabel} ${d.fdr.toExponential(1)}`,
+      CATEGORY_TEXT[d._category],
+    ];
+    if (d._rule) parts.push(`in ${d._rule.name}`);
+    if (state.pinned.has(d.id)) parts.push("pinned");
+    if (state.selected.has(d.id)) parts.push("selected");
+    if (markerAngle(d, axisOpts) !== null) parts.push("drawn at the plot edge");
+    return `${name}: ${parts.join(", ")}.`;
+  }
+
+  function announce(text) {
+    live.text(text);
+  }
+
+  function drawFocusRing() {
+    const d = focusedPoint;
+    gFocus
+      .selectAll("circle.focus-ring")
+      .data(d ? [d] : [])
+      .join("circle")
+      .attr("class", "focus-ring")
+      .attr("r", (p) => pointRadius(p) + 4)
+      .attr("cx", plotX)
+      .attr("cy", plotY);
+  }
+
+  function onKeydown(e) {
+    // Leave browser shortcuts (Ctrl/Cmd + / −, Alt+arrows) alone.
+    if (e.ctrlKey || e.metaKey || e.altKey || state.data.length === 0) return;
+    const inView = () => state.data.filter(isInView);
+    if (e.key === "Tab") {
+      const ordered = significantOrder(inView());
+      const next = stepInOrder(ordered, focusedPoint, e.shiftKey ? -1 : 1);
+      // Past either end the key moves focus out of the plot as usual.
+      if (!next) return;
+      e.preventDefault();
+      focusPoint(next, ` ${ordered.indexOf(next) + 1} of ${ordered.length} significant in view.`);
+    } else if (e.key.startsWith("Arrow")) {
+      e.preventDefault();
+      const points = inView();
+      if (!focusedPoint || !points.includes(focusedPoint)) {
+        const first = significantOrder(points)[0] || points[0];
+        if (first) focusPoint(first);
+        return;
+      }
+      const next = nearestInDirection(points, focusedPoint, e.key, plotPosition);
+      if (next) focusPoint(next);
+      else announce(`No point further ${e.key.slice(5).toLowerCase()}.`);
+    } else if ((e.key === "Enter" || e.key === " ") && focusedPoint) {
+      e.preventDefault();
+      togglePin(clientEventAt(focusedPoint), focusedPoint, "keyboard");
+      announce(describePoint(focusedPoint));
+    } else if (e.key === "Escape") {
+      focusedPoint = null;
+      dispatch.call("hover", api, { point: null, event: null });
+      clear("keyboard");
+      announce("Cleared pins, selection and point focus.");
+    } else if (e.key === "+" || e.key === "=") {
+      e.preventDefault();
+      zoomBy(KEYBOARD_ZOOM_FACTOR);
+    } else if (e.key === "-" || e.key === "_") {
+      e.preventDefault();
+      zoomBy(1 / KEYBOARD_ZOOM_FACTOR);
+    } else if (e.key === "0") {
+      e.preventDefault();
+      setZoom(null, "keyboard");
+      announce("Zoom reset.");
+    }
+  }
+
+  /** Text version of the plot for screen readers (the plot's aria-describedby): counts, cutoffs and top hits. */
+  function updateSummary(counts) {
+    const fmt = d3.format(",");
+    const t = resolvedThresholds();
+    const pLabel = t.pMode === "raw" ? "p" : state.adjustedLabel;
+    const formatAlpha = (v) => (v === 0 || v >= 1e-3 ? v.toFixed(3) : v.toExponential(1));
+    // The index's p order stops at the first few significant rows rather than sorting them all.
+    const top = currentIndex()
+      .topSignificant(SUMMARY_TOP_HITS)
+      .map((d) => `${d.geneSymbol || d.id} (log₂ FC ${d.log2FC.toFixed(2)}, p ${d.pval.toExponential(1)})`);
+    const sentences = [
+      `${fmt(state.data.length)} rows from ${state.name}.`,
+      `With ${pLabel} ≤ ${formatAlpha(t.alpha)} and log₂ FC ≥ ${t.fcUp} or ≤ −${t.fcDown}: ` +
+        `${fmt(counts.sig_up)} significant up, ${fmt(counts.sig_down)} significant down, ${fmt(counts.not_sig)} not significant.`,
+      top.length > 0 ? `Most significant: ${top.join("; ")}.` : "No significant rows.",
+    ];
+    if (cappedCount > 0) sentences.push(`${fmt(cappedCount)} rows are above the −log₁₀ p cap of ${yCeiling(axisOpts)}.`);
+    sentences.push("Press Tab to move through the significant points.");
+    summary.text(sentences.join(" "));
+  }
+
+  // --- Options ---
+  /** DOM that follows options directly rather than through render(). */
+  function applyOptionSideEffects() {
+    theme = getTheme(resolveThemeId(state.theme));
+    categoryFill = { sig_up: theme.tokens.sigUp, sig_down: theme.tokens.sigDown, not_sig: theme.tokens.notSig };
+    applyTheme(containerNode, theme);
+    svg.attr("aria-label", state.name);
+    overlay.style("cursor", idleCursor());
+  }
+
+  function resetData(data) {
+    state.data = data;
+    state.pinned = new Set();
+    state.selected = new Set();
+    state.zoomDomain = null;
+    state.labelOffsets = new Map();
+    state.linked = [];
+    pinnedTooltipPoint = null;
+    focusedPoint = null;
+    hoveredPoint = null;
+    hideTooltip();
+  }
+
+  /** Only rows whose id is in the data; ids may be a single id or any iterable. */
+  function knownIds(ids) {
+    const list = typeof ids === "string" ? [ids] : [...(ids ?? [])];
+    const known = new Set(state.data.map((d) => d.id));
+    return list.filter((id) => known.has(id));
+  }
+
+  // --- Public API ---
+  const api = {
+    node: containerNode,
+
+    /**
+     * Sets the listener for an event (see PLOT_EVENTS). As with d3.dispatch, a second listener for the
+     * same type replaces the first unless it has its own name ("hover.table"); null removes it.
+     */
+    on(type, listener) {
+      dispatch.on(type, listener);
+      return api;
+    },
+
+    /** Replaces the rows; clears pins, selection, zoom, label positions and keyboard focus. */
+    setData(data) {
+      resetData(data);
+      return render();
+    },
+
+    getData: () => state.data,
+
+    /** The data index in use (createDataIndex()); call its adjustedChanged() after rewriting d.fdr in place. */
+    getIndex: () => currentIndex(),
+
+    /** The theme in use (state.theme resolved, so "auto" gives light, dark or high contrast): { id, label, scheme, tokens }. */
+    getTheme: () => theme,
+
+    /** @param {Object} thresholds - Any of fcUp, fcDown (null = same as fcUp), alpha, pMode, minBaseMean */
+    setThresholds(thresholds) {
+      Object.assign(state.thresholds, thresholds);
+      dispatch.call("thresholdchange", api, { thresholds: { ...state.thresholds }, source: "api" });
+      return render();
+    },
+
+    getThresholds: () => ({ ...state.thresholds }),
+
+    /**
+     * Updates any of the DEFAULT_PLOT_OPTIONS (thresholds, limits and axis merge field by field) and
+     * re-renders. New data resets the plot as setData() does; the same array keeps pins and zoom.
+     * @param {Object} next
+     * @param {{ animate?: boolean }} [opts]
+     */
+    setOptions(next, opts) {
+      const { data, thresholds, limits, axis, ...rest } = next;
+      if (data && data !== state.data) resetData(data);
+      Object.assign(state, rest);
+      if (thresholds) Object.assign(state.thresholds, thresholds);
+      if (limits) Object.assign(state.limits, limits);
+      if (axis) state.axis = { ...state.axis, ...axis };
+      applyOptionSideEffects();
+      // The pinned tooltip stays open across renders: refresh it (labels or adjusted p-values may have changed).
+      if (pinnedTooltipPoint) fillTooltip(pinnedTooltipPoint);
+      return render(opts);
+    },
+
+    render,
+
+    /**
+     * @param {Iterable<string>|string} ids
+     * @param {"replace"|"add"|"subtract"} [mode]
+     */
+    select(ids, mode = "replace") {
+      applySelection(knownIds(ids), mode, "api");
+      return api;
+    },
+
+    getSelection: () => state.selected,
+
+    /** Pins (or with pinned false, unpins) rows by id: pinned rows are labelled and outlined. */
+    pin(ids, pinned = true) {
+      knownIds(ids).forEach((id) => {
+        if (pinned) state.pinned.add(id);
+        else state.pinned.delete(id);
+      });
+      if (pinnedTooltipPoint && !state.pinned.has(pinnedTooltipPoint.id)) {
+        pinnedTooltipPoint = null;
+        hideTooltip();
+      }
+      dispatch.call("pinchange", api, { pinned: state.pinned, source: "api" });
+      return render();
+    },
+
+    getPinned: () => state.pinned,
+
+    /** Clears pins and the selection. */
+    clear() {
+      clear("api");
+      return api;
+    },
+
+    /**
+     * @param {Object|Object[]|null} target - null for the full extent, a { x, y } domain, one row
+     *   (a window around it) or an array of rows (fitted with padding; an empty array does nothing)
+     */
+    zoomTo(target) {
+      if (Array.isArray(target)) {
+        const domain = domainFitting(target);
+        if (domain) setZoom(domain, "api");
+      } else if (target && "log2FC" in target) {
+        setZoom(domainAround(target), "api");
+      } else {
+        setZoom(target, "api");
+      }
+      return api;
+    },
+
+    getZoom: () => copyDomain(state.zoomDomain),
+
+    /** Rows' hand-placed label offsets (id → { dx, dy } in pixels); replaced by setLabelOffsets. */
+    getLabelOffsets: () => state.labelOffsets,
+
+    setLabelOffsets(offsets) {
+      state.labelOffsets = new Map(offsets);
+      return render({ animate: false });
+    },
+
+    /**
+     * Sets pins, selection, zoom and label positions together, e.g. from a saved session. Fires no
+     * events and doesn't render, so a caller changing options too can follow with one setOptions().
+     * @param {{ pinned?: Iterable<string>, selected?: Iterable<string>, zoom?: Object|null, labelOffsets?: Map }} view
+     */
+    restore(view) {
+      if (view.pinned) {
+        state.pinned = new Set(knownIds(view.pinned));
+        pinnedTooltipPoint = null;
+        hideTooltip();
+      }
+      if (view.selected) state.selected = new Set(knownIds(view.selected));
+      if ("zoom" in view) state.zoomDomain = copyDomain(view.zoom);
+      if (view.labelOffsets) state.labelOffsets = new Map(view.labelOffsets);
+      return api;
+    },
+
+    /** p-value of the horizontal threshold line at the last render (null when nothing passes). */
+    getPCutoff: () => pCutoff,
+
+    /** Rings rows (e.g. the gene hovered in a linked view). */
+    highlight(rows) {
+      state.linked = rows || [];
+      if (xScale) drawLinked();
+      return api;
+    },
+
+    /** CSV (see exportColumns() in results-export.js) of the rows with these ids, by default the selection. */
+    exportCsv(ids = state.selected) {
+      const wanted = ids instanceof Set ? ids : new Set(knownIds(ids));
+      return formatResults(state.data.filter((d) => wanted.has(d.id)), "csv");
+    },
+
+    /** The current view for buildFigureSvg() in figure-export.js (without fill, size and legend). */
+    figureModel() {
+      const t = resolvedThresholds();
+      // Without rows the scales are unset (or the last rows'), so an empty figure gets the default domains.
+      const empty = state.data.length === 0;
+      return {
+        points: state.data,
+        highlighted: new Set([...state.pinned, ...state.selected]),
+        labels: labelledPoints().map((d) => ({ id: d.id, text: d.id, x: d.log2FC, y: d.negLog10P })),
+        labelFontSize: LABEL_FONT_SIZE,
+        labelOffsets: state.labelOffsets,
+        previousLabelOffsets: autoLabelOffsets,
+        xDomain: empty ? defaultXDomain(state.data, axisOpts) : xScale.domain(),
+        yDomain: empty ? defaultYDomain(state.data, axisOpts) : domainEnds(yScale),
+        axis: { ...axisOpts, breakAt: !empty && hasBreak(yScale) ? yScale.domain()[1] : null },
+        fcUp: t.fcUp,
+        fcDown: t.fcDown,
+        pCutoff,
+      };
+    },
+
+    /** Removes the plot's DOM and listeners. */
+    destroy() {
+      resizeObserver.disconnect();
+      tooltipObserver.disconnect();
+      stopWatchingTheme();
+      window.removeEventListener("scroll", onScroll, true);
+      d3.select("body").on(`mousemove.${uid}`, null).on(`mouseup.${uid}`, null);
+      svg.on(".zoom", null);
+      container.classed("volcano-plot", false).selectAll(":scope > *").remove();
+    },
+  };
+
+  render();
+  return api;
+}
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adjustPValues,
+  benjaminiHochberg,
+  benjaminiYekutieli,
+  bonferroni,
+  estimatePi0,
+  holm,
+  pvalueAtFdrThreshold,
+  storeyQValues,
+} from "../src/adjust.js";
+
+/** Unsorted, with ties (0.03, 0.04) and values that hit the cap of 1. */
+const P = [0.01, 0.04, 0.03, 0.005, 0.5, 0.04, 0.2, 0.9, 0.001, 0.03];
+
+// R's p.adjust(P, method) for each method.
+const R_P_ADJUST = {
+  BH: [1 / 30, 0.4 / 7, 0.4 / 7, 0.025, 5 / 9, 0.4 / 7, 0.25, 0.9, 0.01, 0.4 / 7],
+  BY: [
+    0.0976322751322751, 0.167369614512472, 0.167369614512472, 0.0732242063492063, 1, 0.167369614512472, 0.732242063492063, 1,
+    0.0292896825396825, 0.167369614512472,
+  ],
+  holm: [0.08, 0.21, 0.21, 0.045, 1, 0.21, 0.6, 1, 0.01, 0.21],
+  bonferroni: [0.1, 0.4, 0.3, 0.05, 1, 0.4, 1, 1, 0.01, 0.3],
+};
+
+function assertClose(actual, expected, tolerance = 1e-12) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= tolerance, `index ${i}: ${v} ≠ ${expected[i]}`));
+}
+
+/** Indices sorted by p-value, ties in row order. */
+const orderOf = (pvals) => pvals.map((_, i) => i).sort((a, b) => pvals[a] - pvals[b] || a - b);
+
+test("BH, BY, Holm and Bonferroni match R's p.adjust()", () => {
+  assertClose(benjaminiHochberg(P), R_P_ADJUST.BH);
+  assertClose(benjaminiYekutieli(P), R_P_ADJUST.BY);
+  assertClose(holm(P), R_P_ADJUST.holm);
+  assertClose(bonferroni(P), R_P_ADJUST.bonferroni);
+});
+
+test("adjustPValues() gives the same values with and without a precomputed order", () => {
+  const order = orderOf(P);
+  for (const method of ["BH", "BY", "holm", "bonferroni", "storey"]) {
+    assert.deepEqual(adjustPValues(P, method, order), adjustPValues(P, method), method);
+  }
+  assertClose(adjustPValues(P, "BH").adjusted, R_P_ADJUST.BH);
+});
+
+test("adjusted values never decrease as p increases and never exceed 1", () => {
+  // A p-value sequence where n·p/rank goes down and up again: the raw step-up ratios aren't monotone.
+  const pvals = [0.001, 0.0105, 0.011, 0.04, 0.041, 0.3, 0.31, 0.7, 0.95, 0.96];
+  const order = orderOf(pvals);
+  for (const method of ["BH", "BY", "holm", "bonferroni", "storey"]) {
+    const { adjusted } = adjustPValues(pvals, method);
+    order.slice(1).forEach((i, k) => {
+      assert.ok(adjusted[i] >= adjusted[order[k]], `${method} not monotone at rank ${k + 2}`);
+    });
+    assert.ok(adjusted.every((q) => q >= 0 && q <= 1), method);
+  }
+});
+
+test("BH of all-equal p-values leaves them unchanged", () => {
+  assertClose(benjaminiHochberg([0.02, 0.02, 0.02, 0.02]), [0.02, 0.02, 0.02, 0.02]);
+});
+
+test("adjusting doesn't mutate the input", () => {
+  const copy = P.slice();
+  adjustPValues(P, "BH");
+  adjustPValues(P, "holm");
+  assert.deepEqual(P, copy);
+});
+
+test("Storey π₀ counts p-values at or above λ and q-values are π₀ · BH", () => {
+  // R: qvalue::qvalue(P, lambda = 0.5)$pi0 — 0.5 and 0.9 of 10 are ≥ λ: 2 / (10 · 0.5)
+  assert.equal(estimatePi0(P, 0.5), 0.4);
+  assert.equal(estimatePi0([0.9, 0.8, 0.7, 0.6]), 1); // clamped to 1
+  assert.equal(estimatePi0([0.01, 0.02]), 0.5); // at least 1/n
+  assert.equal(estimatePi0([]), 1);
+  const { adjusted, pi0 } = storeyQValues(P);
+  assert.equal(pi0, 0.4);
+  assertClose(adjusted, R_P_ADJUST.BH.map((q) => q * 0.4));
+});
+
+test("pvalueAtFdrThreshold() is the largest p whose adjusted value passes", () => {
+  const fdr = benjaminiHochberg(P);
+  const rows = P.map((pval, i) => ({ pval, fdr: fdr[i] }));
+  assert.equal(pvalueAtFdrThreshold(rows, 0.05), 0.01);
+  assert.equal(pvalueAtFdrThreshold(rows, 0.06), 0.04);
+  assert.equal(pvalueAtFdrThreshold(rows, 0.001), null);
+});
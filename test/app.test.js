@@ -0,0 +1,127 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { installDom, wait } from "./support/dom.js";
+
+const $ = (id) => document.getElementById(id);
+
+before(async () => {
+  // The page without its script tag: the test imports app.js itself once the globals are in place.
+  const html = readFileSync(new URL("../index.html", import.meta.url), "utf8").replace(/<script[^>]*src="app\.js"[^>]*><\/script>/, "");
+  installDom(html);
+  await import("../app.js");
+  // The first dataset comes from the data client, which runs its tasks on the main thread after a tick without a Worker (jsdom).
+  for (let i = 0; i < 50 && !document.querySelector("#plot-container circle.point"); i++) await wait(20);
+});
+
+/** Runs a search and waits for the zoom to the matches to redraw the plot. */
+async function search(mode, query) {
+  $("search-mode").value = mode;
+  $("search-mode").dispatchEvent(new window.Event("change"));
+  $(mode === "list" ? "search-list" : "search-id").value = query;
+  $("search-btn").click();
+  await wait(400);
+}
+
+const highlighted = () => [...document.querySelectorAll("circle.point.highlight-search")].map((c) => c.__data__.id);
+
+test("the page loads the synthetic dataset into the plot", () => {
+  assert.equal(document.querySelectorAll("#plot-container circle.point").length, 1200);
+});
+
+test("search counts the matches, highlights the current one and cycles through them", async () => {
+  await search("exact", "tp53");
+  assert.equal($("search-count").textContent, "1 of 10 matches");
+  assert.ok(!$("search-results").hidden);
+  const [first] = highlighted();
+  assert.match(first, /^TP53_/);
+
+  $("search-next").click();
+  await wait(400);
+  assert.equal($("search-count").textContent, "2 of 10 matches");
+  assert.equal(highlighted().length, 1);
+  assert.notEqual(highlighted()[0], first);
+
+  await search("list", "EGFR\nNOT_A_GENE");
+  assert.equal($("search-count").textContent, "1 of 10 matches");
+  assert.equal($("search-not-found").textContent, "Not found (1): NOT_A_GENE");
+
+  await search("regex", "(");
+  assert.equal($("search-count").textContent, "No matches");
+  assert.ok(!$("search-not-found").hidden);
+});
+
+test("pinning the search matches fills the pinned details panel", async () => {
+  await search("exact", "BRCA1");
+  $("search-pin-all").click();
+  await wait(50);
+  assert.ok(!$("details-panel").hidden);
+  const pinned = document.querySelectorAll("#plot-container circle.point.pinned");
+  assert.equal(pinned.length, 10);
+  assert.match($("details-count").textContent, /10/);
+
+  $("details-unpin-all").click();
+  await wait(50);
+  assert.equal(document.querySelectorAll("#plot-container circle.point.pinned").length, 0);
+  assert.ok($("details-panel").hidden);
+});
+
+test("a new search outlines its own matches and drops the previous search's", async () => {
+  const outlined = () =>
+    [...document.querySelectorAll("circle.point.search-match, circle.point.highlight-search")].map((c) => c.__data__.id);
+  await search("exact", "tp53");
+  assert.equal(outlined().length, 10);
+  assert.ok(outlined().every((id) => id.startsWith("TP53_")));
+
+  // One match: only it is outlined.
+  await search("exact", "EGFR_3");
+  assert.deepEqual(outlined(), ["EGFR_3"]);
+  assert.deepEqual(highlighted(), ["EGFR_3"]);
+
+  await search("contains", "no such gene");
+  assert.deepEqual(outlined(), []);
+});
+
+test("the results table follows threshold changes once they pause when it filters by category", async () => {
+  const tableCount = () => Number($("table-count").textContent.replace(/,/g, "").match(/^\d+/)[0]);
+  const significant = () => document.querySelectorAll("#plot-container circle.point").length - legendCount("not_sig");
+  const legendCount = (category) => Number(document.querySelector(`.legend-count[data-category="${category}"]`).textContent.replace(/\D/g, ""));
+  const ns = document.querySelector('#results-panel input[data-category="not_sig"]');
+  ns.checked = false;
+  ns.dispatchEvent(new window.Event("change"));
+  const before = tableCount();
+  assert.equal(before, significant());
+
+  const fc = $("fc-threshold");
+  fc.value = "2";
+  fc.dispatchEvent(new window.Event("input"));
+  assert.equal(tableCount(), before); // still the rows from before the change
+  await wait(300);
+  assert.ok(tableCount() < before);
+  assert.equal(tableCount(), significant());
+  assert.ok(document.querySelectorAll("#results-table .rt-row.not_sig").length === 0);
+
+  ns.checked = true;
+  ns.dispatchEvent(new window.Event("change"));
+  assert.equal(tableCount(), 1200);
+});
+
+test("custom category counts and colors follow the thresholds", async () => {
+  const legendCount = (category) => Number(document.querySelector(`.legend-count[data-category="${category}"]`).textContent.replace(/\D/g, ""));
+  const ruleCount = () => Number(document.querySelector("#color-legend .legend-count").textContent.replace(/\D/g, ""));
+  const ruleFilled = () => [...document.querySelectorAll("#plot-container circle.point")].filter((c) => c.getAttribute("fill") === "#e3b341").length;
+  $("rule-expr").value = "up";
+  $("rule-add").click();
+  await wait(50);
+  assert.equal(ruleCount(), legendCount("sig_up"));
+  assert.equal(ruleFilled(), ruleCount());
+
+  const before = ruleCount();
+  const fc = $("fc-threshold");
+  fc.value = "0.5";
+  fc.dispatchEvent(new window.Event("input"));
+  await wait(50);
+  assert.ok(ruleCount() > before);
+  assert.equal(ruleCount(), legendCount("sig_up"));
+  assert.equal(ruleFilled(), ruleCount());
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectColumns, isMappingComplete, P_VALUE_FLOOR, parseTable, rowsToData } from "../src/data-import.js";
+
+test("detectColumns() recognizes DESeq2, edgeR and limma headers", () => {
+  assert.deepEqual(detectColumns(["", "baseMean", "log2FoldChange", "lfcSE", "stat", "pvalue", "padj"]), {
+    id: "",
+    geneSymbol: null,
+    log2FC: "log2FoldChange",
+    pval: "pvalue",
+    padj: "padj",
+    baseMean: "baseMean",
+  });
+  assert.deepEqual(detectColumns(["genes", "logFC", "logCPM", "PValue", "FDR"]), {
+    id: null,
+    geneSymbol: null,
+    log2FC: "logFC",
+    pval: "PValue",
+    padj: "FDR",
+    baseMean: "logCPM",
+  });
+  const limma = detectColumns(["ID", "Symbol", "logFC", "AveExpr", "t", "P.Value", "adj.P.Val", "B"]);
+  assert.equal(limma.id, "ID");
+  assert.equal(limma.geneSymbol, "Symbol");
+  assert.equal(limma.pval, "P.Value");
+  assert.equal(limma.padj, "adj.P.Val");
+  assert.ok(isMappingComplete(limma));
+  assert.ok(!isMappingComplete(detectColumns(["gene", "logFC"])));
+});
+
+test("parseTable() picks the delimiter from the extension or the header and strips a BOM", () => {
+  const tsv = parseTable("\uFEFFgene\tlogFC\nA\t1\n", "results.txt");
+  assert.equal(tsv.delimiter, "\t");
+  assert.deepEqual(tsv.columns, ["gene", "logFC"]);
+  assert.deepEqual(tsv.rows[0], { gene: "A", logFC: "1" });
+  assert.equal(parseTable("gene;logFC\nA;1\n").delimiter, ";");
+  assert.equal(parseTable("a\tb\n1\t2\n", "x.csv").delimiter, ",");
+  const quoted = parseTable('gene,note\nA,"one, two"\n', "x.csv");
+  assert.equal(quoted.rows[0].note, "one, two");
+});
+
+test("rowsToData() follows the row policy and reports what it skipped", () => {
+  const text = [
+    "id,symbol,log2FoldChange,pvalue,padj,baseMean,note",
+    "g1,TP53,2,0.001,0.01,100,a",
+    "g2,EGFR,NA,0.01,0.1,50,b",
+    "g3,MYC,1,NA,NA,50,c",
+    "g4,KRAS,1,1.5,1,50,d",
+    "g5,BRCA1,-1,0,0,NA,e",
+    "g1,TP53,1,0.5,NA,10,f",
+    ",,0.5,0.2,0.3,1,g",
+    ",NA,0.5,0.2,0.3,1,h",
+  ].join("\n");
+  const table = parseTable(text, "x.csv");
+  const { data, hasPadj, report } = rowsToData(table.rows, detectColumns(table.columns));
+  assert.ok(hasPadj);
+  assert.deepEqual(
+    data.map((d) => [d.id, d.geneSymbol]),
+    [
+      ["g1", "TP53"],
+      ["g5", "BRCA1"],
+      ["g1_2", "TP53"],
+      ["row_8", "row_8"],
+      ["row_9", "row_9"],
+    ]
+  );
+  assert.equal(data[1].pval, P_VALUE_FLOOR);
+  assert.equal(data[1].baseMean, null);
+  assert.equal(data[2].padj, 1);
+  assert.deepEqual(data[0].fields, { note: "a" });
+  assert.deepEqual(report.skipped, {
+    missingLog2FC: { count: 1, lines: [3] },
+    missingPval: { count: 1, lines: [4] },
+    invalidPval: { count: 1, lines: [5] },
+  });
+  assert.equal(report.total, 8);
+  assert.equal(report.kept, 5);
+  assert.equal(report.flooredPvals, 1);
+  assert.equal(report.naPadj, 1);
+  assert.equal(report.renamedIds, 1);
+});
+
+test("renamed duplicate ids never take an id another row already has", () => {
+  const text = ["id,logFC,PValue", "A,1,0.1", "A,1,0.1", "A_2,1,0.1", "A,1,0.1", "A_3,1,0.1"].join("\n");
+  const table = parseTable(text, "x.csv");
+  const { data, report } = rowsToData(table.rows, detectColumns(table.columns));
+  assert.deepEqual(
+    data.map((d) => d.id),
+    ["A", "A_4", "A_2", "A_5", "A_3"]
+  );
+  assert.equal(report.renamedIds, 2);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createClassifier, createDataIndex, sortedOrder } from "../src/data-index.js";
+import { adjustPValues } from "../src/adjust.js";
+import { countCategories, getCategory } from "../src/thresholds.js";
+import { generateData } from "../src/synthetic-data.js";
+
+test("sortedOrder() sorts ascending, keeps ties in row order and puts NaN last", () => {
+  assert.deepEqual([...sortedOrder([0.3, NaN, 0.1, 0.3, -1])], [4, 2, 0, 3, 1]);
+  assert.deepEqual([...sortedOrder([])], []);
+});
+
+function syntheticRows(n, seed) {
+  const data = generateData({ n }, seed);
+  const { adjusted } = adjustPValues(data.map((d) => d.pval), "BH");
+  data.forEach((d, i) => (d.fdr = adjusted[i]));
+  return data;
+}
+
+test("the index's p cutoff and top rows match a scan of the data", () => {
+  const data = syntheticRows(500, 7);
+  const index = createDataIndex(data);
+  for (const alpha of [0, 0.001, 0.01, 0.05, 0.2, 1]) {
+    let expected = null;
+    data.forEach((d) => {
+      if (d.fdr <= alpha && (expected === null || d.pval > expected)) expected = d.pval;
+    });
+    assert.equal(index.pValueCutoff(alpha), expected, `alpha ${alpha}`);
+  }
+  const t = { fcUp: 1, fcDown: 1, alpha: 0.05, pMode: "adjusted", minBaseMean: 0 };
+  createClassifier(index).update(t);
+  const top = data.filter((d) => d._category !== "not_sig").sort((a, b) => a.pval - b.pval).slice(0, 10);
+  assert.deepEqual(index.topSignificant(10).map((d) => d.pval), top.map((d) => d.pval));
+});
+
+test("a non-monotone adjusted column falls back to scanning", () => {
+  const rows = [
+    { pval: 0.01, fdr: 0.2, log2FC: 1 },
+    { pval: 0.02, fdr: 0.03, log2FC: 1 },
+  ];
+  const index = createDataIndex(rows);
+  assert.equal(index.adjustedMonotone, false);
+  assert.equal(index.pValueCutoff(0.05), undefined);
+});
+
+test("incremental reclassification agrees with classifying every row", () => {
+  const data = syntheticRows(2000, 42);
+  const index = createDataIndex(data);
+  const classifier = createClassifier(index);
+  const steps = [
+    { fcUp: 1, fcDown: 1, alpha: 0.05, pMode: "adjusted", minBaseMean: 0 },
+    { fcUp: 1.5, fcDown: 1, alpha: 0.05, pMode: "adjusted", minBaseMean: 0 },
+    { fcUp: 0.4, fcDown: 2, alpha: 0.05, pMode: "adjusted", minBaseMean: 0 },
+    { fcUp: 0.4, fcDown: 2, alpha: 0.2, pMode: "adjusted", minBaseMean: 0 },
+    { fcUp: 0.4, fcDown: 0.7, alpha: 0.001, pMode: "adjusted", minBaseMean: 0 },
+    { fcUp: 0.4, fcDown: 0.7, alpha: 0.01, pMode: "raw", minBaseMean: 0 },
+    { fcUp: 1, fcDown: 0.7, alpha: 0.03, pMode: "raw", minBaseMean: 100 },
+    { fcUp: 1, fcDown: 1, alpha: 0.05, pMode: "adjusted", minBaseMean: 0 },
+  ];
+  for (const t of steps) {
+    const counts = classifier.update(t);
+    assert.deepEqual(data.map((d) => d._category), data.map((d) => getCategory(d, t)), JSON.stringify(t));
+    assert.deepEqual(counts, countCategories(data, t));
+  }
+});
+
+test("adjustedChanged() makes the classifier start over with new adjusted values", () => {
+  const data = syntheticRows(300, 3);
+  const index = createDataIndex(data);
+  const classifier = createClassifier(index);
+  const t = { fcUp: 1, fcDown: 1, alpha: 0.05, pMode: "adjusted", minBaseMean: 0 };
+  classifier.update(t);
+  const { adjusted } = adjustPValues(data.map((d) => d.pval), "bonferroni");
+  data.forEach((d, i) => (d.fdr = adjusted[i]));
+  index.adjustedChanged();
+  classifier.update(t);
+  assert.deepEqual(data.map((d) => d._category), data.map((d) => getCategory(d, t)));
+});
+
+test("categoryVersion moves only when some row changes category", () => {
+  const data = syntheticRows(300, 5);
+  const index = createDataIndex(data);
+  const classifier = createClassifier(index);
+  const t = { fcUp: 1, fcDown: 1, alpha: 0.05, pMode: "adjusted", minBaseMean: 0 };
+  classifier.update(t);
+  const first = index.categoryVersion;
+  assert.ok(first > 0);
+  classifier.update({ ...t });
+  assert.equal(index.categoryVersion, first);
+  classifier.update({ ...t, fcUp: 1.0001 }); // no row has log₂ FC in between
+  assert.equal(index.categoryVersion, first);
+  classifier.update({ ...t, fcUp: 3 });
+  assert.equal(index.categoryVersion, first + 1);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runDataTask } from "../src/data-worker.js";
+import { adjustPValues } from "../src/adjust.js";
+import { sortedOrder } from "../src/data-index.js";
+
+const P = [0.01, 0.04, 0.03, 0.005, 0.5, 0.04, 0.2, 0.9, 0.001, 0.03];
+
+test("the adjust task adjusts each set with its method and leaves file sets to their padj", () => {
+  const sets = [
+    { method: "BH", pvals: P, order: sortedOrder(P) },
+    { method: "storey", pvals: P },
+    { method: "file" },
+  ];
+  const progress = [];
+  const result = runDataTask("adjust", { sets }, (p) => progress.push(p));
+  assert.deepEqual([...result.sets[0].adjusted], adjustPValues(P, "BH").adjusted);
+  assert.equal(result.sets[0].pi0, null);
+  assert.deepEqual([...result.sets[1].adjusted], adjustPValues(P, "storey").adjusted);
+  assert.equal(result.sets[1].pi0, adjustPValues(P, "storey").pi0);
+  assert.deepEqual(result.sets[2], { adjusted: null, pi0: null });
+  assert.deepEqual(
+    progress.map((p) => p.stage),
+    ["Adjusting p-values", "Adjusting p-values", "Adjusting p-values"]
+  );
+});
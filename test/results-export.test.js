@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportColumns, formatResults, metadataLines, uniqueSymbols } from "../src/results-export.js";
+
+const ROWS = [
+  { id: "ENSG1", geneSymbol: "TP53", log2FC: 2.5, pval: 1e-8, fdr: 1e-6, negLog10P: 8, _category: "sig_up" },
+  { id: "ENSG2", geneSymbol: 'odd, "quoted"\nname', log2FC: -0.1, pval: 0.7, fdr: NaN, negLog10P: 0.155, _category: "not_sig" },
+  { id: "ENSG3", geneSymbol: "tp53", log2FC: 1, pval: 0.01, fdr: 0.05, negLog10P: 2, _category: null },
+];
+
+test("exportColumns() adds optional columns only when the rows have them", () => {
+  assert.deepEqual(
+    exportColumns(ROWS).map((c) => c.name),
+    ["id", "geneSymbol", "log2FC", "pval", "padj", "negLog10P", "category"]
+  );
+  const rows = [{ id: "a", baseMean: 10, trueLog2FC: 0, fields: { note: "x" } }];
+  const annotations = new Map([["a", { proteinName: "Protein A", description: "Does things" }]]);
+  const columns = exportColumns(rows, { annotations });
+  assert.deepEqual(
+    columns.map((c) => c.name),
+    ["id", "geneSymbol", "log2FC", "pval", "padj", "negLog10P", "baseMean", "category", "trueLog2FC", "note", "proteinName", "function"]
+  );
+  assert.deepEqual(
+    columns.map((c) => c.value(rows[0])),
+    ["a", null, null, null, null, null, 10, null, 0, "x", "Protein A", "Does things"]
+  );
+});
+
+test("CSV quotes fields with commas, quotes and line breaks and leaves non-finite numbers empty", () => {
+  const lines = formatResults(ROWS, "csv").split("\n");
+  assert.equal(lines[0], "id,geneSymbol,log2FC,pval,padj,negLog10P,category");
+  assert.equal(lines[1], "ENSG1,TP53,2.5,1e-8,0.000001,8,sig_up");
+  assert.equal(lines[2], 'ENSG2,"odd, ""quoted""');
+  assert.equal(lines[3], 'name",-0.1,0.7,,0.155,not_sig');
+  assert.equal(lines[4], "ENSG3,tp53,1,0.01,0.05,2,");
+  assert.equal(lines[5], "");
+});
+
+test("TSV turns tabs and line breaks inside values into spaces", () => {
+  const rows = [{ id: "a\tb", geneSymbol: "x\r\ny", log2FC: 1, pval: 0.5, fdr: 0.5, negLog10P: 0.3, _category: "not_sig" }];
+  const lines = formatResults(rows, "tsv").trimEnd().split("\n");
+  assert.equal(lines.length, 2);
+  assert.deepEqual(lines[1].split("\t"), ["a b", "x y", "1", "0.5", "0.5", "0.3", "not_sig"]);
+});
+
+test("metadata becomes comment lines in table formats and an object in JSON", () => {
+  const metadata = { source: "demo", fdrThreshold: 0.05, note: "two\nlines", empty: "", missing: null };
+  assert.deepEqual(metadataLines(metadata), ["# source: demo", "# fdrThreshold: 0.05", "# note: two lines"]);
+  assert.ok(formatResults(ROWS, "tsv", { metadata }).startsWith("# source: demo\n# fdrThreshold: 0.05\n# note: two lines\nid\t"));
+
+  const json = JSON.parse(formatResults(ROWS.slice(0, 2), "json", { metadata }));
+  assert.deepEqual(json.metadata, metadata);
+  assert.equal(json.rows.length, 2);
+  assert.deepEqual(json.rows[1], {
+    id: "ENSG2",
+    geneSymbol: 'odd, "quoted"\nname',
+    log2FC: -0.1,
+    pval: 0.7,
+    padj: null,
+    negLog10P: 0.155,
+    category: "not_sig",
+  });
+  assert.deepEqual(Object.keys(JSON.parse(formatResults(ROWS, "json"))), ["rows"]);
+});
+
+test("the symbol list has each symbol once, case-insensitively, falling back to the id", () => {
+  assert.deepEqual(uniqueSymbols([{ id: "a", geneSymbol: "TP53" }, { id: "b", geneSymbol: "tp53" }, { id: "c" }, { id: "d", geneSymbol: " EGFR " }]), [
+    "TP53",
+    "c",
+    "EGFR",
+  ]);
+  assert.equal(formatResults(ROWS, "symbols"), 'TP53\nodd, "quoted"\nname\n');
+});
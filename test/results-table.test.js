@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { filterRows, sortOrder, sortRows } from "../src/results-table.js";
+
+const ROWS = [
+  { id: "g10", geneSymbol: "tp53", log2FC: 1, pval: 0.02, fdr: 0.04, _category: "sig_up" },
+  { id: "g2", geneSymbol: "EGFR", log2FC: -2, pval: 0.01, fdr: 0.04, _category: "sig_down" },
+  { id: "g1", geneSymbol: "TP53", log2FC: 0.1, pval: 0.5, fdr: 0.6, _category: "not_sig" },
+  { id: "g3", geneSymbol: "Akt1", log2FC: 1, pval: 0.02, fdr: 0.04, _category: "sig_up" },
+];
+const ids = (rows) => rows.map((d) => d.id);
+
+test("numeric sorts keep tied rows in input order in both directions", () => {
+  assert.deepEqual(ids(sortRows(ROWS, { key: "pval", dir: "asc" })), ["g2", "g10", "g3", "g1"]);
+  assert.deepEqual(ids(sortRows(ROWS, { key: "fdr", dir: "desc" })), ["g1", "g10", "g2", "g3"]);
+  assert.deepEqual([...sortOrder(ROWS, { key: "log2FC", dir: "asc" })], [1, 2, 0, 3]);
+});
+
+test("text sorts collate like localeCompare and keep ties in input order", () => {
+  const byGene = sortRows(ROWS, { key: "geneSymbol", dir: "asc" });
+  assert.deepEqual(
+    byGene.map((d) => d.geneSymbol),
+    ROWS.map((d) => d.geneSymbol).sort((a, b) => a.localeCompare(b))
+  );
+  assert.deepEqual(ids(sortRows(ROWS, { key: "_category", dir: "asc" })), ["g1", "g2", "g10", "g3"]);
+  assert.deepEqual(ids(sortRows(ROWS, { key: "_category", dir: "desc" })), ["g10", "g3", "g2", "g1"]);
+  assert.deepEqual(ids(sortRows(ROWS, { key: "unknown", dir: "asc" })), ids(ROWS));
+});
+
+test("filterRows() combines text, category, range and id filters and keeps row order", () => {
+  assert.deepEqual(ids(filterRows(ROWS, { text: "tp5" })), ["g10", "g1"]);
+  assert.deepEqual(ids(filterRows(ROWS, { categories: new Set(["sig_up"]) })), ["g10", "g3"]);
+  assert.deepEqual(ids(filterRows(ROWS, { range: { column: "absLog2FC", min: 1, max: null } })), ["g10", "g2", "g3"]);
+  assert.deepEqual(ids(filterRows(ROWS, { ids: new Set(["g3", "g2"]), text: "g" })), ["g2", "g3"]);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { searchRows } from "../src/search.js";
+
+const DATA = [
+  { id: "ENSG1", geneSymbol: "IL6", pval: 0.2 },
+  { id: "ENSG2", geneSymbol: "IL6R", pval: 0.01 },
+  { id: "ENSG3", geneSymbol: "AKT1", pval: 0.5 },
+  { id: "ENSG4", geneSymbol: "AKT2", pval: 0.001 },
+  { id: "IL10", geneSymbol: null, pval: 0.05 },
+];
+const ids = (result) => result.matches.map((d) => d.id);
+
+test("contains matches ids and symbols case-insensitively, most significant first", () => {
+  assert.deepEqual(ids(searchRows(DATA, "akt", "contains")), ["ENSG4", "ENSG3"]);
+  assert.deepEqual(ids(searchRows(DATA, "il", "contains")), ["ENSG2", "IL10", "ENSG1"]);
+  assert.deepEqual(searchRows(DATA, "nope", "contains").notFound, ["nope"]);
+  assert.deepEqual(searchRows(DATA, "   ", "contains"), { matches: [], notFound: [], error: null });
+});
+
+test("exact matches a whole symbol or id", () => {
+  assert.deepEqual(ids(searchRows(DATA, "il6", "exact")), ["ENSG1"]);
+  assert.deepEqual(ids(searchRows(DATA, "ensg3", "exact")), ["ENSG3"]);
+  assert.deepEqual(ids(searchRows(DATA, "il10", "exact")), ["IL10"]);
+});
+
+test("regex matches either field and reports invalid patterns", () => {
+  assert.deepEqual(ids(searchRows(DATA, "^IL\\d+$", "regex")), ["IL10", "ENSG1"]);
+  const bad = searchRows(DATA, "(", "regex");
+  assert.deepEqual(bad.matches, []);
+  assert.ok(bad.error);
+});
+
+test("list keeps list order, drops duplicates and names the terms it didn't find", () => {
+  const result = searchRows(DATA, "akt1, IL6\nil6 MISSING;ENSG3", "list");
+  assert.deepEqual(ids(result), ["ENSG3", "ENSG1"]);
+  assert.deepEqual(result.notFound, ["MISSING"]);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { combineSelection, compareSelections, pointInPolygon, selectionMode } from "../src/selection.js";
+
+test("modifier keys pick how a new selection combines with the current one", () => {
+  assert.equal(selectionMode({ shiftKey: false, altKey: false }), "replace");
+  assert.equal(selectionMode({ shiftKey: true, altKey: false }), "add");
+  assert.equal(selectionMode({ shiftKey: true, altKey: true }), "subtract");
+
+  const current = new Set(["a", "b"]);
+  assert.deepEqual(combineSelection(current, ["c"], "replace"), new Set(["c"]));
+  assert.deepEqual(combineSelection(current, ["b", "c"], "add"), new Set(["a", "b", "c"]));
+  assert.deepEqual(combineSelection(current, ["b", "c"], "subtract"), new Set(["a"]));
+  assert.deepEqual(current, new Set(["a", "b"]));
+});
+
+test("pointInPolygon() uses the even-odd rule", () => {
+  const square = [
+    [0, 0],
+    [10, 0],
+    [10, 10],
+    [0, 10],
+  ];
+  assert.ok(pointInPolygon(5, 5, square));
+  assert.ok(!pointInPolygon(15, 5, square));
+  // A "C" shape: the notch is outside.
+  const c = [
+    [0, 0],
+    [10, 0],
+    [10, 3],
+    [3, 3],
+    [3, 7],
+    [10, 7],
+    [10, 10],
+    [0, 10],
+  ];
+  assert.ok(pointInPolygon(1, 5, c));
+  assert.ok(!pointInPolygon(6, 5, c));
+});
+
+test("compareSelections() splits two sets into only-A, both and only-B", () => {
+  assert.deepEqual(compareSelections(new Set(["a", "b", "c"]), new Set(["c", "d"])), {
+    onlyA: ["a", "b"],
+    both: ["c"],
+    onlyB: ["d"],
+  });
+});
@@ -0,0 +1,7 @@
+/** Module resolution hooks for register.js. */
+
+const D3_CDN = "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+export async function resolve(specifier, context, nextResolve) {
+  return nextResolve(specifier === D3_CDN ? "d3" : specifier, context);
+}
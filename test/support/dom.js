@@ -0,0 +1,73 @@
+/**
+ * A jsdom window installed as the global browser environment, for tests of the plot component and
+ * the page. jsdom doesn't lay out, so every element measures 0 × 0: the plot renders at its default
+ * 800 × 500 size and client coordinates equal coordinates inside the plot area.
+ */
+
+import { JSDOM } from "jsdom";
+
+const GLOBALS = [
+  "window",
+  "document",
+  "navigator",
+  "location",
+  "history",
+  "localStorage",
+  "Node",
+  "Element",
+  "HTMLElement",
+  "SVGElement",
+  "HTMLCanvasElement",
+  "Event",
+  "MouseEvent",
+  "KeyboardEvent",
+  "CustomEvent",
+  "DOMParser",
+  "XMLSerializer",
+  "Blob",
+  "File",
+  "FileReader",
+  "getComputedStyle",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+];
+
+/**
+ * @param {string} [html] - Page markup
+ * @returns {JSDOM}
+ */
+export function installDom(html = "<!DOCTYPE html><html><body></body></html>") {
+  const dom = new JSDOM(html, { url: "http://localhost/", pretendToBeVisual: true });
+  const { window } = dom;
+  // No layout engine and no canvas: observers never fire and plots stay on the SVG path.
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  window.HTMLCanvasElement.prototype.getContext = () => null;
+  [...GLOBALS, "ResizeObserver", "matchMedia"].forEach((key) =>
+    Object.defineProperty(globalThis, key, { value: window[key], configurable: true, writable: true })
+  );
+  globalThis.fetch = () => Promise.reject(new Error("No network in tests"));
+  return dom;
+}
+
+/** Dispatches a left-button mouse event at client coordinates (x, y). */
+export function mouse(target, type, x = 0, y = 0, init = {}) {
+  const event = new window.MouseEvent(type, {
+    bubbles: true,
+    cancelable: true,
+    view: window,
+    button: 0,
+    clientX: x,
+    clientY: y,
+    ...init,
+  });
+  target.dispatchEvent(event);
+  return event;
+}
+
+/** Waits for timers (debounced updates, transitions) to run. */
+export const wait = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -0,0 +1,8 @@
+/**
+ * Lets Node load the browser modules unchanged: their CDN import of D3 resolves to the d3 package
+ * in node_modules, so the tests run offline. Loaded with `node --import` (see package.json).
+ */
+
+import { register } from "node:module";
+
+register("./cdn-hooks.js", import.meta.url);
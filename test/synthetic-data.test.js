@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_GENERATOR,
+  createRng,
+  generateData,
+  sanitizeGenerator,
+  truthStats,
+  twoSidedP,
+  zForTwoSidedP,
+} from "../src/synthetic-data.js";
+
+test("createRng() is the same LCG sequence for a seed, so saved seeds reproduce their data", () => {
+  const rng = createRng(1);
+  // (1 · 1664525 + 1013904223) mod 2³² = 1015568748, divided by 2³² − 1
+  assert.equal(rng(), 1015568748 / 0xffffffff);
+  assert.equal(rng(), 0.3692706738061436);
+  const a = createRng(123);
+  const b = createRng(123);
+  for (let i = 0; i < 100; i++) assert.equal(a(), b());
+  const values = Array.from({ length: 1000 }, createRng(9));
+  assert.ok(values.every((v) => v >= 0 && v <= 1));
+});
+
+// R: 2 * pnorm(-z)
+const TWO_SIDED = [
+  [0, 1],
+  [1, 0.3173105078629141],
+  [1.959963984540054, 0.05],
+  [2, 0.04550026389635842],
+  [3, 0.0026997960632601866],
+];
+
+test("twoSidedP() matches the normal distribution", () => {
+  for (const [z, p] of TWO_SIDED) {
+    assert.ok(Math.abs(twoSidedP(z) - p) < 2e-7, `z = ${z}: ${twoSidedP(z)}`);
+    assert.equal(twoSidedP(-z), twoSidedP(z));
+  }
+  assert.ok(twoSidedP(40) > 0, "extreme z keeps a non-zero p");
+});
+
+test("zForTwoSidedP() inverts it", () => {
+  // R: qnorm(0.975), qnorm(1 - 5e-11)
+  assert.ok(Math.abs(zForTwoSidedP(0.05) - 1.959963984540054) < 1e-8);
+  assert.ok(Math.abs(zForTwoSidedP(1e-10) - 6.466951) < 1e-6);
+  assert.equal(zForTwoSidedP(1), 0);
+  for (const p of [0.5, 0.1, 0.01, 0.001]) {
+    assert.ok(Math.abs(twoSidedP(zForTwoSidedP(p)) - p) < 2e-7, `p = ${p}`);
+  }
+});
+
+test("generateData() is reproducible from its seed and parameters", () => {
+  const rows = generateData({ n: 3 }, 42);
+  assert.deepEqual(
+    rows.map((d) => [d.id, d.geneSymbol, d.baseMean]),
+    [
+      ["TP53_1", "TP53", 9.7],
+      ["BRCA1_2", "BRCA1", 71.8],
+      ["EGFR_3", "EGFR", 8.3],
+    ]
+  );
+  assert.equal(rows[0].log2FC, -1.9070089828596057);
+  assert.equal(rows[0].pval, 0.00013677274675067923);
+  assert.deepEqual(generateData({ n: 50 }, 5), generateData({ n: 50 }, 5));
+  assert.notDeepEqual(generateData({ n: 50 }, 5), generateData({ n: 50 }, 6));
+});
+
+test("generated rows are consistent: p from log₂FC / noise, −log₁₀ p, truth fraction", () => {
+  const params = { n: 2000, diffFraction: 0.25, noise: 0.5 };
+  const rows = generateData(params, 11);
+  assert.equal(rows.length, 2000);
+  const diff = rows.filter((d) => d.trueLog2FC !== 0).length;
+  assert.ok(diff > 440 && diff < 560, `differential rows: ${diff}`); // each row is differential with p 0.25
+  for (const d of rows) {
+    assert.ok(d.pval > 0 && d.pval <= 1);
+    assert.ok(Math.abs(d.negLog10P + Math.log10(d.pval)) < 1e-12);
+    if (d.pval > 1e-3) assert.ok(Math.abs(twoSidedP(d.log2FC / params.noise) - d.pval) < 1e-6, d.id);
+  }
+});
+
+test("uniform null p-values are calibrated", () => {
+  const nulls = generateData({ n: 20000, diffFraction: 0 }, 1);
+  const share = nulls.filter((d) => d.pval < 0.05).length / nulls.length;
+  assert.ok(share > 0.045 && share < 0.055, `share below 0.05: ${share}`);
+});
+
+test("sanitizeGenerator() keeps valid fields and reports the rest", () => {
+  const { params, warnings } = sanitizeGenerator({ n: 500, noise: -1, effect: "nope" });
+  assert.deepEqual(params, { ...DEFAULT_GENERATOR, n: 500 });
+  assert.equal(warnings.length, 2);
+  assert.deepEqual(sanitizeGenerator(null), { params: DEFAULT_GENERATOR, warnings: [] });
+});
+
+test("truthStats() counts wrong-direction calls as false", () => {
+  const rows = [
+    { trueLog2FC: 2, _category: "sig_up" },
+    { trueLog2FC: -2, _category: "sig_up" },
+    { trueLog2FC: 0, _category: "sig_down" },
+    { trueLog2FC: 1, _category: "not_sig" },
+    { trueLog2FC: 0, _category: "not_sig" },
+  ];
+  assert.deepEqual(truthStats(rows), {
+    calls: 3,
+    falseCalls: 2,
+    signErrors: 1,
+    trueDiff: 3,
+    found: 1,
+    fdr: 2 / 3,
+    sensitivity: 1 / 3,
+  });
+  assert.equal(truthStats([{ log2FC: 1 }]), null);
+});
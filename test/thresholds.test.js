@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { alphaForPValue, countCategories, getCategory, pValueCutoff } from "../src/thresholds.js";
+import { createDataIndex } from "../src/data-index.js";
+
+const T = { fcUp: 1, fcDown: 1, alpha: 0.05, pMode: "adjusted", minBaseMean: 0 };
+
+test("getCategory() needs both the fold change and the p-value cutoff", () => {
+  assert.equal(getCategory({ log2FC: 1.5, pval: 0.001, fdr: 0.01 }, T), "sig_up");
+  assert.equal(getCategory({ log2FC: -1.5, pval: 0.001, fdr: 0.01 }, T), "sig_down");
+  assert.equal(getCategory({ log2FC: 0.5, pval: 0.001, fdr: 0.01 }, T), "not_sig");
+  assert.equal(getCategory({ log2FC: 3, pval: 0.001, fdr: 0.2 }, T), "not_sig");
+});
+
+test("getCategory() includes the cutoffs themselves", () => {
+  assert.equal(getCategory({ log2FC: 1, pval: 0.05, fdr: 0.05 }, T), "sig_up");
+  assert.equal(getCategory({ log2FC: -1, pval: 0.05, fdr: 0.05 }, T), "sig_down");
+});
+
+test("getCategory() uses separate up and down cutoffs", () => {
+  const t = { ...T, fcUp: 2, fcDown: 0.5 };
+  assert.equal(getCategory({ log2FC: 1.5, fdr: 0.01 }, t), "not_sig");
+  assert.equal(getCategory({ log2FC: -0.6, fdr: 0.01 }, t), "sig_down");
+});
+
+test("getCategory() in raw mode thresholds the unadjusted p-value", () => {
+  const row = { log2FC: 2, pval: 0.01, fdr: 0.2 };
+  assert.equal(getCategory(row, T), "not_sig");
+  assert.equal(getCategory(row, { ...T, pMode: "raw" }), "sig_up");
+});
+
+test("getCategory() treats NaN p-values as not significant", () => {
+  assert.equal(getCategory({ log2FC: 2, pval: NaN, fdr: NaN }, T), "not_sig");
+});
+
+test("the expression filter drops low and missing means but ignores rows without the field", () => {
+  const t = { ...T, minBaseMean: 10 };
+  assert.equal(getCategory({ log2FC: 2, fdr: 0.01, baseMean: 5 }, t), "not_sig");
+  assert.equal(getCategory({ log2FC: 2, fdr: 0.01, baseMean: null }, t), "not_sig");
+  assert.equal(getCategory({ log2FC: 2, fdr: 0.01, baseMean: 10 }, t), "sig_up");
+  assert.equal(getCategory({ log2FC: 2, fdr: 0.01 }, t), "sig_up");
+});
+
+test("countCategories() counts d._category and the rows the expression filter holds back", () => {
+  const t = { ...T, minBaseMean: 10 };
+  const rows = [
+    { log2FC: 2, fdr: 0.01, baseMean: 50 },
+    { log2FC: -2, fdr: 0.01, baseMean: 50 },
+    { log2FC: 2, fdr: 0.01, baseMean: 1 },
+    { log2FC: 0, fdr: 0.9, baseMean: null },
+  ];
+  rows.forEach((d) => (d._category = getCategory(d, t)));
+  assert.deepEqual(countCategories(rows, t), { sig_up: 1, sig_down: 1, not_sig: 2, belowMinMean: 2 });
+});
+
+const ROWS = [
+  { pval: 0.001, fdr: 0.01 },
+  { pval: 0.01, fdr: 0.04 },
+  { pval: 0.02, fdr: 0.05 },
+  { pval: 0.2, fdr: 0.5 },
+].map((d, i) => ({ ...d, log2FC: i % 2 ? -2 : 2 }));
+
+test("pValueCutoff() is alpha in raw mode and the last passing p in adjusted mode", () => {
+  assert.equal(pValueCutoff(ROWS, { ...T, pMode: "raw", alpha: 0.03 }), 0.03);
+  assert.equal(pValueCutoff(ROWS, { ...T, pMode: "raw", alpha: 0 }), null);
+  assert.equal(pValueCutoff(ROWS, T), 0.02);
+  assert.equal(pValueCutoff(ROWS, { ...T, alpha: 0.045 }), 0.01);
+  assert.equal(pValueCutoff(ROWS, { ...T, alpha: 0.001 }), null);
+});
+
+test("pValueCutoff() and alphaForPValue() give the same answers with a data index", () => {
+  const index = createDataIndex(ROWS);
+  for (const alpha of [0.001, 0.01, 0.03, 0.045, 0.05, 0.2, 1]) {
+    assert.equal(pValueCutoff(ROWS, { ...T, alpha }, index), pValueCutoff(ROWS, { ...T, alpha }), `alpha ${alpha}`);
+  }
+  for (const p of [0.0001, 0.001, 0.015, 0.02, 0.5]) {
+    assert.equal(alphaForPValue(ROWS, p, "adjusted", index), alphaForPValue(ROWS, p, "adjusted"), `p ${p}`);
+  }
+});
+
+test("alphaForPValue() inverts the cutoff", () => {
+  assert.equal(alphaForPValue(ROWS, 0.015, "adjusted"), 0.04);
+  assert.equal(alphaForPValue(ROWS, 0.0001, "adjusted"), 0);
+  assert.equal(alphaForPValue(ROWS, 0.015, "raw"), 0.015);
+  assert.equal(pValueCutoff(ROWS, { ...T, alpha: alphaForPValue(ROWS, 0.02, "adjusted") }), 0.02);
+});
@@ -0,0 +1,125 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installDom, mouse } from "./support/dom.js";
+
+installDom();
+const { createVolcanoPlot, pointTooltipHtml } = await import("../src/volcano-plot.js");
+
+const row = (id, log2FC, pval, fdr) => ({ id, geneSymbol: id, log2FC, pval, fdr, negLog10P: -Math.log10(pval) });
+const DATA = [row("UP1", 2, 1e-6, 1e-5), row("UP2", 2.4, 1e-5, 1e-4), row("DOWN1", -2, 1e-4, 1e-3), row("NS1", 0.1, 0.5, 0.6)];
+
+let plot;
+let events;
+
+beforeEach(() => {
+  plot?.destroy();
+  document.body.innerHTML = "";
+  const node = document.createElement("div");
+  document.body.append(node);
+  events = [];
+  plot = createVolcanoPlot(node, { data: DATA.map((d) => ({ ...d })), selectionTool: "box" })
+    .on("selectionchange", (e) => events.push(["selectionchange", [...e.selected], e.source]))
+    .on("pinchange", (e) => events.push(["pinchange", [...e.pinned], e.source]));
+});
+
+/** The SVG circle of a row and its position inside the plot area (= client coordinates here). */
+function point(id) {
+  const circle = [...plot.node.querySelectorAll("circle.point")].find((c) => c.__data__.id === id);
+  return { circle, x: +circle.getAttribute("cx"), y: +circle.getAttribute("cy") };
+}
+
+/** Drags a selection box from (x0, y0) to (x1, y1), starting on the zoom overlay. */
+function dragBox(x0, y0, x1, y1, init) {
+  mouse(plot.node.querySelector("svg > g > rect"), "mousedown", x0, y0, init);
+  mouse(document.body, "mousemove", x1, y1, init);
+  mouse(document.body, "mouseup", x1, y1, init);
+}
+
+test("draws one point per row, colored by category", () => {
+  const circles = plot.node.querySelectorAll("circle.point");
+  assert.equal(circles.length, DATA.length);
+  const fills = new Set(DATA.map((d) => point(d.id).circle.getAttribute("fill")));
+  assert.equal(fills.size, 3); // up, down and not significant
+});
+
+test("a box drag selects the points inside it; Shift adds and Alt subtracts", () => {
+  const up1 = point("UP1");
+  const up2 = point("UP2");
+  dragBox(up1.x - 3, up1.y - 3, up1.x + 3, up1.y + 3);
+  assert.deepEqual(events.at(-1), ["selectionchange", ["UP1"], "box"]);
+  assert.ok(up1.circle.classList.contains("selected"));
+
+  const box = [Math.min(up1.x, up2.x) - 3, Math.min(up1.y, up2.y) - 3, Math.max(up1.x, up2.x) + 3, Math.max(up1.y, up2.y) + 3];
+  dragBox(...box, { shiftKey: true });
+  assert.deepEqual(events.at(-1)[1].sort(), ["UP1", "UP2"]);
+
+  dragBox(up1.x - 3, up1.y - 3, up1.x + 3, up1.y + 3, { altKey: true });
+  assert.deepEqual(events.at(-1)[1], ["UP2"]);
+  assert.ok(!point("UP1").circle.classList.contains("selected"));
+});
+
+test("clicking a point pins it and labels it; clicking again unpins it", () => {
+  const { circle } = point("DOWN1");
+  mouse(circle, "click", 10, 10);
+  assert.deepEqual(events.at(-1), ["pinchange", ["DOWN1"], "click"]);
+  assert.ok(point("DOWN1").circle.classList.contains("pinned"));
+  const labels = [...plot.node.querySelectorAll("g.point-label .label-text")].map((t) => t.textContent);
+  assert.deepEqual(labels, ["DOWN1"]);
+  assert.ok(plot.node.querySelector(".tooltip").classList.contains("visible"));
+
+  mouse(point("DOWN1").circle, "click", 10, 10);
+  assert.deepEqual(events.at(-1), ["pinchange", [], "click"]);
+  assert.equal(plot.node.querySelectorAll("g.point-label").length, 0);
+});
+
+test("exportCsv() writes the selected rows with their categories", () => {
+  plot.select(["DOWN1", "NS1"]);
+  const lines = plot.exportCsv().trimEnd().split("\n");
+  assert.equal(lines[0], "id,geneSymbol,log2FC,pval,padj,negLog10P,category");
+  assert.equal(lines.length, 3);
+  assert.ok(lines[1].startsWith("DOWN1,DOWN1,-2,0.0001,0.001,4,"));
+  assert.ok(lines[1].endsWith(",sig_down"));
+  assert.ok(lines[2].endsWith(",not_sig"));
+  assert.equal(plot.exportCsv(["UP2", "unknown"]).trimEnd().split("\n").length, 2);
+});
+
+test("setData([]) clears the points, labels, threshold lines and axes the earlier rows drew", () => {
+  const drawn = (selector) => plot.node.querySelectorAll(selector).length;
+  const renders = [];
+  plot.on("render.test", (e) => renders.push(e.counts));
+  plot.setData(DATA.map((d) => ({ ...d })));
+  mouse(point("UP1").circle, "click", 10, 10);
+  assert.equal(drawn("circle.point"), DATA.length);
+  assert.ok(drawn("g.point-label") > 0 && drawn(".threshold-line") > 0 && drawn(".x-axis .tick") > 0);
+
+  plot.setData([]);
+  for (const selector of ["circle.point", "g.point-label", ".threshold-line", ".x-axis .tick", ".y-axis .tick"]) {
+    assert.equal(drawn(selector), 0, selector);
+  }
+  assert.deepEqual(renders.at(-1), { sig_up: 0, sig_down: 0, not_sig: 0, belowMinMean: 0 });
+
+  plot.setOptions({ data: DATA.map((d) => ({ ...d })) });
+  assert.equal(drawn("circle.point"), DATA.length);
+  assert.equal(drawn(".threshold-line"), 3);
+});
+
+test("figureModel() of a plot that never had rows is an empty figure", () => {
+  const node = document.createElement("div");
+  document.body.append(node);
+  const empty = createVolcanoPlot(node, { data: [] });
+  const model = empty.figureModel();
+  assert.deepEqual(model.points, []);
+  assert.deepEqual(model.labels, []);
+  assert.deepEqual(model.xDomain, [-1, 1]);
+  assert.deepEqual(model.yDomain, [0, 2]);
+  assert.equal(model.axis.breakAt, null);
+  empty.destroy();
+});
+
+test("tooltip rows show ids from the data as text, not markup", () => {
+  const div = document.createElement("div");
+  div.innerHTML = pointTooltipHtml(row('<img src=x onerror="alert(1)">', 1, 0.01, 0.02), "<b>q</b>", {});
+  assert.equal(div.querySelector("img, b"), null);
+  assert.match(div.textContent, /id <img src=x onerror="alert\(1\)">/);
+  assert.match(div.textContent, /<b>q<\/b>/);
+});